@@ -0,0 +1,188 @@
+/**
+ * Analytics: how the rooms, time slots and instructors of a schedule are used
+ *
+ * Utilisation is the share of the open time slots of schedulable rooms (not teacher-only or unavailable)
+ * that hold a class; time slots inside blocked periods are not open. A session longer than one slot
+ * occupies its room for every slot it spans. The report is computed from the scheduled sessions only,
+ * so it can be exported as CSV or scripted from Node.
+ */
+
+// In Node, load the engine (the browser loads it first, see index.html)
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./engine.js'));
+}
+
+/**
+ * Number of busiest and emptiest periods listed in the report
+ */
+const ANALYTICS_PERIOD_COUNT = 5;
+
+/**
+ * Build the utilisation report of a schedule
+ *
+ * @param {Scheduler} schedule - The schedule
+ * @return {Object} { roomCount, openSlots, occupiedSlots, utilisation, heatmap, floors, rooms, busiest, emptiest, instructors }
+ *                  where heatmap[timeIndex][dayIndex] is { sessions, utilisation } or { blocked } for a blocked period,
+ *                  floors and rooms list { name, rooms, openSlots, occupiedSlots, utilisation }, busiest and emptiest list
+ *                  { day, timeIndex, time, sessions, utilisation } and instructors list { name, courses, sessions, slots, hours, days }
+ */
+function buildAnalytics(schedule) {
+    const rooms = schedule.buildings.listRooms()
+        .filter(({ building, floor, room }) => schedule.rooms[building][floor][room])
+        .map(({ building, floor, room }) => ({
+            building,
+            floor,
+            room,
+            name: schedule.buildings.getRoomName(building, floor, room),
+            floorName: schedule.buildings.getFloorName(building, floor),
+            occupiedSlots: 0
+        }));
+    const roomKey = (building, floor, room) => `${building}|${floor}|${room}`;
+    const roomsByKey = new Map(rooms.map(room => [roomKey(room.building, room.floor, room.room), room]));
+    const share = (occupied, open) => open > 0 ? occupied / open : 0;
+
+    // Occupancy of every open time slot
+    const periods = [];
+    const heatmap = schedule.timeSlots.map((time, timeIndex) => schedule.days.map(day => {
+        if (!schedule.isTimeSlotAvailable(day, timeIndex, 1)) {
+            return { blocked: schedule.timeGrid.getBlockedPeriod(day, timeIndex) };
+        }
+        const sessions = schedule.getSessionsAt(day, timeIndex)
+            .filter(session => roomsByKey.has(roomKey(session.building, session.floor, session.room)));
+        sessions.forEach(session => roomsByKey.get(roomKey(session.building, session.floor, session.room)).occupiedSlots++);
+        const period = { day, timeIndex, time: schedule.displayTimeSlots[timeIndex], sessions: sessions.length,
+            utilisation: share(sessions.length, rooms.length) };
+        periods.push(period);
+        return { sessions: period.sessions, utilisation: period.utilisation };
+    }));
+    const openSlots = periods.length;
+    rooms.forEach(room => {
+        room.openSlots = openSlots;
+        room.utilisation = share(room.occupiedSlots, openSlots);
+    });
+
+    // Floors in building and floor order
+    const floors = [];
+    rooms.forEach(room => {
+        let floor = floors[floors.length - 1];
+        if (!floor || floor.building !== room.building || floor.floor !== room.floor) {
+            floor = { building: room.building, floor: room.floor, name: room.floorName, rooms: 0, openSlots: 0, occupiedSlots: 0 };
+            floors.push(floor);
+        }
+        floor.rooms++;
+        floor.openSlots += openSlots;
+        floor.occupiedSlots += room.occupiedSlots;
+    });
+    floors.forEach(floor => {
+        floor.utilisation = share(floor.occupiedSlots, floor.openSlots);
+    });
+
+    // Busiest and emptiest periods; ties are listed in week order
+    const weekOrder = (a, b) => schedule.days.indexOf(a.day) - schedule.days.indexOf(b.day) || a.timeIndex - b.timeIndex;
+    const busiest = [...periods].sort((a, b) => b.sessions - a.sessions || weekOrder(a, b)).slice(0, ANALYTICS_PERIOD_COUNT);
+    const emptiest = [...periods].sort((a, b) => a.sessions - b.sessions || weekOrder(a, b)).slice(0, ANALYTICS_PERIOD_COUNT);
+
+    // Teaching load of every instructor with a scheduled session
+    const loads = new Map();
+    schedule.courses.forEach(course => {
+        if (!course.scheduled) return;
+        if (!loads.has(course.instructor)) {
+            loads.set(course.instructor, { name: course.instructor, courses: 0, sessions: 0, slots: 0, minutes: 0, days: new Set() });
+        }
+        const load = loads.get(course.instructor);
+        load.courses++;
+        const rows = schedule.timeGrid.rows;
+        course.scheduledSlots.forEach(slot => {
+            const duration = course.getDuration(slot);
+            load.sessions++;
+            load.slots += duration;
+            load.minutes += rows[slot.timeIndex + duration - 1].end - rows[slot.timeIndex].start;
+            load.days.add(slot.day);
+        });
+    });
+    const instructors = [...loads.values()]
+        .sort((a, b) => b.slots - a.slots || a.name.localeCompare(b.name))
+        .map(({ name, courses, sessions, slots, minutes, days }) => ({
+            name,
+            courses,
+            sessions,
+            slots,
+            hours: minutes / 60,
+            days: schedule.days.filter(day => days.has(day))
+        }));
+
+    const occupiedSlots = rooms.reduce((total, room) => total + room.occupiedSlots, 0);
+    return {
+        roomCount: rooms.length,
+        openSlots,
+        occupiedSlots,
+        utilisation: share(occupiedSlots, rooms.length * openSlots),
+        heatmap,
+        floors,
+        rooms,
+        busiest,
+        emptiest,
+        instructors
+    };
+}
+
+/**
+ * Format a share as a percentage
+ * @param {number} value - The share (0 to 1)
+ * @return {string} e.g. "12.5%"
+ */
+function formatPercentage(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Quote a CSV field if it contains a separator, a quote or a line break
+ * @param {string|number} value - The value
+ * @return {string} The field
+ */
+function escapeCSVField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export a utilisation report as CSV
+ * Every table of the report becomes a block with a title line and a header row, separated by a blank line;
+ * percentages are written as numbers with one decimal
+ *
+ * @param {Scheduler} schedule - The schedule the report was built from
+ * @param {Object} analytics - The report, as returned by buildAnalytics()
+ * @return {string} The CSV text
+ */
+function buildAnalyticsCSV(schedule, analytics) {
+    const percent = value => (value * 100).toFixed(1);
+    const periodRows = periods => periods.map(period => [period.day, period.time, period.sessions, percent(period.utilisation)]);
+    const blocks = [
+        ['Occupancy by day and time slot (sessions)', ['Time', ...schedule.days],
+            analytics.heatmap.map((cells, timeIndex) => [schedule.displayTimeSlots[timeIndex],
+                ...cells.map(cell => cell.blocked ? cell.blocked : cell.sessions)])],
+        ['Utilisation per floor', ['Floor', 'Rooms', 'Occupied slots', 'Open slots', 'Utilisation (%)'],
+            analytics.floors.map(floor => [floor.name, floor.rooms, floor.occupiedSlots, floor.openSlots, percent(floor.utilisation)])],
+        ['Utilisation per room', ['Room', 'Floor', 'Occupied slots', 'Open slots', 'Utilisation (%)'],
+            analytics.rooms.map(room => [room.name, room.floorName, room.occupiedSlots, room.openSlots, percent(room.utilisation)])],
+        ['Busiest periods', ['Day', 'Time', 'Sessions', 'Utilisation (%)'], periodRows(analytics.busiest)],
+        ['Emptiest periods', ['Day', 'Time', 'Sessions', 'Utilisation (%)'], periodRows(analytics.emptiest)],
+        ['Instructor load', ['Instructor', 'Courses', 'Sessions per week', 'Slots per week', 'Hours per week', 'Days on campus', 'Days'],
+            analytics.instructors.map(load => [load.name, load.courses, load.sessions, load.slots, load.hours.toFixed(2),
+                load.days.length, load.days.join(' ')])]
+    ];
+    return blocks
+        .map(([title, header, rows]) => [[title], header, ...rows].map(row => row.map(escapeCSVField).join(',')).join('\r\n'))
+        .join('\r\n\r\n') + '\r\n';
+}
+
+// Export to Node (in the browser this file is a classic script and everything above is global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ANALYTICS_PERIOD_COUNT,
+        buildAnalytics,
+        formatPercentage,
+        escapeCSVField,
+        buildAnalyticsCSV
+    };
+}
@@ -0,0 +1,131 @@
+/**
+ * Background solving for the Course Schedule Optimizer
+ *
+ * BackgroundSolver generates the schedule in a Web Worker (solver-worker.js), so the page stays responsive
+ * while hundreds of courses are placed. It forwards the worker's progress and keeps the best schedule the
+ * worker has reported, which is what remains when solving is cancelled. Some browsers do not run workers
+ * for pages opened as local files; start() then returns false and the caller solves on the main thread.
+ * The placements of the worker refer to the courses by index, so they only apply if the project was not
+ * edited in the meantime; like the undo history, this ignores the display settings.
+ */
+
+// In Node, load the history for its project snapshots (the browser loads it first, see index.html)
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./history.js'));
+}
+
+/**
+ * Script run by the worker, relative to the page
+ */
+const SOLVER_WORKER_URL = 'solver-worker.js';
+
+/**
+ * Runs one solve at a time in a Web Worker
+ */
+class BackgroundSolver {
+    /**
+     * Create a background solver
+     * @param {string} workerUrl - Script run by the worker
+     */
+    constructor(workerUrl = SOLVER_WORKER_URL) {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.best = null; // { score, placements } of the best schedule reported so far
+        this.project = null; // Snapshot of the project being solved (see ProjectHistory.snapshot())
+    }
+
+    /**
+     * Whether a solve is in progress
+     * @return {boolean} True between start() and the end, failure or cancellation of the solve
+     */
+    get running() {
+        return this.worker !== null;
+    }
+
+    /**
+     * Start solving a project in a worker
+     *
+     * @param {Object} project - The project to solve, as returned by serializeProject()
+     * @param {string} strategy - The solver strategy to use (see SOLVER_STRATEGIES)
+     * @param {Object} handlers - Callbacks for the solve
+     * @param {Function} handlers.onProgress - Called with the progress (see Scheduler.solve()) and the best schedule so far
+     * @param {Function} handlers.onDone - Called with the worker's { result, solverResult, optimizationResult, placements, scenario }
+     * @param {Function} handlers.onError - Called with an error message if the worker failed
+     * @param {Object} options - { seed, scenarioName } to solve with a seed and record the result as a scenario
+     * @return {boolean} True if the worker was started, false if workers are not available
+     */
+    start(project, strategy, handlers, options = {}) {
+        if (this.running || typeof Worker === 'undefined') {
+            return false;
+        }
+
+        let worker;
+        try {
+            worker = new Worker(this.workerUrl);
+        } catch (error) {
+            return false; // e.g. workers are not allowed for pages opened as local files
+        }
+
+        this.worker = worker;
+        this.best = null;
+        this.project = ProjectHistory.snapshot(project);
+        worker.onmessage = event => {
+            const message = event.data;
+            if (message.type === 'progress') {
+                if (message.placements) {
+                    this.best = { score: message.score, placements: message.placements };
+                }
+                handlers.onProgress(message.progress, this.best);
+            } else if (message.type === 'done') {
+                this.stop();
+                handlers.onDone(message);
+            }
+        };
+        worker.onerror = event => {
+            event.preventDefault();
+            this.stop();
+            handlers.onError(event.message || 'The solver could not be started');
+        };
+        worker.postMessage({ project, strategy, ...options });
+        return true;
+    }
+
+    /**
+     * Check whether a project was edited since the last solve was started
+     * Changes to the display settings only (timetable view, cohort filter) do not count.
+     *
+     * @param {Object} project - The current project, as returned by serializeProject()
+     * @return {boolean} True if the placements of the solve no longer apply to the project
+     */
+    projectChanged(project) {
+        return ProjectHistory.snapshot(project) !== this.project;
+    }
+
+    /**
+     * Stop the solve in progress
+     * @return {Object|null} { score, placements } of the best schedule reported so far, or null if there is none
+     */
+    cancel() {
+        const best = this.best;
+        this.stop();
+        return best;
+    }
+
+    /**
+     * Terminate the worker
+     */
+    stop() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+// Export to Node (in the browser this file is a classic script and everything above is global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SOLVER_WORKER_URL,
+        BackgroundSolver
+    };
+}
@@ -0,0 +1,420 @@
+/**
+ * Building configuration for the Course Schedule Optimizer
+ *
+ * The campus is a list of buildings, each with numbered floors holding numbered rooms.
+ * Rooms have a type, equipment tags and a seating capacity, can have a custom name and can be
+ * flagged as teacher-reserved or unavailable; flagged rooms are never used by the scheduler. Every location in the schedule is identified by
+ * its building code, floor number and room number.
+ */
+
+/**
+ * Seating capacity of rooms that were created without one
+ */
+const DEFAULT_ROOM_CAPACITY = 40;
+
+/**
+ * Room types, by key, with their display names
+ */
+const ROOM_TYPES = {
+    classroom: 'Classroom',
+    lectureHall: 'Lecture hall',
+    computerLab: 'Computer lab',
+    chemistryLab: 'Chemistry lab',
+    seminarRoom: 'Seminar room'
+};
+
+/**
+ * Format a floor/room pair as a room code
+ * Format: "floor-room" (e.g., "3-05" for floor 3, room 5)
+ * @param {number} floor - The floor number
+ * @param {number} room - The room number on that floor
+ * @return {string} Formatted room identifier
+ */
+function formatRoomCode(floor, room) {
+    // Pad room number with leading zero if needed (e.g., 3-05 instead of 3-5)
+    return `${floor}-${room.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Create a room entry
+ * @param {number} number - The room number on its floor
+ * @param {Object} flags - Optional { name, capacity, type, equipment, teacherOnly, unavailable }
+ * @return {Object} The room entry
+ */
+function createRoom(number, flags = {}) {
+    return {
+        number,
+        name: flags.name || '',
+        capacity: flags.capacity || DEFAULT_ROOM_CAPACITY,
+        type: flags.type || 'classroom',
+        equipment: flags.equipment ? [...flags.equipment] : [],
+        teacherOnly: Boolean(flags.teacherOnly),
+        unavailable: Boolean(flags.unavailable)
+    };
+}
+
+/**
+ * Create a building with the same number of rooms on every floor
+ * @param {string} code - Short unique code (e.g. "AB3")
+ * @param {string} name - Display name
+ * @param {number} floorCount - Number of floors (numbered from 1)
+ * @param {number} roomsPerFloor - Number of rooms on each floor (numbered from 1)
+ * @param {number} capacity - Seating capacity of every room
+ * @return {Object} The building entry
+ */
+function createBuilding(code, name, floorCount, roomsPerFloor, capacity = DEFAULT_ROOM_CAPACITY) {
+    const floors = [];
+    for (let floor = 1; floor <= floorCount; floor++) {
+        const rooms = [];
+        for (let room = 1; room <= roomsPerFloor; room++) {
+            rooms.push(createRoom(room, { capacity }));
+        }
+        floors.push({ number: floor, rooms });
+    }
+    return { code, name, floors };
+}
+
+/**
+ * The original campus: Building AB3 with 7 floors of 15 rooms,
+ * where rooms 14 and 15 on each floor are reserved for teachers
+ * @return {Array<Object>} The default list of buildings
+ */
+function createDefaultBuildings() {
+    const building = createBuilding('AB3', 'Building AB3', 7, 15);
+    building.floors.forEach(floor => {
+        floor.rooms[13].teacherOnly = true;
+        floor.rooms[14].teacherOnly = true;
+    });
+    return [building];
+}
+
+/**
+ * Check whether a room has a piece of equipment
+ * Equipment tags are free text and compared case-insensitively
+ *
+ * @param {Object} entry - The room entry
+ * @param {string} item - The equipment tag (e.g. "projector")
+ * @return {boolean} True if the room has the equipment
+ */
+function hasEquipment(entry, item) {
+    return entry.equipment.some(tag => tag.toLowerCase() === item.toLowerCase());
+}
+
+/**
+ * Find the first requirement of a class that a room does not meet
+ * Requirements are checked in order: room type, equipment, then seats
+ *
+ * @param {Object} entry - The room entry
+ * @param {Object} needs - { roomType, equipment, enrollment } of the class (null/empty for no requirement)
+ * @return {string|null} What the room lacks (e.g. "has no fume hood"), or null if it is suitable
+ */
+function describeRoomMismatch(entry, needs) {
+    if (needs.roomType && entry.type !== needs.roomType) {
+        return `is a ${ROOM_TYPES[entry.type].toLowerCase()}, not a ${ROOM_TYPES[needs.roomType].toLowerCase()}`;
+    }
+    const missing = (needs.equipment || []).find(item => !hasEquipment(entry, item));
+    if (missing) {
+        return `has no ${missing}`;
+    }
+    if (needs.enrollment && entry.capacity < needs.enrollment) {
+        return `only seats ${entry.capacity} of ${needs.enrollment} students`;
+    }
+    return null;
+}
+
+/**
+ * Check a list of buildings for structural problems
+ * @param {Array<Object>} buildings - The buildings to check
+ * @return {Array<string>} Validation errors (empty if the configuration is valid)
+ */
+function validateBuildings(buildings) {
+    const errors = [];
+    if (!Array.isArray(buildings) || buildings.length === 0) {
+        errors.push('At least one building is required.');
+        return errors;
+    }
+
+    const codes = new Set();
+    buildings.forEach((building, index) => {
+        const label = `Building ${index + 1}${building && building.code ? ` (${building.code})` : ''}`;
+        if (!building || typeof building.code !== 'string' || !building.code.trim()) {
+            errors.push(`${label}: code is missing.`);
+            return;
+        }
+        if (codes.has(building.code)) {
+            errors.push(`${label}: code is used by another building.`);
+        }
+        codes.add(building.code);
+        if (!Array.isArray(building.floors) || building.floors.length === 0) {
+            errors.push(`${label}: at least one floor is required.`);
+            return;
+        }
+
+        const floorNumbers = new Set();
+        building.floors.forEach(floor => {
+            if (!floor || !Number.isInteger(floor.number) || floorNumbers.has(floor.number) || !Array.isArray(floor.rooms)) {
+                errors.push(`${label}: invalid or duplicate floor.`);
+                return;
+            }
+            floorNumbers.add(floor.number);
+            const roomNumbers = new Set();
+            floor.rooms.forEach(room => {
+                if (!room || !Number.isInteger(room.number) || room.number < 1 || roomNumbers.has(room.number)) {
+                    errors.push(`${label}: invalid or duplicate room on floor ${floor.number}.`);
+                    return;
+                }
+                roomNumbers.add(room.number);
+                if (!Number.isInteger(room.capacity) || room.capacity < 1) {
+                    errors.push(`${label}: room ${formatRoomCode(floor.number, room.number)} needs a capacity of at least one seat.`);
+                }
+                if (!ROOM_TYPES[room.type] || !Array.isArray(room.equipment) || room.equipment.some(item => typeof item !== 'string')) {
+                    errors.push(`${label}: room ${formatRoomCode(floor.number, room.number)} has an invalid type or equipment list.`);
+                }
+            });
+        });
+    });
+    return errors;
+}
+
+/**
+ * BuildingModel holds the campus configuration the scheduler and the form read from
+ */
+class BuildingModel {
+    /**
+     * Create a new BuildingModel instance
+     * @param {Array<Object>} buildings - The buildings (defaults to Building AB3)
+     */
+    constructor(buildings = createDefaultBuildings()) {
+        this.buildings = JSON.parse(JSON.stringify(buildings));
+    }
+
+    /**
+     * Get a building by code
+     * @param {string} code - The building code
+     * @return {Object|null} The building entry
+     */
+    getBuilding(code) {
+        return this.buildings.find(building => building.code === code) || null;
+    }
+
+    /**
+     * Get a floor of a building
+     * @param {string} code - The building code
+     * @param {number} floorNumber - The floor number
+     * @return {Object|null} The floor entry
+     */
+    getFloor(code, floorNumber) {
+        const building = this.getBuilding(code);
+        return building ? building.floors.find(floor => floor.number === floorNumber) || null : null;
+    }
+
+    /**
+     * Get a room entry
+     * @param {string} code - The building code
+     * @param {number} floorNumber - The floor number
+     * @param {number} roomNumber - The room number
+     * @return {Object|null} The room entry
+     */
+    getRoom(code, floorNumber, roomNumber) {
+        const floor = this.getFloor(code, floorNumber);
+        return floor ? floor.rooms.find(room => room.number === roomNumber) || null : null;
+    }
+
+    /**
+     * Check whether classes can be scheduled in a room
+     * @return {boolean} True if the room exists and is neither teacher-reserved nor unavailable
+     */
+    isSchedulable(code, floorNumber, roomNumber) {
+        const room = this.getRoom(code, floorNumber, roomNumber);
+        return Boolean(room) && !room.teacherOnly && !room.unavailable;
+    }
+
+    /**
+     * Get the seating capacity of a room
+     * @return {number} The number of seats (0 if the room does not exist)
+     */
+    getCapacity(code, floorNumber, roomNumber) {
+        const room = this.getRoom(code, floorNumber, roomNumber);
+        return room ? room.capacity : 0;
+    }
+
+    /**
+     * Get the display name of a room
+     * Rooms without a custom name use their room code (e.g. "3-05");
+     * the building code is prepended when the campus has several buildings
+     *
+     * @return {string} The room name
+     */
+    getRoomName(code, floorNumber, roomNumber) {
+        const room = this.getRoom(code, floorNumber, roomNumber);
+        const name = room && room.name ? room.name : formatRoomCode(floorNumber, roomNumber);
+        return this.buildings.length > 1 ? `${code} ${name}` : name;
+    }
+
+    /**
+     * Get the display name of a floor
+     * @return {string} e.g. "Floor 3", or "AB3 Floor 3" when the campus has several buildings
+     */
+    getFloorName(code, floorNumber) {
+        return this.buildings.length > 1 ? `${code} Floor ${floorNumber}` : `Floor ${floorNumber}`;
+    }
+
+    /**
+     * List the floor numbers of a building, or of every building
+     * @param {string|null} code - The building code (null for all buildings)
+     * @return {Array<number>} Sorted floor numbers
+     */
+    getFloorNumbers(code = null) {
+        const buildings = code ? [this.getBuilding(code)].filter(Boolean) : this.buildings;
+        const numbers = new Set();
+        buildings.forEach(building => building.floors.forEach(floor => numbers.add(floor.number)));
+        return [...numbers].sort((a, b) => a - b);
+    }
+
+    /**
+     * List every room in building, floor and room order
+     * @return {Array<Object>} Rooms as { building, floor, room, entry }
+     */
+    listRooms() {
+        const rooms = [];
+        this.buildings.forEach(building => {
+            building.floors.forEach(floor => {
+                floor.rooms.forEach(entry => {
+                    rooms.push({ building: building.code, floor: floor.number, room: entry.number, entry });
+                });
+            });
+        });
+        return rooms;
+    }
+
+    /**
+     * Describe the campus for the page header
+     * @return {string} e.g. "Building AB3: 7 Floors, 15 Rooms per Floor"
+     */
+    describe() {
+        return this.buildings.map(building => {
+            const roomCounts = building.floors.map(floor => floor.rooms.length);
+            const rooms = roomCounts.every(count => count === roomCounts[0])
+                ? `${roomCounts[0]} Rooms per Floor`
+                : `${roomCounts.reduce((sum, count) => sum + count, 0)} Rooms`;
+            return `${building.name}: ${building.floors.length} Floors, ${rooms}`;
+        }).join(' | ');
+    }
+
+    /**
+     * Add a building with the same number of rooms on every floor
+     * @param {string} code - Short unique code
+     * @param {string} name - Display name
+     * @param {number} floorCount - Number of floors
+     * @param {number} roomsPerFloor - Number of rooms per floor
+     * @param {number} capacity - Seating capacity of every room
+     * @return {string|null} Why the building could not be added, or null if it was added
+     */
+    addBuilding(code, name, floorCount, roomsPerFloor, capacity = DEFAULT_ROOM_CAPACITY) {
+        if (!code) {
+            return 'Please enter a building code!';
+        }
+        if (this.getBuilding(code)) {
+            return `Building ${code} already exists!`;
+        }
+        if (!(floorCount >= 1) || !(roomsPerFloor >= 1)) {
+            return 'A building needs at least one floor and one room per floor!';
+        }
+        if (!Number.isInteger(capacity) || capacity < 1) {
+            return 'Rooms need at least one seat!';
+        }
+        this.buildings.push(createBuilding(code, name || code, floorCount, roomsPerFloor, capacity));
+        return null;
+    }
+
+    /**
+     * Remove a building
+     * @param {string} code - The building code
+     * @return {string|null} Why the building could not be removed, or null if it was removed
+     */
+    removeBuilding(code) {
+        if (this.buildings.length === 1) {
+            return 'The campus needs at least one building!';
+        }
+        this.buildings = this.buildings.filter(building => building.code !== code);
+        return null;
+    }
+
+    /**
+     * Change the number of floors of a building
+     * New floors copy the rooms (capacity, type and equipment) of the top floor; removed floors are taken from the top
+     * @param {string} code - The building code
+     * @param {number} floorCount - The new number of floors
+     */
+    setFloorCount(code, floorCount) {
+        const building = this.getBuilding(code);
+        if (!building || !(floorCount >= 1)) return;
+
+        while (building.floors.length > floorCount) {
+            building.floors.pop();
+        }
+        while (building.floors.length < floorCount) {
+            const top = building.floors[building.floors.length - 1];
+            const rooms = top.rooms.map(room => createRoom(room.number, { capacity: room.capacity, type: room.type, equipment: room.equipment }));
+            building.floors.push({ number: top.number + 1, rooms });
+        }
+    }
+
+    /**
+     * Change the number of rooms on a floor
+     * New rooms are numbered after the last room and copy its capacity; removed rooms are taken from the end
+     * @param {string} code - The building code
+     * @param {number} floorNumber - The floor number
+     * @param {number} roomCount - The new number of rooms
+     */
+    setRoomCount(code, floorNumber, roomCount) {
+        const floor = this.getFloor(code, floorNumber);
+        if (!floor || !(roomCount >= 1)) return;
+
+        while (floor.rooms.length > roomCount) {
+            floor.rooms.pop();
+        }
+        while (floor.rooms.length < roomCount) {
+            const last = floor.rooms[floor.rooms.length - 1];
+            floor.rooms.push(createRoom(last ? last.number + 1 : 1, { capacity: last ? last.capacity : DEFAULT_ROOM_CAPACITY }));
+        }
+    }
+
+    /**
+     * Update the name, capacity, type, equipment or flags of a room
+     * @param {string} code - The building code
+     * @param {number} floorNumber - The floor number
+     * @param {number} roomNumber - The room number
+     * @param {Object} changes - Any of { name, capacity, type, equipment, teacherOnly, unavailable }
+     */
+    updateRoom(code, floorNumber, roomNumber, changes) {
+        const room = this.getRoom(code, floorNumber, roomNumber);
+        if (room) {
+            Object.assign(room, changes);
+        }
+    }
+
+    /**
+     * Get a plain copy of the configuration (for saving)
+     * @return {Array<Object>} The buildings
+     */
+    toJSON() {
+        return JSON.parse(JSON.stringify(this.buildings));
+    }
+}
+
+// Export to Node (in the browser this file is a classic script and everything above is global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_ROOM_CAPACITY,
+        ROOM_TYPES,
+        formatRoomCode,
+        createRoom,
+        createBuilding,
+        createDefaultBuildings,
+        hasEquipment,
+        describeRoomMismatch,
+        validateBuildings,
+        BuildingModel
+    };
+}
@@ -0,0 +1,250 @@
+/**
+ * Rules linking courses by code
+ *
+ * A rule relates the sessions of a course to those of another course, e.g. a lab that follows its
+ * lecture on the same day. Hard rules are checked like every other constraint whenever a session is
+ * placed; soft rules are preferences that add penalty points to the schedule score (see optimizer.js).
+ * A rule only applies once both courses hold sessions. It is checked against the sessions already
+ * placed, so the solvers place the other course of a rule before the course it constrains.
+ */
+
+/**
+ * Kinds of rule. `ordered` rules constrain the course against the other course (which is placed first);
+ * `test` checks one session of the course against the sessions of the other course
+ */
+const COURSE_RULE_TYPES = {
+    followsSameDay: {
+        label: 'follows on the same day',
+        ordered: true,
+        describe: (course, other) => `${course} follows ${other} on the same day`,
+        test: (session, others) => others.some(other => other.day === session.day && other.end <= session.start)
+    },
+    dayAfter: {
+        label: 'is at least one day after',
+        ordered: true,
+        describe: (course, other) => `${course} is at least one day after the first session of ${other}`,
+        test: (session, others, days) =>
+            days.indexOf(session.day) > Math.min(...others.map(other => days.indexOf(other.day)))
+    },
+    noClash: {
+        label: 'never clashes with',
+        ordered: false,
+        describe: (course, other) => `${course} never clashes with ${other}`,
+        test: (session, others) =>
+            !others.some(other => other.day === session.day && other.start < session.end && session.start < other.end)
+    },
+    parallel: {
+        label: 'runs in parallel with',
+        ordered: true,
+        describe: (course, other) => `${course} runs in parallel with ${other}`,
+        test: (session, others) => others.some(other => other.day === session.day && other.start === session.start)
+    }
+};
+
+/**
+ * Create a rule
+ *
+ * @param {string} type - The kind of rule (see COURSE_RULE_TYPES)
+ * @param {string} course - The code of the course the rule constrains
+ * @param {string} other - The code of the course it is related to
+ * @param {boolean} hard - Whether the rule must hold (true) or is a preference (false)
+ * @return {Object} The rule
+ */
+function createCourseRule(type, course, other, hard = true) {
+    return { type, course, other, hard };
+}
+
+/**
+ * Find what is wrong with the fields of a rule
+ * @param {Object} rule - The rule to check
+ * @return {string|null} The problem, or null if the rule is valid
+ */
+function validateCourseRule(rule) {
+    if (!rule || !COURSE_RULE_TYPES[rule.type]) {
+        return 'Unknown rule type';
+    }
+    if (typeof rule.course !== 'string' || !rule.course || typeof rule.other !== 'string' || !rule.other) {
+        return 'Both course codes are required';
+    }
+    if (rule.course === rule.other) {
+        return 'A rule must link two different courses';
+    }
+    if (typeof rule.hard !== 'boolean') {
+        return 'A rule must be hard or a preference';
+    }
+    return null;
+}
+
+/**
+ * Describe a rule
+ * @param {Object} rule - The rule
+ * @return {string} e.g. "CS201L follows CS201 on the same day"
+ */
+function describeCourseRule(rule) {
+    return COURSE_RULE_TYPES[rule.type].describe(rule.course, rule.other);
+}
+
+/**
+ * List the sessions of the courses with a code as { day, start, end } (end is the first slot after the session)
+ *
+ * @param {Array<Course>} courses - The courses to search
+ * @param {string} code - The course code
+ * @param {Course|null} exclude - A course to leave out
+ * @return {Array<Object>} The sessions, including locked sessions of unscheduled courses
+ */
+function collectRuleSessions(courses, code, exclude = null) {
+    return courses
+        .filter(course => course.code === code && course !== exclude)
+        .flatMap(course => course.scheduledSlots.map(slot => toRuleSession(course, slot)));
+}
+
+/**
+ * Describe a session of a course for the rule tests
+ * @param {Course} course - The course
+ * @param {Object} slot - The session's { day, timeIndex, component }
+ * @return {Object} { day, start, end }
+ */
+function toRuleSession(course, slot) {
+    return { day: slot.day, start: slot.timeIndex, end: slot.timeIndex + course.getDuration(slot) };
+}
+
+/**
+ * Find the sessions of a course that break a rule
+ *
+ * @param {Object} rule - The rule
+ * @param {Array<Object>} sessions - Sessions of the course the rule constrains, as { day, start, end }
+ * @param {Array<Object>} others - Sessions of the other course
+ * @param {Array<string>} days - The working days in week order
+ * @return {Array<Object>} The sessions that break the rule (none if the other course holds no session)
+ */
+function findRuleViolations(rule, sessions, others, days) {
+    if (others.length === 0) {
+        return [];
+    }
+    const { test } = COURSE_RULE_TYPES[rule.type];
+    return sessions.filter(session => !test(session, others, days));
+}
+
+/**
+ * Check a rule against the current schedule
+ *
+ * @param {Schedule} schedule - The schedule
+ * @param {Object} rule - The rule
+ * @return {Object} { applies, violations } where applies is false until both courses hold sessions and
+ *                  violations counts the sessions of the constrained course that break the rule
+ */
+function evaluateCourseRule(schedule, rule) {
+    const sessions = collectRuleSessions(schedule.courses, rule.course);
+    const others = collectRuleSessions(schedule.courses, rule.other);
+    return {
+        applies: sessions.length > 0 && others.length > 0,
+        violations: findRuleViolations(rule, sessions, others, schedule.days).length
+    };
+}
+
+/**
+ * Count the sessions that break a soft rule, for the schedule score
+ * @param {Schedule} schedule - The schedule
+ * @return {number} The number of sessions
+ */
+function countSoftRuleViolations(schedule) {
+    return (schedule.courseRules || [])
+        .filter(rule => !rule.hard)
+        .reduce((total, rule) => total + evaluateCourseRule(schedule, rule).violations, 0);
+}
+
+/**
+ * Find the hard rule a prospective session of a course would break
+ * A session of the constrained course is checked on its own; a session of the other course of an ordered
+ * rule can only be checked once it completes the course, since later sessions may still satisfy the rule
+ *
+ * @param {Schedule} schedule - The schedule
+ * @param {Course} course - The course of the session
+ * @param {Object} session - The prospective session as { day, start, end }
+ * @param {Array<Object>} placedSlots - The other sessions of the course, placed or picked ({ day, timeIndex, component })
+ * @return {string|null} A description of the broken rule, or null if none
+ */
+function getCourseRuleConflict(schedule, course, session, placedSlots) {
+    for (const rule of schedule.courseRules || []) {
+        if (!rule.hard || (rule.course !== course.code && rule.other !== course.code)) {
+            continue;
+        }
+
+        const type = COURSE_RULE_TYPES[rule.type];
+        let broken;
+        if (rule.course === course.code) {
+            broken = findRuleViolations(rule, [session], collectRuleSessions(schedule.courses, rule.other, course), schedule.days);
+        } else if (!type.ordered) {
+            broken = findRuleViolations(rule, collectRuleSessions(schedule.courses, rule.course, course), [session], schedule.days);
+        } else if (placedSlots.length + 1 >= course.sessions.length) {
+            const sessions = [...placedSlots.map(slot => toRuleSession(course, slot)), session];
+            broken = findRuleViolations(rule, collectRuleSessions(schedule.courses, rule.course, course), sessions, schedule.days);
+        } else {
+            continue;
+        }
+        if (broken.length > 0) {
+            return `Rule: ${describeCourseRule(rule)}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the courses linked to each course by a hard rule
+ * @param {Array<Course>} courses - The courses
+ * @param {Array<Object>} rules - The rules
+ * @param {boolean} orderedOnly - Only link a course to the courses it must be placed after
+ * @return {Map<Course, Set<Course>>} The linked courses of every course
+ */
+function findRuleLinks(courses, rules, orderedOnly = false) {
+    const links = new Map(courses.map(course => [course, new Set()]));
+    rules.filter(rule => rule.hard && (!orderedOnly || COURSE_RULE_TYPES[rule.type].ordered)).forEach(rule => {
+        courses.filter(course => course.code === rule.course).forEach(course => {
+            courses.filter(other => other.code === rule.other && other !== course).forEach(other => {
+                links.get(course).add(other);
+                if (!orderedOnly) {
+                    links.get(other).add(course);
+                }
+            });
+        });
+    });
+    return links;
+}
+
+/**
+ * Order courses so that the other course of every ordered hard rule comes before the course it constrains
+ * The order is otherwise kept; courses in a cycle of rules keep their order
+ *
+ * @param {Array<Course>} courses - The courses in priority order
+ * @param {Array<Object>} rules - The rules
+ * @return {Array<Course>} The courses in placement order
+ */
+function orderCoursesByRules(courses, rules) {
+    const prerequisites = findRuleLinks(courses, rules, true);
+    const remaining = [...courses];
+    const ordered = [];
+    const placed = new Set();
+    while (remaining.length > 0) {
+        const index = remaining.findIndex(course => [...prerequisites.get(course)].every(other => placed.has(other)));
+        const [course] = remaining.splice(Math.max(index, 0), 1);
+        ordered.push(course);
+        placed.add(course);
+    }
+    return ordered;
+}
+
+// Export to Node (in the browser this file is a classic script and everything above is global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COURSE_RULE_TYPES,
+        createCourseRule,
+        validateCourseRule,
+        describeCourseRule,
+        findRuleViolations,
+        evaluateCourseRule,
+        countSoftRuleViolations,
+        getCourseRuleConflict,
+        findRuleLinks,
+        orderCoursesByRules
+    };
+}
@@ -0,0 +1,310 @@
+/**
+ * Bulk course import from CSV files
+ *
+ * Files exported from Excel or other spreadsheets are accepted: comma or semicolon separated,
+ * with quoted fields and an optional byte order mark. The first row holds the column headers,
+ * which are mapped to the Course fields. Every row is validated with the same rules as the
+ * course form so the user can review the result in a preview before importing.
+ */
+
+// In Node, load the engine (the browser loads it first, see index.html)
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./engine.js'));
+}
+
+/**
+ * Course fields that can be imported, with the header names accepted for each
+ * Header names are compared lowercase and without spaces or punctuation
+ */
+const CSV_COURSE_COLUMNS = {
+    name: ['name', 'coursename', 'course', 'title'],
+    code: ['code', 'coursecode'],
+    instructor: ['instructor', 'teacher', 'lecturer'],
+    type: ['type', 'classtype'],
+    classesPerWeek: ['classesperweek', 'classes', 'perweek', 'sessions'],
+    components: ['sessiontypes', 'components', 'sessioncomponents'],
+    preferredDays: ['preferreddays', 'days'],
+    consistentRoom: ['consistentroom', 'sameroom', 'keepsameroom'],
+    enrollment: ['enrollment', 'expectedenrollment', 'students', 'size'],
+    roomType: ['roomtype', 'requiredroomtype'],
+    equipment: ['equipment', 'requiredequipment'],
+    building: ['building', 'buildingcode'],
+    floor: ['floor'],
+    room: ['room', 'roomnumber'],
+    cohorts: ['cohorts', 'cohort', 'sections', 'section']
+};
+
+/**
+ * Columns that must be present in the file
+ */
+const CSV_REQUIRED_COLUMNS = ['name', 'code', 'instructor'];
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text - The file contents
+ * @return {Array<Object>} The rows as { line, fields }, without empty lines, where line is the number of the
+ *                         line of the file the row starts on (quoted fields can span several lines)
+ */
+function parseCSV(text) {
+    const content = text.replace(/^\uFEFF/, '');
+
+    // Excel uses semicolons in locales where the comma is the decimal separator
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+                if (char === '\n') line++;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ line: rowLine, fields: row });
+            row = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push({ line: rowLine, fields: row });
+
+    return rows.filter(({ fields }) => fields.some(value => value.trim().length > 0));
+}
+
+/**
+ * Map the header row to course fields
+ * @param {Array<string>} headers - The header fields
+ * @return {Object} Column index per course field (unknown columns are ignored)
+ */
+function mapCSVColumns(headers) {
+    const columns = {};
+    headers.forEach((header, index) => {
+        const key = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+        Object.entries(CSV_COURSE_COLUMNS).forEach(([field, aliases]) => {
+            if (aliases.includes(key) && columns[field] === undefined) {
+                columns[field] = index;
+            }
+        });
+    });
+    return columns;
+}
+
+/**
+ * Parse the session types of a course, as shown in the course list
+ * @param {string} value - e.g. "1 x Lab (3 slots) + 2 x Theory"; the count defaults to 1
+ *                         and the length to that of the class type
+ * @return {Object} { components, errors } where components is null if the value is invalid
+ */
+function parseSessionComponents(value) {
+    const errors = [];
+    const components = value.split('+').map(item => {
+        const match = /^(?:(\d+)\s*[x×]\s*)?(theory|lab)(?:\s*\(?\s*(\d+)\s*slots?\s*\)?)?$/i.exec(item.trim());
+        if (!match) {
+            errors.push(`Unknown session type "${item.trim()}"`);
+            return null;
+        }
+        return createSessionComponent(
+            match[2].toLowerCase(),
+            match[1] ? Number(match[1]) : 1,
+            match[3] ? Number(match[3]) : null
+        );
+    });
+    return { components: errors.length > 0 ? null : components, errors };
+}
+
+/**
+ * Convert the text of one row into course field values
+ * @param {Object} raw - Text per course field
+ * @param {Array<string>} days - The days of the schedule
+ * @param {BuildingModel} buildings - The building model (a room without a building defaults to the only building)
+ * @return {Object} { values, errors } where values holds the parsed fields
+ */
+function parseCourseValues(raw, days, buildings) {
+    const errors = [];
+    const text = field => (raw[field] || '').trim();
+
+    // Class type: "theory" or "lab" (defaults to theory)
+    const type = text('type').toLowerCase() || 'theory';
+
+    // Session types replace the class type and classes per week when given
+    let components = null;
+    if (text('components')) {
+        const parsed = parseSessionComponents(text('components'));
+        components = parsed.components;
+        errors.push(...parsed.errors);
+    }
+
+    // Classes per week (defaults to 3, like the form)
+    const classesPerWeek = components
+        ? components.reduce((total, component) => total + component.count, 0)
+        : text('classesPerWeek') ? Number(text('classesPerWeek')) : 3;
+
+    // Preferred days: full names or abbreviations such as "Mon" or "Thurs" that start only one day,
+    // separated by spaces, commas or semicolons
+    const preferredDays = [];
+    text('preferredDays').split(/[\s,;/|]+/).filter(Boolean).forEach(token => {
+        const matches = token.length < 2 ? [] : days.filter(name => name.toLowerCase().startsWith(token.toLowerCase()));
+        if (matches.length === 0) {
+            errors.push(`Unknown day "${token}"`);
+        } else if (matches.length > 1) {
+            errors.push(`"${token}" could be ${matches.join(' or ')}`);
+        } else if (!preferredDays.includes(matches[0])) {
+            preferredDays.push(matches[0]);
+        }
+    });
+    preferredDays.sort((a, b) => days.indexOf(a) - days.indexOf(b));
+
+    // Preferred days only apply to courses with 3 or 5 classes per week (the form only asks for them then)
+    if (preferredDays.length > 0 && classesPerWeek !== 3 && classesPerWeek !== 5) {
+        errors.push(`Preferred days can only be given for 3 or 5 classes per week, not ${classesPerWeek}`);
+    }
+
+    // Consistent room: yes/no, true/false or 1/0 (defaults to yes, like the form)
+    let consistentRoom = true;
+    const consistent = text('consistentRoom').toLowerCase();
+    if (['no', 'n', 'false', '0'].includes(consistent)) {
+        consistentRoom = false;
+    } else if (consistent && !['yes', 'y', 'true', '1'].includes(consistent)) {
+        errors.push(`"Keep same room" must be yes or no, not "${text('consistentRoom')}"`);
+    }
+
+    // Enrollment, floor and room numbers (empty means unknown / auto-assign)
+    const parseNumber = (field, label) => {
+        if (!text(field)) return null;
+        const value = Number(text(field));
+        if (!Number.isInteger(value)) {
+            errors.push(`${label} must be a number, not "${text(field)}"`);
+            return null;
+        }
+        return value;
+    };
+    const enrollment = parseNumber('enrollment', 'Enrollment');
+    
+    // Room type: a display name such as "Computer lab" or a key such as "computerLab" (empty for any room)
+    const typeText = text('roomType').toLowerCase().replace(/[^a-z]/g, '');
+    const roomType = Object.keys(ROOM_TYPES).find(key =>
+        key.toLowerCase() === typeText || ROOM_TYPES[key].toLowerCase().replace(/[^a-z]/g, '') === typeText) || null;
+    if (typeText && !roomType) {
+        errors.push(`Unknown room type "${text('roomType')}"`);
+    }
+    const floor = parseNumber('floor', 'Floor');
+    const room = parseNumber('room', 'Room');
+    let building = text('building') || null;
+    if (!building && room && buildings.buildings.length === 1) {
+        building = buildings.buildings[0].code;
+    }
+
+    return {
+        values: {
+            name: text('name'),
+            code: text('code'),
+            instructor: text('instructor'),
+            type,
+            classesPerWeek,
+            preferredDays,
+            consistentRoom,
+            enrollment,
+            roomType,
+            equipment: parseList(text('equipment').replace(/;/g, ',')),
+            building,
+            floor,
+            room,
+            cohorts: parseList(text('cohorts').replace(/;/g, ',')),
+            components
+        },
+        errors
+    };
+}
+
+/**
+ * Parse a CSV file into courses, validating every row
+ * @param {string} text - The file contents
+ * @param {Schedule} schedule - The schedule the courses will be added to
+ * @param {boolean} replace - Whether the courses will replace the current course list instead of being appended
+ *                            (appended courses may not reuse the code of a current course)
+ * @return {Object} { rows, missingColumns } where each row is { line, values, course, errors }
+ *                  and course is null when the row has errors
+ */
+function parseCourseCSV(text, schedule, replace = false) {
+    const [header = { fields: [] }, ...records] = parseCSV(text);
+    const headers = header.fields;
+    const columns = mapCSVColumns(headers);
+    const missingColumns = CSV_REQUIRED_COLUMNS.filter(field => columns[field] === undefined);
+    if (missingColumns.length > 0) {
+        return { rows: [], missingColumns };
+    }
+
+    const codes = new Set();
+    const rows = records.map(({ line, fields }) => {
+        const raw = {};
+        Object.entries(columns).forEach(([field, column]) => {
+            raw[field] = fields[column];
+        });
+
+        const { values, errors } = parseCourseValues(raw, schedule.days, schedule.buildings);
+        errors.push(...validateCourseFields(values, schedule.buildings, schedule.days, replace ? [] : schedule.courses));
+
+        // The same course code twice in one file is most likely a copy-paste mistake
+        const code = values.code.toLowerCase();
+        if (code && codes.has(code)) {
+            errors.push(`Course code ${values.code} appears more than once in the file`);
+        }
+        codes.add(code);
+
+        const course = errors.length > 0 ? null : new Course(
+            values.name,
+            values.code,
+            values.instructor,
+            values.type,
+            values.classesPerWeek,
+            values.preferredDays,
+            values.consistentRoom,
+            values.floor,
+            values.room,
+            values.cohorts,
+            values.building,
+            values.enrollment,
+            values.roomType,
+            values.equipment,
+            values.components
+        );
+        return { line, values, course, errors };
+    });
+    return { rows, missingColumns };
+}
+
+// Export to Node (in the browser this file is a classic script and everything above is global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CSV_COURSE_COLUMNS,
+        CSV_REQUIRED_COLUMNS,
+        parseCSV,
+        mapCSVColumns,
+        parseSessionComponents,
+        parseCourseValues,
+        parseCourseCSV
+    };
+}
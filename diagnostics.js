@@ -0,0 +1,238 @@
+/**
+ * Diagnostics for courses the solvers could not place
+ *
+ * A course fails when it needs more sessions than there are days with a usable time slot. The report
+ * checks every day and time slot against the same hard constraints as the solvers and names the
+ * first one that rules the slot out. Relaxations are found by re-running the greedy slot search on
+ * a copy of the course with one requirement dropped; only changes that would make it fit are suggested.
+ * The requested room and the same room for every session are preferences the slot search already gives
+ * up when they are taken, so they are reported per slot ("Other room") but never suggested as relaxations.
+ */
+
+// In Node, load the engine (the browser loads it first, see index.html)
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./engine.js'));
+}
+
+/**
+ * Kinds of constraint that can rule out a time slot, with the label shown in the report grid
+ */
+const DIAGNOSTIC_CATEGORIES = {
+    free: 'Free',
+    otherRoom: 'Other room',
+    blocked: 'Blocked',
+    day: 'Day',
+    instructor: 'Instructor',
+    cohort: 'Cohort',
+    rule: 'Rule',
+    room: 'No room'
+};
+
+/**
+ * Check one time slot for a session of a course
+ * @param {Schedule} schedule - The schedule
+ * @param {Course} course - The course
+ * @param {string} day - The day
+ * @param {number} timeIndex - The index of the starting time slot
+ * @param {Object} session - The session to place ({ component, duration } from course.openSessions)
+ * @return {Object} { category, reason } where category is a key of DIAGNOSTIC_CATEGORIES
+ */
+function diagnoseSlot(schedule, course, day, timeIndex, session) {
+    const { component, duration } = session;
+    if (!schedule.isTimeSlotAvailable(day, timeIndex, duration)) {
+        const blocked = [...Array(duration).keys()]
+            .map(i => timeIndex + i < schedule.timeSlots.length ? schedule.timeGrid.getBlockedPeriod(day, timeIndex + i) : null)
+            .find(Boolean);
+        return { category: 'blocked', reason: blocked || 'The session would run past the last time slot' };
+    }
+    if (course.scheduledSlots.some(slot => slot.day === day)) {
+        return { category: 'day', reason: `${course.code} already has a locked session on ${day}` };
+    }
+    if (course.preferredDays.length > 0 && !course.preferredDays.includes(day)) {
+        return { category: 'day', reason: `${day} is not one of the preferred days` };
+    }
+
+    const instructorConflict = schedule.getInstructorConflict(course, day, timeIndex, duration);
+    if (instructorConflict) {
+        return { category: 'instructor', reason: instructorConflict };
+    }
+    const cohortConflict = schedule.getCohortConflict(course, day, timeIndex, duration);
+    if (cohortConflict) {
+        return { category: 'cohort', reason: cohortConflict };
+    }
+    const ruleConflict = getCourseRuleConflict(schedule, course, { day, start: timeIndex, end: timeIndex + duration }, course.scheduledSlots);
+    if (ruleConflict) {
+        return { category: 'rule', reason: ruleConflict };
+    }
+
+    // The requested room is a preference: the course moves to another suitable room when it is taken
+    const room = schedule.findAvailableRoom(course, day, timeIndex, duration, component);
+    if (!room) {
+        return { category: 'room', reason: schedule.describeMissingRoom(course, component) };
+    }
+    if (course.building && course.floor && course.room &&
+        (room.building !== course.building || room.floor !== course.floor || room.room !== course.room)) {
+        const requested = schedule.buildings.getRoomName(course.building, course.floor, course.room);
+        return { category: 'otherRoom', reason: `Room ${requested} is taken or unsuitable; another room is free` };
+    }
+    return { category: 'free', reason: 'A suitable room is free' };
+}
+
+/**
+ * Check whether a course would fit the current schedule
+ * Uses the same slot search as the greedy solver, without placing anything; like the solver,
+ * it relaxes the course's spacing rules
+ *
+ * @param {Schedule} schedule - The schedule
+ * @param {Course} course - The course (or a relaxed copy of it)
+ * @return {boolean} True if a time slot and room were found for every open session
+ */
+function courseWouldFit(schedule, course) {
+    const needed = course.openSessions.length;
+    const relaxed = Object.assign(Object.create(Object.getPrototypeOf(course)), course, { relaxedSpacing: course.spacingRules });
+    return !schedule.getWeeklyLoadConflict(course) &&
+        schedule.findAvailableTimeSlots(relaxed, needed).length >= needed;
+}
+
+/**
+ * Find single changes to a course or its instructor that would let the course be placed
+ * @param {Schedule} schedule - The schedule
+ * @param {Course} course - An unscheduled course
+ * @return {Array<string>} Suggested relaxations, most specific first
+ */
+function suggestRelaxations(schedule, course) {
+    const suggestions = [];
+    const relaxed = changes => Object.assign(Object.create(Object.getPrototypeOf(course)), course, changes);
+    const tryCourse = (changes, suggestion) => {
+        if (courseWouldFit(schedule, relaxed(changes))) {
+            suggestions.push(suggestion);
+        }
+    };
+
+    // Days and location
+    if (course.preferredDays.length > 0) {
+        tryCourse({ preferredDays: [] }, `Drop the day preference (${course.preferredDaysDisplay})`);
+    }
+    if (course.floor) {
+        const floors = schedule.buildings.getFloorNumbers(course.building)
+            .filter(floor => floor !== course.floor && courseWouldFit(schedule, relaxed({ floor, room: null })));
+        if (floors.length > 0) {
+            suggestions.push(`Move it to another floor (${floors.slice(0, 3).map(floor => schedule.buildings.getFloorName(course.building, floor)).join(', ')})`);
+        } else if (course.building) {
+            tryCourse({ floor: null, room: null }, `Allow any floor of building ${course.building}`);
+        }
+    }
+    if (course.building && schedule.buildings.buildings.length > 1) {
+        tryCourse({ building: null, floor: null, room: null }, 'Allow any building');
+    }
+
+    // Room requirements
+    const componentsWith = changes => course.components.map(component => ({ ...component, ...changes }));
+    if (course.roomType || course.components.some(component => component.roomType)) {
+        tryCourse({ roomType: null, components: componentsWith({ roomType: null }) }, 'Drop the room type requirement');
+    }
+    if (course.equipment.length > 0 || course.components.some(component => component.equipment.length > 0)) {
+        tryCourse({ equipment: [], components: componentsWith({ equipment: [] }) }, 'Drop the equipment requirement');
+    }
+    if (course.enrollment > 1) {
+        const half = Math.ceil(course.enrollment / 2);
+        tryCourse({ enrollment: half }, `Split it into two sections of at most ${half} students`);
+    }
+
+    // Cohorts
+    if (course.cohorts.length > 0) {
+        tryCourse({ cohorts: [] }, `Move a class that clashes with ${course.cohorts.join(', ')}, or split the cohort`);
+    }
+
+    // Instructor availability and limits (changed temporarily, then restored)
+    const instructor = schedule.instructors[course.instructor];
+    if (instructor) {
+        const tryInstructor = (changes, suggestion) => {
+            const saved = { maxSlotsPerDay: instructor.maxSlotsPerDay, maxSlotsPerWeek: instructor.maxSlotsPerWeek, unavailable: instructor.unavailable };
+            Object.assign(instructor, changes);
+            try {
+                if (courseWouldFit(schedule, course)) {
+                    suggestions.push(suggestion);
+                }
+            } finally {
+                Object.assign(instructor, saved);
+            }
+        };
+        if (instructor.maxSlotsPerDay) {
+            tryInstructor({ maxSlotsPerDay: null }, `Raise ${instructor.name}'s limit of ${instructor.maxSlotsPerDay} teaching slots per day`);
+        }
+        if (instructor.maxSlotsPerWeek) {
+            tryInstructor({ maxSlotsPerWeek: null }, `Raise ${instructor.name}'s limit of ${instructor.maxSlotsPerWeek} teaching slots per week`);
+        }
+        if (Object.values(instructor.unavailable).some(slots => slots.length > 0)) {
+            tryInstructor({ unavailable: {} }, `Ask ${instructor.name} to be available at more times`);
+        }
+    }
+
+    // Hard rules linking the course to another (made a preference temporarily, then restored)
+    schedule.courseRules
+        .filter(rule => rule.hard && (rule.course === course.code || rule.other === course.code))
+        .forEach(rule => {
+            rule.hard = false;
+            try {
+                if (courseWouldFit(schedule, course)) {
+                    suggestions.push(`Make the rule "${describeCourseRule(rule)}" a preference`);
+                }
+            } finally {
+                rule.hard = true;
+            }
+        });
+    return suggestions;
+}
+
+/**
+ * Build the diagnostics report of an unscheduled course
+ * Slots are checked for the course's longest open session, the hardest one to place
+ *
+ * @param {Schedule} schedule - The schedule
+ * @param {Course} course - An unscheduled course
+ * @return {Object} { session, slots, reasons, usableDays, needed, weeklyConflict, suggestions } where
+ *                  slots holds one { category, reason } per time slot for every day, reasons counts the
+ *                  slots ruled out by each reason and usableDays lists the days with a free slot
+ */
+function diagnoseCourse(schedule, course) {
+    const [session] = course.openSessions;
+    const slots = {};
+    const reasons = new Map();
+    const usableDays = [];
+    schedule.days.forEach(day => {
+        slots[day] = schedule.timeSlots.map((time, timeIndex) => {
+            const result = diagnoseSlot(schedule, course, day, timeIndex, session);
+            if (result.category !== 'free' && result.category !== 'otherRoom') {
+                reasons.set(result.reason, (reasons.get(result.reason) || 0) + 1);
+            }
+            return result;
+        });
+        if (slots[day].some(({ category }) => category === 'free' || category === 'otherRoom')) {
+            usableDays.push(day);
+        }
+    });
+
+    return {
+        session,
+        slots,
+        reasons: [...reasons.entries()]
+            .map(([reason, count]) => ({ reason, count }))
+            .sort((a, b) => b.count - a.count),
+        usableDays,
+        needed: course.openSessions.length,
+        weeklyConflict: schedule.getWeeklyLoadConflict(course),
+        suggestions: suggestRelaxations(schedule, course)
+    };
+}
+
+// Export to Node (in the browser this file is a classic script and everything above is global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DIAGNOSTIC_CATEGORIES,
+        diagnoseSlot,
+        courseWouldFit,
+        suggestRelaxations,
+        diagnoseCourse
+    };
+}
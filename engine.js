@@ -0,0 +1,2229 @@
+/**
+ * Scheduling engine of the Course Schedule Optimizer
+ *
+ * The courses, instructors, buildings, time grid and every scheduling constraint, without any DOM code.
+ * In the browser this file is loaded as a classic script after building.js, time-grid.js, solvers.js,
+ * optimizer.js and course-rules.js, and the UI in script.js extends Scheduler. In Node it loads those
+ * modules itself and exports everything, so the solvers can run in scripts and tests:
+ *
+ *     const { Scheduler, Course } = require('./engine.js');
+ *     const scheduler = new Scheduler();
+ *     scheduler.addCourse(new Course('Algorithms', 'CS201', 'Dr. Rao', 'theory', 3));
+ *     scheduler.solve('greedy');
+ */
+
+// In Node, load the modules the engine builds on (the browser loads them first, see index.html)
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./building.js'), require('./time-grid.js'), require('./solvers.js'), require('./optimizer.js'),
+        require('./course-rules.js'));
+}
+
+/**
+ * Create a session component: one kind of session a course holds every week
+ * (e.g. two 1-slot lectures, or one 3-slot studio lab)
+ * 
+ * @param {string} type - The type of session: 'theory' or 'lab'
+ * @param {number} count - Number of these sessions per week
+ * @param {number|null} duration - Length of each session in time slots (defaults to 2 for labs, 1 for theory)
+ * @param {string|null} roomType - Room type these sessions need instead of the course's (null to use the course's)
+ * @param {Array<string>} equipment - Equipment these sessions need in addition to the course's
+ * @return {Object} The component
+ */
+function createSessionComponent(type, count = 1, duration = null, roomType = null, equipment = []) {
+    return { type, count, duration: duration || (type === 'lab' ? 2 : 1), roomType, equipment };
+}
+
+/**
+ * Spacing rules a course can set, with their labels, in the order the greedy search relaxes them when
+ * the course cannot be placed otherwise (least important first)
+ */
+const SPACING_RULES = {
+    timeBand: 'preferred time band',
+    sameTime: 'same time every meeting day',
+    maxGap: 'maximum days between sessions',
+    minGap: 'minimum days between sessions',
+    noSameDay: 'no two sessions on one day'
+};
+
+/**
+ * Parts of the day a course can prefer; a session is in a band when its first slot starts in it
+ * `test` is given the start of the slot in minutes since midnight
+ */
+const TIME_BANDS = {
+    morning: { label: 'Morning', test: start => start < 12 * 60 },
+    afternoon: { label: 'Afternoon', test: start => start >= 12 * 60 }
+};
+
+/**
+ * Create the spacing rules of a course
+ * Gaps are counted in working days, so Monday and Wednesday are 2 days apart
+ * 
+ * @param {Object} rules - Any of the rules below; rules left out are off
+ * @param {number|null} rules.minGap - Minimum days between two sessions
+ * @param {number|null} rules.maxGap - Maximum days between consecutive sessions
+ * @param {boolean} rules.noSameDay - Whether two sessions may never be held on one day
+ * @param {string|null} rules.timeBand - Part of the day the sessions start in, a key of TIME_BANDS
+ * @param {boolean} rules.sameTime - Whether every session starts in the same time slot
+ * @return {Object} The spacing rules
+ */
+function createSpacing({ minGap = null, maxGap = null, noSameDay = false, timeBand = null, sameTime = false } = {}) {
+    return { minGap, maxGap, noSameDay, timeBand, sameTime };
+}
+
+/**
+ * Validate the spacing rules of a course
+ * Used by the course form and project files
+ * 
+ * @param {Object} spacing - The rules to check (see createSpacing)
+ * @return {Array<string>} Validation errors (empty if valid)
+ */
+function validateSpacing(spacing) {
+    const errors = [];
+    if (!spacing || typeof spacing !== 'object') {
+        errors.push('Invalid spacing rules!');
+        return errors;
+    }
+    const isGap = value => value === null || (Number.isInteger(value) && value > 0);
+    if (!isGap(spacing.minGap) || !isGap(spacing.maxGap)) {
+        errors.push('Days between sessions must be positive whole numbers!');
+    } else if (spacing.minGap !== null && spacing.maxGap !== null && spacing.maxGap < spacing.minGap) {
+        errors.push('The maximum days between sessions cannot be less than the minimum!');
+    }
+    if (spacing.timeBand !== null && !TIME_BANDS[spacing.timeBand]) {
+        errors.push(`Unknown time band "${spacing.timeBand}"!`);
+    }
+    if (typeof spacing.noSameDay !== 'boolean' || typeof spacing.sameTime !== 'boolean') {
+        errors.push('Invalid spacing rules!');
+    }
+    return errors;
+}
+
+/**
+ * Course class represents an individual course to be scheduled.
+ * Each course has properties including name, code, instructor, type (theory/lab),
+ * floor, room, and scheduling status.
+ */
+class Course {
+    /**
+     * Create a new Course instance
+     * @param {string} name - The full name of the course
+     * @param {string} code - The course code (e.g., CS101)
+     * @param {string} instructor - The name of the instructor teaching the course
+     * @param {string} type - The type of course: 'theory' or 'lab'
+     * @param {number} classesPerWeek - Number of times this course meets per week (1-5)
+     * @param {Array<string>} preferredDays - Preferred days for scheduling (if specified)
+     * @param {boolean} consistentRoom - Whether to use the same room for all classes
+     * @param {number|null} floor - Optional preferred floor
+     * @param {number|null} room - Optional preferred room (requires a building and floor)
+     * @param {Array<string>} cohorts - Student cohorts/sections attending this course (e.g. "CSE Year 2 Section A")
+     * @param {string|null} building - Optional preferred building code
+     * @param {number|null} enrollment - Expected number of students (null if unknown)
+     * @param {string|null} roomType - Required room type, a key of ROOM_TYPES (null for any room)
+     * @param {Array<string>} equipment - Equipment the room must have (e.g. "projector")
+     * @param {Array<Object>|null} components - Session components (see createSessionComponent); when given,
+     *                                          type and classesPerWeek are ignored
+     * @param {Object|null} spacing - Spacing rules between the sessions (see createSpacing); none by default
+     */
+    constructor(name, code, instructor, type, classesPerWeek = 3, preferredDays = [], consistentRoom = true, floor = null, room = null, cohorts = [], building = null, enrollment = null, roomType = null, equipment = [], components = null, spacing = null) {
+        this.name = name;
+        this.code = code;
+        this.instructor = instructor;
+        // Kinds of sessions held every week; a plain course holds classesPerWeek sessions of its type
+        this.components = components || [createSessionComponent(type, classesPerWeek)];
+        this.preferredDays = preferredDays; // Array of preferred days for scheduling
+        this.consistentRoom = consistentRoom; // Whether to use same room for all classes
+        this.building = building;
+        this.floor = floor;
+        this.room = room;
+        this.cohorts = cohorts; // Cohorts that cannot attend two classes at the same time
+        this.enrollment = enrollment; // Rooms must seat at least this many students
+        this.roomType = roomType; // Rooms must be of this type
+        this.equipment = equipment; // Rooms must have all of this equipment
+        this.spacing = spacing || createSpacing(); // How the sessions are spread over the week
+        this.relaxedSpacing = []; // Spacing rules the scheduler had to relax to place the course (keys of SPACING_RULES)
+        this.scheduled = false; // Indicates if the course has been scheduled
+        this.scheduledSlots = []; // Array to store all scheduled time slots
+        this.scheduledRooms = {}; // Object to track assigned rooms by day
+        this.unscheduledReason = null; // Why the scheduler could not place this course
+    }
+
+    /**
+     * Get the type of the course
+     * Courses with any lab sessions count as labs
+     * @return {string} 'lab' or 'theory'
+     */
+    get type() {
+        return this.components.some(component => component.type === 'lab') ? 'lab' : 'theory';
+    }
+
+    /**
+     * Get the number of sessions per week
+     * @return {number} Sessions of every component
+     */
+    get classesPerWeek() {
+        return this.components.reduce((total, component) => total + component.count, 0);
+    }
+
+    /**
+     * Get the number of time slots the course is taught per week
+     * @return {number} Sum of the lengths of every session
+     */
+    get weeklySlots() {
+        return this.components.reduce((total, component) => total + component.count * component.duration, 0);
+    }
+
+    /**
+     * Get the sessions to schedule every week
+     * Longer sessions come first, since they are harder to place
+     * @return {Array<Object>} One { component, type, duration } entry per session, where component
+     *                         is the index of the session's component
+     */
+    get sessions() {
+        const sessions = [];
+        this.components.forEach((component, index) => {
+            for (let i = 0; i < component.count; i++) {
+                sessions.push({ component: index, type: component.type, duration: component.duration });
+            }
+        });
+        return sessions.sort((a, b) => b.duration - a.duration);
+    }
+
+    /**
+     * Get the spacing rules the course sets
+     * @return {Array<string>} Keys of SPACING_RULES, in the order they are relaxed
+     */
+    get spacingRules() {
+        const { minGap, maxGap, noSameDay, timeBand, sameTime } = this.spacing;
+        const set = { timeBand: timeBand !== null, sameTime, maxGap: maxGap !== null, minGap: minGap !== null, noSameDay };
+        return Object.keys(SPACING_RULES).filter(key => set[key]);
+    }
+
+    /**
+     * Describe one of the course's spacing rules
+     * @param {string} key - A key of SPACING_RULES
+     * @return {string} e.g. "At least 2 days between sessions"
+     */
+    describeSpacing(key) {
+        const { minGap, maxGap, timeBand } = this.spacing;
+        switch (key) {
+            case 'timeBand': return `${TIME_BANDS[timeBand].label} sessions`;
+            case 'sameTime': return 'Same time every meeting day';
+            case 'maxGap': return `At most ${maxGap} day(s) between sessions`;
+            case 'minGap': return `At least ${minGap} day(s) between sessions`;
+            default: return 'No two sessions on one day';
+        }
+    }
+
+    /**
+     * Get the sessions that still need a time slot: every session except the locked ones
+     * @return {Array<Object>} Entries of course.sessions, longest first
+     */
+    get openSessions() {
+        const open = this.sessions;
+        this.scheduledSlots.filter(slot => slot.locked).forEach(slot => {
+            const index = open.findIndex(session => session.component === (slot.component || 0));
+            if (index !== -1) {
+                open.splice(index, 1);
+            }
+        });
+        return open;
+    }
+
+    /**
+     * Check whether every session of the course is locked in place
+     * @return {boolean} True if the course is scheduled and all of its sessions are locked
+     */
+    get locked() {
+        return this.scheduled && this.scheduledSlots.length > 0 && this.scheduledSlots.every(slot => slot.locked);
+    }
+
+    /**
+     * Get the component of a scheduled session
+     * @param {Object} slot - The session's { component } (sessions saved before components existed use the first)
+     * @return {Object} The session component
+     */
+    getComponent(slot) {
+        return this.components[slot.component] || this.components[0];
+    }
+
+    /**
+     * Get the length of a scheduled session in time slots
+     * @param {Object} slot - The session
+     * @return {number} Number of time slots the session takes
+     */
+    getDuration(slot) {
+        return this.getComponent(slot).duration;
+    }
+
+    /**
+     * Get the room requirements of a kind of session
+     * A component's own room type replaces the course's; its equipment is needed on top of the course's
+     * 
+     * @param {number} component - The index of the component
+     * @return {Object} { roomType, equipment, enrollment } as used by describeRoomMismatch()
+     */
+    getRoomNeeds(component = 0) {
+        const entry = this.components[component] || this.components[0];
+        return {
+            roomType: entry.roomType || this.roomType,
+            equipment: [...this.equipment, ...entry.equipment],
+            enrollment: this.enrollment
+        };
+    }
+
+    /**
+     * Get the name of the course's room
+     * Rooms are named by the building model (e.g. "3-05" for floor 3, room 5)
+     * @param {BuildingModel} buildings - The building model providing room names
+     * @param {string} [day] - Optional day parameter, for day-specific room display
+     * @return {string} Room name or 'Not assigned'
+     */
+    roomDisplay(buildings, day = null) {
+        // If a specific day is requested, use the room the course is held in on that day
+        if (day && this.scheduledRooms[day]) {
+            const roomInfo = this.scheduledRooms[day];
+            return buildings.getRoomName(roomInfo.building, roomInfo.floor, roomInfo.room);
+        }
+        
+        // Consistent room courses use the room of their first session as the main room
+        const firstRoom = Object.values(this.scheduledRooms)[0];
+        if (firstRoom) {
+            return buildings.getRoomName(firstRoom.building, firstRoom.floor, firstRoom.room);
+        }
+        
+        // Default case - use the requested room
+        if (this.building && this.floor && this.room) {
+            return buildings.getRoomName(this.building, this.floor, this.room);
+        }
+        return 'Not assigned';
+    }
+    
+    /**
+     * Lock or unlock scheduled sessions, so regenerating the schedule keeps them where they are
+     * @param {boolean} locked - Whether to lock the sessions
+     * @param {Object|null} slot - The session to change, or null for every session of the course
+     */
+    setLocked(locked, slot = null) {
+        (slot ? [slot] : this.scheduledSlots).forEach(session => {
+            if (locked) {
+                session.locked = true;
+            } else {
+                delete session.locked;
+            }
+        });
+    }
+    
+    /**
+     * Rebuild the per-day room assignments from the scheduled slots
+     * Keeps scheduledRooms consistent after sessions were moved or restored
+     */
+    syncScheduledRooms() {
+        this.scheduledRooms = {};
+        this.scheduledSlots.forEach(slot => {
+            this.scheduledRooms[slot.day] = { building: slot.building, floor: slot.floor, room: slot.room };
+        });
+    }
+    
+    /**
+     * Get a summary of all rooms used by this course
+     * @param {BuildingModel} buildings - The building model providing room names
+     * @return {string} Summary of rooms or 'Not scheduled'
+     */
+    getRoomSummary(buildings) {
+        if (!this.scheduled) {
+            return 'Not scheduled';
+        }
+        
+        if (this.consistentRoom) {
+            return this.roomDisplay(buildings);
+        } else {
+            // Create a summary of different rooms used
+            const rooms = Object.values(this.scheduledRooms);
+            if (rooms.length === 0) {
+                return 'No rooms assigned';
+            }
+            
+            // Count occurrences of each room
+            const roomCounts = {};
+            rooms.forEach(roomInfo => {
+                const roomId = buildings.getRoomName(roomInfo.building, roomInfo.floor, roomInfo.room);
+                roomCounts[roomId] = (roomCounts[roomId] || 0) + 1;
+            });
+            
+            // Format the summary
+            return Object.entries(roomCounts)
+                .map(([roomId, count]) => `${roomId} (${count}x)`)
+                .join(', ');
+        }
+    }
+    
+    /**
+     * Describe the kind of room a kind of session needs
+     * @param {number} component - The index of the component
+     * @return {string} e.g. "computer lab with projector", or "room" without requirements
+     */
+    getRoomRequirementsDisplay(component = 0) {
+        const { roomType, equipment } = this.getRoomNeeds(component);
+        const kind = roomType ? ROOM_TYPES[roomType].toLowerCase() : 'room';
+        return equipment.length > 0 ? `${kind} with ${equipment.join(', ')}` : kind;
+    }
+    
+    /**
+     * Describe the sessions of the course
+     * @return {string} "Theory" or "Lab" for plain courses, otherwise e.g. "1 × Lab (3 slots) + 2 × Theory (1 slot)"
+     */
+    get sessionsDisplay() {
+        const label = type => type === 'lab' ? 'Lab' : 'Theory';
+        const [first] = this.components;
+        if (this.components.length === 1 && first.duration === createSessionComponent(first.type).duration) {
+            return label(first.type);
+        }
+        return this.components
+            .map(component => `${component.count} × ${label(component.type)} (${component.duration} slot${component.duration > 1 ? 's' : ''})`)
+            .join(' + ');
+    }
+    
+    /**
+     * Get formatted list of preferred days
+     * @return {string} Comma-separated list of preferred days
+     */
+    get preferredDaysDisplay() {
+        if (this.preferredDays && this.preferredDays.length > 0) {
+            return this.preferredDays.join(', ');
+        }
+        return 'Auto-assign';
+    }
+}
+
+/**
+ * Instructor class represents a teacher in the instructor registry.
+ * Each instructor has an availability calendar and teaching load limits
+ * that the scheduler enforces alongside the no-overlap constraint.
+ */
+class Instructor {
+    /**
+     * Create a new Instructor instance
+     * @param {string} name - The instructor's name (used as the registry key)
+     * @param {number|null} maxSlotsPerDay - Optional maximum number of teaching slots per day
+     * @param {number|null} maxSlotsPerWeek - Optional maximum number of teaching slots per week
+     */
+    constructor(name, maxSlotsPerDay = null, maxSlotsPerWeek = null) {
+        this.name = name;
+        this.maxSlotsPerDay = maxSlotsPerDay;
+        this.maxSlotsPerWeek = maxSlotsPerWeek;
+        this.unavailable = {}; // Map of day -> array of time slot indices the instructor cannot teach
+    }
+
+    /**
+     * Check whether the instructor can teach in a given time slot
+     * @param {string} day - The day to check
+     * @param {number} timeIndex - The index of the time slot
+     * @return {boolean} True if the slot is not marked as unavailable
+     */
+    isAvailable(day, timeIndex) {
+        return !(this.unavailable[day] && this.unavailable[day].includes(timeIndex));
+    }
+
+    /**
+     * Toggle the availability of a single time slot
+     * @param {string} day - The day of the slot
+     * @param {number} timeIndex - The index of the time slot
+     */
+    toggleAvailability(day, timeIndex) {
+        this.setAvailability(day, [timeIndex], !this.isAvailable(day, timeIndex));
+    }
+
+    /**
+     * Mark a set of time slots on a day as available or unavailable
+     * @param {string} day - The day of the slots
+     * @param {Array<number>} timeIndices - The time slot indices to update
+     * @param {boolean} available - Whether the instructor can teach in these slots
+     */
+    setAvailability(day, timeIndices, available) {
+        const blocked = new Set(this.unavailable[day] || []);
+        timeIndices.forEach(timeIndex => {
+            if (available) {
+                blocked.delete(timeIndex);
+            } else {
+                blocked.add(timeIndex);
+            }
+        });
+        
+        if (blocked.size > 0) {
+            this.unavailable[day] = [...blocked].sort((a, b) => a - b);
+        } else {
+            delete this.unavailable[day];
+        }
+    }
+
+    /**
+     * Get the number of time slots marked as unavailable
+     * @return {number} Count of unavailable slots across the week
+     */
+    get unavailableCount() {
+        return Object.values(this.unavailable).reduce((total, slots) => total + slots.length, 0);
+    }
+}
+
+/**
+ * Get the number of preferred days a course has to select
+ * 
+ * @param {number} classesPerWeek - The course's classes per week
+ * @param {Array<string>} days - The working days of the time grid
+ * @return {number} The classes per week, at most the number of working days (0 if no days are asked for)
+ */
+function getRequiredDayCount(classesPerWeek, days) {
+    if (classesPerWeek !== 3 && classesPerWeek !== 5) {
+        return 0;
+    }
+    return Math.min(classesPerWeek, days.length);
+}
+
+/**
+ * Validate the fields of a new course
+ * These are the rules shared by the course form and the CSV import
+ * 
+ * @param {Object} fields - The course's name, code, instructor, type, classesPerWeek, preferredDays, enrollment,
+ *                          roomType, equipment, building, floor and room, and optionally its session components
+ *                          (which replace type and classesPerWeek) and spacing rules
+ * @param {BuildingModel} buildings - The building model the requested room must belong to
+ * @param {Array<string>} days - The working days of the time grid
+ * @param {Array<Course>} courses - The courses whose codes the course may not reuse (compared without regard to case)
+ * @param {Course|null} editing - The course being edited, which keeps its own code
+ * @return {Array<string>} Validation errors, in the order the form reports them (empty if valid)
+ */
+function validateCourseFields(fields, buildings, days, courses = [], editing = null) {
+    const errors = [];
+    const { preferredDays, enrollment, roomType, equipment = [], building, floor, room, components } = fields;
+    const classesPerWeek = components
+        ? components.reduce((total, component) => total + (Number.isInteger(component.count) ? component.count : 0), 0)
+        : fields.classesPerWeek;
+    
+    // Courses with 3 or 5 classes per week need exactly that many preferred days, or every working day
+    // when the week is shorter
+    const requiredDays = getRequiredDayCount(classesPerWeek, days);
+    if (requiredDays > 0 && preferredDays.length !== requiredDays) {
+        errors.push(`Please select exactly ${requiredDays} days!`);
+    }
+    
+    // Name, code and instructor are required
+    if (!fields.name || !fields.code || !fields.instructor) {
+        errors.push('Please fill in all required fields!');
+    }
+    
+    // Course rules and scenarios find courses by code, so codes must be unique
+    if (fields.code && courses.some(course => course !== editing && course.code.toLowerCase() === fields.code.toLowerCase())) {
+        errors.push(`Course code ${fields.code} is already in the course list!`);
+    }
+    
+    // Theory courses meet 1-5 times per week, labs 1-3 times; courses with session components are checked per component
+    if (components) {
+        errors.push(...validateSessionComponents(components, days));
+    } else if (fields.type !== 'theory' && fields.type !== 'lab') {
+        errors.push('Class type must be Theory or Lab!');
+    } else {
+        const maxClasses = fields.type === 'lab' ? 3 : 5;
+        if (!Number.isInteger(classesPerWeek) || classesPerWeek < 1 || classesPerWeek > maxClasses) {
+            errors.push(`${fields.type === 'lab' ? 'Labs' : 'Theory courses'} can have 1 to ${maxClasses} classes per week!`);
+        }
+    }
+    
+    // The expected enrollment is optional
+    if (enrollment !== null && enrollment !== undefined && (!Number.isInteger(enrollment) || enrollment < 1)) {
+        errors.push('Expected enrollment must be a positive whole number!');
+    }
+    if (roomType && !ROOM_TYPES[roomType]) {
+        errors.push(`Unknown room type "${roomType}"!`);
+    }
+    if (fields.spacing) {
+        errors.push(...validateSpacing(fields.spacing));
+    }
+    
+    // The requested building, floor and room must exist and meet the room requirements
+    if (building && !buildings.getBuilding(building)) {
+        errors.push(`Building ${building} does not exist!`);
+    } else if (floor && !buildings.getFloorNumbers(building).includes(floor)) {
+        errors.push(building ? `Building ${building} has no floor ${floor}!` : `No building has a floor ${floor}!`);
+    } else if (room) {
+        const entry = building && floor ? buildings.getRoom(building, floor, room) : null;
+        if (!building || !floor) {
+            errors.push('Please select a building and floor for the room!');
+        } else if (!entry) {
+            errors.push(`Room ${formatRoomCode(floor, room)} does not exist in building ${building}!`);
+        } else if (entry.teacherOnly) {
+            // Teacher rooms cannot be selected
+            errors.push(`Room ${buildings.getRoomName(building, floor, room)} is reserved for teachers only!`);
+        } else if (entry.unavailable) {
+            errors.push(`Room ${buildings.getRoomName(building, floor, room)} is unavailable!`);
+        } else {
+            const mismatch = describeRoomMismatch(entry, { roomType: ROOM_TYPES[roomType] ? roomType : null, equipment, enrollment });
+            if (mismatch) {
+                errors.push(`Room ${buildings.getRoomName(building, floor, room)} ${mismatch}!`);
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Validate the session components of a course
+ * Used by the course form, the CSV import and project files. Project files are checked against the whole
+ * week, since a course added before the working days were reduced stays in the project
+ * 
+ * @param {Array<Object>} components - The components to check
+ * @param {Array<string>} days - The days the sessions can be spread over (the working days of the time grid)
+ * @return {Array<string>} Validation errors (empty if valid)
+ */
+function validateSessionComponents(components, days = WEEK_DAYS) {
+    const errors = [];
+    if (!Array.isArray(components) || components.length === 0) {
+        errors.push('Please add at least one kind of session!');
+        return errors;
+    }
+    
+    components.forEach((component, index) => {
+        const label = components.length > 1 ? `Session ${index + 1}: ` : '';
+        if (component.type !== 'theory' && component.type !== 'lab') {
+            errors.push(`${label}Class type must be Theory or Lab!`);
+        }
+        if (!Number.isInteger(component.duration) || component.duration < 1) {
+            errors.push(`${label}Sessions must last a whole number of time slots!`);
+        }
+        if (!Number.isInteger(component.count) || component.count < 1) {
+            errors.push(`${label}The number of sessions per week must be a positive whole number!`);
+        }
+        if (component.roomType && !ROOM_TYPES[component.roomType]) {
+            errors.push(`${label}Unknown room type "${component.roomType}"!`);
+        }
+        if (!Array.isArray(component.equipment) || component.equipment.some(item => typeof item !== 'string' || !item.trim())) {
+            errors.push(`${label}Equipment must be a list of names!`);
+        }
+    });
+    
+    // Sessions of a course are spread over the days, one per day
+    const total = components.reduce((sum, component) => sum + (Number.isInteger(component.count) ? component.count : 0), 0);
+    if (total > days.length) {
+        errors.push(`Courses can have at most ${days.length} sessions per week!`);
+    }
+    return errors;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32), so solving with a seed can be repeated
+ * @param {number} seed - Any whole number
+ * @return {Function} A generator returning values in [0, 1), like Math.random
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Parse a comma-separated list of names (cohorts, equipment), ignoring empty entries and duplicates
+ * @param {string} value - The list as typed by the user
+ * @return {Array<string>} The names
+ */
+function parseList(value) {
+    const names = value.split(',')
+        .map(name => name.trim())
+        .filter(name => name.length > 0);
+    return [...new Set(names)];
+}
+
+/**
+ * Scheduler manages the courses and the timetable, and contains the scheduling algorithms.
+ * Changes are reported through the onChange callback; the scheduler never touches the DOM.
+ */
+class Scheduler {
+    /**
+     * Initialize a new Scheduler instance with default parameters
+     */
+    constructor() {
+        // Working days, time slots and blocked periods (see time-grid.js)
+        this.timeGrid = new TimeGrid();
+        
+        // Array to store all courses
+        this.courses = [];
+        
+        // Instructor registry (name -> Instructor)
+        this.instructors = {};
+        
+        // Solver strategy used to generate the schedule and its options
+        this.solverStrategy = 'greedy';
+        this.solverOptions = { timeLimitMs: 5000 };
+        
+        // Outcome of the latest run of each solver strategy (strategy -> statistics)
+        this.solverResults = {};
+        
+        // Soft-constraint scoring and the optional local-search phase after solving
+        this.scorer = new ScheduleScorer();
+        this.optimizeSchedule = true;
+        this.optimizationResult = null;
+        
+        // Minimal change mode: keep the previous placement of every course that still fits when re-solving
+        this.minimalChange = false;
+        
+        // Named alternative schedules of the project (see scenarios.js)
+        this.scenarios = [];
+        
+        // Rules linking courses by code, e.g. a lab that follows its lecture (see course-rules.js)
+        this.courseRules = [];
+        
+        // Semester dates used when exporting the timetable to a calendar ("YYYY-MM-DD")
+        this.semester = { start: '', end: '' };
+        
+        // Callback invoked after every change to the project (used for autosaving)
+        this.onChange = null;
+        
+        // Buildings, floors and rooms of the campus
+        this.buildings = new BuildingModel();
+        
+        // Initialize the room availability map (building -> floor -> room -> availability)
+        this.rooms = this.initializeRooms();
+        
+        // Initialize the schedule grid (day -> time -> building -> floor -> room -> course)
+        this.grid = this.initializeGrid();
+    }
+
+    /**
+     * All available time slots (starting times, e.g. "8:00 AM")
+     * @return {Array<string>} One entry per row of the time grid
+     */
+    get timeSlots() {
+        return this.timeGrid.timeSlots;
+    }
+
+    /**
+     * User-friendly display format for time slots (e.g. "8:00 - 8:50")
+     * @return {Array<string>} One entry per row of the time grid
+     */
+    get displayTimeSlots() {
+        return this.timeGrid.displayTimeSlots;
+    }
+
+    /**
+     * Available days for scheduling
+     * @return {Array<string>} The working days of the time grid
+     */
+    get days() {
+        return this.timeGrid.days;
+    }
+
+    /**
+     * Initialize an empty schedule grid
+     * Creates a nested structure: day -> time -> building -> floor -> room -> course (initially null),
+     * so that several courses can run in parallel in different rooms
+     * @return {Object} A nested object representing the empty schedule grid
+     */
+    initializeGrid() {
+        const grid = {};
+        // For each day, create an object to store each time slot
+        this.days.forEach(day => {
+            grid[day] = {};
+            this.timeSlots.forEach(time => {
+                grid[day][time] = {};
+                // Each time slot tracks occupancy per room (null meaning the room is free)
+                Object.keys(this.rooms).forEach(building => {
+                    grid[day][time][building] = {};
+                    Object.keys(this.rooms[building]).forEach(floor => {
+                        grid[day][time][building][floor] = {};
+                        Object.keys(this.rooms[building][floor]).forEach(room => {
+                            grid[day][time][building][floor][room] = null;
+                        });
+                    });
+                });
+            });
+        });
+        return grid;
+    }
+
+    /**
+     * Initialize the room availability data structure from the building model
+     * Creates a nested structure: building -> floor -> room -> availability boolean
+     * Teacher-reserved and unavailable rooms are never available for scheduling
+     * @return {Object} A nested object representing room availability
+     */
+    initializeRooms() {
+        const rooms = {};
+        this.buildings.listRooms().forEach(({ building, floor, room }) => {
+            rooms[building] = rooms[building] || {};
+            rooms[building][floor] = rooms[building][floor] || {};
+            rooms[building][floor][room] = this.buildings.isSchedulable(building, floor, room);
+        });
+        return rooms;
+    }
+
+    /**
+     * Apply a change of the building model
+     * Requested buildings, floors and rooms that were removed fall back to auto-assign, and sessions held
+     * in rooms that were removed or can no longer be scheduled are unscheduled
+     * @return {number} The number of courses that lost their placement
+     */
+    applyBuildingChanges() {
+        this.rooms = this.initializeRooms();
+        
+        this.courses.forEach(course => {
+            if (course.building && !this.buildings.getBuilding(course.building)) {
+                course.building = null;
+                course.floor = null;
+                course.room = null;
+            }
+            if (course.room && !this.buildings.getRoom(course.building, course.floor, course.room)) {
+                course.room = null;
+            }
+            if (course.floor && !this.buildings.getFloorNumbers(course.building).includes(course.floor)) {
+                course.floor = null;
+            }
+        });
+        
+        let displaced = 0;
+        this.courses.forEach(course => {
+            const lostRoom = course.scheduledSlots.find(slot =>
+                !this.rooms[slot.building] || !this.rooms[slot.building][slot.floor] ||
+                !this.rooms[slot.building][slot.floor][slot.room]);
+            if (lostRoom) {
+                course.scheduled = false;
+                course.scheduledSlots = [];
+                course.unscheduledReason = `Room ${this.buildings.getRoomName(lostRoom.building, lostRoom.floor, lostRoom.room)} is no longer available`;
+                displaced++;
+            }
+        });
+        
+        this.rebuildGrid();
+        return displaced;
+    }
+
+    /**
+     * Switch to a new time grid
+     * Sessions and unavailable slots keep their start time; sessions whose start time or day
+     * no longer exists, or that now overlap a blocked period or another class, are unscheduled
+     * 
+     * @param {Object} config - A valid time grid configuration
+     * @return {number} The number of courses that lost their placement
+     */
+    applyTimeGrid(config) {
+        const previousSlots = this.timeSlots;
+        this.timeGrid = new TimeGrid(config);
+        const remap = timeIndex => this.timeSlots.indexOf(previousSlots[timeIndex]);
+        
+        Object.values(this.instructors).forEach(instructor => {
+            const unavailable = {};
+            Object.entries(instructor.unavailable).forEach(([day, timeIndices]) => {
+                const remapped = timeIndices.map(remap).filter(timeIndex => timeIndex >= 0);
+                if (this.days.includes(day) && remapped.length > 0) {
+                    unavailable[day] = remapped.sort((a, b) => a - b);
+                }
+            });
+            instructor.unavailable = unavailable;
+        });
+        
+        // Preferred days that are no longer working days fall back to an even distribution
+        this.courses.forEach(course => {
+            if (course.preferredDays.some(day => !this.days.includes(day))) {
+                course.preferredDays = [];
+            }
+        });
+        
+        this.grid = this.initializeGrid();
+        let displaced = 0;
+        this.courses.forEach(course => {
+            const sessions = course.scheduledSlots;
+            course.scheduledSlots = [];
+            
+            let conflict = null;
+            for (const session of sessions) {
+                const timeIndex = remap(session.timeIndex);
+                if (timeIndex < 0 || !this.days.includes(session.day)) {
+                    conflict = `${session.day} at ${session.timeSlot} is no longer a time slot`;
+                    break;
+                }
+                const slot = { ...session, timeIndex, timeSlot: this.timeSlots[timeIndex] };
+                conflict = this.getPlacementConflict(course, slot, session);
+                if (conflict) {
+                    break;
+                }
+                course.scheduledSlots.push(slot);
+                this.occupyRoom(course, slot);
+            }
+            
+            if (conflict) {
+                this.unscheduleCourse(course);
+                course.unscheduledReason = `The time grid changed: ${conflict}`;
+                displaced++;
+            } else {
+                course.syncScheduledRooms();
+            }
+        });
+        return displaced;
+    }
+
+    /**
+     * Add a course to the schedule
+     * @param {Course} course - The course to add
+     */
+    addCourse(course) {
+        this.courses.push(course);
+        this.registerInstructor(course.instructor);
+        this.notifyChange(`Add ${course.code}`);
+    }
+
+    /**
+     * Add several courses at once (e.g. from a CSV import)
+     * 
+     * @param {Array<Course>} courses - The courses to add
+     * @param {boolean} replace - Whether to replace the current course list instead of appending
+     */
+    addCourses(courses, replace = false) {
+        if (replace) {
+            this.courses = [];
+            this.grid = this.initializeGrid();
+            this.solverResults = {};
+            this.optimizationResult = null;
+        }
+        
+        courses.forEach(course => {
+            this.courses.push(course);
+            this.registerInstructor(course.instructor);
+        });
+        this.notifyChange(`Import ${courses.length} course(s)`);
+    }
+
+    /**
+     * Notify the listener that the project has changed
+     * @param {string} description - What changed, shown in the undo history (e.g. "Add CS101")
+     */
+    notifyChange(description = 'Edit the project') {
+        if (this.onChange) {
+            this.onChange(this, description);
+        }
+    }
+
+    /**
+     * Get an instructor from the registry, creating an entry if needed
+     * @param {string} name - The instructor's name
+     * @return {Instructor} The registered instructor
+     */
+    registerInstructor(name) {
+        if (!this.instructors[name]) {
+            this.instructors[name] = new Instructor(name);
+        }
+        return this.instructors[name];
+    }
+
+    /**
+     * Remove an instructor from the registry
+     * Instructors still assigned to a course cannot be removed
+     * 
+     * @param {string} name - The instructor's name
+     * @return {boolean} True if the instructor was removed
+     */
+    removeInstructor(name) {
+        if (this.courses.some(course => course.instructor === name)) {
+            return false;
+        }
+        
+        delete this.instructors[name];
+        this.notifyChange(`Remove instructor ${name}`);
+        return true;
+    }
+
+    /**
+     * Get the number of time slots an instructor already teaches
+     * 
+     * @param {string} name - The instructor's name
+     * @param {string|null} day - Optional day to restrict the count to
+     * @return {number} Number of occupied teaching slots
+     */
+    getInstructorLoad(name, day = null) {
+        let load = 0;
+        this.courses.forEach(course => {
+            if (course.instructor !== name) return;
+            course.scheduledSlots.forEach(slot => {
+                if (!day || slot.day === day) {
+                    load += course.getDuration(slot);
+                }
+            });
+        });
+        return load;
+    }
+
+    /**
+     * Check the instructor's weekly teaching limit for a course as a whole
+     * 
+     * @param {Course} course - The course to check
+     * @return {string|null} A description of the violated limit, or null if the course fits
+     */
+    getWeeklyLoadConflict(course) {
+        const instructor = this.instructors[course.instructor];
+        
+        // Locked sessions are already counted in the instructor's load
+        const openSlots = course.openSessions.reduce((total, session) => total + session.duration, 0);
+        if (instructor && instructor.maxSlotsPerWeek &&
+            this.getInstructorLoad(instructor.name) + openSlots > instructor.maxSlotsPerWeek) {
+            return `${instructor.name} would exceed ${instructor.maxSlotsPerWeek} teaching slots per week`;
+        }
+        return null;
+    }
+
+    /**
+     * Check the instructor constraints for a prospective class session
+     * 
+     * @param {Course} course - The course to check
+     * @param {string} day - The day of the session
+     * @param {number} timeIndex - The index of the starting time slot
+     * @param {number} duration - The number of consecutive slots needed
+     * @param {Array<Object>} pendingSlots - Sessions of this course already picked but not yet placed
+     * @return {string|null} A description of the violated constraint, or null if none
+     */
+    getInstructorConflict(course, day, timeIndex, duration, pendingSlots = []) {
+        const instructor = this.instructors[course.instructor];
+        if (!instructor) {
+            return null; // Unregistered instructors have no constraints
+        }
+        
+        for (let i = 0; i < duration; i++) {
+            // CONSTRAINT 1: The instructor must be available in every slot of the session
+            if (!instructor.isAvailable(day, timeIndex + i)) {
+                return `${instructor.name} is unavailable on ${day} at ${this.timeSlots[timeIndex + i]}`;
+            }
+            
+            // CONSTRAINT 2: The instructor cannot teach in two rooms at the same time
+            const clash = this.getSessionsAt(day, timeIndex + i)
+                .find(session => session.course.instructor === instructor.name);
+            if (clash) {
+                return `${instructor.name} already teaches ${clash.course.code} on ${day} at ${this.timeSlots[timeIndex + i]}`;
+            }
+        }
+        
+        // CONSTRAINT 3: Respect the maximum teaching slots per day
+        if (instructor.maxSlotsPerDay) {
+            const pendingLoad = pendingSlots
+                .filter(slot => slot.day === day)
+                .reduce((total, slot) => total + course.getDuration(slot), 0);
+            if (this.getInstructorLoad(instructor.name, day) + pendingLoad + duration > instructor.maxSlotsPerDay) {
+                return `${instructor.name} would exceed ${instructor.maxSlotsPerDay} teaching slots on ${day}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get all cohorts that courses are assigned to
+     * @return {Array<string>} Sorted list of cohort names
+     */
+    getCohorts() {
+        const cohorts = new Set();
+        this.courses.forEach(course => {
+            course.cohorts.forEach(cohort => cohorts.add(cohort));
+        });
+        return [...cohorts].sort();
+    }
+
+    /**
+     * Check the cohort constraint for a prospective class session
+     * Students of the same cohort cannot attend two classes in the same time slot
+     * 
+     * @param {Course} course - The course to check
+     * @param {string} day - The day of the session
+     * @param {number} timeIndex - The index of the starting time slot
+     * @param {number} duration - The number of consecutive slots needed
+     * @return {string|null} A description of the clash, or null if none
+     */
+    getCohortConflict(course, day, timeIndex, duration) {
+        if (course.cohorts.length === 0) {
+            return null;
+        }
+        
+        for (let i = 0; i < duration; i++) {
+            for (const session of this.getSessionsAt(day, timeIndex + i)) {
+                const shared = session.course.cohorts.find(cohort => course.cohorts.includes(cohort));
+                if (shared) {
+                    return `${shared} already attends ${session.course.code} on ${day} at ${this.timeSlots[timeIndex + i]}`;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check if a time slot can hold a class at all
+     * This is a key part of the scheduling algorithm that implements the time constraints.
+     * Room occupancy is checked separately by isRoomAvailable(), since several courses
+     * may share a time slot as long as they are in different rooms.
+     * 
+     * @param {string} day - The day to check
+     * @param {number} timeIndex - The index of the starting time slot
+     * @param {number} duration - The number of consecutive slots needed
+     * @return {boolean} True if all needed slots can be used, false otherwise
+     */
+    isTimeSlotAvailable(day, timeIndex, duration) {
+        // CONSTRAINT 1: Blocked periods (e.g. the extra-mural hour)
+        // No classes can start during or overlap with a period blocked on this day
+        // CONSTRAINT 2: Don't schedule beyond the last available time slot
+        return this.timeGrid.isAvailable(day, timeIndex, duration);
+    }
+
+    /**
+     * Get all sessions running in a given time slot
+     * 
+     * @param {string} day - The day to check
+     * @param {number} timeIndex - The index of the time slot
+     * @return {Array<Object>} Array of { building, floor, room, course } entries for occupied rooms
+     */
+    getSessionsAt(day, timeIndex) {
+        const sessions = [];
+        const slot = this.grid[day][this.timeSlots[timeIndex]];
+        
+        Object.keys(slot).forEach(building => {
+            Object.keys(slot[building]).forEach(floor => {
+                Object.keys(slot[building][floor]).forEach(room => {
+                    const course = slot[building][floor][room];
+                    if (course) {
+                        sessions.push({ building, floor: parseInt(floor), room: parseInt(room), course });
+                    }
+                });
+            });
+        });
+        return sessions;
+    }
+
+    /**
+     * Find the first room requirement of a course (type, equipment, seats) that a room does not meet
+     * 
+     * @param {Course} course - The course
+     * @param {string} building - The building code
+     * @param {number} floor - The floor number
+     * @param {number} room - The room number
+     * @param {number} component - The index of the session's component (its room requirements)
+     * @return {string|null} What the room lacks (e.g. "has no projector"), or null if it is suitable
+     */
+    getRoomMismatch(course, building, floor, room, component = 0) {
+        const entry = this.buildings.getRoom(building, floor, room);
+        return entry ? describeRoomMismatch(entry, course.getRoomNeeds(component)) : 'does not exist';
+    }
+
+    /**
+     * Check whether a room meets every room requirement of a course
+     * Courses without requirements fit in any room
+     * 
+     * @param {Course} course - The course
+     * @param {string} building - The building code
+     * @param {number} floor - The floor number
+     * @param {number} room - The room number
+     * @param {number} component - The index of the session's component (its room requirements)
+     * @return {boolean} True if the room is suitable
+     */
+    roomFits(course, building, floor, room, component = 0) {
+        return this.getRoomMismatch(course, building, floor, room, component) === null;
+    }
+
+    /**
+     * Find an available room to assign to a course
+     * Uses a best-fit search: the smallest room that is free for the whole session and meets the
+     * course's room requirements, limited to the course's requested building and floor (if any).
+     * Rooms of equal size are tried from the bottom floor up
+     * 
+     * @param {Course} course - The course to find a room for
+     * @param {string} day - The day for which we're finding a room
+     * @param {number} timeIndex - The index of the starting time slot
+     * @param {number} duration - The number of consecutive slots needed
+     * @param {number} component - The index of the session's component (its room requirements)
+     * @return {Object|null} An object with building, floor and room, or null if no room is available
+     */
+    findAvailableRoom(course, day, timeIndex, duration, component = 0) {
+        // If course prefers consistent room and already has room assignments, try to use the same room
+        if (course && course.consistentRoom && Object.keys(course.scheduledRooms).length > 0) {
+            // Get the first assigned room and try to use it
+            const firstRoom = Object.values(course.scheduledRooms)[0];
+            
+            if (this.isRoomAvailable(firstRoom.building, firstRoom.floor, firstRoom.room, day, timeIndex, duration) &&
+                this.roomFits(course, firstRoom.building, firstRoom.floor, firstRoom.room, component)) {
+                return firstRoom;
+            }
+        }
+
+        // Search the requested building and floor, or every building, for the smallest room that fits
+        const needs = course.getRoomNeeds(component);
+        let candidate = null;
+        for (const { building, floor, room, entry } of this.buildings.listRooms()) {
+            if ((course.building && building !== course.building) || (course.floor && floor !== course.floor)) continue;
+            if (candidate && entry.capacity >= candidate.entry.capacity) continue;
+            if (describeRoomMismatch(entry, needs) === null &&
+                this.isRoomAvailable(building, floor, room, day, timeIndex, duration)) {
+                candidate = { building, floor, room, entry };
+                
+                // No room can fit better than one with exactly enough seats
+                if (entry.capacity === course.enrollment) break;
+            }
+        }
+        
+        return candidate ? { building: candidate.building, floor: candidate.floor, room: candidate.room } : null;
+    }
+
+    /**
+     * Describe where a course is allowed to be held
+     * @param {Course} course - The course
+     * @return {string} e.g. "floor 3 of building AB3" or "the building"
+     */
+    describeRequestedLocation(course) {
+        const building = course.building ? `building ${course.building}` : null;
+        if (course.floor) {
+            return `floor ${course.floor}${building ? ` of ${building}` : ''}`;
+        }
+        return building || (this.buildings.buildings.length > 1 ? 'any building' : 'the building');
+    }
+
+    /**
+     * Explain why no room could be found for a course
+     * Names the first room requirement that no room in the requested location meets,
+     * or reports that every suitable room is taken
+     * 
+     * @param {Course} course - The course
+     * @param {number} component - The index of the session's component (its room requirements)
+     * @return {string} e.g. "No computer lab with fume hood on the building"
+     */
+    describeMissingRoom(course, component = 0) {
+        const location = this.describeRequestedLocation(course);
+        const needs = course.getRoomNeeds(component);
+        const requirements = course.getRoomRequirementsDisplay(component);
+        const kind = needs.roomType ? ROOM_TYPES[needs.roomType].toLowerCase() : 'room';
+        let rooms = this.buildings.listRooms().filter(({ building, floor, room }) =>
+            (!course.building || building === course.building) &&
+            (!course.floor || floor === course.floor) &&
+            this.buildings.isSchedulable(building, floor, room));
+        
+        if (needs.roomType) {
+            rooms = rooms.filter(({ entry }) => entry.type === needs.roomType);
+            if (rooms.length === 0) {
+                return `No ${kind} on ${location}`;
+            }
+        }
+        for (const item of needs.equipment) {
+            rooms = rooms.filter(({ entry }) => hasEquipment(entry, item));
+            if (rooms.length === 0) {
+                return `No ${kind} with ${item} on ${location}`;
+            }
+        }
+        if (course.enrollment && !rooms.some(({ entry }) => entry.capacity >= course.enrollment)) {
+            return `No ${requirements} large enough for ${course.enrollment} students on ${location}`;
+        }
+        
+        const seats = course.enrollment ? ` for ${course.enrollment} students` : '';
+        return `No free ${requirements}${seats} on ${location}`;
+    }
+
+    /**
+     * Find the constraint that prevents a course from holding a session at the given time slot
+     * The time slot itself must be usable, the instructor must be free and within their limits,
+     * none of the course's cohorts may have another class, and at least one suitable room must be free
+     * 
+     * @param {Course} course - The course to check
+     * @param {string} day - The day to check
+     * @param {number} timeIndex - The index of the starting time slot
+     * @param {Array<Object>} pendingSlots - Sessions of this course already picked but not yet placed
+     * @param {number} component - The index of the session's component (its length and room requirements)
+     * @return {string|null} A description of the violated constraint, or null if the session fits
+     */
+    getSessionConflict(course, day, timeIndex, pendingSlots = [], component = 0) {
+        const duration = course.components[component].duration;
+        if (!this.isTimeSlotAvailable(day, timeIndex, duration)) {
+            return 'blocked';
+        }
+        
+        const instructorConflict = this.getInstructorConflict(course, day, timeIndex, duration, pendingSlots);
+        if (instructorConflict) {
+            return instructorConflict;
+        }
+        
+        const cohortConflict = this.getCohortConflict(course, day, timeIndex, duration);
+        if (cohortConflict) {
+            return cohortConflict;
+        }
+        
+        const spacingConflict = this.getSpacingConflict(course, day, timeIndex, [...course.scheduledSlots, ...pendingSlots]);
+        if (spacingConflict) {
+            return spacingConflict;
+        }
+        
+        const ruleConflict = getCourseRuleConflict(this, course, { day, start: timeIndex, end: timeIndex + duration },
+            [...course.scheduledSlots, ...pendingSlots]);
+        if (ruleConflict) {
+            return ruleConflict;
+        }
+        
+        // Honour the requested room first, then fall back to any room (in the requested building and floor)
+        if (course.building && course.floor && course.room &&
+            this.roomFits(course, course.building, course.floor, course.room, component) &&
+            this.isRoomAvailable(course.building, course.floor, course.room, day, timeIndex, duration)) {
+            return null;
+        }
+        if (this.findAvailableRoom(course, day, timeIndex, duration, component) === null) {
+            return this.describeMissingRoom(course, component);
+        }
+        return null;
+    }
+
+    /**
+     * Find the spacing rule of a course that a prospective session would break
+     * Rules the scheduler relaxed to place the course are skipped. The maximum gap is only checked once the
+     * session completes the course, since later sessions may still close a gap
+     * 
+     * @param {Course} course - The course of the session
+     * @param {string} day - The day of the session
+     * @param {number} timeIndex - The index of its starting time slot
+     * @param {Array<Object>} placedSlots - The other sessions of the course, placed or picked ({ day, timeIndex })
+     * @return {string|null} A description of the broken rule, or null if none
+     */
+    getSpacingConflict(course, day, timeIndex, placedSlots) {
+        const { minGap, maxGap, timeBand } = course.spacing;
+        const dayIndex = this.days.indexOf(day);
+        const gap = slot => Math.abs(this.days.indexOf(slot.day) - dayIndex);
+        
+        for (const key of course.spacingRules) {
+            if (course.relaxedSpacing.includes(key)) continue;
+            
+            if (key === 'timeBand' && !TIME_BANDS[timeBand].test(this.timeGrid.rows[timeIndex].start)) {
+                return `${course.code} meets in the ${timeBand} only`;
+            }
+            if (key === 'sameTime' && placedSlots.some(slot => slot.timeIndex !== timeIndex)) {
+                return `${course.code} meets at the same time every meeting day`;
+            }
+            if (key === 'maxGap' && placedSlots.length + 1 >= course.sessions.length) {
+                const indices = [...placedSlots.map(slot => this.days.indexOf(slot.day)), dayIndex].sort((a, b) => a - b);
+                if (indices.some((index, i) => i > 0 && index - indices[i - 1] > maxGap)) {
+                    return `Sessions of ${course.code} must be at most ${maxGap} day(s) apart`;
+                }
+            }
+            if (key === 'minGap' && placedSlots.some(slot => gap(slot) < minGap)) {
+                return `Sessions of ${course.code} must be at least ${minGap} day(s) apart`;
+            }
+            if (key === 'noSameDay' && placedSlots.some(slot => slot.day === day)) {
+                return `${course.code} already meets on ${day}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check if a course can hold a session starting at the given time slot
+     * 
+     * @param {Course} course - The course to check
+     * @param {string} day - The day to check
+     * @param {number} timeIndex - The index of the starting time slot
+     * @param {Array<Object>} pendingSlots - Sessions of this course already picked but not yet placed
+     * @param {Map<string, number>|null} rejections - Optional tally of the reasons slots were rejected
+     * @param {number} component - The index of the session's component
+     * @return {boolean} True if a session can be placed here
+     */
+    canScheduleSession(course, day, timeIndex, pendingSlots = [], rejections = null, component = 0) {
+        const conflict = this.getSessionConflict(course, day, timeIndex, pendingSlots, component);
+        
+        // Blocked time slots are rejected for every course, so they are not worth reporting
+        if (conflict && conflict !== 'blocked' && rejections) {
+            rejections.set(conflict, (rejections.get(conflict) || 0) + 1);
+        }
+        return conflict === null;
+    }
+
+    /**
+     * Find available time slots for a course that needs multiple classes per week
+     * Uses a distribution strategy to spread the classes across the week.
+     * Sessions are found in the order of course.openSessions, longest first; days that already
+     * hold a locked session of the course are skipped, and the course's spacing rules are followed
+     * (except those in course.relaxedSpacing)
+     * 
+     * @param {Course} course - The course to find time slots for
+     * @param {number} count - Number of classes needed
+     * @param {Map<string, number>|null} rejections - Optional tally of the reasons slots were rejected
+     * @return {Array} Array of available day/time combinations, with the component of each session
+     */
+    findAvailableTimeSlots(course, count, rejections = null) {
+        const availableSlots = [];
+        const sessions = course.openSessions;
+        const freeDays = this.days.filter(day => !course.scheduledSlots.some(slot => slot.day === day));
+        
+        // Use preferred days if specified, otherwise use all days
+        let preferredDays = course.preferredDays && course.preferredDays.length > 0 
+            ? course.preferredDays.filter(day => freeDays.includes(day)) 
+            : [...freeDays];
+            
+        // If specific days were selected but not enough, add more to reach count
+        if (preferredDays.length < count) {
+            const additionalDays = freeDays.filter(day => !preferredDays.includes(day));
+            preferredDays = preferredDays.concat(additionalDays.slice(0, count - preferredDays.length));
+        }
+        
+        // Calculate ideal spacing between classes (if no specific days selected); with more sessions
+        // than days, every day gets one and the rest go on days already used (see below)
+        const idealGap = Math.max(1, Math.floor(preferredDays.length / count));
+        
+        // Order days optimally for distribution
+        const orderedDays = [];
+        if (course.preferredDays && course.preferredDays.length > 0) {
+            // If preferred days are specified, use them in the provided order
+            orderedDays.push(...preferredDays);
+        } else {
+            // Otherwise, distribute evenly 
+            for (let i = 0; i < Math.min(count, preferredDays.length); i++) {
+                const dayIndex = (i * idealGap) % preferredDays.length;
+                orderedDays.push(preferredDays[dayIndex]);
+            }
+        }
+        
+        // Without preferred days, fall back to the remaining days when an ordered day is full
+        // (e.g. the instructor is unavailable that day)
+        if (!course.preferredDays || course.preferredDays.length === 0) {
+            orderedDays.push(...freeDays.filter(day => !orderedDays.includes(day)));
+        }
+        
+        // First try the ordered days
+        for (const day of orderedDays) {
+            if (availableSlots.length >= count) break;
+            
+            // Search all time slots on this day for the next session
+            const { component } = sessions[availableSlots.length];
+            for (let i = 0; i < this.timeSlots.length; i++) {
+                if (this.canScheduleSession(course, day, i, availableSlots, rejections, component)) {
+                    availableSlots.push({
+                        day,
+                        timeSlot: this.timeSlots[i],
+                        timeIndex: i,
+                        component
+                    });
+                    break; // Found a slot for this day
+                }
+            }
+        }
+        
+        // If we still need more slots and user didn't specify preferred days (or preferred every working day),
+        // try additional time slots on days we already have
+        const restrictsDays = course.preferredDays && course.preferredDays.length > 0
+            && this.days.some(day => !course.preferredDays.includes(day));
+        if (availableSlots.length < count && !restrictsDays) {
+            // Get days we've already scheduled at least one class
+            const usedDays = availableSlots.map(slot => slot.day);
+            
+            for (const day of usedDays) {
+                if (availableSlots.length >= count) break;
+                
+                // Find slots we haven't checked on this day (skip the one we already used)
+                const used = availableSlots.find(slot => slot.day === day);
+                const { component } = sessions[availableSlots.length];
+                
+                // Check time slots after the one we already used
+                for (let i = used.timeIndex + course.getDuration(used); i < this.timeSlots.length; i++) {
+                    if (availableSlots.length >= count) break;
+                    
+                    if (this.canScheduleSession(course, day, i, availableSlots, rejections, component)) {
+                        availableSlots.push({
+                            day,
+                            timeSlot: this.timeSlots[i],
+                            timeIndex: i,
+                            component
+                        });
+                        break;
+                    }
+                }
+            }
+        }
+        
+        return availableSlots;
+    }
+
+    /**
+     * Find the first available time slot for a course
+     * Implements a greedy algorithm to find the earliest possible slot
+     * 
+     * @param {Course} course - The course to find a time slot for
+     * @return {Object|null} An object with day, timeSlot and timeIndex, or null if no slot is available
+     */
+    findAvailableTimeSlot(course) {
+        // STRATEGY: Search all days and all time slots in order
+        // This is a greedy approach prioritizing earlier days and times
+        for (const day of this.days) {
+            for (let i = 0; i < this.timeSlots.length; i++) {
+                if (this.canScheduleSession(course, day, i)) {
+                    const timeSlot = this.timeSlots[i];
+                    return { day, timeSlot, timeIndex: i };
+                }
+            }
+        }
+        return null; // No available time slot found
+    }
+
+    /**
+     * Check if a specific room is available during a given time period
+     * 
+     * @param {string} building - The building code
+     * @param {number} floor - The floor number 
+     * @param {number} room - The room number
+     * @param {string} day - The day to check
+     * @param {number} timeIndex - The index of the starting time slot
+     * @param {number} duration - The number of consecutive slots needed
+     * @return {boolean} True if the room is available for the entire period
+     */
+    isRoomAvailable(building, floor, room, day, timeIndex, duration) {
+        // Rooms that don't exist, are reserved (teacher rooms) or unavailable can never be scheduled
+        if (!this.rooms[building] || !this.rooms[building][floor] || !this.rooms[building][floor][room]) {
+            return false;
+        }
+        
+        for (let i = 0; i < duration; i++) {
+            const currentTimeIndex = timeIndex + i;
+            // Don't check beyond available time slots
+            if (currentTimeIndex >= this.timeSlots.length) {
+                return false;
+            }
+            
+            const currentTime = this.timeSlots[currentTimeIndex];
+            
+            // Check if the room is already occupied at this time
+            if (this.grid[day][currentTime][building][floor][room] !== null) {
+                return false;
+            }
+        }
+        return true; // Room is available for the entire duration
+    }
+
+    /**
+     * Schedule a single class session for a course
+     * 
+     * @param {Course} course - The course to schedule
+     * @param {Object} timeSlotInfo - The time slot information, with the session's component
+     * @param {boolean} useConsistentRoom - Whether to try using the same room for all sessions
+     * @return {boolean} True if successfully scheduled, false otherwise
+     */
+    scheduleClassSession(course, timeSlotInfo, useConsistentRoom) {
+        const { day, timeSlot, timeIndex, component = 0 } = timeSlotInfo;
+        const duration = course.components[component].duration;
+        
+        // A session can't run past the end of the day
+        if (timeIndex < 0 || timeIndex + duration > this.timeSlots.length) {
+            return false;
+        }
+        
+        // The instructor and cohort constraints are hard constraints:
+        // never double-book an instructor or a cohort
+        if (this.getInstructorConflict(course, day, timeIndex, duration) ||
+            this.getCohortConflict(course, day, timeIndex, duration)) {
+            return false;
+        }
+        
+        // Handle room assignment
+        let roomAssigned = false;
+        let roomInfo = null;
+        
+        // Try to use consistent room if requested and previously assigned
+        if (useConsistentRoom && course.consistentRoom && Object.keys(course.scheduledRooms).length > 0) {
+            // Use the first assigned room
+            roomInfo = Object.values(course.scheduledRooms)[0];
+            
+            // Check if the room is available at this time
+            if (this.isRoomAvailable(roomInfo.building, roomInfo.floor, roomInfo.room, day, timeIndex, duration) &&
+                this.roomFits(course, roomInfo.building, roomInfo.floor, roomInfo.room, component)) {
+                roomAssigned = true;
+            }
+        }
+        
+        // Try to use preferred room if specified (and suitable)
+        if (!roomAssigned && course.building && course.floor && course.room) {
+            if (this.isRoomAvailable(course.building, course.floor, course.room, day, timeIndex, duration) &&
+                this.roomFits(course, course.building, course.floor, course.room, component)) {
+                roomInfo = { building: course.building, floor: course.floor, room: course.room };
+                roomAssigned = true;
+            }
+        }
+        
+        // If no room assigned yet, find an available one
+        if (!roomAssigned) {
+            roomInfo = this.findAvailableRoom(course, day, timeIndex, duration, component);
+            if (!roomInfo) {
+                return false; // No available room found
+            }
+        }
+        
+        // Track this time slot (and the room it uses) in the course's scheduled slots
+        const slot = { day, timeSlot, timeIndex, building: roomInfo.building, floor: roomInfo.floor, room: roomInfo.room, component };
+        course.scheduledSlots.push(slot);
+        
+        // Occupy the room for all required time slots
+        this.occupyRoom(course, slot);
+        
+        // Store the room assignment for this day
+        // (the requested floor/room are left untouched so the course can be re-solved)
+        course.scheduledRooms[day] = roomInfo;
+        
+        return true;
+    }
+
+    /**
+     * Schedule a course using the greedy algorithm
+     * This is the core function that places a course in the schedule. When its sessions do not fit,
+     * spacing rules are relaxed as needed and listed in course.relaxedSpacing
+     * 
+     * @param {Course} course - The course to schedule
+     * @return {boolean} True if successfully scheduled, false otherwise
+     */
+    scheduleCourse(course) {
+        // Determine how many class sessions we need to schedule (locked sessions are already placed)
+        const sessionsNeeded = course.openSessions.length;
+        course.unscheduledReason = null;
+        
+        // Check the instructor's weekly teaching limit for the course as a whole
+        const weeklyConflict = this.getWeeklyLoadConflict(course);
+        if (weeklyConflict) {
+            course.unscheduledReason = weeklyConflict;
+            return false;
+        }
+        
+        // Find available time slots for all sessions, keeping track of why slots were rejected
+        let rejections = new Map();
+        course.relaxedSpacing = [];
+        let availableSlots = this.findAvailableTimeSlots(course, sessionsNeeded, rejections);
+        
+        // Relax the spacing rules of the course one at a time, least important first, until the sessions fit
+        for (const key of course.spacingRules) {
+            if (availableSlots.length >= sessionsNeeded) break;
+            course.relaxedSpacing.push(key);
+            rejections = new Map();
+            availableSlots = this.findAvailableTimeSlots(course, sessionsNeeded, rejections);
+        }
+        
+        // Then honour the rules relaxed on the way that turn out not to be in the way
+        // (the last rule relaxed is the one that made the sessions fit)
+        if (availableSlots.length >= sessionsNeeded) {
+            course.relaxedSpacing.slice(0, -1).forEach(key => {
+                const relaxed = course.relaxedSpacing;
+                course.relaxedSpacing = relaxed.filter(other => other !== key);
+                const slots = this.findAvailableTimeSlots(course, sessionsNeeded);
+                if (slots.length >= sessionsNeeded) {
+                    availableSlots = slots;
+                } else {
+                    course.relaxedSpacing = relaxed;
+                }
+            });
+        }
+        
+        // If we can't find enough slots, report the most common reason and return false
+        if (availableSlots.length < sessionsNeeded) {
+            course.relaxedSpacing = [];
+            const [mostCommon] = [...rejections.entries()].sort((a, b) => b[1] - a[1]);
+            course.unscheduledReason = mostCommon ? mostCommon[0] : 'Not enough free time slots on the requested days';
+            return false;
+        }
+        
+        return this.placeCourse(course, availableSlots.slice(0, sessionsNeeded));
+    }
+
+    /**
+     * Place all sessions of a course in the given time slots
+     * Rooms are assigned per session; if any session cannot be placed, the course is left unscheduled
+     * 
+     * @param {Course} course - The course to place
+     * @param {Array<Object>} slots - One { day, timeSlot, timeIndex, component } entry per open session
+     * @return {boolean} True if every session was placed, false otherwise
+     */
+    placeCourse(course, slots) {
+        // Reset any previous scheduling data, keeping the locked sessions
+        course.scheduledSlots = course.scheduledSlots.filter(slot => slot.locked);
+        course.syncScheduledRooms();
+        
+        // Schedule each session
+        let allScheduled = true;
+        for (let i = 0; i < slots.length; i++) {
+            const success = this.scheduleClassSession(
+                course, 
+                slots[i], 
+                course.scheduledSlots.length > 0 // Try consistent room after first session
+            );
+            
+            if (!success) {
+                allScheduled = false;
+                break;
+            }
+        }
+        
+        // If all sessions were scheduled, mark course as scheduled
+        if (allScheduled) {
+            course.scheduled = true;
+            return true;
+        } else {
+            // If any session failed, clean up partial schedules
+            this.unscheduleCourse(course, true);
+            course.unscheduledReason = 'No room could be assigned to every session';
+            return false;
+        }
+    }
+
+    /**
+     * Remove a course from all scheduled slots
+     * 
+     * @param {Course} course - The course to unschedule
+     * @param {boolean} keepLocked - Whether to leave its locked sessions in place
+     */
+    unscheduleCourse(course, keepLocked = false) {
+        const kept = keepLocked ? course.scheduledSlots.filter(slot => slot.locked) : [];
+        
+        // Free the rooms held by each scheduled session
+        course.scheduledSlots
+            .filter(slot => !kept.includes(slot))
+            .forEach(slot => this.vacateRoom(course, slot));
+        
+        // Reset course scheduling data
+        course.scheduled = false;
+        course.scheduledSlots = kept;
+        course.syncScheduledRooms();
+    }
+
+    /**
+     * Mark the room of a scheduled session as occupied for the session's whole duration
+     * 
+     * @param {Course} course - The course holding the session
+     * @param {Object} slot - The session's { day, timeIndex, building, floor, room, component }
+     */
+    occupyRoom(course, slot) {
+        for (let i = 0; i < course.getDuration(slot); i++) {
+            const time = this.timeSlots[slot.timeIndex + i];
+            this.grid[slot.day][time][slot.building][slot.floor][slot.room] = course;
+        }
+    }
+
+    /**
+     * Free the room held by a scheduled session
+     * 
+     * @param {Course} course - The course holding the session
+     * @param {Object} slot - The session's { day, timeIndex, building, floor, room, component }
+     */
+    vacateRoom(course, slot) {
+        for (let i = 0; i < course.getDuration(slot); i++) {
+            const time = this.timeSlots[slot.timeIndex + i];
+            const rooms = time && this.grid[slot.day][time][slot.building];
+            if (rooms && rooms[slot.floor] && rooms[slot.floor][slot.room] === course) {
+                rooms[slot.floor][slot.room] = null;
+            }
+        }
+    }
+
+    /**
+     * Rebuild the grid from the scheduled slots of every course
+     * Used after placements were restored or loaded instead of being scheduled one by one
+     */
+    rebuildGrid() {
+        this.grid = this.initializeGrid();
+        this.courses.forEach(course => {
+            course.scheduledSlots.forEach(slot => this.occupyRoom(course, slot));
+            course.syncScheduledRooms();
+        });
+    }
+
+    /**
+     * Copy the placement of every course, e.g. to hand a schedule solved in a worker back to the page
+     * Solvers reorder the courses, so each placement names the position of its course in `order`
+     *
+     * @param {Array<Course>} order - The courses in the order of the schedule the placements are applied to
+     * @return {Array<Object>} { index, scheduled, unscheduledReason, relaxedSpacing, scheduledSlots } for each course,
+     *                         in the current order
+     */
+    getPlacements(order = this.courses) {
+        const indices = new Map(order.map((course, index) => [course, index]));
+        return this.courses.map(course => ({
+            index: indices.get(course),
+            scheduled: course.scheduled,
+            unscheduledReason: course.unscheduledReason,
+            relaxedSpacing: [...course.relaxedSpacing],
+            scheduledSlots: course.scheduledSlots.map(slot => ({ ...slot }))
+        }));
+    }
+
+    /**
+     * Replace the placement of every course with placements returned by getPlacements()
+     * The courses take the order of the placements, as if they had been solved here
+     *
+     * @param {Array<Object>} placements - One placement per course
+     */
+    applyPlacements(placements) {
+        const courses = [...this.courses];
+        this.courses = placements.map(placement => {
+            const course = courses[placement.index];
+            course.scheduled = placement.scheduled;
+            course.unscheduledReason = placement.unscheduledReason;
+            course.relaxedSpacing = [...placement.relaxedSpacing];
+            course.scheduledSlots = placement.scheduledSlots.map(slot => ({ ...slot }));
+            return course;
+        });
+        this.rebuildGrid();
+    }
+
+    /**
+     * Find the constraint that prevents a session of a scheduled course from being placed
+     * in a specific room and time slot. The session being placed must not be in the grid.
+     * 
+     * A course holds one session per day, unless the session held that day before (a session moved to another
+     * time on its day, or a placement restored as it was); the slot search alone decides when sessions share a day
+     * 
+     * @param {Course} course - The course of the session
+     * @param {Object} target - The prospective { day, timeIndex, building, floor, room, component }
+     * @param {Object|null} previous - Where the session was held before ({ day }), if anywhere
+     * @return {string|null} A description of the violated constraint, or null if the session fits
+     */
+    getPlacementConflict(course, target, previous = null) {
+        const { day, timeIndex, building, floor, room } = target;
+        const duration = course.getDuration(target);
+        
+        if (!this.days.includes(day)) {
+            return `Classes are not held on ${day}`;
+        }
+        if (!this.isTimeSlotAvailable(day, timeIndex, duration)) {
+            const blocked = [...Array(duration).keys()]
+                .map(i => timeIndex + i < this.timeSlots.length ? this.timeGrid.getBlockedPeriod(day, timeIndex + i) : null)
+                .find(Boolean);
+            return blocked ? `Classes cannot overlap ${blocked} on ${day}` : 'Classes cannot run past the last time slot';
+        }
+        if (course.preferredDays.length > 0 && !course.preferredDays.includes(day)) {
+            return `${course.code} only meets on ${course.preferredDaysDisplay}`;
+        }
+        if ((!previous || previous.day !== day) && course.scheduledSlots.some(slot => slot.day === day)) {
+            return `${course.code} already meets on ${day}`;
+        }
+        const spacingConflict = this.getSpacingConflict(course, day, timeIndex, course.scheduledSlots);
+        if (spacingConflict) {
+            return spacingConflict;
+        }
+        
+        const instructorConflict = this.getInstructorConflict(course, day, timeIndex, duration);
+        if (instructorConflict) {
+            return instructorConflict;
+        }
+        const cohortConflict = this.getCohortConflict(course, day, timeIndex, duration);
+        if (cohortConflict) {
+            return cohortConflict;
+        }
+        const ruleConflict = getCourseRuleConflict(this, course, { day, start: timeIndex, end: timeIndex + duration }, course.scheduledSlots);
+        if (ruleConflict) {
+            return ruleConflict;
+        }
+        
+        if ((course.building && building !== course.building) || (course.floor && floor !== course.floor)) {
+            return `${course.code} must be held on ${this.describeRequestedLocation(course)}`;
+        }
+        if (!this.isRoomAvailable(building, floor, room, day, timeIndex, duration)) {
+            return `Room ${this.buildings.getRoomName(building, floor, room)} is not free on ${day} at ${this.timeSlots[timeIndex]}`;
+        }
+        const mismatch = this.getRoomMismatch(course, building, floor, room, target.component);
+        if (mismatch) {
+            return `Room ${this.buildings.getRoomName(building, floor, room)} ${mismatch}`;
+        }
+        return null;
+    }
+
+    /**
+     * Report how well the scheduled sessions fill their rooms
+     * Only courses with an expected enrollment are counted. Sessions with more students than
+     * seats are hard violations; they can only appear when a room was made smaller after scheduling.
+     * 
+     * @return {Object} { sessions, seats, students, wastedSeats, overflows } where overflows lists
+     *                  { course, slot, capacity } for every session held in a room that is too small
+     */
+    getSeatReport() {
+        const report = { sessions: 0, seats: 0, students: 0, wastedSeats: 0, overflows: [] };
+        this.courses.forEach(course => {
+            if (!course.scheduled || !course.enrollment) return;
+            course.scheduledSlots.forEach(slot => {
+                const capacity = this.buildings.getCapacity(slot.building, slot.floor, slot.room);
+                report.sessions++;
+                report.seats += capacity;
+                report.students += course.enrollment;
+                if (capacity < course.enrollment) {
+                    report.overflows.push({ course, slot, capacity });
+                } else {
+                    report.wastedSeats += capacity - course.enrollment;
+                }
+            });
+        });
+        return report;
+    }
+
+    /**
+     * Move a scheduled session to another room and/or time slot
+     * The move only happens if it satisfies every hard constraint
+     * 
+     * @param {Course} course - The course of the session
+     * @param {number} sessionIndex - The index of the session in course.scheduledSlots
+     * @param {Object} target - The new { day, timeIndex, building, floor, room }
+     * @return {string|null} Why the move was rejected, or null if the session was moved
+     */
+    moveSession(course, sessionIndex, target) {
+        const slot = course.scheduledSlots[sessionIndex];
+        
+        // Take the session out of the grid so it does not conflict with itself
+        this.vacateRoom(course, slot);
+        course.scheduledSlots.splice(sessionIndex, 1);
+        
+        // The session keeps its component (and with it its length and room requirements)
+        const moved = {
+            day: target.day,
+            timeSlot: this.timeSlots[target.timeIndex],
+            timeIndex: target.timeIndex,
+            building: target.building,
+            floor: target.floor,
+            room: target.room,
+            component: slot.component
+        };
+        const conflict = this.getPlacementConflict(course, moved, slot);
+        const placed = conflict ? slot : moved;
+        
+        course.scheduledSlots.splice(sessionIndex, 0, placed);
+        this.occupyRoom(course, placed);
+        course.syncScheduledRooms();
+        return conflict;
+    }
+
+    /**
+     * Work out where a session dragged on the timetable would go, and whether it may go there
+     * Without a room, the session keeps its room if that room is free and suitable at the new time,
+     * and otherwise gets the best-fitting free room. The schedule is left unchanged.
+     * 
+     * @param {Course} course - The course of the session
+     * @param {number} sessionIndex - The index of the session in course.scheduledSlots
+     * @param {string} day - The new day
+     * @param {number} timeIndex - The index of the new starting time slot
+     * @param {Object|null} location - The { building, floor, room } to move to, or null to keep or choose a room
+     * @return {Object} { target, conflict } where conflict is null if the session can be moved to target
+     */
+    planSessionMove(course, sessionIndex, day, timeIndex, location = null) {
+        const slot = course.scheduledSlots[sessionIndex];
+        
+        // Take the session out of the grid so it does not conflict with itself
+        this.vacateRoom(course, slot);
+        course.scheduledSlots.splice(sessionIndex, 1);
+        
+        const placeIn = ({ building, floor, room }) => ({
+            day,
+            timeSlot: this.timeSlots[timeIndex],
+            timeIndex,
+            building,
+            floor,
+            room,
+            component: slot.component
+        });
+        let target = placeIn(location || slot);
+        let conflict = this.getPlacementConflict(course, target, slot);
+        if (conflict && !location) {
+            const room = this.findAvailableRoom(course, day, timeIndex, course.getDuration(slot), slot.component);
+            if (room && !this.getPlacementConflict(course, placeIn(room), slot)) {
+                target = placeIn(room);
+                conflict = null;
+            }
+        }
+        
+        course.scheduledSlots.splice(sessionIndex, 0, slot);
+        this.occupyRoom(course, slot);
+        return { target, conflict };
+    }
+
+    /**
+     * Reset the scheduling state
+     * Empties the grid and unschedules every course, keeping the courses themselves and their
+     * locked sessions. Courses whose sessions are all locked stay scheduled
+     */
+    resetSchedule() {
+        this.rooms = this.initializeRooms();
+        this.grid = this.initializeGrid();
+        this.courses.forEach(course => {
+            this.unscheduleCourse(course, true);
+            course.scheduledSlots.forEach(slot => this.occupyRoom(course, slot));
+            course.scheduled = course.scheduledSlots.length > 0 && course.openSessions.length === 0;
+        });
+    }
+
+    /**
+     * Put courses back where they were before the schedule was reset, as far as the constraints allow
+     * Used by the minimal change mode, so re-solving only places new courses and courses whose
+     * previous placement is no longer valid (e.g. their instructor became unavailable)
+     * 
+     * @param {Map<Course, Array<Object>>} previous - The scheduled slots of each course before the reset
+     * @return {Set<Course>} The courses that kept their placement
+     */
+    keepPlacements(previous) {
+        const kept = new Set();
+        previous.forEach((slots, course) => {
+            const open = slots.filter(slot => !slot.locked);
+            if (course.scheduled || open.length === 0 || this.getWeeklyLoadConflict(course)) {
+                return;
+            }
+            
+            // The sessions must still match those of the course (its sessions may have been edited)
+            const components = sessions => sessions.map(session => session.component || 0).sort().join();
+            if (components(open) !== components(course.openSessions)) {
+                return;
+            }
+            
+            for (const slot of open) {
+                if (this.getPlacementConflict(course, slot, slot)) {
+                    this.unscheduleCourse(course, true);
+                    return;
+                }
+                course.scheduledSlots.push(slot);
+                this.occupyRoom(course, slot);
+            }
+            course.scheduled = true;
+            course.unscheduledReason = null;
+            course.syncScheduledRooms();
+            kept.add(course);
+        });
+        return kept;
+    }
+
+    /**
+     * Lock or unlock a whole course or one of its sessions
+     * Locked sessions keep their time slot and room when the schedule is generated again
+     * 
+     * @param {Course} course - The course
+     * @param {Object|null} slot - The session to lock or unlock, or null for the whole course
+     * @return {boolean} True if the sessions are now locked
+     */
+    toggleLock(course, slot = null) {
+        const locked = slot ? !slot.locked : !course.locked;
+        course.setLocked(locked, slot);
+        this.notifyChange(`${locked ? 'Lock' : 'Unlock'} ${course.code}`);
+        return locked;
+    }
+
+    /**
+     * Generate an optimal schedule for all courses
+     * Delegates the placement to the selected solver strategy (greedy by default)
+     * 
+     * Progress is reported to options.onProgress as { phase, placed, total, fraction, improved }, where phase is
+     * 'solving' or 'optimizing', placed the number of courses placed so far, fraction the completion of the
+     * phase (0 to 1) and improved whether the schedule currently holds the best result found so far, so a copy
+     * of it (see getPlacements()) can be kept in case solving is cancelled.
+     * 
+     * @param {string} strategy - The solver strategy to use (see SOLVER_STRATEGIES)
+     * A seed shuffles the courses before solving (the solvers keep this order among courses of equal priority)
+     * and drives the optimiser, so each seed gives a different schedule, which is the same every time as long
+     * as the time budget is not reached.
+     * 
+     * @param {Object} options - Solving options
+     * @param {Function} options.onProgress - Called with the progress of the solver and the optimiser
+     * @param {number} options.seed - Seed for the course order and the optimiser (by default neither is seeded)
+     * @return {Object} { scheduledCount, totalCourses, kept } where kept is the number of courses that kept
+     *                  their previous placement in minimal change mode (null when the mode is off)
+     */
+    solve(strategy = this.solverStrategy, options = {}) {
+        const totalCourses = this.courses.length;
+        const report = (phase, improved, fraction = null) => {
+            if (options.onProgress) {
+                const placed = this.courses.filter(course => course.scheduled).length;
+                options.onProgress({
+                    phase,
+                    placed,
+                    total: totalCourses,
+                    fraction: fraction !== null ? fraction : (totalCourses > 0 ? placed / totalCourses : 1),
+                    improved
+                });
+            }
+        };
+
+        // STEP 1: Reset the scheduling state, keeping locked sessions in place
+        // In minimal change mode, courses go back to their previous placement where it still fits
+        const previous = this.minimalChange
+            ? new Map(this.courses.map(course => [course, course.scheduledSlots.map(slot => ({ ...slot }))]))
+            : null;
+        this.resetSchedule();
+        const kept = previous ? this.keepPlacements(previous) : new Set();
+        this.courses.filter(course => !course.scheduled).forEach(course => {
+            course.relaxedSpacing = []; // Courses placed again must first try to honour all of their spacing rules
+        });
+        report('solving', true);
+
+        // STEP 2: Run the selected solver on the courses that are not placed yet
+        const random = options.seed !== undefined ? createSeededRandom(options.seed) : null;
+        const solverOptions = random ? { ...this.solverOptions, random } : this.solverOptions;
+        if (random) {
+            for (let i = this.courses.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [this.courses[i], this.courses[j]] = [this.courses[j], this.courses[i]];
+            }
+        }
+        const solver = createSolver(strategy, solverOptions);
+        const startTime = Date.now();
+        const stats = solver.solve(this, improved => report('solving', improved));
+        
+        // STEP 3: Improve the soft-constraint score with simulated annealing
+        // (sessions kept in minimal change mode are not moved)
+        this.optimizationResult = null;
+        if (this.optimizeSchedule) {
+            const optimizer = new SimulatedAnnealing(this.scorer, solverOptions);
+            this.optimizationResult = optimizer.optimize(this, kept,
+                (improved, fraction) => report('optimizing', improved, fraction));
+        }
+        
+        // STEP 4: Record the result so the strategies can be compared
+        const scheduledCount = this.courses.filter(course => course.scheduled).length;
+        this.solverResults[strategy] = {
+            ...stats,
+            scheduledCount,
+            totalCourses,
+            score: this.scorer.evaluate(this).total,
+            elapsedMs: Date.now() - startTime
+        };
+
+        this.notifyChange('Generate the schedule');
+        return { scheduledCount, totalCourses, kept: previous ? kept.size : null };
+    }
+
+    /**
+     * Apply edited fields to a course
+     * The course keeps its time slots and rooms if every session still fits its new requirements;
+     * otherwise it is unscheduled. Other courses are never moved, and rules follow a renamed course.
+     * 
+     * @param {Course} course - The course to edit
+     * @param {Object} fields - The course's new name, code, instructor, components, preferredDays, consistentRoom,
+     *                          building, floor, room, cohorts, enrollment, roomType, equipment and spacing
+     * @return {Object} { conflict, requirementsChanged } where conflict says why the course lost its placement
+     *                  (null if it kept it or was not scheduled) and requirementsChanged whether anything
+     *                  but the name and code changed
+     */
+    updateCourse(course, fields) {
+        const requirements = source => JSON.stringify(Object.keys(fields)
+            .filter(key => key !== 'name' && key !== 'code')
+            .map(key => source[key]));
+        const requirementsChanged = requirements(course) !== requirements(fields);
+        const previous = course.scheduled ? course.scheduledSlots : [];
+        const previousCode = course.code;
+        const spacingChanged = fields.spacing && JSON.stringify(fields.spacing) !== JSON.stringify(course.spacing);
+        
+        this.unscheduleCourse(course);
+        Object.assign(course, fields);
+        if (spacingChanged) {
+            course.relaxedSpacing = []; // The sessions must follow the new spacing rules
+        }
+        
+        // Rules follow a renamed course, unless another course still has its old code
+        if (course.code !== previousCode && !this.courses.some(other => other.code === previousCode)) {
+            this.courseRules.forEach(rule => {
+                ['course', 'other'].forEach(key => {
+                    if (rule[key] === previousCode) {
+                        rule[key] = course.code;
+                    }
+                });
+            });
+        }
+        this.registerInstructor(course.instructor);
+        if (previous.length === 0) {
+            course.unscheduledReason = null; // The reason may no longer apply
+            return { conflict: null, requirementsChanged };
+        }
+        
+        const conflict = this.restoreSessions(course, previous);
+        course.unscheduledReason = conflict;
+        return { conflict, requirementsChanged };
+    }
+
+    /**
+     * Put an unscheduled course back in given time slots and rooms, as long as the sessions still match
+     * the course's sessions and every constraint
+     * 
+     * @param {Course} course - The course, without scheduled sessions
+     * @param {Array<Object>} slots - The sessions to restore ({ day, timeIndex, building, floor, room, component })
+     * @return {string|null} Why the sessions could not be restored (the course is then left unscheduled), or null
+     */
+    restoreSessions(course, slots) {
+        const components = sessions => sessions.map(session => session.component || 0).sort().join();
+        let conflict = components(slots) !== components(course.sessions)
+            ? `The sessions of ${course.code} changed`
+            : this.getWeeklyLoadConflict(course);
+        for (const slot of slots) {
+            if (conflict) {
+                break;
+            }
+            conflict = this.getPlacementConflict(course, slot, slot);
+            if (!conflict) {
+                course.scheduledSlots.push(slot);
+                this.occupyRoom(course, slot);
+            }
+        }
+        
+        if (conflict) {
+            this.unscheduleCourse(course);
+        } else {
+            course.scheduled = true;
+            course.syncScheduledRooms();
+        }
+        return conflict;
+    }
+
+    /**
+     * Place a single course again against the current timetable, leaving every other course where it is
+     * Locked sessions of the course stay in place
+     * 
+     * @param {Course} course - The course to place
+     * @return {boolean} True if the course was placed
+     */
+    replaceCourse(course) {
+        this.unscheduleCourse(course, true);
+        return this.scheduleCourse(course);
+    }
+
+    /**
+     * Remove a course from the schedule
+     * Also frees up its rooms
+     * 
+     * @param {number} index - The index of the course in the courses array
+     */
+    removeCourse(index) {
+        const course = this.courses[index];
+        
+        // Free up its slots, including the locked sessions of a course that could not be placed
+        this.unscheduleCourse(course);
+        
+        // Remove the course from the list
+        this.courses.splice(index, 1);
+        this.notifyChange(`Remove ${course.code}`);
+    }
+
+    /**
+     * Clear the entire schedule
+     * Removes every course and resets all data structures
+     */
+    clearSchedule() {
+        this.courses = [];
+        this.grid = this.initializeGrid();
+        this.rooms = this.initializeRooms();
+        this.solverResults = {};
+        this.optimizationResult = null;
+        this.scenarios = [];
+        this.courseRules = [];
+        this.notifyChange('Clear all courses');
+    }
+}
+
+// Export the engine, and the modules it builds on, to Node (in the browser everything above is global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ...require('./building.js'),
+        ...require('./time-grid.js'),
+        ...require('./solvers.js'),
+        ...require('./optimizer.js'),
+        ...require('./course-rules.js'),
+        createSessionComponent,
+        SPACING_RULES,
+        TIME_BANDS,
+        createSpacing,
+        validateSpacing,
+        Course,
+        Instructor,
+        getRequiredDayCount,
+        validateCourseFields,
+        validateSessionComponents,
+        createSeededRandom,
+        parseList,
+        Scheduler
+    };
+}
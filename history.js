@@ -0,0 +1,138 @@
+/**
+ * Undo/redo history for the Course Schedule Optimizer
+ *
+ * The history is a bounded list of project snapshots (see serializeProject() in storage.js), one per
+ * change: adding, editing or removing courses, generating, moving or locking sessions, imports and
+ * setting changes. Undoing loads the previous snapshot back into the schedule. The timetable view and
+ * cohort filter only change what is shown, so they are left out of the snapshots and never undone.
+ */
+
+/**
+ * Default number of changes that can be undone
+ */
+const HISTORY_LIMIT = 50;
+
+/**
+ * Bounded list of project snapshots with a cursor on the current one
+ */
+class ProjectHistory {
+    /**
+     * Create a history
+     * @param {number} limit - Maximum number of changes that can be undone
+     */
+    constructor(limit = HISTORY_LIMIT) {
+        this.limit = limit;
+        this.entries = []; // { state, description } where state is the snapshot as a JSON string
+        this.index = -1;
+    }
+
+    /**
+     * Convert a project into the snapshot kept in the history
+     * @param {Object} project - A project returned by serializeProject()
+     * @return {string} The project without its save time and display settings, as JSON
+     */
+    static snapshot(project) {
+        const { savedAt, ...state } = project;
+        const { cohortFilter, timetableView, ...settings } = project.settings;
+        return JSON.stringify({ ...state, settings });
+    }
+
+    /**
+     * Forget all changes and start from a project
+     * @param {Object} project - The current project
+     */
+    reset(project) {
+        this.entries = [{ state: ProjectHistory.snapshot(project), description: null }];
+        this.index = 0;
+    }
+
+    /**
+     * Record the project after a change
+     * Changes that were undone can no longer be redone. Nothing is recorded if the project is unchanged,
+     * e.g. after undoing or when only the display settings changed.
+     *
+     * @param {Object} project - The project after the change
+     * @param {string} description - What changed, shown on the undo and redo buttons
+     * @return {boolean} True if the change was recorded
+     */
+    record(project, description) {
+        const state = ProjectHistory.snapshot(project);
+        if (this.index >= 0 && this.entries[this.index].state === state) {
+            return false;
+        }
+
+        this.entries.splice(this.index + 1);
+        this.entries.push({ state, description });
+        if (this.entries.length > this.limit + 1) {
+            this.entries.shift();
+        }
+        this.index = this.entries.length - 1;
+        return true;
+    }
+
+    /**
+     * Whether there is a change to undo
+     * @return {boolean} True if undo() returns a project
+     */
+    get canUndo() {
+        return this.index > 0;
+    }
+
+    /**
+     * Whether there is an undone change to redo
+     * @return {boolean} True if redo() returns a project
+     */
+    get canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    /**
+     * Description of the change undo() would revert
+     * @return {string|null} The description, or null if there is nothing to undo
+     */
+    get undoDescription() {
+        return this.canUndo ? this.entries[this.index].description : null;
+    }
+
+    /**
+     * Description of the change redo() would apply again
+     * @return {string|null} The description, or null if there is nothing to redo
+     */
+    get redoDescription() {
+        return this.canRedo ? this.entries[this.index + 1].description : null;
+    }
+
+    /**
+     * Step back to the project before the last change
+     * @return {Object|null} { project, description } with the project to load, or null if there is nothing to undo
+     */
+    undo() {
+        if (!this.canUndo) {
+            return null;
+        }
+        const { description } = this.entries[this.index];
+        this.index--;
+        return { project: JSON.parse(this.entries[this.index].state), description };
+    }
+
+    /**
+     * Apply the last undone change again
+     * @return {Object|null} { project, description } with the project to load, or null if there is nothing to redo
+     */
+    redo() {
+        if (!this.canRedo) {
+            return null;
+        }
+        this.index++;
+        const { state, description } = this.entries[this.index];
+        return { project: JSON.parse(state), description };
+    }
+}
+
+// Export to Node (in the browser this file is a classic script and everything above is global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HISTORY_LIMIT,
+        ProjectHistory
+    };
+}
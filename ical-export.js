@@ -0,0 +1,236 @@
+/**
+ * iCalendar (.ics) export of the generated timetable
+ *
+ * Every scheduled session becomes an event that repeats weekly (RRULE) from the first
+ * occurrence of its weekday on or after the semester start until the semester end.
+ * Times are written as floating local times, so calendar apps show them at the same
+ * clock time as the timetable regardless of the user's time zone.
+ */
+
+/**
+ * iCalendar weekday codes
+ */
+const ICAL_WEEKDAYS = {
+    Sunday: 'SU',
+    Monday: 'MO',
+    Tuesday: 'TU',
+    Wednesday: 'WE',
+    Thursday: 'TH',
+    Friday: 'FR',
+    Saturday: 'SA'
+};
+
+/**
+ * Get the start and end of a session from the rows of the time grid
+ *
+ * @param {Schedule} schedule - The schedule the session belongs to
+ * @param {number} timeIndex - The index of the session's first slot
+ * @param {number} duration - Number of slots of the session
+ * @return {Object} { start, end } in minutes since midnight
+ */
+function getSessionTimes(schedule, timeIndex, duration) {
+    const rows = schedule.timeGrid.rows;
+    return { start: rows[timeIndex].start, end: rows[timeIndex + duration - 1].end };
+}
+
+/**
+ * Escape a text value for an iCalendar property
+ * @param {string} text - The value
+ * @return {string} The escaped value
+ */
+function escapeICalText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets of UTF-8, as required by RFC 5545
+ * Lines are only folded between characters, so multi-byte characters are never split
+ *
+ * @param {string} line - The content line
+ * @return {string} The folded line
+ */
+function foldICalLine(line) {
+    const octetsOf = char => {
+        const codePoint = char.codePointAt(0);
+        return codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+    };
+    const parts = [];
+    let part = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = octetsOf(char);
+        if (octets + size > 75) {
+            parts.push(part);
+            part = ' '; // Continuation lines start with a space, which counts towards their 75 octets
+            octets = 1;
+        }
+        part += char;
+        octets += size;
+    }
+    parts.push(part);
+    return parts.join('\r\n');
+}
+
+/**
+ * Format a date (and optionally minutes since midnight) as a floating iCalendar date-time
+ * @param {Date} date - The calendar date
+ * @param {number} minutes - Minutes since midnight
+ * @return {string} e.g. "20250901T080000"
+ */
+function formatICalDateTime(date, minutes) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+        `T${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}00`;
+}
+
+/**
+ * Parse a "YYYY-MM-DD" date as a local date
+ * @param {string} text - The date
+ * @return {Date|null} The date, or null if the text is not a valid date
+ */
+function parseLocalDate(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text || '');
+    if (!match) {
+        return null;
+    }
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return date.getDate() === Number(match[3]) ? date : null;
+}
+
+/**
+ * Check the semester dates used for the recurrence
+ * @param {Object} semester - { start, end } as "YYYY-MM-DD" strings
+ * @return {string|null} The problem, or null if the dates are valid
+ */
+function getSemesterError(semester) {
+    const start = parseLocalDate(semester.start);
+    const end = parseLocalDate(semester.end);
+    if (!start || !end) {
+        return 'Please enter the semester start and end dates!';
+    }
+    if (end < start) {
+        return 'The semester must end after it starts!';
+    }
+    return null;
+}
+
+/**
+ * Get the key that identifies the room of a session
+ * Room names are not unique (rooms on different floors may share a custom name), so rooms are
+ * identified by building, floor and room number like the placements
+ *
+ * @param {Object} location - { building, floor, room }
+ * @return {string} e.g. "AB3|2|5"
+ */
+function getCalendarRoomKey(location) {
+    return `${location.building}|${location.floor}|${location.room}`;
+}
+
+/**
+ * List the calendars that can be exported: the whole building, each instructor and each used room
+ * @param {Schedule} schedule - The schedule to export
+ * @return {Array<Object>} Scopes as { type, value, label }; the value of a room is its key (see getCalendarRoomKey)
+ */
+function getCalendarScopes(schedule) {
+    const scopes = [{ type: 'building', value: '', label: 'Whole building' }];
+    const scheduled = schedule.courses.filter(course => course.scheduled);
+
+    [...new Set(scheduled.map(course => course.instructor))].sort().forEach(instructor => {
+        scopes.push({ type: 'instructor', value: instructor, label: `Instructor: ${instructor}` });
+    });
+
+    // Rooms sharing a name are told apart by their floor
+    const used = new Set(scheduled.flatMap(course => course.scheduledSlots.map(getCalendarRoomKey)));
+    const rooms = schedule.buildings.listRooms()
+        .filter(location => used.has(getCalendarRoomKey(location)))
+        .map(location => ({ location, name: schedule.buildings.getRoomName(location.building, location.floor, location.room) }));
+    rooms.sort((a, b) => a.name.localeCompare(b.name)).forEach(({ location, name }) => {
+        const shared = rooms.filter(other => other.name === name).length > 1;
+        const floor = shared ? ` (${schedule.buildings.getFloorName(location.building, location.floor)})` : '';
+        scopes.push({ type: 'room', value: getCalendarRoomKey(location), label: `Room ${name}${floor}` });
+    });
+    return scopes;
+}
+
+/**
+ * Build an iCalendar file from the scheduled sessions
+ * @param {Schedule} schedule - The schedule to export
+ * @param {Object} options - Export options
+ * @param {Object} options.semester - { start, end } as "YYYY-MM-DD" strings
+ * @param {Object} options.scope - A scope returned by getCalendarScopes() (defaults to the whole building)
+ * @return {string} The calendar, with CRLF line endings
+ */
+function buildICalendar(schedule, options) {
+    const semesterStart = parseLocalDate(options.semester.start);
+    const semesterEnd = parseLocalDate(options.semester.end);
+    const scope = options.scope || { type: 'building', value: '', label: 'Whole building' };
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Course Schedule Optimizer//Timetable//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICalText(`Timetable - ${scope.label}`)}`
+    ];
+
+    schedule.courses.forEach(course => {
+        if (!course.scheduled) return;
+        if (scope.type === 'instructor' && course.instructor !== scope.value) return;
+
+        course.scheduledSlots.forEach(slot => {
+            const location = schedule.buildings.getRoomName(slot.building, slot.floor, slot.room);
+            if (scope.type === 'room' && getCalendarRoomKey(slot) !== scope.value) return;
+
+            // First occurrence: the first matching weekday on or after the semester start
+            const firstDate = new Date(semesterStart);
+            const weekday = Object.keys(ICAL_WEEKDAYS).indexOf(slot.day);
+            firstDate.setDate(firstDate.getDate() + (weekday - firstDate.getDay() + 7) % 7);
+            if (firstDate > semesterEnd) return;
+
+            const { start, end } = getSessionTimes(schedule, slot.timeIndex, course.getDuration(slot));
+            const description = [
+                `Instructor: ${course.instructor}`,
+                `Type: ${course.getComponent(slot).type === 'lab' ? 'Lab' : 'Theory'}`,
+                ...(course.cohorts.length > 0 ? [`Cohorts: ${course.cohorts.join(', ')}`] : [])
+            ].join('\n');
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${escapeICalText(`${course.code}-${slot.day}-${slot.timeIndex}-${getCalendarRoomKey(slot)}`)}@course-schedule-optimizer`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${formatICalDateTime(firstDate, start)}`,
+                `DTEND:${formatICalDateTime(firstDate, end)}`,
+                `RRULE:FREQ=WEEKLY;BYDAY=${ICAL_WEEKDAYS[slot.day]};UNTIL=${formatICalDateTime(semesterEnd, 23 * 60 + 59)}`,
+                `SUMMARY:${escapeICalText(`${course.code} ${course.name}`)}`,
+                `LOCATION:${escapeICalText(`Room ${location}`)}`,
+                `DESCRIPTION:${escapeICalText(description)}`,
+                'END:VEVENT'
+            );
+        });
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICalLine).join('\r\n') + '\r\n';
+}
+
+// Export to Node (in the browser this file is a classic script and everything above is global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ICAL_WEEKDAYS,
+        getSessionTimes,
+        escapeICalText,
+        foldICalLine,
+        formatICalDateTime,
+        parseLocalDate,
+        getSemesterError,
+        getCalendarRoomKey,
+        getCalendarScopes,
+        buildICalendar
+    };
+}
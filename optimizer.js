@@ -0,0 +1,362 @@
+/**
+ * Schedule quality scoring and local-search optimisation
+ *
+ * The solvers only enforce hard constraints. ScheduleScorer measures how well a schedule
+ * meets the soft preferences (lower penalties are better), and SimulatedAnnealing moves
+ * individual sessions around to improve that score without breaking any hard constraint.
+ */
+
+/**
+ * Soft preferences and their default weights
+ * Each violation adds `weight` penalty points to the score
+ */
+const SOFT_CONSTRAINTS = {
+    edgeSlots: {
+        label: 'Sessions in the first or last slot',
+        weight: 2
+    },
+    instructorGaps: {
+        label: 'Instructor idle slots between classes',
+        weight: 1
+    },
+    floorChanges: {
+        label: 'Floor or building changes between back-to-back classes',
+        weight: 1
+    },
+    roomChanges: {
+        label: 'Sessions outside the course\'s main room',
+        weight: 3
+    },
+    courseRules: {
+        label: 'Sessions breaking a preferred course rule',
+        weight: 5
+    }
+};
+
+/**
+ * ScheduleScorer evaluates the soft preferences of a schedule
+ */
+class ScheduleScorer {
+    /**
+     * Create a new ScheduleScorer instance
+     * @param {Object} weights - Optional weight overrides keyed by soft constraint (see SOFT_CONSTRAINTS)
+     */
+    constructor(weights = {}) {
+        this.weights = {};
+        Object.keys(SOFT_CONSTRAINTS).forEach(key => {
+            this.weights[key] = weights[key] !== undefined ? weights[key] : SOFT_CONSTRAINTS[key].weight;
+        });
+    }
+
+    /**
+     * Score a schedule
+     * @param {Schedule} schedule - The schedule to evaluate
+     * @return {Object} { total, breakdown } where breakdown lists { key, label, count, weight, penalty }
+     */
+    evaluate(schedule) {
+        const sessions = this.collectSessions(schedule);
+        const counts = {
+            edgeSlots: this.countEdgeSlots(schedule, sessions),
+            instructorGaps: this.countInstructorGaps(schedule, sessions),
+            floorChanges: this.countFloorChanges(sessions),
+            roomChanges: this.countRoomChanges(schedule),
+            courseRules: countSoftRuleViolations(schedule)
+        };
+
+        const breakdown = Object.keys(SOFT_CONSTRAINTS).map(key => ({
+            key,
+            label: SOFT_CONSTRAINTS[key].label,
+            count: counts[key],
+            weight: this.weights[key],
+            penalty: counts[key] * this.weights[key]
+        }));
+        const total = breakdown.reduce((sum, item) => sum + item.penalty, 0);
+        return { total, breakdown };
+    }
+
+    /**
+     * List every scheduled session with its time range and room
+     * @param {Schedule} schedule - The schedule to read
+     * @return {Array<Object>} Sessions as { course, day, start, end, building, floor, room }
+     */
+    collectSessions(schedule) {
+        const sessions = [];
+        schedule.courses.forEach(course => {
+            if (!course.scheduled) return;
+            course.scheduledSlots.forEach(slot => {
+                sessions.push({
+                    course,
+                    day: slot.day,
+                    start: slot.timeIndex,
+                    end: slot.timeIndex + course.getDuration(slot),
+                    building: slot.building,
+                    floor: slot.floor,
+                    room: slot.room
+                });
+            });
+        });
+        return sessions;
+    }
+
+    /**
+     * Count sessions starting in the first slot or ending in the last slot of the day
+     */
+    countEdgeSlots(schedule, sessions) {
+        const lastSlot = schedule.timeSlots.length;
+        return sessions.filter(session => session.start === 0 || session.end === lastSlot).length;
+    }
+
+    /**
+     * Count the idle teaching slots between an instructor's first and last class of each day
+     * Slots that can never hold classes (blocked periods such as the extra-mural hour) do not count as idle
+     */
+    countInstructorGaps(schedule, sessions) {
+        let gaps = 0;
+        this.groupByDay(sessions, session => [session.course.instructor]).forEach(daySessions => {
+            for (let i = 1; i < daySessions.length; i++) {
+                const previous = daySessions[i - 1];
+                const current = daySessions[i];
+                for (let timeIndex = previous.end; timeIndex < current.start; timeIndex++) {
+                    if (schedule.isTimeSlotAvailable(current.day, timeIndex, 1)) {
+                        gaps++;
+                    }
+                }
+            }
+        });
+        return gaps;
+    }
+
+    /**
+     * Count back-to-back classes on different floors or in different buildings, for instructors and for cohorts
+     */
+    countFloorChanges(sessions) {
+        let changes = 0;
+        const keys = session => [
+            `instructor:${session.course.instructor}`,
+            ...session.course.cohorts.map(cohort => `cohort:${cohort}`)
+        ];
+        this.groupByDay(sessions, keys).forEach(daySessions => {
+            for (let i = 1; i < daySessions.length; i++) {
+                const previous = daySessions[i - 1];
+                const current = daySessions[i];
+                if (current.start === previous.end &&
+                    (current.building !== previous.building || current.floor !== previous.floor)) {
+                    changes++;
+                }
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Count the sessions of consistent-room courses held outside the course's most used room
+     */
+    countRoomChanges(schedule) {
+        let changes = 0;
+        schedule.courses.forEach(course => {
+            if (!course.scheduled || !course.consistentRoom) return;
+            const roomCounts = {};
+            course.scheduledSlots.forEach(slot => {
+                const roomId = `${slot.building}|${slot.floor}|${slot.room}`;
+                roomCounts[roomId] = (roomCounts[roomId] || 0) + 1;
+            });
+            changes += course.scheduledSlots.length - Math.max(...Object.values(roomCounts));
+        });
+        return changes;
+    }
+
+    /**
+     * Group sessions per key and day, each group sorted by start time
+     * @param {Array<Object>} sessions - The sessions to group
+     * @param {Function} keysOf - Returns the group keys of a session (e.g. its instructor)
+     * @return {Array<Array<Object>>} The sorted groups
+     */
+    groupByDay(sessions, keysOf) {
+        const groups = new Map();
+        sessions.forEach(session => {
+            keysOf(session).forEach(key => {
+                const groupKey = `${key}|${session.day}`;
+                if (!groups.has(groupKey)) {
+                    groups.set(groupKey, []);
+                }
+                groups.get(groupKey).push(session);
+            });
+        });
+        return [...groups.values()].map(group => group.sort((a, b) => a.start - b.start));
+    }
+}
+
+/**
+ * SimulatedAnnealing improves the soft score of a solved schedule.
+ * Each step moves one random session to a random time slot and room; moves that break a
+ * hard constraint are rejected by the Schedule, worse moves are accepted with a probability
+ * that decreases as the temperature cools, and the best schedule seen is kept at the end.
+ */
+class SimulatedAnnealing {
+    /**
+     * Create a new SimulatedAnnealing instance
+     * @param {ScheduleScorer} scorer - The scorer to minimise
+     * @param {Object} options - Optimiser options
+     * @param {number} options.iterations - Maximum number of attempted moves
+     * @param {number} options.timeLimitMs - Time budget in milliseconds
+     * @param {number} options.initialTemperature - Starting temperature
+     * @param {number} options.coolingRate - Factor applied to the temperature after every step
+     * @param {Function} options.random - Random number generator returning values in [0, 1)
+     */
+    constructor(scorer, options = {}) {
+        this.scorer = scorer;
+        this.iterations = options.iterations || 5000;
+        this.timeLimitMs = options.timeLimitMs || 5000;
+        this.initialTemperature = options.initialTemperature || 10;
+        this.coolingRate = options.coolingRate || 0.999;
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * Optimise the schedule in place
+     * Locked sessions and the sessions of fixed courses are never moved
+     * 
+     * @param {Schedule} schedule - A solved schedule
+     * @param {Set<Course>} fixedCourses - Courses whose sessions must stay where they are
+     * @param {Function} onProgress - Called with (improved, fraction) when the score improves and every 100
+     *                                iterations, where fraction is the share of the iterations or time budget used
+     * @return {Object} { initialScore, finalScore, acceptedMoves, iterations }
+     */
+    optimize(schedule, fixedCourses = new Set(), onProgress = () => {}) {
+        const startTime = Date.now();
+        const deadline = startTime + this.timeLimitMs;
+        const fraction = iteration => Math.min(1, Math.max(iteration / this.iterations, (Date.now() - startTime) / this.timeLimitMs));
+        const courses = schedule.courses.filter(course => course.scheduled && course.scheduledSlots.length > 0);
+        
+        // Sessions keep their index in scheduledSlots when they are moved
+        const movable = courses
+            .filter(course => !fixedCourses.has(course))
+            .flatMap(course => course.scheduledSlots
+                .flatMap((slot, sessionIndex) => slot.locked ? [] : [{ course, sessionIndex }]));
+
+        let currentScore = this.scorer.evaluate(schedule).total;
+        const initialScore = currentScore;
+        let bestScore = currentScore;
+        let bestPlacements = this.savePlacements(courses);
+        let temperature = this.initialTemperature;
+        let acceptedMoves = 0;
+        let iteration = 0;
+        onProgress(true, 0);
+
+        for (; iteration < this.iterations && movable.length > 0 && Date.now() < deadline; iteration++) {
+            temperature *= this.coolingRate;
+            if (iteration % 100 === 0) {
+                onProgress(false, fraction(iteration));
+            }
+
+            // Pick a random session and a random destination for it
+            const { course, sessionIndex } = movable[Math.floor(this.random() * movable.length)];
+            const original = { ...course.scheduledSlots[sessionIndex] };
+            const target = this.randomTarget(schedule, course, original);
+            if (!target || schedule.moveSession(course, sessionIndex, target)) {
+                continue; // The move would break a hard constraint
+            }
+
+            // Accept improvements always and deteriorations with the Metropolis probability
+            const score = this.scorer.evaluate(schedule).total;
+            const delta = score - currentScore;
+            if (delta <= 0 || this.random() < Math.exp(-delta / temperature)) {
+                currentScore = score;
+                acceptedMoves++;
+                if (score < bestScore) {
+                    bestScore = score;
+                    bestPlacements = this.savePlacements(courses);
+                    onProgress(true, fraction(iteration));
+                }
+            } else {
+                schedule.moveSession(course, sessionIndex, original);
+            }
+        }
+
+        // Return to the best schedule seen during the search
+        if (currentScore > bestScore) {
+            this.restorePlacements(schedule, bestPlacements);
+        }
+        onProgress(true, 1);
+
+        return {
+            initialScore,
+            finalScore: bestScore,
+            acceptedMoves,
+            iterations: iteration
+        };
+    }
+
+    /**
+     * Pick a random time slot and room for a session of a course
+     * Consistent-room courses try their main room half of the time
+     *
+     * @param {Schedule} schedule - The schedule being optimised
+     * @param {Course} course - The course of the session
+     * @param {Object} slot - The session to move (its length and room requirements follow its component)
+     * @return {Object|null} A { day, timeIndex, building, floor, room } target, or null if none was found
+     */
+    randomTarget(schedule, course, slot) {
+        const duration = course.getDuration(slot);
+        const days = course.preferredDays.length > 0 ? course.preferredDays : schedule.days;
+        const day = days[Math.floor(this.random() * days.length)];
+        const timeIndex = Math.floor(this.random() * schedule.timeSlots.length);
+        if (!schedule.isTimeSlotAvailable(day, timeIndex, duration)) {
+            return null;
+        }
+
+        const mainRoom = Object.values(course.scheduledRooms)[0];
+        if (course.consistentRoom && mainRoom && this.random() < 0.5) {
+            return { day, timeIndex, building: mainRoom.building, floor: mainRoom.floor, room: mainRoom.room };
+        }
+
+        // Pick a random floor of the requested (or a random) building, then a free room on it that seats the class
+        const buildings = course.building ? [course.building] : Object.keys(schedule.rooms);
+        const building = buildings[Math.floor(this.random() * buildings.length)];
+        const floors = Object.keys(schedule.rooms[building] || {})
+            .map(Number)
+            .filter(floor => !course.floor || floor === course.floor);
+        if (floors.length === 0) {
+            return null;
+        }
+        const floor = floors[Math.floor(this.random() * floors.length)];
+        const rooms = Object.keys(schedule.rooms[building][floor])
+            .map(Number)
+            .filter(room => schedule.roomFits(course, building, floor, room, slot.component) &&
+                schedule.isRoomAvailable(building, floor, room, day, timeIndex, duration));
+        if (rooms.length === 0) {
+            return null;
+        }
+        return { day, timeIndex, building, floor, room: rooms[Math.floor(this.random() * rooms.length)] };
+    }
+
+    /**
+     * Copy the scheduled slots of the given courses
+     * @param {Array<Course>} courses - The courses to save
+     * @return {Map<Course, Array<Object>>} Saved slots per course
+     */
+    savePlacements(courses) {
+        return new Map(courses.map(course => [course, course.scheduledSlots.map(slot => ({ ...slot }))]));
+    }
+
+    /**
+     * Put saved slots back into the schedule
+     * @param {Schedule} schedule - The schedule being optimised
+     * @param {Map<Course, Array<Object>>} placements - Slots saved by savePlacements()
+     */
+    restorePlacements(schedule, placements) {
+        placements.forEach((slots, course) => {
+            course.scheduledSlots = slots.map(slot => ({ ...slot }));
+        });
+        schedule.rebuildGrid();
+    }
+}
+
+// Export to Node (in the browser this file is a classic script and everything above is global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SOFT_CONSTRAINTS,
+        ScheduleScorer,
+        SimulatedAnnealing
+    };
+}
@@ -0,0 +1,231 @@
+/**
+ * Scenarios: named alternative schedules of a project
+ *
+ * A scenario records where every course was placed, the solver strategy and seed that produced it and
+ * metrics describing it at the time. Candidate scenarios are generated by solving copies of the project with
+ * different seeds (see Scheduler.solve()), so they differ in the order in which courses of equal priority are
+ * placed and in the moves of the optimiser; the current schedule is not changed. Scenarios refer to courses
+ * by code, so they can be compared session by session and applied to the project after it was edited, as
+ * far as its current constraints allow.
+ */
+
+// In Node, load the engine, the project format and the analytics (the browser loads them first, see index.html)
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./engine.js'), require('./storage.js'), require('./analytics.js'));
+}
+
+/**
+ * Default number of candidate schedules generated at once
+ */
+const DEFAULT_CANDIDATE_COUNT = 3;
+
+/**
+ * Measure a schedule for the scenario comparison
+ * Room utilisation is computed as in the analytics (see analytics.js)
+ *
+ * @param {Scheduler} schedule - The schedule to measure
+ * @return {Object} { placed, total, roomUtilisation, earlyLateSessions, instructorGaps, score }
+ */
+function measureSchedule(schedule) {
+    const { total, breakdown } = schedule.scorer.evaluate(schedule);
+    const count = key => breakdown.find(item => item.key === key).count;
+
+    return {
+        placed: schedule.courses.filter(course => course.scheduled).length,
+        total: schedule.courses.length,
+        roomUtilisation: buildAnalytics(schedule).utilisation,
+        earlyLateSessions: count('edgeSlots'),
+        instructorGaps: count('instructorGaps'),
+        score: total
+    };
+}
+
+/**
+ * Record the current placement of every course as a scenario
+ *
+ * @param {Scheduler} schedule - The schedule to record
+ * @param {string} name - The name of the scenario
+ * @param {Object} details - { strategy, seed } that produced the schedule, if known
+ * @return {Object} The scenario
+ */
+function createScenario(schedule, name, details = {}) {
+    return {
+        name,
+        strategy: details.strategy || null,
+        seed: details.seed !== undefined ? details.seed : null,
+        createdAt: new Date().toISOString(),
+        metrics: measureSchedule(schedule),
+        courses: schedule.courses.map(course => ({
+            code: course.code,
+            scheduled: course.scheduled,
+            unscheduledReason: course.unscheduledReason,
+            relaxedSpacing: [...course.relaxedSpacing],
+            scheduledSlots: course.scheduledSlots.map(slot => ({ ...slot }))
+        }))
+    };
+}
+
+/**
+ * Solve a copy of a schedule with a seed and record the result as a scenario
+ *
+ * @param {Scheduler} schedule - The schedule to copy (it is not changed)
+ * @param {string} name - The name of the scenario
+ * @param {string} strategy - The solver strategy to use (see SOLVER_STRATEGIES)
+ * @param {number} seed - The seed of the candidate
+ * @return {Object} The scenario
+ */
+function generateScenario(schedule, name, strategy, seed) {
+    const copy = new Scheduler();
+    loadProject(copy, JSON.parse(JSON.stringify(serializeProject(schedule))));
+    copy.solve(strategy, { seed });
+    return createScenario(copy, name, { strategy, seed });
+}
+
+/**
+ * Generate candidate scenarios with consecutive seeds, leaving out candidates identical to an earlier one
+ *
+ * @param {Scheduler} schedule - The schedule to copy (it is not changed)
+ * @param {number} count - The number of candidates to generate
+ * @param {Object} options - { strategy, firstSeed } (by default the schedule's strategy and a random seed)
+ * @return {Array<Object>} The distinct candidates, named "Candidate 1", "Candidate 2", ... after the existing scenarios
+ */
+function generateScenarios(schedule, count = DEFAULT_CANDIDATE_COUNT, options = {}) {
+    const strategy = options.strategy || schedule.solverStrategy;
+    const firstSeed = options.firstSeed !== undefined ? options.firstSeed : Math.floor(Math.random() * 1000000);
+    const candidates = [];
+    for (let i = 0; i < count; i++) {
+        candidates.push(generateScenario(schedule, '', strategy, firstSeed + i));
+    }
+    return nameCandidates(schedule.scenarios, candidates);
+}
+
+/**
+ * Drop candidates identical to an existing scenario or an earlier candidate and name the others after the existing scenarios
+ *
+ * @param {Array<Object>} scenarios - The existing scenarios
+ * @param {Array<Object>} candidates - The generated candidates
+ * @return {Array<Object>} The distinct candidates, named "Candidate N"
+ */
+function nameCandidates(scenarios, candidates) {
+    const distinct = candidates.filter((candidate, index) =>
+        ![...scenarios, ...candidates.slice(0, index)].some(earlier => diffScenarios(earlier, candidate).moved.length === 0));
+    const names = new Set(scenarios.map(scenario => scenario.name));
+    let number = 1;
+    distinct.forEach(candidate => {
+        while (names.has(`Candidate ${number}`)) {
+            number++;
+        }
+        candidate.name = `Candidate ${number}`;
+        names.add(candidate.name);
+    });
+    return distinct;
+}
+
+/**
+ * Pair each course with its entry in a scenario
+ * Courses are matched by code; when several courses share a code, they are matched in order
+ *
+ * @param {Array<Object>} courses - Courses (or scenario entries) with a code
+ * @param {Array<Object>} entries - The course entries of a scenario
+ * @return {Map<Object, Object|null>} The entry of each course (null if the scenario does not have it)
+ */
+function matchScenarioCourses(courses, entries) {
+    const byCode = new Map();
+    entries.forEach(entry => {
+        if (!byCode.has(entry.code)) {
+            byCode.set(entry.code, []);
+        }
+        byCode.get(entry.code).push(entry);
+    });
+    return new Map(courses.map(course => [course, (byCode.get(course.code) || []).shift() || null]));
+}
+
+/**
+ * List the sessions that moved between two scenarios
+ * Sessions held at the same time in the same room in both are unchanged; the other sessions of a course
+ * are paired in order with a session of the same kind (from or to is null for a session only one of them holds)
+ *
+ * @param {Object} first - The scenario to compare from
+ * @param {Object} second - The scenario to compare with
+ * @return {Object} { moved, unchanged } where moved lists { code, from, to } and unchanged counts sessions
+ */
+function diffScenarios(first, second) {
+    const key = slot => [slot.day, slot.timeIndex, slot.building, slot.floor, slot.room, slot.component || 0].join('|');
+    const pairs = [...matchScenarioCourses(first.courses, second.courses)];
+    const matched = new Set(pairs.map(([, entry]) => entry));
+    second.courses.filter(entry => !matched.has(entry)).forEach(entry => pairs.push([{ code: entry.code, scheduledSlots: [] }, entry]));
+
+    const moved = [];
+    let unchanged = 0;
+    pairs.forEach(([from, to]) => {
+        const remaining = to ? [...to.scheduledSlots] : [];
+        const left = from.scheduledSlots.filter(slot => {
+            const index = remaining.findIndex(other => key(other) === key(slot));
+            if (index === -1) {
+                return true;
+            }
+            remaining.splice(index, 1);
+            unchanged++;
+            return false;
+        });
+
+        left.forEach(slot => {
+            const index = remaining.findIndex(other => (other.component || 0) === (slot.component || 0));
+            moved.push({ code: from.code, from: slot, to: index === -1 ? null : remaining.splice(index, 1)[0] });
+        });
+        remaining.forEach(slot => moved.push({ code: from.code, from: null, to: slot }));
+    });
+    return { moved, unchanged };
+}
+
+/**
+ * Place the courses of a schedule as in a scenario
+ * Every course loses its current placement; a course is only put back if its sessions in the scenario still
+ * satisfy every constraint of the project, and is left unscheduled with the reason otherwise
+ *
+ * @param {Scheduler} schedule - The schedule to change
+ * @param {Object} scenario - The scenario to apply
+ * @return {number} The number of courses that could not be placed as in the scenario
+ */
+function applyScenario(schedule, scenario) {
+    const entries = matchScenarioCourses(schedule.courses, scenario.courses);
+    schedule.courses.forEach(course => schedule.unscheduleCourse(course));
+
+    let conflicts = 0;
+    schedule.courses.forEach(course => {
+        const entry = entries.get(course);
+        if (!entry) {
+            course.unscheduledReason = `${course.code} is not part of scenario "${scenario.name}"`;
+            return;
+        }
+        if (!entry.scheduled) {
+            course.unscheduledReason = entry.unscheduledReason || null;
+            return;
+        }
+
+        // The spacing rules relaxed to place the course in the scenario stay relaxed
+        const slots = entry.scheduledSlots.map(slot => ({ ...slot, timeSlot: schedule.timeSlots[slot.timeIndex] }));
+        course.relaxedSpacing = (entry.relaxedSpacing || []).filter(key => course.spacingRules.includes(key));
+        const conflict = schedule.restoreSessions(course, slots);
+        course.unscheduledReason = conflict ? `Could not be placed as in scenario "${scenario.name}": ${conflict}` : null;
+        if (conflict) {
+            conflicts++;
+        }
+    });
+    return conflicts;
+}
+
+// Export to Node (in the browser this file is a classic script and everything above is global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_CANDIDATE_COUNT,
+        measureSchedule,
+        createScenario,
+        generateScenario,
+        generateScenarios,
+        nameCandidates,
+        matchScenarioCourses,
+        diffScenarios,
+        applyScenario
+    };
+}
@@ -4,644 +4,404 @@
  * This application implements a greedy scheduling algorithm to generate optimal timetables
  * for educational institutions. It handles multiple constraints including room availability,
  * class duration, and special time blocks.
+ * 
+ * This file is the browser UI; the scheduling engine itself is in engine.js.
  */
 
 /**
- * Course class represents an individual course to be scheduled.
- * Each course has properties including name, code, instructor, type (theory/lab),
- * floor, room, and scheduling status.
- */
-class Course {
-    /**
-     * Create a new Course instance
-     * @param {string} name - The full name of the course
-     * @param {string} code - The course code (e.g., CS101)
-     * @param {string} instructor - The name of the instructor teaching the course
-     * @param {string} type - The type of course: 'theory' or 'lab'
-     * @param {number} classesPerWeek - Number of times this course meets per week (1-5)
-     * @param {Array<string>} preferredDays - Preferred days for scheduling (if specified)
-     * @param {boolean} consistentRoom - Whether to use the same room for all classes
-     * @param {number|null} floor - Optional preferred floor (1-7)
-     * @param {number|null} room - Optional preferred room (1-13)
-     */
-    constructor(name, code, instructor, type, classesPerWeek = 3, preferredDays = [], consistentRoom = true, floor = null, room = null) {
-        this.name = name;
-        this.code = code;
-        this.instructor = instructor;
-        this.type = type; // 'theory' or 'lab'
-        this.classesPerWeek = classesPerWeek; // Number of classes per week (1-5)
-        this.preferredDays = preferredDays; // Array of preferred days for scheduling
-        this.consistentRoom = consistentRoom; // Whether to use same room for all classes
-        this.floor = floor;
-        this.room = room;
-        this.scheduled = false; // Indicates if the course has been scheduled
-        this.scheduledSlots = []; // Array to store all scheduled time slots
-        this.scheduledRooms = {}; // Object to track assigned rooms by day
-    }
-
-    /**
-     * Get the duration of the course in time slots
-     * Lab courses take 2 slots, theory courses take 1 slot
-     * @return {number} Number of time slots required for this course
-     */
-    get duration() {
-        return this.type === 'lab' ? 2 : 1;
-    }
-
-    /**
-     * Get a formatted string representation of the room
-     * Format: "floor-room" (e.g., "3-05" for floor 3, room 5)
-     * @param {string} [day] - Optional day parameter, for day-specific room display
-     * @return {string} Formatted room identifier or 'Not assigned'
-     */
-    roomDisplay(day = null) {
-        // If specific day is requested and we have different rooms per day
-        if (day && !this.consistentRoom && this.scheduledRooms[day]) {
-            const roomInfo = this.scheduledRooms[day];
-            return `${roomInfo.floor}-${roomInfo.room.toString().padStart(2, '0')}`;
-        }
-        
-        // Default case - use the main room
-        if (this.floor && this.room) {
-            // Pad room number with leading zero if needed (e.g., 3-05 instead of 3-5)
-            return `${this.floor}-${this.room.toString().padStart(2, '0')}`;
-        }
-        return 'Not assigned';
-    }
-    
-    /**
-     * Get a summary of all rooms used by this course
-     * @return {string} Summary of rooms or 'Not scheduled'
-     */
-    get roomSummary() {
-        if (!this.scheduled) {
-            return 'Not scheduled';
-        }
-        
-        if (this.consistentRoom) {
-            return this.roomDisplay();
-        } else {
-            // Create a summary of different rooms used
-            const rooms = Object.values(this.scheduledRooms);
-            if (rooms.length === 0) {
-                return 'No rooms assigned';
-            }
-            
-            // Count occurrences of each room
-            const roomCounts = {};
-            rooms.forEach(roomInfo => {
-                const roomId = `${roomInfo.floor}-${roomInfo.room.toString().padStart(2, '0')}`;
-                roomCounts[roomId] = (roomCounts[roomId] || 0) + 1;
-            });
-            
-            // Format the summary
-            return Object.entries(roomCounts)
-                .map(([roomId, count]) => `${roomId} (${count}x)`)
-                .join(', ');
-        }
-    }
-    
-    /**
-     * Get formatted list of preferred days
-     * @return {string} Comma-separated list of preferred days
-     */
-    get preferredDaysDisplay() {
-        if (this.preferredDays && this.preferredDays.length > 0) {
-            return this.preferredDays.join(', ');
-        }
-        return 'Auto-assign';
-    }
-}
-
-/**
- * Schedule class manages the overall timetable and scheduling process.
- * It contains the scheduling algorithms and handles UI updates.
+ * Schedule is the browser UI of the scheduling engine (see engine.js).
+ * It renders the course list, the timetable and the settings, and shows notifications.
  */
-class Schedule {
+class Schedule extends Scheduler {
     /**
      * Initialize a new Schedule instance with default parameters
      */
     constructor() {
-        // All available time slots (starting times)
-        this.timeSlots = [
-            '8:00 AM', '8:55 AM', '9:50 AM', '10:45 AM', '11:40 AM', 
-            '12:35 PM', '1:20 PM', '2:00 PM', '2:55 PM', '3:50 PM', 
-            '4:45 PM', '5:40 PM', '6:35 PM'
-        ];
+        super();
         
-        // User-friendly display format for time slots
-        this.displayTimeSlots = [
-            '8:00 - 8:50', '8:55 - 9:45', '9:50 - 10:40', '10:45 - 11:35', '11:40 - 12:30', 
-            '12:35 - 1:15', '1:20 - 2:00', '2:00 - 2:50', '2:55 - 3:45', '3:50 - 4:40', 
-            '4:45 - 5:35', '5:40 - 6:30', '6:35 - 7:20'
-        ];
+        // Cohort shown in the timetable ('' shows the whole building)
+        this.cohortFilter = '';
+        
+        // Timetable view: mode is 'building', 'room', 'instructor' or 'floor',
+        // entity is the room code, instructor name or floor shown ('' shows all of them)
+        this.timetableView = { mode: 'building', entity: '' };
+        
+        // Session being dragged on the timetable ({ course, sessionIndex }), if any
+        this.draggedSession = null;
+        
+        // Building whose rooms are shown in the room editor (null when the editor is closed)
+        this.editingBuilding = null;
+        
+        // Unscheduled course whose diagnostics are shown below the course list (null when closed)
+        this.diagnosedCourse = null;
         
-        // Available days for scheduling (excluding weekends)
-        this.days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+        // Course loaded into the course form for editing (null when adding a course)
+        this.editingCourse = null;
         
-        // Array to store all courses
-        this.courses = [];
+        // Callback invoked with the course to load into the course form when its "Edit" button is clicked
+        this.onEditCourse = null;
         
-        // Initialize the schedule grid (2D structure: day -> time -> course)
-        this.grid = this.initializeGrid();
+        // Worker generating the schedule off the main thread, and the { strategy, startTime, candidates } of its
+        // current solve (candidates collects the scenarios generated so far when candidates are generated)
+        this.backgroundSolver = new BackgroundSolver();
+        this.backgroundSolve = null;
         
-        // Initialize the room availability map (3D structure: floor -> room -> availability)
-        this.rooms = this.initializeRooms();
+        // Scenarios compared below the scenario list ({ first, second } scenario indices or 'current'), if any
+        this.scenarioComparison = null;
     }
 
     /**
-     * Initialize an empty schedule grid
-     * Creates a 2D structure: day -> time -> course (initially null)
-     * @return {Object} A nested object representing the empty schedule grid
+     * Add a course and show it in the course list
+     * @param {Course} course - The course to add
      */
-    initializeGrid() {
-        const grid = {};
-        // For each day, create an object to store each time slot
-        this.days.forEach(day => {
-            grid[day] = {};
-            // Initialize each time slot to null (meaning it's available)
-            this.timeSlots.forEach(time => {
-                grid[day][time] = null;
-            });
-        });
-        return grid;
+    addCourse(course) {
+        super.addCourse(course);
+        this.updateCourseList(); // Update the UI
+        this.updateInstructorList();
+        this.showNotification('Course added successfully!', 'success');
     }
 
     /**
-     * Initialize the room availability data structure
-     * Creates a 3D structure: floor -> room -> availability boolean
-     * @return {Object} A nested object representing room availability
+     * Add several courses at once and show them in the course list
+     * 
+     * @param {Array<Course>} courses - The courses to add
+     * @param {boolean} replace - Whether to replace the current course list instead of appending
      */
-    initializeRooms() {
-        const rooms = {};
-        // For each floor (1-7)
-        for (let floor = 1; floor <= 7; floor++) {
-            rooms[floor] = {};
-            // For each regular room (1-13)
-            for (let room = 1; room <= 13; room++) {
-                rooms[floor][room] = true; // Available
-            }
-            // Rooms 14 and 15 are reserved for teachers and not available for scheduling
-            rooms[floor][14] = false;
-            rooms[floor][15] = false;
-        }
-        return rooms;
+    addCourses(courses, replace = false) {
+        super.addCourses(courses, replace);
+        this.refreshUI();
+        this.showNotification(`${courses.length} course(s) ${replace ? 'imported, replacing the previous list' : 'added'}!`, 'success');
     }
 
     /**
-     * Add a course to the schedule
-     * @param {Course} course - The course to add
+     * Remove an instructor from the registry and the instructor list
+     * 
+     * @param {string} name - The instructor's name
+     * @return {boolean} True if the instructor was removed
      */
-    addCourse(course) {
-        this.courses.push(course);
-        this.updateCourseList(); // Update the UI
-        this.showNotification('Course added successfully!', 'success');
+    removeInstructor(name) {
+        if (!super.removeInstructor(name)) {
+            this.showNotification(`${name} still teaches a course and cannot be removed!`, 'error');
+            return false;
+        }
+        
+        this.updateInstructorList();
+        this.showNotification('Instructor removed successfully!', 'success');
+        return true;
     }
 
     /**
-     * Check if a time slot is available for scheduling
-     * This is a key part of the scheduling algorithm that implements multiple constraints
-     * 
-     * @param {string} day - The day to check
-     * @param {number} timeIndex - The index of the starting time slot
-     * @param {number} duration - The number of consecutive slots needed
-     * @return {boolean} True if all needed slots are available, false otherwise
-     */
-    isTimeSlotAvailable(day, timeIndex, duration) {
-        // CONSTRAINT 1: Extra-mural hour check (1:20 PM - 2:00 PM)
-        // No classes can start during or overlap with the extra-mural hour
-        if (timeIndex === 6 || (timeIndex < 6 && timeIndex + duration > 6)) {
+     * Move a session dropped on the timetable, or tell the user why it cannot go there
+     * @param {Course} course - The course of the session
+     * @param {number} sessionIndex - The index of the session in course.scheduledSlots
+     * @param {string} day - The day it was dropped on
+     * @param {number} timeIndex - The index of the time slot it was dropped on
+     * @param {Object|null} location - The room of the timetable it was dropped on (null for any room)
+     * @return {boolean} True if the session was moved
+     */
+    dropSession(course, sessionIndex, day, timeIndex, location = null) {
+        const { target, conflict } = this.planSessionMove(course, sessionIndex, day, timeIndex, location);
+        if (conflict) {
+            this.showNotification(`${course.code} cannot be moved there: ${conflict}`, 'error');
             return false;
         }
-
-        // CONSTRAINT 2: Check that all consecutive slots are available
-        for (let i = 0; i < duration; i++) {
-            const currentTimeIndex = timeIndex + i;
-            
-            // CONSTRAINT 3: Don't schedule beyond the last available time slot
-            if (currentTimeIndex >= this.timeSlots.length) {
-                return false;
-            }
-            
-            const currentTime = this.timeSlots[currentTimeIndex];
-            
-            // CONSTRAINT 4: Don't double-book a time slot
-            if (this.grid[day][currentTime] !== null) {
-                return false;
-            }
-        }
+        
+        this.moveSession(course, sessionIndex, target);
+        this.updateCourseList();
+        this.updateScoreBreakdown();
+        this.generateTimetable();
+        this.notifyChange(`Move ${course.code}`);
+        this.showNotification(`${course.code} moved to ${day} at ${target.timeSlot} in room ` +
+            `${this.buildings.getRoomName(target.building, target.floor, target.room)}`, 'success');
         return true;
     }
 
     /**
-     * Find an available room to assign to a course
-     * Uses a greedy approach to search for the first available room
+     * Lock or unlock a whole course or one of its sessions and show the result
      * 
-     * @param {number|null} floor - Optional preferred floor
-     * @param {Course} course - The course to find a room for
-     * @param {string} day - The day for which we're finding a room
-     * @return {Object|null} An object with floor and room, or null if no room is available
-     */
-    findAvailableRoom(floor = null, course = null, day = null) {
-        // If course prefers consistent room and already has room assignments, try to use the same room
-        if (course && course.consistentRoom && Object.keys(course.scheduledRooms).length > 0) {
-            // Get the first assigned room and try to use it
-            const firstRoom = Object.values(course.scheduledRooms)[0];
-            
-            if (this.rooms[firstRoom.floor][firstRoom.room]) {
-                return firstRoom;
-            }
-        }
-
-        // STRATEGY 1: If a specific floor is requested, try to find a room on that floor first
-        if (floor) {
-            for (let room = 1; room <= 13; room++) {
-                if (this.rooms[floor][room]) {
-                    return { floor, room };
-                }
-            }
-            return null; // No available rooms on the requested floor
-        }
-
-        // STRATEGY 2: If no specific floor or no rooms on preferred floor, find any available room
-        // This is a greedy approach searching floors from bottom to top
-        for (let floor = 1; floor <= 7; floor++) {
-            for (let room = 1; room <= 13; room++) {
-                if (this.rooms[floor][room]) {
-                    return { floor, room };
-                }
-            }
-        }
-        return null; // No available rooms in the entire building
+     * @param {Course} course - The course
+     * @param {Object|null} slot - The session to lock or unlock, or null for the whole course
+     */
+    toggleLock(course, slot = null) {
+        const locked = super.toggleLock(course, slot);
+        this.updateCourseList();
+        this.generateTimetable();
+        
+        const sessions = slot ? `${course.code} on ${slot.day}` : `All sessions of ${course.code}`;
+        this.showNotification(`${sessions} ${locked ? 'locked' : 'unlocked'}`, 'success');
     }
 
     /**
-     * Find available time slots for a course that needs multiple classes per week
-     * Uses a distribution strategy to spread the classes across the week
+     * Generate an optimal schedule for all courses and show it
+     * The schedule is generated in a Web Worker with a progress dialog, or on the main thread
+     * if the browser can't start the worker
      * 
-     * @param {Course} course - The course to find time slots for
-     * @param {number} count - Number of classes needed
-     * @return {Array} Array of available day/time combinations
+     * @param {string} strategy - The solver strategy to use (see SOLVER_STRATEGIES)
      */
-    findAvailableTimeSlots(course, count) {
-        const availableSlots = [];
-        const duration = course.duration;
-        
-        // Use preferred days if specified, otherwise use all days
-        let preferredDays = course.preferredDays && course.preferredDays.length > 0 
-            ? [...course.preferredDays] 
-            : [...this.days];
-            
-        // If specific days were selected but not enough, add more to reach count
-        if (preferredDays.length < count) {
-            const additionalDays = this.days.filter(day => !preferredDays.includes(day));
-            preferredDays = preferredDays.concat(additionalDays.slice(0, count - preferredDays.length));
-        }
-        
-        // Calculate ideal spacing between classes (if no specific days selected)
-        const idealGap = Math.floor(preferredDays.length / count);
-        
-        // Order days optimally for distribution
-        const orderedDays = [];
-        if (course.preferredDays && course.preferredDays.length > 0) {
-            // If preferred days are specified, use them in the provided order
-            orderedDays.push(...preferredDays);
-        } else {
-            // Otherwise, distribute evenly 
-            for (let i = 0; i < count; i++) {
-                const dayIndex = (i * idealGap) % preferredDays.length;
-                orderedDays.push(preferredDays[dayIndex]);
-            }
+    generateOptimalSchedule(strategy = this.solverStrategy) {
+        // Validate that we have courses to schedule
+        if (this.courses.length === 0) {
+            this.showNotification('Please add courses before generating a schedule!', 'warning');
+            return;
         }
-        
-        // First try the ordered days
-        for (const day of orderedDays) {
-            if (availableSlots.length >= count) break;
-            
-            // Search all time slots on this day
-            for (let i = 0; i < this.timeSlots.length; i++) {
-                if (this.isTimeSlotAvailable(day, i, duration)) {
-                    availableSlots.push({
-                        day,
-                        timeSlot: this.timeSlots[i],
-                        timeIndex: i
-                    });
-                    break; // Found a slot for this day
-                }
-            }
+        if (this.backgroundSolver.running) {
+            return;
         }
-        
-        // If we still need more slots and user didn't specify preferred days,
-        // try additional time slots on days we already have
-        if (availableSlots.length < count && (!course.preferredDays || course.preferredDays.length === 0)) {
-            // Get days we've already scheduled at least one class
-            const usedDays = availableSlots.map(slot => slot.day);
-            
-            for (const day of usedDays) {
-                if (availableSlots.length >= count) break;
-                
-                // Find slots we haven't checked on this day (skip the one we already used)
-                const usedTimeIndex = availableSlots.find(slot => slot.day === day).timeIndex;
-                
-                // Check time slots after the one we already used
-                for (let i = usedTimeIndex + duration; i < this.timeSlots.length; i++) {
-                    if (availableSlots.length >= count) break;
-                    
-                    if (this.isTimeSlotAvailable(day, i, duration)) {
-                        availableSlots.push({
-                            day,
-                            timeSlot: this.timeSlots[i],
-                            timeIndex: i
-                        });
-                        break;
-                    }
-                }
+
+        const project = serializeProject(this);
+        const started = this.backgroundSolver.start(project, strategy, {
+            onProgress: (progress, best) => this.renderSolverProgress(progress, best),
+            onDone: message => this.finishBackgroundSolve(message),
+            onError: () => {
+                // Solve on the main thread instead, e.g. when the worker script could not be loaded
+                this.backgroundSolve = null;
+                this.renderSolverProgress(null);
+                this.showSolveResult(this.solve(strategy));
             }
+        });
+        if (!started) {
+            this.showSolveResult(this.solve(strategy));
+            return;
         }
-        
-        return availableSlots;
+
+        this.backgroundSolve = { strategy, startTime: Date.now() };
+        this.renderSolverProgress({ phase: 'solving', placed: 0, total: this.courses.length, fraction: 0 }, null);
     }
 
     /**
-     * Find the first available time slot for a course
-     * Implements a greedy algorithm to find the earliest possible slot
+     * Check whether the project was edited while the worker was generating the schedule
+     * The placements of the worker refer to the courses by index, so they only apply to the project it solved
      * 
-     * @param {Course} course - The course to find a time slot for
-     * @return {Object|null} An object with day, timeSlot and timeIndex, or null if no slot is available
-     */
-    findAvailableTimeSlot(course) {
-        // STRATEGY: Search all days and all time slots in order
-        // This is a greedy approach prioritizing earlier days and times
-        for (const day of this.days) {
-            for (let i = 0; i < this.timeSlots.length; i++) {
-                if (this.isTimeSlotAvailable(day, i, course.duration)) {
-                    const timeSlot = this.timeSlots[i];
-                    return { day, timeSlot, timeIndex: i };
-                }
-            }
+     * @return {boolean} True if the project changed (a notification then says the result was discarded)
+     */
+    projectChangedDuringSolve() {
+        if (!this.backgroundSolver.projectChanged(serializeProject(this))) {
+            return false;
         }
-        return null; // No available time slot found
+        this.showNotification('The project was edited while the schedule was being generated, so the result was discarded. ' +
+            'Generate the schedule again.', 'warning');
+        return true;
     }
 
     /**
-     * Check if a specific room is available during a given time period
-     * 
-     * @param {number} floor - The floor number 
-     * @param {number} room - The room number
-     * @param {string} day - The day to check
-     * @param {number} timeIndex - The index of the starting time slot
-     * @param {number} duration - The number of consecutive slots needed
-     * @return {boolean} True if the room is available for the entire period
-     */
-    isRoomAvailable(floor, room, day, timeIndex, duration) {
-        for (let i = 0; i < duration; i++) {
-            const currentTimeIndex = timeIndex + i;
-            // Don't check beyond available time slots
-            if (currentTimeIndex >= this.timeSlots.length) {
-                return false;
-            }
-            
-            const currentTime = this.timeSlots[currentTimeIndex];
-            const courseInSlot = this.grid[day][currentTime];
-            
-            // Check if the room is already occupied at this time
-            if (courseInSlot && courseInSlot.scheduledRooms[day] && 
-                courseInSlot.scheduledRooms[day].floor === floor && 
-                courseInSlot.scheduledRooms[day].room === room) {
-                return false;
-            }
+     * Take over the schedule generated in the worker
+     * @param {Object} message - The worker's { result, solverResult, optimizationResult, placements }
+     */
+    finishBackgroundSolve(message) {
+        const backgroundSolve = this.backgroundSolve;
+        this.backgroundSolve = null;
+        this.renderSolverProgress(null);
+        if (this.projectChangedDuringSolve()) {
+            return;
         }
-        return true; // Room is available for the entire duration
+        
+        const { strategy } = backgroundSolve;
+        this.applyPlacements(message.placements);
+        this.solverResults[strategy] = message.solverResult;
+        this.optimizationResult = message.optimizationResult;
+        this.notifyChange('Generate the schedule');
+        this.showSolveResult(message.result);
     }
 
     /**
-     * Schedule a single class session for a course
-     * 
-     * @param {Course} course - The course to schedule
-     * @param {Object} timeSlotInfo - The time slot information
-     * @param {boolean} useConsistentRoom - Whether to try using the same room for all sessions
-     * @return {boolean} True if successfully scheduled, false otherwise
-     */
-    scheduleClassSession(course, timeSlotInfo, useConsistentRoom) {
-        const { day, timeSlot, timeIndex } = timeSlotInfo;
-        
-        // Handle room assignment
-        let roomAssigned = false;
-        let roomInfo = null;
-        
-        // Try to use consistent room if requested and previously assigned
-        if (useConsistentRoom && course.consistentRoom && Object.keys(course.scheduledRooms).length > 0) {
-            // Use the first assigned room
-            roomInfo = Object.values(course.scheduledRooms)[0];
-            
-            // Check if the room is available at this time
-            if (this.isRoomAvailable(roomInfo.floor, roomInfo.room, day, timeIndex, course.duration)) {
-                roomAssigned = true;
-            }
+     * Stop generating the schedule in the worker and keep the best schedule it found so far
+     * Courses it had not placed yet are left unscheduled
+     */
+    cancelBackgroundSolve() {
+        if (!this.backgroundSolver.running) {
+            return;
         }
-        
-        // Try to use preferred room if specified
-        if (!roomAssigned && course.floor && course.room) {
-            if (this.isRoomAvailable(course.floor, course.room, day, timeIndex, course.duration)) {
-                roomInfo = { floor: course.floor, room: course.room };
-                roomAssigned = true;
-            }
+        const backgroundSolve = this.backgroundSolve;
+        const { strategy, startTime, candidates } = backgroundSolve;
+        const best = this.backgroundSolver.cancel();
+        if (candidates) {
+            this.addCandidates(candidates, true);
+            return;
         }
+        this.backgroundSolve = null;
+        this.renderSolverProgress(null);
         
-        // If no room assigned yet, find an available one
-        if (!roomAssigned) {
-            roomInfo = this.findAvailableRoom(course.floor, course, day);
-            if (!roomInfo) {
-                return false; // No available room found
-            }
+        if (!best) {
+            this.showNotification('Generating the schedule was cancelled; the schedule is unchanged.', 'warning');
+            return;
         }
-        
-        // Assign the course to all required time slots
-        for (let i = 0; i < course.duration; i++) {
-            const currentTimeIndex = timeIndex + i;
-            const currentTime = this.timeSlots[currentTimeIndex];
-            this.grid[day][currentTime] = course;
+        if (this.projectChangedDuringSolve()) {
+            return;
         }
         
-        // Track this time slot in the course's scheduled slots
-        course.scheduledSlots.push({ day, timeSlot, timeIndex });
-        
-        // Store the room assignment for this day
-        course.scheduledRooms[day] = roomInfo;
-        
-        // If this is the first assignment and consistent room is requested, set as main room
-        if (course.consistentRoom && !course.room) {
-            course.floor = roomInfo.floor;
-            course.room = roomInfo.room;
-        }
+        this.applyPlacements(best.placements);
+        this.courses
+            .filter(course => !course.scheduled && !course.unscheduledReason)
+            .forEach(course => {
+                course.unscheduledReason = 'Generating the schedule was cancelled before this course was placed';
+            });
+        const scheduledCount = this.courses.filter(course => course.scheduled).length;
+        this.solverResults[strategy] = {
+            scheduledCount,
+            totalCourses: this.courses.length,
+            score: best.score,
+            elapsedMs: Date.now() - startTime,
+            cancelled: true
+        };
+        this.optimizationResult = null;
+        this.notifyChange('Generate the schedule');
         
-        return true;
+        this.updateCourseList();
+        this.updateSolverResults();
+        this.updateScoreBreakdown();
+        this.generateTimetable();
+        this.showNotification(`Generating the schedule was cancelled. Kept the best schedule found so far: ` +
+            `${scheduledCount} of ${this.courses.length} courses placed.`, 'warning');
     }
 
     /**
-     * Schedule a course using the greedy algorithm
-     * This is the core function that places a course in the schedule
+     * Generate candidate schedules with different seeds and add the distinct ones to the scenarios
+     * The current schedule is not changed. The candidates are generated one after the other in the worker,
+     * or on the main thread if the browser can't start it
      * 
-     * @param {Course} course - The course to schedule
-     * @return {boolean} True if successfully scheduled, false otherwise
+     * @param {number} count - The number of candidates to generate
      */
-    scheduleCourse(course) {
-        // Determine how many class sessions we need to schedule
-        const sessionsNeeded = course.classesPerWeek;
-        
-        // Find available time slots for all sessions
-        const availableSlots = this.findAvailableTimeSlots(course, sessionsNeeded);
-        
-        // If we can't find enough slots, return false
-        if (availableSlots.length < sessionsNeeded) {
-            return false;
+    generateCandidateSchedules(count) {
+        if (this.courses.length === 0) {
+            this.showNotification('Please add courses before generating candidate schedules!', 'warning');
+            return;
+        }
+        if (this.backgroundSolver.running) {
+            return;
         }
         
-        // Reset any previous scheduling data
-        course.scheduledSlots = [];
-        course.scheduledRooms = {};
+        const strategy = this.solverStrategy;
+        const firstSeed = Math.floor(Math.random() * 1000000);
+        const project = serializeProject(this);
+        const candidates = [];
+        this.backgroundSolve = { strategy, startTime: Date.now(), candidates };
         
-        // Schedule each session
-        let allScheduled = true;
-        for (let i = 0; i < sessionsNeeded; i++) {
-            const success = this.scheduleClassSession(
-                course, 
-                availableSlots[i], 
-                i > 0 // Try consistent room after first session
-            );
+        // Without a worker, the remaining candidates are generated on the main thread
+        const generateRest = () => {
+            while (candidates.length < count) {
+                candidates.push(generateScenario(this, '', strategy, firstSeed + candidates.length));
+            }
+            this.addCandidates(candidates);
+        };
+        const generateNext = () => {
+            if (candidates.length === count) {
+                this.addCandidates(candidates);
+                return;
+            }
+            const label = `Candidate ${candidates.length + 1} of ${count}`;
+            const started = this.backgroundSolver.start(project, strategy, {
+                onProgress: (progress, best) => this.renderSolverProgress(progress, best, label),
+                onDone: message => {
+                    candidates.push(message.scenario);
+                    generateNext();
+                },
+                onError: generateRest
+            }, { seed: firstSeed + candidates.length, scenarioName: '' });
             
-            if (!success) {
-                allScheduled = false;
-                break;
+            if (started) {
+                this.renderSolverProgress({ phase: 'solving', placed: 0, total: this.courses.length, fraction: 0 }, null, label);
+            } else {
+                generateRest();
             }
-        }
-        
-        // If all sessions were scheduled, mark course as scheduled
-        if (allScheduled) {
-            course.scheduled = true;
-            return true;
-        } else {
-            // If any session failed, clean up partial schedules
-            this.unscheduleCourse(course);
-            return false;
-        }
+        };
+        generateNext();
     }
 
     /**
-     * Remove a course from all scheduled slots
+     * Add generated candidate schedules to the scenarios, leaving out identical ones
      * 
-     * @param {Course} course - The course to unschedule
-     */
-    unscheduleCourse(course) {
-        // Remove from grid
-        for (const day of this.days) {
-            for (const time of this.timeSlots) {
-                if (this.grid[day][time] === course) {
-                    this.grid[day][time] = null;
-                }
-            }
+     * @param {Array<Object>} candidates - The generated candidates (see scenarios.js)
+     * @param {boolean} cancelled - Whether generating was cancelled before every candidate was generated
+     */
+    addCandidates(candidates, cancelled = false) {
+        this.backgroundSolve = null;
+        this.renderSolverProgress(null);
+        
+        const distinct = nameCandidates(this.scenarios, candidates);
+        if (distinct.length === 0) {
+            this.showNotification('Generating candidate schedules was cancelled.', 'warning');
+            return;
         }
+        this.scenarios.push(...distinct);
+        this.notifyChange(`Generate ${distinct.length} candidate schedule(s)`);
+        this.updateScenarioList();
         
-        // Reset course scheduling data
-        course.scheduled = false;
-        course.scheduledSlots = [];
-        course.scheduledRooms = {};
+        const identical = candidates.length - distinct.length;
+        this.showNotification(`${distinct.length} candidate schedule(s) added to the scenarios` +
+            `${identical > 0 ? ` (${identical} identical candidate(s) left out)` : ''}` +
+            `${cancelled ? ' before generating was cancelled' : ''}.`, cancelled ? 'warning' : 'success');
     }
 
     /**
-     * Generate an optimal schedule for all courses
-     * Implements a greedy algorithm with a specific priority order
+     * Show the progress of the schedule being generated in the worker
+     * 
+     * @param {Object|null} progress - { phase, placed, total, fraction } (see Scheduler.solve()), or null to hide the dialog
+     * @param {Object|null} best - { score } of the best schedule found so far, if any
+     * @param {string} label - What is being generated, when it's not the schedule itself (e.g. "Candidate 2 of 3")
      */
-    generateOptimalSchedule() {
-        // Validate that we have courses to schedule
-        if (this.courses.length === 0) {
-            this.showNotification('Please add courses before generating a schedule!', 'warning');
+    renderSolverProgress(progress, best = null, label = '') {
+        const dialog = document.getElementById('solverProgress');
+        if (!progress) {
+            dialog.classList.remove('visible');
             return;
         }
+        dialog.classList.add('visible');
+        
+        const phase = progress.phase === 'optimizing' ? 'Improving the schedule' : 'Placing courses';
+        document.getElementById('solverProgressBar').value = progress.fraction;
+        document.getElementById('solverProgressStatus').textContent = `${label ? `${label}. ` : ''}${phase}: ` +
+            `${progress.placed} of ${progress.total} courses placed${best ? `, best score so far ${best.score}` : ''}`;
+    }
 
-        // STEP 1: Reset the scheduling state
-        this.rooms = this.initializeRooms();
-        this.grid = this.initializeGrid();
-        this.courses.forEach(course => {
-            this.unscheduleCourse(course);
-        });
-
-        // STEP 2: Sort courses by priority
-        // 1. Lab courses first (they need more time slots)
-        // 2. Then by number of classes per week (more classes = harder to schedule)
-        // 3. Finally by whether they need consistent rooms
-        this.courses.sort((a, b) => {
-            // First priority: Labs before theory
-            if (a.type === 'lab' && b.type !== 'lab') return -1;
-            if (a.type !== 'lab' && b.type === 'lab') return 1;
-            
-            // Second priority: More classes per week first
-            if (a.classesPerWeek > b.classesPerWeek) return -1;
-            if (a.classesPerWeek < b.classesPerWeek) return 1;
-            
-            // Third priority: Courses needing consistent rooms first
-            if (a.consistentRoom && !b.consistentRoom) return -1;
-            if (!a.consistentRoom && b.consistentRoom) return 1;
-            
-            return 0;
-        });
-
-        // STEP 3: Schedule each course using the greedy approach
-        let scheduledCount = 0;
-        let allScheduled = true;
-
-        for (const course of this.courses) {
-            const success = this.scheduleCourse(course);
-            if (success) {
-                scheduledCount++;
-            } else {
-                allScheduled = false;
-            }
-        }
-
-        // STEP 4: Update the UI
+    /**
+     * Show a generated schedule and tell the user how many courses could be placed
+     * @param {Object} result - { scheduledCount, totalCourses, kept } as returned by solve()
+     */
+    showSolveResult({ scheduledCount, totalCourses, kept }) {
+        // Update the UI
         this.updateCourseList();
+        this.updateSolverResults();
+        this.updateScoreBreakdown();
 
-        // STEP 5: Notify user of results
-        if (allScheduled) {
-            this.showNotification(`All ${this.courses.length} courses scheduled successfully!`, 'success');
+        // Notify user of results
+        const keptNote = kept !== null ? ` ${kept} kept their previous placement.` : '';
+        const relaxed = this.courses.filter(course => course.scheduled && course.relaxedSpacing.length > 0).length;
+        if (scheduledCount === totalCourses && relaxed > 0) {
+            this.showNotification(`All ${totalCourses} courses scheduled, ${relaxed} of them with relaxed spacing rules ` +
+                `(see the course list).${keptNote}`, 'warning');
+        } else if (scheduledCount === totalCourses) {
+            this.showNotification(`All ${totalCourses} courses scheduled successfully!${keptNote}`, 'success');
         } else {
-            this.showNotification(`Scheduled ${scheduledCount} of ${this.courses.length} courses. Some could not be scheduled due to constraints.`, 'warning');
+            this.showNotification(`Scheduled ${scheduledCount} of ${totalCourses} courses. Some could not be scheduled due to constraints ` +
+                `(click "Why?" in the course list for details).${keptNote}`, 'warning');
         }
 
-        // STEP 6: Generate the visual timetable
+        // Generate the visual timetable
         this.generateTimetable();
     }
 
     /**
-     * Remove a course from the schedule
-     * Also updates the UI and frees up resources
+     * Remove a course from the schedule and the course list
      * 
      * @param {number} index - The index of the course in the courses array
      */
     removeCourse(index) {
-        const course = this.courses[index];
-        
-        // If the course was scheduled, free up its slots
-        if (course.scheduled) {
-            this.unscheduleCourse(course);
-        }
-        
-        // Remove the course from the list
-        this.courses.splice(index, 1);
+        super.removeCourse(index);
         this.updateCourseList();
+        this.updateInstructorList();
+        this.updateScoreBreakdown();
         this.showNotification('Course removed successfully!', 'success');
     }
 
     /**
-     * Clear the entire schedule
-     * Resets all data structures and updates the UI
+     * Clear the entire schedule and the UI
      */
     clearSchedule() {
-        this.courses = [];
-        this.grid = this.initializeGrid();
-        this.rooms = this.initializeRooms();
+        super.clearSchedule();
         this.updateCourseList();
+        this.updateSolverResults();
+        this.updateScenarioList();
+        this.updateScoreBreakdown();
         
         // Clear the timetable display
         const timetableContainer = document.getElementById('timetable');
@@ -650,6 +410,29 @@ class Schedule {
         this.showNotification('Schedule cleared!', 'success');
     }
 
+    /**
+     * Re-render every part of the UI from the current state
+     * Used after a whole project was loaded
+     */
+    refreshUI() {
+        this.updateTimeGridSettings();
+        this.updateBuildingList();
+        this.renderRoomEditor(null);
+        this.updateCourseList();
+        this.updateInstructorList();
+        this.renderAvailabilityEditor(null);
+        this.updateSolverResults();
+        this.updateScenarioList();
+        this.updateScoreBreakdown();
+        this.updateAnalytics();
+        
+        if (this.courses.some(course => course.scheduled)) {
+            this.generateTimetable();
+        } else {
+            document.getElementById('timetable').innerHTML = '';
+        }
+    }
+
     /**
      * Update the course list display in the UI
      * Creates a table showing all courses and their status
@@ -657,26 +440,69 @@ class Schedule {
     updateCourseList() {
         const courseListBody = document.querySelector('#courseList tbody');
         courseListBody.innerHTML = '';
-        
         this.courses.forEach((course, index) => {
             const row = document.createElement('tr');
             
-            // Name and code cell
+            // Name and code cell, built from text since names and codes can come from imported files
             const nameCell = document.createElement('td');
-            nameCell.innerHTML = `${course.name}<br><span class="course-code">${course.code}</span>`;
+            const codeSpan = document.createElement('span');
+            codeSpan.className = 'course-code';
+            codeSpan.textContent = course.code;
+            nameCell.append(course.name, document.createElement('br'), codeSpan);
+            
+            // Cohorts attending the course
+            if (course.cohorts.length > 0) {
+                const cohortList = document.createElement('div');
+                cohortList.className = 'days-list cohort-list';
+                course.cohorts.forEach(cohort => {
+                    const cohortTag = document.createElement('span');
+                    cohortTag.className = 'day-tag cohort-tag';
+                    cohortTag.textContent = cohort;
+                    cohortList.appendChild(cohortTag);
+                });
+                nameCell.appendChild(cohortList);
+            }
+            
+            // Rules linking the course to other courses, highlighted when the timetable breaks them
+            const rules = this.courseRules.filter(rule => rule.course === course.code || rule.other === course.code);
+            if (rules.length > 0) {
+                const ruleList = document.createElement('div');
+                ruleList.className = 'days-list cohort-list';
+                rules.forEach(rule => {
+                    const ruleTag = document.createElement('span');
+                    ruleTag.className = evaluateCourseRule(this, rule).violations > 0 ? 'day-tag rule-tag rule-broken' : 'day-tag rule-tag';
+                    ruleTag.textContent = describeCourseRule(rule) + (rule.hard ? '' : ' (preferred)');
+                    ruleList.appendChild(ruleTag);
+                });
+                nameCell.appendChild(ruleList);
+            }
             
             // Instructor cell
             const instructorCell = document.createElement('td');
             instructorCell.textContent = course.instructor;
             
-            // Type cell
+            // Type cell, with the room requirements of each kind of session
             const typeCell = document.createElement('td');
-            typeCell.textContent = course.type === 'theory' ? 'Theory' : 'Lab';
+            typeCell.textContent = course.sessionsDisplay;
+            const displays = course.components.map((component, componentIndex) => course.getRoomRequirementsDisplay(componentIndex));
+            const shared = displays.every(display => display === displays[0]);
+            (shared ? displays.slice(0, 1) : displays).forEach((display, componentIndex) => {
+                if (display === 'room') return;
+                const requirements = document.createElement('div');
+                requirements.className = 'course-code';
+                const prefix = shared ? '' : `Session ${componentIndex + 1}: `;
+                requirements.textContent = prefix + display.charAt(0).toUpperCase() + display.slice(1);
+                typeCell.appendChild(requirements);
+            });
             
             // Classes per week cell
             const classesCell = document.createElement('td');
             classesCell.textContent = course.classesPerWeek;
             
+            // Expected enrollment cell
+            const enrollmentCell = document.createElement('td');
+            enrollmentCell.textContent = course.enrollment || '-';
+            
             // Preferred days cell
             const daysCell = document.createElement('td');
             if (course.preferredDays && course.preferredDays.length > 0) {
@@ -693,23 +519,98 @@ class Schedule {
                 daysCell.textContent = 'Auto';
             }
             
+            // Spacing rules between the sessions
+            if (course.spacingRules.length > 0) {
+                const spacing = document.createElement('div');
+                spacing.className = 'course-code';
+                spacing.textContent = course.spacingRules.map(key => course.describeSpacing(key)).join(', ');
+                daysCell.appendChild(spacing);
+            }
+            
             // Room assignment cell
             const roomCell = document.createElement('td');
-            roomCell.textContent = course.scheduled ? course.roomSummary : 'Not scheduled';
+            roomCell.textContent = course.scheduled ? course.getRoomSummary(this.buildings) : 'Not scheduled';
+            
+            // Explain why the scheduler could not place the course
+            if (!course.scheduled && course.unscheduledReason) {
+                const reason = document.createElement('div');
+                reason.className = 'schedule-issue';
+                reason.textContent = course.unscheduledReason;
+                roomCell.appendChild(reason);
+            }
+            
+            // Flag sessions held in rooms that no longer meet the room requirements (a hard violation),
+            // e.g. because the room was made smaller after scheduling
+            course.scheduledSlots.forEach(slot => {
+                const mismatch = this.getRoomMismatch(course, slot.building, slot.floor, slot.room, slot.component);
+                if (mismatch) {
+                    const issue = document.createElement('div');
+                    issue.className = 'schedule-issue';
+                    issue.textContent = `${slot.day}: room ${this.buildings.getRoomName(slot.building, slot.floor, slot.room)} ${mismatch}`;
+                    roomCell.appendChild(issue);
+                }
+            });
+            
+            // Spacing rules the scheduler had to relax to place the course
+            if (course.scheduled && course.relaxedSpacing.length > 0) {
+                const relaxedNote = document.createElement('div');
+                relaxedNote.className = 'spacing-note';
+                relaxedNote.textContent = `Relaxed: ${course.relaxedSpacing.map(key => SPACING_RULES[key]).join(', ')}`;
+                relaxedNote.title = 'The sessions could not be placed while following these spacing rules';
+                roomCell.appendChild(relaxedNote);
+            }
+            
+            // Locked sessions keep their place when the schedule is generated again
+            const lockedCount = course.scheduledSlots.filter(slot => slot.locked).length;
+            if (lockedCount > 0) {
+                const lockNote = document.createElement('div');
+                lockNote.className = 'lock-note';
+                lockNote.textContent = course.locked ? 'Locked' : `${lockedCount} of ${course.classesPerWeek} sessions locked`;
+                roomCell.appendChild(lockNote);
+            }
             
-            // Actions cell with remove button
+            // Actions cell with lock and remove buttons
             const actionsCell = document.createElement('td');
+            if (course.scheduled) {
+                const lockBtn = document.createElement('button');
+                lockBtn.className = 'btn secondary';
+                lockBtn.textContent = course.locked ? 'Unlock' : 'Lock';
+                lockBtn.title = course.locked
+                    ? 'Let the solver move this course again'
+                    : 'Keep every session of this course in place when the schedule is generated again';
+                lockBtn.addEventListener('click', () => this.toggleLock(course));
+                actionsCell.appendChild(lockBtn);
+            }
+            if (!course.scheduled && course.unscheduledReason) {
+                const whyBtn = document.createElement('button');
+                whyBtn.className = 'btn secondary';
+                whyBtn.textContent = 'Why?';
+                whyBtn.title = 'Show which constraints rule out each time slot';
+                whyBtn.addEventListener('click', () => this.renderDiagnostics(course));
+                actionsCell.appendChild(whyBtn);
+            }
+            const editBtn = document.createElement('button');
+            editBtn.className = 'btn secondary';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => this.onEditCourse && this.onEditCourse(course));
+            actionsCell.appendChild(editBtn);
             const removeBtn = document.createElement('button');
             removeBtn.className = 'btn danger';
             removeBtn.textContent = 'Remove';
             removeBtn.addEventListener('click', () => this.removeCourse(index));
             actionsCell.appendChild(removeBtn);
             
+            // Highlight the course being edited in the form
+            if (course === this.editingCourse) {
+                row.className = 'editing';
+            }
+            
             // Add all cells to row
             row.appendChild(nameCell);
             row.appendChild(instructorCell);
             row.appendChild(typeCell);
             row.appendChild(classesCell);
+            row.appendChild(enrollmentCell);
             row.appendChild(daysCell);
             row.appendChild(roomCell);
             row.appendChild(actionsCell);
@@ -717,374 +618,2904 @@ class Schedule {
             // Add row to table
             courseListBody.appendChild(row);
         });
+        
+        this.updateCohortFilter();
+        this.updateCalendarScopes();
+        this.updateRuleList();
+        
+        // Keep the diagnostics up to date, and close them once the course is scheduled or removed
+        const diagnosed = this.diagnosedCourse;
+        this.renderDiagnostics(diagnosed && this.courses.includes(diagnosed) && !diagnosed.scheduled ? diagnosed : null);
     }
 
     /**
-     * Generate the visual timetable display
-     * Creates an HTML table showing the complete weekly schedule
+     * Show why an unscheduled course could not be placed
+     * A grid names the constraint that rules out each day and time slot, followed by the most common
+     * reasons and the relaxations that would let the course fit (see diagnostics.js)
+     * 
+     * @param {Course|null} course - The course to diagnose, or null to close the diagnostics
      */
-    generateTimetable() {
-        const timetableContainer = document.getElementById('timetable');
-        timetableContainer.innerHTML = '';
+    renderDiagnostics(course) {
+        const panel = document.getElementById('diagnosticsPanel');
+        panel.innerHTML = '';
+        this.diagnosedCourse = course;
+        if (!course) {
+            return;
+        }
+        const report = diagnoseCourse(this, course);
         
-        // Create the main table element
-        const table = document.createElement('table');
-        table.className = 'timetable';
+        // Heading with a close button
+        const heading = document.createElement('div');
+        heading.className = 'panel-heading';
+        const title = document.createElement('h3');
+        title.textContent = `Why ${course.code} is not scheduled`;
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn secondary';
+        closeBtn.textContent = 'Close';
+        closeBtn.addEventListener('click', () => this.renderDiagnostics(null));
+        heading.appendChild(title);
+        heading.appendChild(closeBtn);
+        panel.appendChild(heading);
         
-        // STEP 1: Create table header with days of the week
-        const thead = document.createElement('thead');
-        const headerRow = document.createElement('tr');
+        // Summary: the course needs one usable day per session
+        const { session, needed, usableDays } = report;
+        const summary = document.createElement('p');
+        summary.className = 'panel-hint';
+        const length = `${session.duration}-slot ${course.getComponent(session).type === 'lab' ? 'lab' : 'theory'} session`;
+        if (report.weeklyConflict) {
+            summary.textContent = `${report.weeklyConflict}.`;
+        } else if (usableDays.length === 0) {
+            summary.textContent = `No day has a free slot for its ${length}.`;
+        } else if (usableDays.length < needed) {
+            summary.textContent = `${course.code} needs ${needed} sessions on different days, but only ${usableDays.length} ` +
+                `day(s) have a free slot for its ${length} (${usableDays.join(', ')}).`;
+        } else {
+            summary.textContent = `Every day needed has a free slot for its ${length}, but the sessions do not fit together: ` +
+                `${course.unscheduledReason}.`;
+        }
+        panel.appendChild(summary);
         
-        // Add time column header
+        // Grid of the constraint ruling out each slot (hover for the full reason)
+        const table = document.createElement('table');
+        table.className = 'timetable diagnostics-grid';
+        const headerRow = document.createElement('tr');
         const timeHeader = document.createElement('th');
         timeHeader.className = 'time-header';
         timeHeader.textContent = 'Time / Day';
         headerRow.appendChild(timeHeader);
-        
-        // Add day column headers
         this.days.forEach(day => {
             const dayHeader = document.createElement('th');
             dayHeader.textContent = day;
             headerRow.appendChild(dayHeader);
         });
-        
+        const thead = document.createElement('thead');
         thead.appendChild(headerRow);
         table.appendChild(thead);
         
-        // STEP 2: Create table body with time slots and courses
         const tbody = document.createElement('tbody');
-        
-        // For each time slot, create a row
         this.displayTimeSlots.forEach((displayTime, index) => {
             const row = document.createElement('tr');
-            
-            // Add time slot label
             const timeCell = document.createElement('td');
             timeCell.className = 'time-slot';
             timeCell.textContent = displayTime;
             row.appendChild(timeCell);
             
-            // Special handling for extra-mural hour (1:20 - 2:00 PM)
-            if (index === 6) { // 1:20 - 2:00 PM slot
-                this.days.forEach(day => {
-                    const extramuralCell = document.createElement('td');
-                    extramuralCell.className = 'extramural';
-                    extramuralCell.textContent = 'Extra-mural Hour';
-                    row.appendChild(extramuralCell);
-                });
-            } else {
-                // Regular time slot handling
-                const time = this.timeSlots[index];
-                
-                // For each day, check if a course is scheduled
-                this.days.forEach(day => {
-                    const dayCell = document.createElement('td');
-                    const course = this.grid[day][time];
-                    
-                    if (course) {
-                        // IMPORTANT: Skip if this is a continuation of a multi-slot course
-                        // This is how we handle lab courses that take 2 slots
-                        if (index > 0 && this.grid[day][this.timeSlots[index - 1]] === course) {
-                            return; // Skip adding a cell, as the previous cell has rowspan=2
-                        }
-                        
-                        // Create the course display element
-                        const courseCell = document.createElement('div');
-                        courseCell.className = `course-cell ${course.type}`;
-                        
-                        // Add course code
-                        const courseName = document.createElement('div');
-                        courseName.className = 'course-name';
-                        courseName.textContent = `${course.code}`;
-                        
-                        // Add instructor
-                        const courseInstructor = document.createElement('div');
-                        courseInstructor.className = 'course-instructor';
-                        courseInstructor.textContent = course.instructor;
-                        
-                        // Add room - use day-specific room if different rooms per day
-                        const courseRoom = document.createElement('div');
-                        courseRoom.className = 'course-room';
-                        courseRoom.textContent = course.roomDisplay(day);
-                        
-                        // Assemble the course display
-                        courseCell.appendChild(courseName);
-                        courseCell.appendChild(courseInstructor);
-                        courseCell.appendChild(courseRoom);
-                        
-                        dayCell.appendChild(courseCell);
-                        
-                        // For lab courses, set rowspan=2 to span two time slots
-                        if (course.type === 'lab') {
-                            dayCell.rowSpan = 2;
-                        }
-                    }
-                    
-                    row.appendChild(dayCell);
-                });
+            this.days.forEach(day => {
+                const { category, reason } = report.slots[day][index];
+                const cell = document.createElement('td');
+                cell.className = `diagnostic-cell diagnostic-${category}`;
+                cell.textContent = DIAGNOSTIC_CATEGORIES[category];
+                cell.title = reason;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+        panel.appendChild(table);
+        
+        // Most common reasons
+        if (report.reasons.length > 0) {
+            const reasonsTitle = document.createElement('h4');
+            reasonsTitle.textContent = 'Ruled out by';
+            panel.appendChild(reasonsTitle);
+            const reasonList = document.createElement('ul');
+            reasonList.className = 'diagnostics-list';
+            report.reasons.slice(0, 8).forEach(({ reason, count }) => {
+                const item = document.createElement('li');
+                item.textContent = `${reason} (${count} slot${count > 1 ? 's' : ''})`;
+                reasonList.appendChild(item);
+            });
+            if (report.reasons.length > 8) {
+                const item = document.createElement('li');
+                item.textContent = `…and ${report.reasons.length - 8} more (hover over the grid for details)`;
+                reasonList.appendChild(item);
+            }
+            panel.appendChild(reasonList);
+        }
+        
+        // Relaxations that would make the course fit
+        const suggestionsTitle = document.createElement('h4');
+        suggestionsTitle.textContent = 'Suggestions';
+        panel.appendChild(suggestionsTitle);
+        const suggestionList = document.createElement('ul');
+        suggestionList.className = 'diagnostics-list';
+        const suggestions = report.suggestions.length > 0
+            ? report.suggestions
+            : ['No single change makes it fit. Try the backtracking solver, or move other courses by hand to free up time slots.'];
+        suggestions.forEach(suggestion => {
+            const item = document.createElement('li');
+            item.textContent = suggestion;
+            suggestionList.appendChild(item);
+        });
+        panel.appendChild(suggestionList);
+    }
+
+    /**
+     * Update the cohort filter options of the timetable
+     * Keeps the current selection if the cohort still exists
+     */
+    updateCohortFilter() {
+        const cohortFilter = document.getElementById('cohortFilter');
+        const cohorts = this.getCohorts();
+        if (!cohorts.includes(this.cohortFilter)) {
+            this.cohortFilter = '';
+        }
+        
+        cohortFilter.innerHTML = '<option value="">All cohorts (whole building)</option>';
+        cohorts.forEach(cohort => {
+            const option = document.createElement('option');
+            option.value = cohort;
+            option.textContent = cohort;
+            cohortFilter.appendChild(option);
+        });
+        cohortFilter.value = this.cohortFilter;
+    }
+
+    /**
+     * Update the calendar export dropdown with the instructors and rooms in the schedule
+     * Keeps the current selection if it still exists
+     */
+    updateCalendarScopes() {
+        const scopeSelect = document.getElementById('calendarScope');
+        const selected = scopeSelect.value;
+        
+        scopeSelect.innerHTML = '';
+        getCalendarScopes(this).forEach(scope => {
+            const option = document.createElement('option');
+            option.value = `${scope.type}:${scope.value}`;
+            option.textContent = scope.label;
+            scopeSelect.appendChild(option);
+        });
+        if ([...scopeSelect.options].some(option => option.value === selected)) {
+            scopeSelect.value = selected;
+        }
+    }
+
+    /**
+     * Update the solver comparison table in the UI
+     * Shows the latest outcome of each solver strategy that has been run
+     */
+    updateSolverResults() {
+        const resultsContainer = document.getElementById('solverResults');
+        resultsContainer.innerHTML = '';
+        
+        const strategies = Object.keys(this.solverResults);
+        if (strategies.length === 0) {
+            return;
+        }
+        
+        const table = document.createElement('table');
+        table.className = 'course-list solver-results';
+        table.innerHTML = '<thead><tr><th>Solver</th><th>Courses placed</th><th>Score</th><th>Time</th><th>Search</th></tr></thead>';
+        
+        const tbody = document.createElement('tbody');
+        strategies.forEach(strategy => {
+            const result = this.solverResults[strategy];
+            const row = document.createElement('tr');
+            
+            const nameCell = document.createElement('td');
+            nameCell.textContent = SOLVER_STRATEGIES[strategy].label;
+            
+            const placedCell = document.createElement('td');
+            placedCell.textContent = `${result.scheduledCount} / ${result.totalCourses}`;
+            
+            const scoreCell = document.createElement('td');
+            scoreCell.textContent = result.score;
+            
+            const timeCell = document.createElement('td');
+            timeCell.textContent = `${result.elapsedMs} ms`;
+            
+            // Search statistics (only reported by the backtracking solver)
+            const searchCell = document.createElement('td');
+            if (result.cancelled) {
+                searchCell.textContent = 'Cancelled';
+            } else {
+                searchCell.textContent = result.nodes !== undefined
+                    ? `${result.nodes} nodes, ${result.backtracks} backtracks${result.timedOut ? ' (time budget hit)' : ''}`
+                    : '-';
             }
             
+            row.appendChild(nameCell);
+            row.appendChild(placedCell);
+            row.appendChild(scoreCell);
+            row.appendChild(timeCell);
+            row.appendChild(searchCell);
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+        resultsContainer.appendChild(table);
+    }
+
+    /**
+     * Update the scenario list with the metrics of each scenario
+     * The best value of each metric is highlighted
+     */
+    updateScenarioList() {
+        const scenarioListBody = document.querySelector('#scenarioList tbody');
+        scenarioListBody.innerHTML = '';
+        
+        // Metrics in table order; higher is better for the courses placed and the room use
+        const metrics = [
+            { key: 'placed', higherIsBetter: true, format: metrics => `${metrics.placed} / ${metrics.total}` },
+            { key: 'roomUtilisation', higherIsBetter: true, format: metrics => `${(metrics.roomUtilisation * 100).toFixed(1)}%` },
+            { key: 'earlyLateSessions', format: metrics => metrics.earlyLateSessions },
+            { key: 'instructorGaps', format: metrics => metrics.instructorGaps },
+            { key: 'score', format: metrics => metrics.score }
+        ];
+        const best = {};
+        metrics.forEach(({ key, higherIsBetter }) => {
+            const values = this.scenarios.map(scenario => scenario.metrics[key]);
+            best[key] = higherIsBetter ? Math.max(...values) : Math.min(...values);
+        });
+        
+        this.scenarios.forEach((scenario, index) => {
+            const row = document.createElement('tr');
+            
+            // Name (editable) and origin
+            const nameCell = document.createElement('td');
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = scenario.name;
+            nameInput.setAttribute('aria-label', 'Scenario name');
+            nameInput.addEventListener('change', () => this.renameScenario(scenario, nameInput.value));
+            const origin = document.createElement('span');
+            origin.className = 'course-code';
+            origin.textContent = scenario.strategy
+                ? `${SOLVER_STRATEGIES[scenario.strategy] ? SOLVER_STRATEGIES[scenario.strategy].label : scenario.strategy}, seed ${scenario.seed}`
+                : 'Saved from the timetable';
+            nameCell.appendChild(nameInput);
+            nameCell.appendChild(document.createElement('br'));
+            nameCell.appendChild(origin);
+            row.appendChild(nameCell);
+            
+            metrics.forEach(({ key, format }) => {
+                const cell = document.createElement('td');
+                cell.textContent = format(scenario.metrics);
+                if (this.scenarios.length > 1 && scenario.metrics[key] === best[key]) {
+                    cell.className = 'best-metric';
+                }
+                row.appendChild(cell);
+            });
+            
+            // Actions cell with apply, compare and remove buttons
+            const actionsCell = document.createElement('td');
+            const applyBtn = document.createElement('button');
+            applyBtn.className = 'btn secondary';
+            applyBtn.textContent = 'Apply';
+            applyBtn.addEventListener('click', () => this.useScenario(scenario));
+            const compareBtn = document.createElement('button');
+            compareBtn.className = 'btn secondary';
+            compareBtn.textContent = 'Compare';
+            compareBtn.addEventListener('click', () => this.renderScenarioComparison({ first: index, second: 'current' }));
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn danger';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => this.removeScenario(index));
+            actionsCell.appendChild(applyBtn);
+            actionsCell.appendChild(compareBtn);
+            actionsCell.appendChild(removeBtn);
+            row.appendChild(actionsCell);
+            
+            scenarioListBody.appendChild(row);
+        });
+        
+        this.renderScenarioComparison(this.scenarioComparison);
+    }
+
+    /**
+     * Show which sessions moved between two scenarios, or between a scenario and the current timetable
+     * 
+     * @param {Object|null} comparison - { first, second } scenario indices or 'current', or null to close the comparison
+     */
+    renderScenarioComparison(comparison) {
+        const panel = document.getElementById('scenarioComparison');
+        panel.innerHTML = '';
+        const isValid = choice => choice === 'current' || (Number.isInteger(choice) && choice < this.scenarios.length);
+        this.scenarioComparison = comparison && isValid(comparison.first) && isValid(comparison.second) ? comparison : null;
+        if (!this.scenarioComparison) {
+            return;
+        }
+        const { first, second } = this.scenarioComparison;
+        const current = createScenario(this, 'Current timetable');
+        const scenarioOf = choice => choice === 'current' ? current : this.scenarios[choice];
+        
+        // Heading with a scenario selector on each side and a close button
+        const heading = document.createElement('div');
+        heading.className = 'panel-heading';
+        const title = document.createElement('h3');
+        const createSelect = (selected, onChange) => {
+            const select = document.createElement('select');
+            [...this.scenarios.map((scenario, index) => [index, scenario.name]), ['current', current.name]].forEach(([value, name]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = name;
+                option.selected = value === selected;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => {
+                onChange(select.value === 'current' ? 'current' : parseInt(select.value));
+            });
+            return select;
+        };
+        title.appendChild(document.createTextNode('Compare '));
+        title.appendChild(createSelect(first, choice => this.renderScenarioComparison({ first: choice, second })));
+        title.appendChild(document.createTextNode(' with '));
+        title.appendChild(createSelect(second, choice => this.renderScenarioComparison({ first, second: choice })));
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn secondary';
+        closeBtn.textContent = 'Close';
+        closeBtn.addEventListener('click', () => this.renderScenarioComparison(null));
+        heading.appendChild(title);
+        heading.appendChild(closeBtn);
+        panel.appendChild(heading);
+        
+        // Summary and one line per moved session
+        const { moved, unchanged } = diffScenarios(scenarioOf(first), scenarioOf(second));
+        const summary = document.createElement('p');
+        summary.className = 'panel-hint';
+        summary.textContent = moved.length === 0
+            ? 'Both schedules hold every session at the same time in the same room.'
+            : `${moved.length} session(s) differ, ${unchanged} session(s) are held at the same time in the same room.`;
+        panel.appendChild(summary);
+        if (moved.length === 0) {
+            return;
+        }
+        
+        const describe = slot => slot
+            ? `${slot.day} ${this.displayTimeSlots[slot.timeIndex] || slot.timeSlot} in ${this.buildings.getRoomName(slot.building, slot.floor, slot.room)}`
+            : 'not scheduled';
+        const list = document.createElement('ul');
+        list.className = 'diagnostics-list scenario-diff';
+        moved.forEach(({ code, from, to }) => {
+            const course = this.courses.find(course => course.code === code);
+            const item = document.createElement('li');
+            const label = document.createElement('strong');
+            label.textContent = course ? `${code} ${course.name}` : code;
+            item.appendChild(label);
+            item.appendChild(document.createTextNode(`: ${describe(from)} → ${describe(to)}`));
+            list.appendChild(item);
+        });
+        panel.appendChild(list);
+    }
+
+    /**
+     * Save the current timetable as a scenario
+     * @param {string} name - The name of the scenario ('' for "Scenario N")
+     */
+    saveScenario(name) {
+        let scenarioName = name.trim();
+        if (!scenarioName) {
+            let number = this.scenarios.length + 1;
+            while (this.scenarios.some(scenario => scenario.name === `Scenario ${number}`)) {
+                number++;
+            }
+            scenarioName = `Scenario ${number}`;
+        }
+        if (this.scenarios.some(scenario => scenario.name === scenarioName)) {
+            this.showNotification(`A scenario named "${scenarioName}" already exists!`, 'error');
+            return false;
+        }
+        
+        this.scenarios.push(createScenario(this, scenarioName));
+        this.notifyChange(`Save scenario ${scenarioName}`);
+        this.updateScenarioList();
+        this.showNotification(`Timetable saved as scenario "${scenarioName}"`, 'success');
+        return true;
+    }
+
+    /**
+     * Rename a scenario
+     * 
+     * @param {Object} scenario - The scenario
+     * @param {string} name - The new name
+     */
+    renameScenario(scenario, name) {
+        const newName = name.trim();
+        if (!newName || this.scenarios.some(other => other !== scenario && other.name === newName)) {
+            this.showNotification(newName ? `A scenario named "${newName}" already exists!` : 'Please enter a scenario name!', 'error');
+            this.updateScenarioList();
+            return;
+        }
+        const oldName = scenario.name;
+        scenario.name = newName;
+        this.notifyChange(`Rename scenario ${oldName}`);
+        this.updateScenarioList();
+    }
+
+    /**
+     * Remove a scenario
+     * @param {number} index - The index of the scenario
+     */
+    removeScenario(index) {
+        const [scenario] = this.scenarios.splice(index, 1);
+        this.scenarioComparison = null;
+        this.notifyChange(`Remove scenario ${scenario.name}`);
+        this.updateScenarioList();
+    }
+
+    /**
+     * Replace the timetable with a scenario
+     * Courses whose sessions in the scenario no longer fit the project are left unscheduled
+     * 
+     * @param {Object} scenario - The scenario to apply
+     */
+    useScenario(scenario) {
+        const conflicts = applyScenario(this, scenario);
+        this.notifyChange(`Apply scenario ${scenario.name}`);
+        this.updateCourseList();
+        this.updateScoreBreakdown();
+        this.generateTimetable();
+        this.updateScenarioList();
+        
+        if (conflicts === 0) {
+            this.showNotification(`Scenario "${scenario.name}" applied to the timetable`, 'success');
+        } else {
+            this.showNotification(`Scenario "${scenario.name}" applied; ${conflicts} course(s) no longer fit and were left unscheduled ` +
+                '(the course list shows why).', 'warning');
+        }
+    }
+
+    /**
+     * Update the score breakdown shown next to the timetable
+     * Lists the penalty of each soft preference (lower is better)
+     */
+    updateScoreBreakdown() {
+        const panel = document.getElementById('scoreBreakdown');
+        panel.innerHTML = '';
+        
+        if (!this.courses.some(course => course.scheduled)) {
+            panel.classList.remove('visible');
+            return;
+        }
+        panel.classList.add('visible');
+        
+        const report = this.scorer.evaluate(this);
+        
+        const title = document.createElement('h3');
+        title.textContent = 'Schedule Score';
+        panel.appendChild(title);
+        
+        const total = document.createElement('div');
+        total.className = 'score-total';
+        total.textContent = `${report.total} penalty points`;
+        panel.appendChild(total);
+        
+        // Show how much the local search improved the solver's schedule
+        if (this.optimizationResult) {
+            const improvement = document.createElement('p');
+            improvement.className = 'score-note';
+            improvement.textContent = `Simulated annealing: ${this.optimizationResult.initialScore} → ${this.optimizationResult.finalScore} ` +
+                `(${this.optimizationResult.acceptedMoves} moves accepted)`;
+            panel.appendChild(improvement);
+        }
+        
+        const list = document.createElement('ul');
+        list.className = 'score-list';
+        report.breakdown.forEach(item => {
+            const entry = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `${item.label} (${item.count} × ${item.weight})`;
+            const penalty = document.createElement('strong');
+            penalty.textContent = item.penalty;
+            entry.appendChild(label);
+            entry.appendChild(penalty);
+            list.appendChild(entry);
+        });
+        panel.appendChild(list);
+        
+        // Seat usage of the courses with an expected enrollment
+        const seats = this.getSeatReport();
+        if (seats.sessions > 0) {
+            const usage = document.createElement('p');
+            usage.className = 'score-note';
+            usage.textContent = `Unused seats: ${seats.wastedSeats} over ${seats.sessions} sessions ` +
+                `(${(seats.wastedSeats / seats.sessions).toFixed(1)} per session)`;
+            panel.appendChild(usage);
+        }
+        
+        // Sessions in rooms that were changed after scheduling (too small, wrong type, missing equipment)
+        const misplaced = this.courses.reduce((count, course) => count + (!course.scheduled ? 0 :
+            course.scheduledSlots.filter(slot => this.getRoomMismatch(course, slot.building, slot.floor, slot.room, slot.component)).length), 0);
+        if (misplaced > 0) {
+            const violation = document.createElement('p');
+            violation.className = 'schedule-issue';
+            violation.textContent = `${misplaced} session(s) are held in rooms that do not meet their requirements (see the course list). Generate the schedule again to move them.`;
+            panel.appendChild(violation);
+        }
+    }
+
+    /**
+     * Update the analytics panel with the use of the rooms, time slots and instructors
+     * The heatmap is shaded relative to the busiest time slot
+     */
+    updateAnalytics() {
+        const panel = document.getElementById('analytics');
+        panel.innerHTML = '';
+        
+        if (!this.courses.some(course => course.scheduled)) {
+            const hint = document.createElement('p');
+            hint.className = 'panel-hint';
+            hint.textContent = 'Generate a schedule to see how the rooms, time slots and instructors are used.';
+            panel.appendChild(hint);
+            return;
+        }
+        const analytics = buildAnalytics(this);
+        
+        const addTitle = text => {
+            const title = document.createElement('h3');
+            title.textContent = text;
+            panel.appendChild(title);
+        };
+        const createTable = (headers, rows) => {
+            const table = document.createElement('table');
+            table.className = 'course-list';
+            const headerRow = document.createElement('tr');
+            headers.forEach(header => {
+                const th = document.createElement('th');
+                th.textContent = header;
+                headerRow.appendChild(th);
+            });
+            const thead = document.createElement('thead');
+            thead.appendChild(headerRow);
+            table.appendChild(thead);
+            const tbody = document.createElement('tbody');
+            rows.forEach(values => {
+                const row = document.createElement('tr');
+                values.forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                tbody.appendChild(row);
+            });
+            table.appendChild(tbody);
+            return table;
+        };
+        
+        const summary = document.createElement('p');
+        summary.className = 'panel-hint';
+        summary.textContent = `${analytics.occupiedSlots} of ${analytics.roomCount * analytics.openSlots} room slots in use ` +
+            `(${formatPercentage(analytics.utilisation)}): ${analytics.roomCount} rooms over ${analytics.openSlots} open time slots per week. ` +
+            'Teacher-only and unavailable rooms and blocked periods are not counted.';
+        panel.appendChild(summary);
+        
+        // Heatmap of the rooms in use per day and time slot
+        addTitle('Occupancy by day and time slot');
+        const busiest = Math.max(1, ...analytics.heatmap.flat().map(cell => cell.sessions || 0));
+        const heatmap = document.createElement('table');
+        heatmap.className = 'timetable analytics-heatmap';
+        const headerRow = document.createElement('tr');
+        const timeHeader = document.createElement('th');
+        timeHeader.className = 'time-header';
+        timeHeader.textContent = 'Time / Day';
+        headerRow.appendChild(timeHeader);
+        this.days.forEach(day => {
+            const dayHeader = document.createElement('th');
+            dayHeader.textContent = day;
+            headerRow.appendChild(dayHeader);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headerRow);
+        heatmap.appendChild(thead);
+        const tbody = document.createElement('tbody');
+        analytics.heatmap.forEach((cells, timeIndex) => {
+            const row = document.createElement('tr');
+            const timeCell = document.createElement('td');
+            timeCell.className = 'time-slot';
+            timeCell.textContent = this.displayTimeSlots[timeIndex];
+            row.appendChild(timeCell);
+            
+            cells.forEach(cell => {
+                const td = document.createElement('td');
+                if (cell.blocked) {
+                    td.className = 'analytics-blocked';
+                    td.textContent = cell.blocked;
+                } else {
+                    td.className = 'analytics-cell';
+                    td.style.setProperty('--occupancy', cell.sessions / busiest);
+                    td.textContent = cell.sessions;
+                    td.title = `${cell.sessions} of ${analytics.roomCount} rooms in use (${formatPercentage(cell.utilisation)})`;
+                }
+                row.appendChild(td);
+            });
             tbody.appendChild(row);
         });
+        heatmap.appendChild(tbody);
+        panel.appendChild(heatmap);
+        
+        // Busiest and emptiest periods
+        const periods = document.createElement('div');
+        periods.className = 'analytics-periods';
+        [['Busiest periods', analytics.busiest], ['Emptiest periods', analytics.emptiest]].forEach(([text, list]) => {
+            const column = document.createElement('div');
+            const title = document.createElement('h4');
+            title.textContent = text;
+            const items = document.createElement('ul');
+            items.className = 'diagnostics-list';
+            list.forEach(period => {
+                const item = document.createElement('li');
+                item.textContent = `${period.day} ${period.time}: ${period.sessions} room(s) in use (${formatPercentage(period.utilisation)})`;
+                items.appendChild(item);
+            });
+            column.appendChild(title);
+            column.appendChild(items);
+            periods.appendChild(column);
+        });
+        panel.appendChild(periods);
+        
+        addTitle('Utilisation per floor');
+        panel.appendChild(createTable(['Floor', 'Rooms', 'Occupied slots', 'Room use'],
+            analytics.floors.map(floor => [floor.name, floor.rooms, floor.occupiedSlots, formatPercentage(floor.utilisation)])));
+        
+        addTitle('Utilisation per room');
+        const rooms = document.createElement('div');
+        rooms.className = 'course-list-container analytics-rooms';
+        rooms.appendChild(createTable(['Room', 'Floor', 'Occupied slots', 'Room use'],
+            analytics.rooms.map(room => [room.name, room.floorName, room.occupiedSlots, formatPercentage(room.utilisation)])));
+        panel.appendChild(rooms);
+        
+        addTitle('Instructor load');
+        panel.appendChild(createTable(['Instructor', 'Courses', 'Sessions per week', 'Hours per week', 'Days on campus'],
+            analytics.instructors.map(load => [load.name, load.courses, load.sessions, load.hours.toFixed(1),
+                `${load.days.length} (${load.days.join(', ')})`])));
+    }
+
+    /**
+     * Update the course rule list and the course codes offered in the rule form
+     * Each rule shows whether the current timetable keeps it
+     */
+    updateRuleList() {
+        const ruleListBody = document.querySelector('#ruleList tbody');
+        ruleListBody.innerHTML = '';
+        
+        this.courseRules.forEach((rule, index) => {
+            const row = document.createElement('tr');
+            
+            // Description cell
+            const ruleCell = document.createElement('td');
+            ruleCell.textContent = describeCourseRule(rule);
+            
+            // Hard rules are enforced by the solvers; preferences only add to the score
+            const kindCell = document.createElement('td');
+            const kindSelect = document.createElement('select');
+            kindSelect.innerHTML = '<option value="hard">Hard</option><option value="soft">Preferred</option>';
+            kindSelect.value = rule.hard ? 'hard' : 'soft';
+            kindSelect.setAttribute('aria-label', 'Kind of rule');
+            kindSelect.addEventListener('change', () => {
+                rule.hard = kindSelect.value === 'hard';
+                this.notifyChange(`Change the rule "${describeCourseRule(rule)}"`);
+                this.updateCourseList();
+                this.updateScoreBreakdown();
+            });
+            kindCell.appendChild(kindSelect);
+            
+            // Status cell
+            const statusCell = document.createElement('td');
+            const missing = [rule.course, rule.other].filter(code => !this.courses.some(course => course.code === code));
+            const { applies, violations } = evaluateCourseRule(this, rule);
+            if (missing.length > 0) {
+                statusCell.textContent = `No course ${missing.join(' or ')}`;
+            } else if (!applies) {
+                statusCell.textContent = 'Not scheduled yet';
+            } else if (violations > 0) {
+                const issue = document.createElement('span');
+                issue.className = 'schedule-issue';
+                issue.textContent = `Broken by ${violations} session(s)`;
+                statusCell.appendChild(issue);
+            } else {
+                statusCell.textContent = 'Kept';
+            }
+            
+            // Actions cell with a remove button
+            const actionsCell = document.createElement('td');
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn danger';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => this.removeCourseRule(index));
+            actionsCell.appendChild(removeBtn);
+            
+            row.appendChild(ruleCell);
+            row.appendChild(kindCell);
+            row.appendChild(statusCell);
+            row.appendChild(actionsCell);
+            ruleListBody.appendChild(row);
+        });
+        
+        // Offer every course code in the form, keeping the current choices
+        const codes = [...new Set(this.courses.map(course => course.code))].sort();
+        ['ruleCourse', 'ruleOther'].forEach(id => {
+            const select = document.getElementById(id);
+            const selected = select.value;
+            select.innerHTML = '';
+            codes.forEach(code => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = code;
+                select.appendChild(option);
+            });
+            if (codes.includes(selected)) {
+                select.value = selected;
+            }
+        });
+    }
+
+    /**
+     * Add a rule linking two courses
+     * 
+     * @param {Object} rule - The rule (see createCourseRule())
+     * @return {boolean} True if the rule was added
+     */
+    addCourseRule(rule) {
+        const error = validateCourseRule(rule);
+        if (error) {
+            this.showNotification(`${error}!`, 'error');
+            return false;
+        }
+        if (this.courseRules.some(other => other.type === rule.type && other.course === rule.course && other.other === rule.other)) {
+            this.showNotification('This rule already exists!', 'warning');
+            return false;
+        }
+        
+        this.courseRules.push(rule);
+        this.notifyChange(`Add the rule "${describeCourseRule(rule)}"`);
+        this.updateCourseList();
+        this.updateScoreBreakdown();
+        if (rule.hard && evaluateCourseRule(this, rule).violations > 0) {
+            this.showNotification('Rule added. The current timetable breaks it: generate the schedule again to apply it.', 'warning');
+        } else {
+            this.showNotification('Rule added successfully!', 'success');
+        }
+        return true;
+    }
+
+    /**
+     * Remove a rule linking two courses
+     * @param {number} index - The index of the rule
+     */
+    removeCourseRule(index) {
+        const [rule] = this.courseRules.splice(index, 1);
+        this.notifyChange(`Remove the rule "${describeCourseRule(rule)}"`);
+        this.updateCourseList();
+        this.updateScoreBreakdown();
+    }
+
+    /**
+     * Update the instructor registry display in the UI
+     * Creates a table with each instructor's teaching limits and availability summary
+     */
+    updateInstructorList() {
+        const instructorListBody = document.querySelector('#instructorList tbody');
+        const instructorOptions = document.getElementById('instructorOptions');
+        instructorListBody.innerHTML = '';
+        instructorOptions.innerHTML = '';
+        
+        Object.values(this.instructors).forEach(instructor => {
+            const row = document.createElement('tr');
+            
+            // Name cell
+            const nameCell = document.createElement('td');
+            nameCell.textContent = instructor.name;
+            
+            // Courses taught by this instructor
+            const coursesCell = document.createElement('td');
+            const courseCodes = this.courses
+                .filter(course => course.instructor === instructor.name)
+                .map(course => course.code);
+            coursesCell.textContent = courseCodes.length > 0 ? courseCodes.join(', ') : 'None';
+            
+            // Teaching limit cells (empty input means no limit)
+            const createLimitCell = (property) => {
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '1';
+                input.placeholder = 'No limit';
+                input.className = 'limit-input';
+                input.value = instructor[property] || '';
+                input.addEventListener('change', () => {
+                    const value = parseInt(input.value);
+                    instructor[property] = value > 0 ? value : null;
+                    input.value = instructor[property] || '';
+                    this.notifyChange(`Change ${instructor.name}'s teaching limits`);
+                });
+                cell.appendChild(input);
+                return cell;
+            };
+            
+            // Availability summary cell
+            const availabilityCell = document.createElement('td');
+            const blockedDays = Object.keys(instructor.unavailable);
+            availabilityCell.textContent = blockedDays.length > 0
+                ? `${instructor.unavailableCount} slot(s) on ${blockedDays.map(day => day.substring(0, 3)).join(', ')}`
+                : 'Always available';
+            
+            // Actions cell with availability and remove buttons
+            const actionsCell = document.createElement('td');
+            const availabilityBtn = document.createElement('button');
+            availabilityBtn.className = 'btn secondary';
+            availabilityBtn.textContent = 'Availability';
+            availabilityBtn.addEventListener('click', () => this.renderAvailabilityEditor(instructor.name));
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn danger';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => this.removeInstructor(instructor.name));
+            actionsCell.appendChild(availabilityBtn);
+            actionsCell.appendChild(removeBtn);
+            
+            // Add all cells to row
+            row.appendChild(nameCell);
+            row.appendChild(coursesCell);
+            row.appendChild(createLimitCell('maxSlotsPerDay'));
+            row.appendChild(createLimitCell('maxSlotsPerWeek'));
+            row.appendChild(availabilityCell);
+            row.appendChild(actionsCell);
+            instructorListBody.appendChild(row);
+            
+            // Offer registered instructors as suggestions in the course form
+            const option = document.createElement('option');
+            option.value = instructor.name;
+            instructorOptions.appendChild(option);
+        });
+    }
+
+    /**
+     * Render the availability calendar of an instructor
+     * Each cell toggles whether the instructor can teach in that slot;
+     * clicking a day header toggles the whole day
+     * 
+     * @param {string|null} name - The instructor to edit, or null to close the editor
+     */
+    renderAvailabilityEditor(name) {
+        const editor = document.getElementById('availabilityEditor');
+        editor.innerHTML = '';
+        
+        const instructor = name ? this.instructors[name] : null;
+        if (!instructor) {
+            return;
+        }
+        
+        // Editor heading with a close button
+        const heading = document.createElement('div');
+        heading.className = 'panel-heading';
+        const title = document.createElement('h3');
+        title.textContent = `Availability: ${instructor.name}`;
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn secondary';
+        closeBtn.textContent = 'Close';
+        closeBtn.addEventListener('click', () => this.renderAvailabilityEditor(null));
+        heading.appendChild(title);
+        heading.appendChild(closeBtn);
+        editor.appendChild(heading);
+        
+        const hint = document.createElement('p');
+        hint.className = 'panel-hint';
+        hint.textContent = 'Click a slot to mark it as unavailable; click a day to toggle the whole day.';
+        editor.appendChild(hint);
+        
+        // Slots of a day that can hold classes at all (blocked periods never can)
+        const teachableSlots = day => this.timeSlots
+            .map((time, index) => index)
+            .filter(index => this.isTimeSlotAvailable(day, index, 1));
+        
+        const refresh = () => {
+            this.renderAvailabilityEditor(instructor.name);
+            this.updateInstructorList();
+            this.notifyChange(`Change ${instructor.name}'s availability`);
+        };
+        
+        const table = document.createElement('table');
+        table.className = 'timetable availability-grid';
+        
+        // Header row with clickable days
+        const headerRow = document.createElement('tr');
+        const timeHeader = document.createElement('th');
+        timeHeader.className = 'time-header';
+        timeHeader.textContent = 'Time / Day';
+        headerRow.appendChild(timeHeader);
+        this.days.forEach(day => {
+            const dayHeader = document.createElement('th');
+            dayHeader.textContent = day;
+            dayHeader.className = 'clickable';
+            dayHeader.addEventListener('click', () => {
+                const slots = teachableSlots(day);
+                const wholeDayBlocked = slots.every(index => !instructor.isAvailable(day, index));
+                instructor.setAvailability(day, slots, wholeDayBlocked);
+                refresh();
+            });
+            headerRow.appendChild(dayHeader);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+        
+        // One row per time slot
+        const tbody = document.createElement('tbody');
+        this.displayTimeSlots.forEach((displayTime, index) => {
+            const row = document.createElement('tr');
+            const timeCell = document.createElement('td');
+            timeCell.className = 'time-slot';
+            timeCell.textContent = displayTime;
+            row.appendChild(timeCell);
+            
+            this.days.forEach(day => {
+                const cell = document.createElement('td');
+                if (!this.isTimeSlotAvailable(day, index, 1)) {
+                    cell.className = 'extramural';
+                } else {
+                    const available = instructor.isAvailable(day, index);
+                    cell.className = `availability-cell ${available ? 'available' : 'unavailable'}`;
+                    cell.textContent = available ? 'Available' : 'Unavailable';
+                    cell.addEventListener('click', () => {
+                        instructor.toggleAvailability(day, index);
+                        refresh();
+                    });
+                }
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+        editor.appendChild(table);
+    }
+
+    /**
+     * Update the building list, the building dropdown of the course form and the header
+     */
+    updateBuildingList() {
+        const buildingListBody = document.querySelector('#buildingList tbody');
+        buildingListBody.innerHTML = '';
+        document.getElementById('buildingInfo').textContent = this.buildings.describe();
+        
+        this.buildings.buildings.forEach(building => {
+            const row = document.createElement('tr');
+            
+            const codeCell = document.createElement('td');
+            codeCell.textContent = building.code;
+            
+            // Editable display name
+            const nameCell = document.createElement('td');
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = building.name;
+            nameInput.addEventListener('change', () => {
+                building.name = nameInput.value.trim() || building.code;
+                this.onBuildingsChanged();
+            });
+            nameCell.appendChild(nameInput);
+            
+            // Editable number of floors
+            const floorsCell = document.createElement('td');
+            const floorsInput = document.createElement('input');
+            floorsInput.type = 'number';
+            floorsInput.min = '1';
+            floorsInput.className = 'limit-input';
+            floorsInput.value = building.floors.length;
+            floorsInput.addEventListener('change', () => {
+                this.buildings.setFloorCount(building.code, parseInt(floorsInput.value));
+                this.onBuildingsChanged();
+            });
+            floorsCell.appendChild(floorsInput);
+            
+            // Room summary
+            const roomsCell = document.createElement('td');
+            const rooms = building.floors.flatMap(floor => floor.rooms);
+            const reserved = rooms.filter(room => room.teacherOnly).length;
+            const unavailable = rooms.filter(room => room.unavailable).length;
+            const seats = rooms.reduce((total, room) => total + room.capacity, 0);
+            roomsCell.textContent = `${rooms.length} rooms, ${seats} seats` +
+                (reserved > 0 ? `, ${reserved} teacher-reserved` : '') +
+                (unavailable > 0 ? `, ${unavailable} unavailable` : '');
+            
+            // Actions cell with room editor and remove buttons
+            const actionsCell = document.createElement('td');
+            const roomsBtn = document.createElement('button');
+            roomsBtn.className = 'btn secondary';
+            roomsBtn.textContent = 'Rooms';
+            roomsBtn.addEventListener('click', () => this.renderRoomEditor(building.code));
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn danger';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => {
+                const error = this.buildings.removeBuilding(building.code);
+                if (error) {
+                    this.showNotification(error, 'error');
+                    return;
+                }
+                this.courses.forEach(course => {
+                    if (course.building === building.code) {
+                        course.building = null;
+                        course.floor = null;
+                        course.room = null;
+                    }
+                });
+                this.onBuildingsChanged();
+            });
+            actionsCell.appendChild(roomsBtn);
+            actionsCell.appendChild(removeBtn);
+            
+            row.appendChild(codeCell);
+            row.appendChild(nameCell);
+            row.appendChild(floorsCell);
+            row.appendChild(roomsCell);
+            row.appendChild(actionsCell);
+            buildingListBody.appendChild(row);
+        });
+        
+        // Offer the buildings in the course form
+        const buildingSelect = document.getElementById('building');
+        const selected = buildingSelect.value;
+        buildingSelect.innerHTML = '<option value="">Auto-assign</option>';
+        this.buildings.buildings.forEach(building => {
+            const option = document.createElement('option');
+            option.value = building.code;
+            option.textContent = building.name;
+            buildingSelect.appendChild(option);
+        });
+        buildingSelect.value = this.buildings.getBuilding(selected) ? selected : '';
+        buildingSelect.dispatchEvent(new Event('change'));
+    }
+
+    /**
+     * Render the room editor of a building
+     * Each floor has an editable room count; each room can be renamed, given a seating
+     * capacity, a type and equipment, and flagged as teacher-reserved or unavailable
+     * 
+     * @param {string|null} code - The building to edit, or null to close the editor
+     */
+    renderRoomEditor(code) {
+        const editor = document.getElementById('roomEditor');
+        editor.innerHTML = '';
+        this.editingBuilding = code;
+        
+        const building = code ? this.buildings.getBuilding(code) : null;
+        if (!building) {
+            this.editingBuilding = null;
+            return;
+        }
+        
+        // Editor heading with a close button
+        const heading = document.createElement('div');
+        heading.className = 'panel-heading';
+        const title = document.createElement('h3');
+        title.textContent = `Rooms: ${building.name}`;
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'btn secondary';
+        closeBtn.textContent = 'Close';
+        closeBtn.addEventListener('click', () => this.renderRoomEditor(null));
+        heading.appendChild(title);
+        heading.appendChild(closeBtn);
+        editor.appendChild(heading);
+        
+        const hint = document.createElement('p');
+        hint.className = 'panel-hint';
+        hint.textContent = 'Rename rooms (leave empty to use the room code), set the number of seats, the room type and ' +
+            'equipment (separated by commas), and mark rooms that must not be scheduled.';
+        editor.appendChild(hint);
+        
+        const table = document.createElement('table');
+        table.className = 'course-list room-editor';
+        table.innerHTML = '<thead><tr><th>Floor</th><th>Rooms</th><th>Room names and status</th></tr></thead>';
+        const tbody = document.createElement('tbody');
+        
+        building.floors.forEach(floor => {
+            const row = document.createElement('tr');
+            
+            const floorCell = document.createElement('td');
+            floorCell.textContent = `Floor ${floor.number}`;
+            
+            // Editable number of rooms on this floor
+            const countCell = document.createElement('td');
+            const countInput = document.createElement('input');
+            countInput.type = 'number';
+            countInput.min = '1';
+            countInput.className = 'limit-input';
+            countInput.value = floor.rooms.length;
+            countInput.addEventListener('change', () => {
+                this.buildings.setRoomCount(building.code, floor.number, parseInt(countInput.value));
+                this.onBuildingsChanged();
+            });
+            countCell.appendChild(countInput);
+            
+            // One editable entry per room
+            const roomsCell = document.createElement('td');
+            const roomGrid = document.createElement('div');
+            roomGrid.className = 'room-grid';
+            floor.rooms.forEach(room => {
+                const status = room.unavailable ? 'unavailable' : room.teacherOnly ? 'teacher' : 'classroom';
+                const entry = document.createElement('div');
+                entry.className = `room-entry ${status}`;
+                
+                const nameInput = document.createElement('input');
+                nameInput.type = 'text';
+                nameInput.placeholder = formatRoomCode(floor.number, room.number);
+                nameInput.value = room.name;
+                nameInput.addEventListener('change', () => {
+                    this.buildings.updateRoom(building.code, floor.number, room.number, { name: nameInput.value.trim() });
+                    this.onBuildingsChanged();
+                });
+                
+                const capacityInput = document.createElement('input');
+                capacityInput.type = 'number';
+                capacityInput.min = '1';
+                capacityInput.title = 'Seats';
+                capacityInput.value = room.capacity;
+                capacityInput.addEventListener('change', () => {
+                    const capacity = parseInt(capacityInput.value);
+                    if (!(capacity >= 1)) {
+                        capacityInput.value = room.capacity;
+                        this.showNotification('Rooms need at least one seat!', 'error');
+                        return;
+                    }
+                    this.buildings.updateRoom(building.code, floor.number, room.number, { capacity });
+                    this.onBuildingsChanged();
+                });
+                
+                const typeSelect = document.createElement('select');
+                Object.entries(ROOM_TYPES).forEach(([key, label]) => {
+                    const option = document.createElement('option');
+                    option.value = key;
+                    option.textContent = label;
+                    typeSelect.appendChild(option);
+                });
+                typeSelect.value = room.type;
+                typeSelect.addEventListener('change', () => {
+                    this.buildings.updateRoom(building.code, floor.number, room.number, { type: typeSelect.value });
+                    this.onBuildingsChanged();
+                });
+                
+                const equipmentInput = document.createElement('input');
+                equipmentInput.type = 'text';
+                equipmentInput.placeholder = 'Equipment';
+                equipmentInput.value = room.equipment.join(', ');
+                equipmentInput.addEventListener('change', () => {
+                    this.buildings.updateRoom(building.code, floor.number, room.number, { equipment: parseList(equipmentInput.value) });
+                    this.onBuildingsChanged();
+                });
+                
+                const statusSelect = document.createElement('select');
+                statusSelect.innerHTML = `
+                    <option value="classroom">Classroom</option>
+                    <option value="teacher">Teacher only</option>
+                    <option value="unavailable">Unavailable</option>
+                `;
+                statusSelect.value = status;
+                statusSelect.addEventListener('change', () => {
+                    this.buildings.updateRoom(building.code, floor.number, room.number, {
+                        teacherOnly: statusSelect.value === 'teacher',
+                        unavailable: statusSelect.value === 'unavailable'
+                    });
+                    this.onBuildingsChanged();
+                });
+                
+                entry.appendChild(nameInput);
+                entry.appendChild(capacityInput);
+                entry.appendChild(typeSelect);
+                entry.appendChild(equipmentInput);
+                entry.appendChild(statusSelect);
+                roomGrid.appendChild(entry);
+            });
+            roomsCell.appendChild(roomGrid);
+            
+            row.appendChild(floorCell);
+            row.appendChild(countCell);
+            row.appendChild(roomsCell);
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+        editor.appendChild(table);
+    }
+
+    /**
+     * Apply an edit of the building model to the schedule and the UI
+     * Courses whose sessions were in a room that can no longer be used are unscheduled
+     */
+    onBuildingsChanged() {
+        const editing = this.editingBuilding;
+        const displaced = this.applyBuildingChanges();
+        this.refreshUI();
+        this.renderRoomEditor(editing);
+        this.notifyChange('Change the buildings');
+        if (displaced > 0) {
+            this.showNotification(`${displaced} course(s) were unscheduled because their room is no longer available. Generate the schedule again to place them.`, 'warning');
+        }
+    }
+
+    /**
+     * Validate and apply an edit of the time grid to the schedule and the UI
+     * @param {Object} config - The new time grid configuration
+     * @return {boolean} True if the time grid was changed
+     */
+    onTimeGridChanged(config) {
+        const errors = validateTimeGrid(config);
+        if (errors.length > 0) {
+            this.showNotification(errors[0], 'error');
+            this.updateTimeGridSettings();
+            return false;
+        }
+        
+        const displaced = this.applyTimeGrid(config);
+        this.refreshUI();
+        this.notifyChange('Change the time grid');
+        if (displaced > 0) {
+            this.showNotification(`${displaced} course(s) were unscheduled because their sessions no longer fit the time grid. Generate the schedule again to place them.`, 'warning');
+        }
+        return true;
+    }
+
+    /**
+     * Update the time grid settings, the blocked period list, the timetable info box
+     * and the preferred day checkboxes of the course form
+     */
+    updateTimeGridSettings() {
+        const config = this.timeGrid.toJSON();
+        document.getElementById('timeGridInfo').textContent = this.timeGrid.describe().join(' | ');
+        document.getElementById('gridStart').value = config.startTime;
+        document.getElementById('gridEnd').value = config.endTime;
+        document.getElementById('gridSlotLength').value = config.slotLength;
+        document.getElementById('gridBreakLength').value = config.breakLength;
+        
+        // Working days
+        const gridDays = document.getElementById('gridDays');
+        gridDays.innerHTML = '';
+        WEEK_DAYS.forEach(day => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'form-checkbox day-checkbox';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `gridDay${day}`;
+            checkbox.checked = this.days.includes(day);
+            checkbox.addEventListener('change', () => {
+                const days = checkbox.checked ? [...config.days, day] : config.days.filter(name => name !== day);
+                this.onTimeGridChanged({ ...config, days: WEEK_DAYS.filter(name => days.includes(name)) });
+            });
+            const label = document.createElement('label');
+            label.htmlFor = checkbox.id;
+            label.textContent = day;
+            wrapper.appendChild(checkbox);
+            wrapper.appendChild(label);
+            gridDays.appendChild(wrapper);
+        });
+        
+        // Blocked periods, each editable in place
+        const updatePeriod = (index, changes) => {
+            const blockedPeriods = config.blockedPeriods.map((period, i) => i === index ? { ...period, ...changes } : period);
+            this.onTimeGridChanged({ ...config, blockedPeriods });
+        };
+        const periodListBody = document.querySelector('#blockedPeriodList tbody');
+        periodListBody.innerHTML = '';
+        config.blockedPeriods.forEach((period, index) => {
+            const row = document.createElement('tr');
+            
+            const nameCell = document.createElement('td');
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = period.name;
+            nameInput.addEventListener('change', () => updatePeriod(index, { name: nameInput.value.trim() }));
+            nameCell.appendChild(nameInput);
+            
+            // Periods blocked every day get a row of their own; others block the slots they overlap
+            const daysCell = document.createElement('td');
+            daysCell.className = 'blocked-days';
+            const everyDay = period.days.length === 0;
+            ['', ...this.days].forEach(day => {
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = day ? period.days.includes(day) : everyDay;
+                checkbox.disabled = Boolean(day) && everyDay;
+                checkbox.addEventListener('change', () => {
+                    let days;
+                    if (!day) {
+                        days = checkbox.checked ? [] : [...this.days];
+                    } else {
+                        days = checkbox.checked ? [...period.days, day] : period.days.filter(name => name !== day);
+                        if (days.length === 0) {
+                            this.showNotification('Choose at least one day, or block the period every day.', 'error');
+                            checkbox.checked = true;
+                            return;
+                        }
+                    }
+                    updatePeriod(index, { days: WEEK_DAYS.filter(name => days.includes(name)) });
+                });
+                label.appendChild(checkbox);
+                label.appendChild(document.createTextNode(day ? day.substring(0, 3) : 'Every day'));
+                daysCell.appendChild(label);
+            });
+            
+            const startCell = document.createElement('td');
+            const endCell = document.createElement('td');
+            [[startCell, 'start'], [endCell, 'end']].forEach(([cell, field]) => {
+                const input = document.createElement('input');
+                input.type = 'time';
+                input.value = period[field];
+                input.addEventListener('change', () => updatePeriod(index, { [field]: input.value }));
+                cell.appendChild(input);
+            });
+            
+            const actionsCell = document.createElement('td');
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn danger';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => {
+                this.onTimeGridChanged({ ...config, blockedPeriods: config.blockedPeriods.filter((other, i) => i !== index) });
+            });
+            actionsCell.appendChild(removeBtn);
+            
+            row.appendChild(nameCell);
+            row.appendChild(daysCell);
+            row.appendChild(startCell);
+            row.appendChild(endCell);
+            row.appendChild(actionsCell);
+            periodListBody.appendChild(row);
+        });
+        
+        // Offer the working days for new blocked periods
+        const blockDaySelect = document.getElementById('newBlockDay');
+        blockDaySelect.innerHTML = '<option value="">Every day</option>';
+        this.days.forEach(day => {
+            const option = document.createElement('option');
+            option.value = day;
+            option.textContent = day;
+            blockDaySelect.appendChild(option);
+        });
+        
+        // Preferred day checkboxes of the course form (kept as they are unless the working days changed)
+        const dayCheckboxGroup = document.getElementById('dayCheckboxes');
+        const shownDays = [...dayCheckboxGroup.querySelectorAll('.day-select')].map(checkbox => checkbox.value);
+        if (shownDays.join() !== this.days.join()) {
+            dayCheckboxGroup.innerHTML = '';
+            this.days.forEach(day => {
+                const wrapper = document.createElement('div');
+                wrapper.className = 'form-checkbox day-checkbox';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.id = `day${day}`;
+                checkbox.className = 'day-select';
+                checkbox.value = day;
+                const label = document.createElement('label');
+                label.htmlFor = checkbox.id;
+                label.textContent = day;
+                wrapper.appendChild(checkbox);
+                wrapper.appendChild(label);
+                dayCheckboxGroup.appendChild(wrapper);
+            });
+            
+            // Pre-select days for the current number of classes per week
+            document.getElementById('classesPerWeek').dispatchEvent(new Event('change'));
+        }
+    }
+
+    /**
+     * Get the rooms, instructors and floors that have scheduled sessions
+     * @param {string} mode - The timetable view: 'room', 'instructor' or 'floor'
+     * @return {Array<Object>} Entities as { value, title, filter } where filter selects their sessions
+     */
+    getTimetableEntities(mode) {
+        const scheduled = this.courses.filter(course => course.scheduled);
+        const slots = scheduled.flatMap(course => course.scheduledSlots);
+        
+        const roomKey = slot => `${slot.building}|${slot.floor}|${slot.room}`;
+        const floorKey = slot => `${slot.building}|${slot.floor}`;
+        
+        if (mode === 'room') {
+            const used = new Set(slots.map(roomKey));
+            return this.buildings.listRooms()
+                .filter(location => used.has(roomKey(location)))
+                .map(location => ({
+                    value: roomKey(location),
+                    title: `Room ${this.buildings.getRoomName(location.building, location.floor, location.room)}`,
+                    filter: session => roomKey(session) === roomKey(location),
+                    location
+                }));
+        }
+        if (mode === 'instructor') {
+            const instructors = [...new Set(scheduled.map(course => course.instructor))].sort();
+            return instructors.map(name => ({
+                value: name,
+                title: name,
+                filter: session => session.course.instructor === name
+            }));
+        }
+        if (mode === 'floor') {
+            const used = new Set(slots.map(floorKey));
+            const floors = [];
+            this.buildings.buildings.forEach(building => building.floors.forEach(floor => {
+                const location = { building: building.code, floor: floor.number };
+                if (used.has(floorKey(location))) {
+                    floors.push(location);
+                }
+            }));
+            return floors.map(location => ({
+                value: floorKey(location),
+                title: this.buildings.getFloorName(location.building, location.floor),
+                filter: session => floorKey(session) === floorKey(location)
+            }));
+        }
+        return [];
+    }
+
+    /**
+     * Update the timetable view dropdowns
+     * The entity dropdown lists the rooms, instructors or floors of the selected view
+     */
+    updateTimetableViewControls() {
+        const modeSelect = document.getElementById('timetableView');
+        const entitySelect = document.getElementById('timetableEntity');
+        const entities = this.getTimetableEntities(this.timetableView.mode);
+        if (!entities.some(entity => entity.value === this.timetableView.entity)) {
+            this.timetableView.entity = '';
+        }
+        
+        modeSelect.value = this.timetableView.mode;
+        entitySelect.innerHTML = '';
+        entitySelect.disabled = this.timetableView.mode === 'building';
+        const allOption = document.createElement('option');
+        allOption.value = '';
+        allOption.textContent = this.timetableView.mode === 'building' ? 'Whole building' : 'All (one page each)';
+        entitySelect.appendChild(allOption);
+        entities.forEach(entity => {
+            const option = document.createElement('option');
+            option.value = entity.value;
+            option.textContent = entity.title;
+            entitySelect.appendChild(option);
+        });
+        entitySelect.value = this.timetableView.entity;
+    }
+
+    /**
+     * Generate the visual timetable display
+     * Creates an HTML table showing the complete weekly schedule, or one table per room,
+     * instructor or floor depending on the selected view.
+     * The cohort filter applies to every view
+     */
+    generateTimetable() {
+        const timetableContainer = document.getElementById('timetable');
+        timetableContainer.innerHTML = '';
+        this.updateTimetableViewControls();
+        
+        // Only show the sessions attended by the selected cohort
+        const isShown = session => !this.cohortFilter || session.course.cohorts.includes(this.cohortFilter);
+        
+        // The building view is a single table without a header
+        const { mode, entity } = this.timetableView;
+        if (mode === 'building') {
+            timetableContainer.appendChild(this.buildTimetableTable(isShown));
+            return;
+        }
+        
+        // Other views get one sheet (printed on its own page) per room, instructor or floor
+        this.getTimetableEntities(mode)
+            .filter(item => !entity || item.value === entity)
+            .forEach(item => {
+                const sheet = document.createElement('div');
+                sheet.className = 'timetable-sheet';
+                
+                const title = document.createElement('h3');
+                title.className = 'timetable-sheet-title';
+                title.textContent = item.title;
+                sheet.appendChild(title);
+                
+                const subtitle = document.createElement('p');
+                subtitle.className = 'timetable-sheet-subtitle';
+                subtitle.textContent = `Weekly timetable${this.cohortFilter ? ` - ${this.cohortFilter}` : ''}`;
+                sheet.appendChild(subtitle);
+                
+                sheet.appendChild(this.buildTimetableTable(session => isShown(session) && item.filter(session), item.location));
+                timetableContainer.appendChild(sheet);
+            });
+    }
+
+    /**
+     * Build the timetable table for the sessions matching a filter
+     * Sessions can be dragged to another day and time slot. While dragging, the cells are marked
+     * as valid or invalid targets, and invalid drops are rejected with the reason.
+     * 
+     * @param {Function} isShown - Returns true for the { floor, room, course } sessions to show
+     * @param {Object} location - The room the table shows, if any; sessions dropped on it move to that room
+     * @return {HTMLTableElement} The timetable
+     */
+    buildTimetableTable(isShown, location = null) {
+        // Create the main table element
+        const table = document.createElement('table');
+        table.className = 'timetable';
+        
+        // Every cell of a working day accepts dropped sessions
+        const makeDropTarget = (cell, day, index) => {
+            cell.dataset.day = day;
+            cell.dataset.timeIndex = index;
+            cell.dropLocation = location;
+            cell.addEventListener('dragover', event => {
+                if (this.draggedSession) {
+                    event.preventDefault();
+                }
+            });
+            cell.addEventListener('drop', event => {
+                event.preventDefault();
+                if (this.draggedSession) {
+                    const { course, sessionIndex } = this.draggedSession;
+                    this.draggedSession = null;
+                    this.dropSession(course, sessionIndex, day, index, location);
+                }
+            });
+        };
+        
+        // Mark where the dragged session can go in every table shown, with the reason it cannot go anywhere else
+        const markDropTargets = () => {
+            const { course, sessionIndex } = this.draggedSession;
+            document.querySelectorAll('#timetable td[data-day]').forEach(cell => {
+                const { conflict } = this.planSessionMove(course, sessionIndex, cell.dataset.day, Number(cell.dataset.timeIndex), cell.dropLocation);
+                cell.classList.add(conflict ? 'drop-invalid' : 'drop-valid');
+                cell.title = conflict || '';
+            });
+        };
+        const clearDropTargets = () => {
+            this.draggedSession = null;
+            document.querySelectorAll('.drop-valid, .drop-invalid').forEach(cell => {
+                cell.classList.remove('drop-valid', 'drop-invalid');
+                cell.title = '';
+            });
+        };
+        
+        // STEP 1: Create table header with days of the week
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        
+        // Add time column header
+        const timeHeader = document.createElement('th');
+        timeHeader.className = 'time-header';
+        timeHeader.textContent = 'Time / Day';
+        headerRow.appendChild(timeHeader);
+        
+        // Add day column headers
+        this.days.forEach(day => {
+            const dayHeader = document.createElement('th');
+            dayHeader.textContent = day;
+            headerRow.appendChild(dayHeader);
+        });
+        
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+        
+        // STEP 2: Create table body with time slots and courses
+        const tbody = document.createElement('tbody');
+        
+        // For each time slot, create a row
+        this.displayTimeSlots.forEach((displayTime, index) => {
+            const row = document.createElement('tr');
+            
+            // Add time slot label
+            const timeCell = document.createElement('td');
+            timeCell.className = 'time-slot';
+            timeCell.textContent = displayTime;
+            row.appendChild(timeCell);
+            
+            // For each day, list every session running in this time slot
+            // Several courses can run in parallel in different rooms
+            this.days.forEach(day => {
+                // Blocked periods (such as the extra-mural hour) are shown by name
+                const blocked = this.timeGrid.getBlockedPeriod(day, index);
+                if (blocked) {
+                    const extramuralCell = document.createElement('td');
+                    extramuralCell.className = 'extramural';
+                    extramuralCell.textContent = blocked;
+                    makeDropTarget(extramuralCell, day, index);
+                    row.appendChild(extramuralCell);
+                    return;
+                }
+                
+                const dayCell = document.createElement('td');
+                dayCell.className = 'slot-cell';
+                makeDropTarget(dayCell, day, index);
+                
+                this.getSessionsAt(day, index)
+                    .filter(isShown)
+                    .forEach(({ building, floor, room, course }) => {
+                        // IMPORTANT: Detect continuations of multi-slot sessions in the same room
+                        // Sessions can span any number of slots (e.g. 2-slot labs, 3-slot studios)
+                        const session = course.scheduledSlots.find(slot =>
+                            slot.day === day && slot.building === building && slot.floor === floor && slot.room === room &&
+                            slot.timeIndex <= index && index < slot.timeIndex + course.getDuration(slot));
+                        const isContinuation = Boolean(session) && session.timeIndex < index;
+                        const type = session ? course.getComponent(session).type : course.type;
+                        
+                        // Create the course display element
+                        const courseCell = document.createElement('div');
+                        courseCell.className = `course-cell ${type}${isContinuation ? ' continuation' : ''}` +
+                            `${session && session.locked ? ' locked' : ''}`;
+                        
+                        // Add course code
+                        const courseName = document.createElement('div');
+                        courseName.className = 'course-name';
+                        courseName.textContent = isContinuation ? `${course.code} (cont.)` : `${course.code}`;
+                        courseCell.appendChild(courseName);
+                        
+                        // Add instructor (only on the first slot of a session)
+                        if (!isContinuation) {
+                            const courseInstructor = document.createElement('div');
+                            courseInstructor.className = 'course-instructor';
+                            courseInstructor.textContent = course.instructor;
+                            courseCell.appendChild(courseInstructor);
+                        }
+                        
+                        // Add room - the room this session actually occupies
+                        const courseRoom = document.createElement('div');
+                        courseRoom.className = 'course-room';
+                        courseRoom.textContent = this.buildings.getRoomName(building, floor, room);
+                        courseCell.appendChild(courseRoom);
+                        
+                        // Sessions are locked and unlocked on their first slot
+                        if (session && !isContinuation) {
+                            const lockToggle = document.createElement('button');
+                            lockToggle.type = 'button';
+                            lockToggle.className = 'lock-toggle';
+                            lockToggle.textContent = session.locked ? 'Locked' : 'Lock';
+                            lockToggle.title = session.locked ? 'Unlock this session' : 'Keep this session in place when the schedule is generated again';
+                            lockToggle.addEventListener('click', () => this.toggleLock(course, session));
+                            courseCell.appendChild(lockToggle);
+                        }
+                        
+                        // Sessions are dragged by their first slot (locked sessions stay put)
+                        if (session && !isContinuation && !session.locked) {
+                            courseCell.draggable = true;
+                            courseCell.title = 'Drag to another time slot';
+                            courseCell.addEventListener('dragstart', event => {
+                                event.stopPropagation();
+                                event.dataTransfer.effectAllowed = 'move';
+                                event.dataTransfer.setData('text/plain', course.code);
+                                this.draggedSession = { course, sessionIndex: course.scheduledSlots.indexOf(session) };
+                                markDropTargets();
+                            });
+                            courseCell.addEventListener('dragend', clearDropTargets);
+                        }
+                        
+                        dayCell.appendChild(courseCell);
+                    });
+                
+                row.appendChild(dayCell);
+            });
+            
+            tbody.appendChild(row);
+        });
+        
+        table.appendChild(tbody);
+        return table;
+    }
+
+    /**
+     * Show a notification message to the user
+     * Creates a temporary notification popup
+     * 
+     * @param {string} message - The message to display
+     * @param {string} type - The type of notification (success, error, warning)
+     */
+    showNotification(message, type) {
+        const notification = document.getElementById('notification');
+        notification.textContent = message;
+        notification.className = `notification ${type} show`;
+        
+        // Hide the notification after 3 seconds
+        setTimeout(() => {
+            notification.className = 'notification';
+        }, 3000);
+    }
+}
+
+// Initialize the schedule
+const schedule = new Schedule();
+
+/**
+ * Set up event listeners when the DOM is fully loaded
+ * This connects the UI elements to the scheduling functionality
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const addCourseBtn = document.getElementById('addCourse');
+    const cancelEditBtn = document.getElementById('cancelEdit');
+    const generateScheduleBtn = document.getElementById('generateSchedule');
+    const cancelSolveBtn = document.getElementById('cancelSolve');
+    const candidateCountInput = document.getElementById('candidateCount');
+    const generateCandidatesBtn = document.getElementById('generateCandidates');
+    const newScenarioNameInput = document.getElementById('newScenarioName');
+    const saveScenarioBtn = document.getElementById('saveScenario');
+    const clearScheduleBtn = document.getElementById('clearSchedule');
+    const cohortFilterSelect = document.getElementById('cohortFilter');
+    const timetableViewSelect = document.getElementById('timetableView');
+    const timetableEntitySelect = document.getElementById('timetableEntity');
+    const printTimetableBtn = document.getElementById('printTimetable');
+    const solverStrategySelect = document.getElementById('solverStrategy');
+    const solverTimeLimitInput = document.getElementById('solverTimeLimit');
+    const optimizeScheduleCheckbox = document.getElementById('optimizeSchedule');
+    const minimalChangeCheckbox = document.getElementById('minimalChange');
+    const addInstructorBtn = document.getElementById('addInstructor');
+    const newInstructorInput = document.getElementById('newInstructorName');
+    const addBuildingBtn = document.getElementById('addBuilding');
+    const gridStartInput = document.getElementById('gridStart');
+    const gridEndInput = document.getElementById('gridEnd');
+    const gridSlotLengthInput = document.getElementById('gridSlotLength');
+    const gridBreakLengthInput = document.getElementById('gridBreakLength');
+    const addBlockedPeriodBtn = document.getElementById('addBlockedPeriod');
+    const exportProjectBtn = document.getElementById('exportProject');
+    const importProjectBtn = document.getElementById('importProject');
+    const undoChangeBtn = document.getElementById('undoChange');
+    const redoChangeBtn = document.getElementById('redoChange');
+    const importProjectInput = document.getElementById('importProjectFile');
+    const importCSVBtn = document.getElementById('importCSV');
+    const importCSVInput = document.getElementById('importCSVFile');
+    const csvPreview = document.getElementById('csvPreview');
+    const autosaveStatus = document.getElementById('autosaveStatus');
+    const semesterStartInput = document.getElementById('semesterStart');
+    const semesterEndInput = document.getElementById('semesterEnd');
+    const calendarScopeSelect = document.getElementById('calendarScope');
+    const exportCalendarBtn = document.getElementById('exportCalendar');
+    const exportAnalyticsBtn = document.getElementById('exportAnalytics');
+    const addRuleBtn = document.getElementById('addRule');
+    const buildingSelect = document.getElementById('building');
+    const floorSelect = document.getElementById('floor');
+    const roomSelect = document.getElementById('room');
+    const classTypeSelect = document.getElementById('classType');
+    const classesPerWeekSelect = document.getElementById('classesPerWeek');
+    const consistentRoomCheckbox = document.getElementById('consistentRoom');
+    const daySelectionContainer = document.getElementById('daySelectionContainer');
+    const dayCheckboxGroup = document.getElementById('dayCheckboxes');
+    const requiredDaysSpan = document.getElementById('requiredDays');
+    const roomTypeSelect = document.getElementById('roomType');
+    const timeBandSelect = document.getElementById('spacingTimeBand');
+    const classesPerWeekGroup = document.getElementById('classesPerWeekGroup');
+    const sessionComponentsContainer = document.getElementById('sessionComponentsContainer');
+    const sessionComponentsList = document.getElementById('sessionComponents');
+    const addSessionComponentBtn = document.getElementById('addSessionComponent');
+
+    // Offer the room types in the course form
+    Object.entries(ROOM_TYPES).forEach(([key, label]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = label;
+        roomTypeSelect.appendChild(option);
+    });
+
+    // Offer the time bands of the spacing rules
+    Object.entries(TIME_BANDS).forEach(([key, band]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = band.label;
+        timeBandSelect.appendChild(option);
+    });
+
+    /**
+     * Add a row to the session components of the course form
+     * @param {Object} component - The component to show (see createSessionComponent)
+     */
+    function addSessionComponentRow(component) {
+        const row = document.createElement('div');
+        row.className = 'session-component-row';
+        
+        const countInput = document.createElement('input');
+        countInput.type = 'number';
+        countInput.min = '1';
+        countInput.value = component.count;
+        countInput.className = 'limit-input component-count';
+        countInput.setAttribute('aria-label', 'Sessions per week');
+        countInput.addEventListener('change', updateDaySelectionVisibility);
+        
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'component-type';
+        typeSelect.innerHTML = '<option value="theory">Theory</option><option value="lab">Lab</option>';
+        typeSelect.value = component.type;
+        
+        const durationInput = document.createElement('input');
+        durationInput.type = 'number';
+        durationInput.min = '1';
+        durationInput.value = component.duration;
+        durationInput.className = 'limit-input component-duration';
+        durationInput.setAttribute('aria-label', 'Time slots per session');
+        
+        // Changing the type suggests its usual length
+        typeSelect.addEventListener('change', () => {
+            durationInput.value = createSessionComponent(typeSelect.value).duration;
+        });
+        
+        const componentRoomTypeSelect = document.createElement('select');
+        componentRoomTypeSelect.className = 'component-room-type';
+        componentRoomTypeSelect.innerHTML = '<option value="">Course room type</option>';
+        Object.entries(ROOM_TYPES).forEach(([key, label]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            componentRoomTypeSelect.appendChild(option);
+        });
+        componentRoomTypeSelect.value = component.roomType || '';
+        
+        const equipmentInput = document.createElement('input');
+        equipmentInput.type = 'text';
+        equipmentInput.className = 'component-equipment';
+        equipmentInput.placeholder = 'Extra equipment';
+        equipmentInput.value = component.equipment.join(', ');
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn danger';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            row.remove();
+            updateDaySelectionVisibility();
+        });
+        
+        row.appendChild(countInput);
+        row.appendChild(document.createTextNode('×'));
+        row.appendChild(typeSelect);
+        row.appendChild(durationInput);
+        row.appendChild(document.createTextNode('slots'));
+        row.appendChild(componentRoomTypeSelect);
+        row.appendChild(equipmentInput);
+        row.appendChild(removeBtn);
+        sessionComponentsList.appendChild(row);
+    }
+
+    /**
+     * Get the session components entered in the course form
+     * @return {Array<Object>} One component per row
+     */
+    function getFormComponents() {
+        return [...sessionComponentsList.querySelectorAll('.session-component-row')].map(row => createSessionComponent(
+            row.querySelector('.component-type').value,
+            Number(row.querySelector('.component-count').value),
+            Number(row.querySelector('.component-duration').value),
+            row.querySelector('.component-room-type').value || null,
+            parseList(row.querySelector('.component-equipment').value)
+        ));
+    }
+
+    /**
+     * Get the number of classes per week entered in the course form
+     * @return {number} The selected number, or the sessions of every component for mixed sessions
+     */
+    function getFormClassesPerWeek() {
+        if (classTypeSelect.value === 'custom') {
+            return getFormComponents().reduce((total, component) => total + (Number.isInteger(component.count) ? component.count : 0), 0);
+        }
+        return parseInt(classesPerWeekSelect.value);
+    }
+
+    /**
+     * Update day selection visibility based on classes per week
+     * Show day selection only for 3 or 5 classes per week
+     */
+    function updateDaySelectionVisibility() {
+        const requiredDays = getRequiredDayCount(getFormClassesPerWeek(), schedule.days);
+        if (requiredDays > 0) {
+            daySelectionContainer.style.display = 'block';
+            requiredDaysSpan.textContent = requiredDays;
+            
+            // Pre-select the first working days of the week
+            dayCheckboxGroup.querySelectorAll('.day-select').forEach((checkbox, index) => {
+                checkbox.checked = index < requiredDays;
+            });
+        } else {
+            daySelectionContainer.style.display = 'none';
+        }
+    }
+
+    /**
+     * Enforce selection of exactly the required number of days
+     */
+    function enforceDaySelectionLimit(event) {
+        const requiredDays = getRequiredDayCount(getFormClassesPerWeek(), schedule.days);
+        const checkedDays = dayCheckboxGroup.querySelectorAll('.day-select:checked');
+        
+        if (checkedDays.length > requiredDays) {
+            // If too many are selected, uncheck the last one
+            event.target.checked = false;
+        }
+    }
+
+    /**
+     * Get selected days from checkboxes
+     */
+    function getSelectedDays() {
+        const selectedDays = [];
+        dayCheckboxGroup.querySelectorAll('.day-select').forEach(checkbox => {
+            if (checkbox.checked) {
+                selectedDays.push(checkbox.value);
+            }
+        });
+        return selectedDays;
+    }
+
+    /**
+     * Get the building for the course form's room selection
+     * With a single building, floors and rooms can be chosen without selecting it first
+     */
+    function getFormBuilding() {
+        if (buildingSelect.value) {
+            return buildingSelect.value;
+        }
+        return schedule.buildings.buildings.length === 1 ? schedule.buildings.buildings[0].code : null;
+    }
+
+    /**
+     * Dynamic floor selection handler
+     * When a building is selected, list its floors (or the floors of every building)
+     */
+    buildingSelect.addEventListener('change', () => {
+        const selected = floorSelect.value;
+        floorSelect.innerHTML = '<option value="">Auto-assign</option>';
+        schedule.buildings.getFloorNumbers(buildingSelect.value || null).forEach(floor => {
+            const option = document.createElement('option');
+            option.value = floor;
+            option.textContent = `Floor ${floor}`;
+            floorSelect.appendChild(option);
+        });
+        floorSelect.value = [...floorSelect.options].some(option => option.value === selected) ? selected : '';
+        floorSelect.dispatchEvent(new Event('change'));
+    });
+
+    /**
+     * Dynamic room selection handler
+     * When a floor is selected, update the available rooms
+     * Teacher-reserved and unavailable rooms are listed as disabled options
+     */
+    floorSelect.addEventListener('change', () => {
+        const floor = floorSelect.value ? parseInt(floorSelect.value) : null;
+        const building = getFormBuilding();
+        roomSelect.innerHTML = '<option value="">Auto-assign</option>';
+        
+        const floorEntry = floor && building ? schedule.buildings.getFloor(building, floor) : null;
+        if (floorEntry) {
+            floorEntry.rooms.forEach(room => {
+                const option = document.createElement('option');
+                option.value = room.number;
+                const name = schedule.buildings.getRoomName(building, floor, room.number);
+                if (room.teacherOnly) {
+                    option.textContent = `Room ${name} (Teacher Only)`;
+                    option.disabled = true;
+                } else if (room.unavailable) {
+                    option.textContent = `Room ${name} (Unavailable)`;
+                    option.disabled = true;
+                } else {
+                    const type = room.type !== 'classroom' ? `${ROOM_TYPES[room.type]}, ` : '';
+                    option.textContent = `Room ${name} (${type}${room.capacity} seats)`;
+                }
+                roomSelect.appendChild(option);
+            });
+        }
+    });
+
+    /**
+     * Class type change handler
+     * Adjust options based on class type selection
+     */
+    classTypeSelect.addEventListener('change', () => {
+        const isLab = classTypeSelect.value === 'lab';
+        const isCustom = classTypeSelect.value === 'custom';
+        
+        // Mixed or longer sessions are described per kind of session instead of a number of classes,
+        // starting from a 2-slot lab and two lectures
+        sessionComponentsContainer.style.display = isCustom ? 'block' : 'none';
+        classesPerWeekGroup.style.display = isCustom ? 'none' : 'block';
+        if (isCustom && sessionComponentsList.children.length === 0) {
+            addSessionComponentRow(createSessionComponent('lab', 1));
+            addSessionComponentRow(createSessionComponent('theory', 2));
+        }
+        
+        // For lab classes, we typically have fewer sessions per week
+        if (isLab) {
+            // Update classes per week options for labs
+            classesPerWeekSelect.innerHTML = '';
+            for (let i = 1; i <= 3; i++) {
+                const option = document.createElement('option');
+                option.value = i;
+                option.textContent = `${i} class${i > 1 ? 'es' : ''} per week`;
+                if (i === 1) option.selected = true;
+                classesPerWeekSelect.appendChild(option);
+            }
+        } else {
+            // Update classes per week options for theory
+            classesPerWeekSelect.innerHTML = '';
+            for (let i = 1; i <= 5; i++) {
+                const option = document.createElement('option');
+                option.value = i;
+                option.textContent = `${i} class${i > 1 ? 'es' : ''} per week`;
+                if (i === 3) option.selected = true;
+                classesPerWeekSelect.appendChild(option);
+            }
+        }
+        
+        // Update day selection visibility
+        updateDaySelectionVisibility();
+    });
+
+    /**
+     * Classes per week change handler
+     */
+    classesPerWeekSelect.addEventListener('change', updateDaySelectionVisibility);
+
+    /**
+     * Add session type button handler
+     */
+    addSessionComponentBtn.addEventListener('click', () => {
+        addSessionComponentRow(createSessionComponent('theory'));
+        updateDaySelectionVisibility();
+    });
+    
+    /**
+     * Day selection change handler
+     * The checkboxes follow the working days of the time grid, so the handler is delegated
+     */
+    dayCheckboxGroup.addEventListener('change', enforceDaySelectionLimit);
+
+    /**
+     * Read and validate the course form
+     * @return {Object} { fields, errors } with the course's fields (see Schedule.updateCourse) and
+     *                  the validation errors, in the order they are reported (empty if valid)
+     */
+    function readCourseForm() {
+        // Get form values
+        const courseName = document.getElementById('courseName').value.trim();
+        const courseCode = document.getElementById('courseCode').value.trim();
+        const instructor = document.getElementById('instructor').value.trim();
+        const classType = document.getElementById('classType').value;
+        const classesPerWeek = getFormClassesPerWeek();
+        const components = classType === 'custom' ? getFormComponents() : null;
+        const consistentRoom = document.getElementById('consistentRoom').checked;
+        const floor = floorSelect.value ? parseInt(floorSelect.value) : null;
+        const room = roomSelect.value ? parseInt(roomSelect.value) : null;
+        const building = room ? getFormBuilding() : buildingSelect.value || null;
+        const cohorts = parseList(document.getElementById('cohorts').value);
+        const enrollmentValue = document.getElementById('enrollment').value.trim();
+        const enrollment = enrollmentValue ? Number(enrollmentValue) : null;
+        const roomType = roomTypeSelect.value || null;
+        const equipment = parseList(document.getElementById('equipment').value);
+        const minGapValue = document.getElementById('spacingMinGap').value.trim();
+        const maxGapValue = document.getElementById('spacingMaxGap').value.trim();
+        const spacing = createSpacing({
+            minGap: minGapValue ? Number(minGapValue) : null,
+            maxGap: maxGapValue ? Number(maxGapValue) : null,
+            noSameDay: document.getElementById('spacingNoSameDay').checked,
+            timeBand: timeBandSelect.value || null,
+            sameTime: document.getElementById('spacingSameTime').checked
+        });
+        
+        // Get preferred days if applicable
+        const preferredDays = (classesPerWeek === 3 || classesPerWeek === 5) ? getSelectedDays() : [];
+
+        // Validate the course (day selection, required fields, teacher rooms)
+        const errors = validateCourseFields({
+            name: courseName,
+            code: courseCode,
+            instructor,
+            type: classType,
+            classesPerWeek,
+            preferredDays,
+            enrollment,
+            roomType,
+            equipment,
+            building,
+            floor,
+            room,
+            components,
+            spacing
+        }, schedule.buildings, schedule.days, schedule.courses, schedule.editingCourse);
+        
+        return {
+            fields: {
+                name: courseName,
+                code: courseCode,
+                instructor,
+                components: components || [createSessionComponent(classType, classesPerWeek)],
+                preferredDays,
+                consistentRoom,
+                building,
+                floor,
+                room,
+                cohorts,
+                enrollment,
+                roomType,
+                equipment,
+                spacing
+            },
+            errors
+        };
+    }
+
+    /**
+     * Clear the course form and leave edit mode
+     */
+    function resetCourseForm() {
+        document.getElementById('courseName').value = '';
+        document.getElementById('courseCode').value = '';
+        document.getElementById('instructor').value = '';
+        document.getElementById('cohorts').value = '';
+        document.getElementById('enrollment').value = '';
+        roomTypeSelect.value = '';
+        document.getElementById('equipment').value = '';
+        document.getElementById('spacingMinGap').value = '';
+        document.getElementById('spacingMaxGap').value = '';
+        timeBandSelect.value = '';
+        document.getElementById('spacingNoSameDay').checked = false;
+        document.getElementById('spacingSameTime').checked = false;
+        sessionComponentsList.innerHTML = '';
+        classTypeSelect.value = 'theory';
+        classTypeSelect.dispatchEvent(new Event('change'));
+        document.getElementById('consistentRoom').checked = true;
+        floorSelect.value = '';
+        buildingSelect.value = '';
+        buildingSelect.dispatchEvent(new Event('change'));
+        
+        // Reset day selection
+        updateDaySelectionVisibility();
+        
+        schedule.editingCourse = null;
+        addCourseBtn.textContent = 'Add Course';
+        cancelEditBtn.style.display = 'none';
+    }
+
+    /**
+     * Load a course into the course form for editing
+     * Plain courses are shown with their class type and classes per week, other courses
+     * with one row per kind of session
+     * 
+     * @param {Course} course - The course to edit
+     */
+    function loadCourseIntoForm(course) {
+        document.getElementById('courseName').value = course.name;
+        document.getElementById('courseCode').value = course.code;
+        document.getElementById('instructor').value = course.instructor;
+        document.getElementById('cohorts').value = course.cohorts.join(', ');
+        document.getElementById('enrollment').value = course.enrollment || '';
+        roomTypeSelect.value = course.roomType || '';
+        document.getElementById('equipment').value = course.equipment.join(', ');
+        document.getElementById('spacingMinGap').value = course.spacing.minGap || '';
+        document.getElementById('spacingMaxGap').value = course.spacing.maxGap || '';
+        timeBandSelect.value = course.spacing.timeBand || '';
+        document.getElementById('spacingNoSameDay').checked = course.spacing.noSameDay;
+        document.getElementById('spacingSameTime').checked = course.spacing.sameTime;
+        
+        // Session types
+        const [first] = course.components;
+        const plain = course.components.length === 1 &&
+            first.duration === createSessionComponent(first.type).duration &&
+            !first.roomType && first.equipment.length === 0 &&
+            first.count <= (first.type === 'lab' ? 3 : 5);
+        sessionComponentsList.innerHTML = '';
+        if (plain) {
+            classTypeSelect.value = first.type;
+            classTypeSelect.dispatchEvent(new Event('change'));
+            classesPerWeekSelect.value = first.count;
+        } else {
+            course.components.forEach(component => addSessionComponentRow(component));
+            classTypeSelect.value = 'custom';
+            classTypeSelect.dispatchEvent(new Event('change'));
+        }
+        updateDaySelectionVisibility();
+        if (course.preferredDays.length > 0) {
+            dayCheckboxGroup.querySelectorAll('.day-select').forEach(checkbox => {
+                checkbox.checked = course.preferredDays.includes(checkbox.value);
+            });
+        }
+        
+        // Requested location; each selection lists the options of the next one
+        document.getElementById('consistentRoom').checked = course.consistentRoom;
+        buildingSelect.value = course.building || '';
+        buildingSelect.dispatchEvent(new Event('change'));
+        floorSelect.value = course.floor || '';
+        floorSelect.dispatchEvent(new Event('change'));
+        roomSelect.value = course.room || '';
+        
+        schedule.editingCourse = course;
+        addCourseBtn.textContent = 'Save Changes';
+        cancelEditBtn.style.display = 'inline-block';
+        schedule.updateCourseList();
+        document.getElementById('courseName').focus();
+    }
+    
+    schedule.onEditCourse = loadCourseIntoForm;
+
+    /**
+     * Save the course being edited
+     * Offers to place the course again against the current timetable when its requirements changed
+     * or its sessions no longer fit; the other courses keep their placement
+     * 
+     * @param {Object} fields - The validated fields from readCourseForm()
+     */
+    function saveCourseEdit(fields) {
+        const course = schedule.editingCourse;
+        if (!schedule.courses.includes(course)) {
+            schedule.showNotification('The course being edited no longer exists!', 'error');
+            resetCourseForm();
+            schedule.updateCourseList();
+            return;
+        }
+        
+        const wasScheduled = course.scheduled;
+        const { conflict, requirementsChanged } = schedule.updateCourse(course, fields);
+        let question = null;
+        if (conflict) {
+            question = `${course.code} no longer fits its time slots: ${conflict}. Place it again in the current timetable?`;
+        } else if (wasScheduled && requirementsChanged && !course.locked) {
+            question = `${course.code} still fits its time slots. Place it again in the current timetable anyway (e.g. to find a better room)?`;
+        } else if (!wasScheduled && schedule.courses.some(other => other.scheduled)) {
+            question = `Place ${course.code} in the current timetable?`;
+        }
+        const replaced = question !== null && confirm(`${question} Other courses are not moved.`);
+        if (replaced) {
+            schedule.replaceCourse(course);
+        }
+        
+        resetCourseForm();
+        schedule.refreshUI();
+        schedule.notifyChange(`Edit ${course.code}`);
+        if (replaced && !course.scheduled) {
+            schedule.showNotification(`${course.code} was updated but could not be placed: ${course.unscheduledReason}`, 'warning');
+        } else if (wasScheduled && !course.scheduled) {
+            schedule.showNotification(`${course.code} was updated and is no longer scheduled: ${conflict}`, 'warning');
+        } else {
+            schedule.showNotification('Course updated successfully!', 'success');
+        }
+    }
+
+    /**
+     * Add course button handler
+     * Validates input and creates a new course, or saves the course being edited
+     */
+    addCourseBtn.addEventListener('click', () => {
+        const { fields, errors } = readCourseForm();
+        if (errors.length > 0) {
+            schedule.showNotification(errors[0], 'error');
+            return;
+        }
+        if (schedule.editingCourse) {
+            saveCourseEdit(fields);
+            return;
+        }
+
+        // Create and add the course
+        const course = new Course(
+            fields.name, 
+            fields.code, 
+            fields.instructor, 
+            null, // The type and classes per week follow from the components
+            null,
+            fields.preferredDays,
+            fields.consistentRoom,
+            fields.floor, 
+            fields.room,
+            fields.cohorts,
+            fields.building,
+            fields.enrollment,
+            fields.roomType,
+            fields.equipment,
+            fields.components,
+            fields.spacing
+        );
+        schedule.addCourse(course);
+        resetCourseForm();
+    });
+
+    /**
+     * Cancel edit button handler
+     */
+    cancelEditBtn.addEventListener('click', () => {
+        resetCourseForm();
+        schedule.updateCourseList();
+    });
+
+    /**
+     * Generate schedule button handler
+     * Triggers the scheduling algorithm
+     */
+    generateScheduleBtn.addEventListener('click', () => {
+        schedule.generateOptimalSchedule();
+    });
+
+    cancelSolveBtn.addEventListener('click', () => {
+        schedule.cancelBackgroundSolve();
+    });
+
+    /**
+     * Scenario handlers
+     * Candidates are generated with the selected solver strategy
+     */
+    generateCandidatesBtn.addEventListener('click', () => {
+        const count = Math.min(10, Math.max(2, parseInt(candidateCountInput.value) || DEFAULT_CANDIDATE_COUNT));
+        candidateCountInput.value = count;
+        schedule.generateCandidateSchedules(count);
+    });
+
+    saveScenarioBtn.addEventListener('click', () => {
+        if (schedule.saveScenario(newScenarioNameInput.value)) {
+            newScenarioNameInput.value = '';
+        }
+    });
+
+    /**
+     * Solver strategy and time budget handlers
+     */
+    Object.entries(SOLVER_STRATEGIES).forEach(([strategy, { label }]) => {
+        const option = document.createElement('option');
+        option.value = strategy;
+        option.textContent = label;
+        solverStrategySelect.appendChild(option);
+    });
+    
+    /**
+     * Show the schedule's solver settings in the form controls
+     */
+    function syncSolverControls() {
+        solverStrategySelect.value = schedule.solverStrategy;
+        solverTimeLimitInput.value = schedule.solverOptions.timeLimitMs / 1000;
+        optimizeScheduleCheckbox.checked = schedule.optimizeSchedule;
+        minimalChangeCheckbox.checked = schedule.minimalChange;
+        semesterStartInput.value = schedule.semester.start;
+        semesterEndInput.value = schedule.semester.end;
+    }
+    
+    solverStrategySelect.addEventListener('change', () => {
+        schedule.solverStrategy = solverStrategySelect.value;
+        schedule.notifyChange('Change the solver strategy');
+    });
+    
+    optimizeScheduleCheckbox.addEventListener('change', () => {
+        schedule.optimizeSchedule = optimizeScheduleCheckbox.checked;
+        schedule.notifyChange('Change the simulated annealing setting');
+    });
+    
+    minimalChangeCheckbox.addEventListener('change', () => {
+        schedule.minimalChange = minimalChangeCheckbox.checked;
+        schedule.notifyChange('Change the minimal change setting');
+    });
+    
+    solverTimeLimitInput.addEventListener('change', () => {
+        const seconds = parseFloat(solverTimeLimitInput.value);
+        if (seconds > 0) {
+            schedule.solverOptions.timeLimitMs = Math.round(seconds * 1000);
+            schedule.notifyChange('Change the solver time limit');
+        } else {
+            solverTimeLimitInput.value = schedule.solverOptions.timeLimitMs / 1000;
+        }
+    });
+
+    /**
+     * Semester date handlers
+     * The dates are saved with the project and bound the recurrence of exported calendars
+     */
+    semesterStartInput.addEventListener('change', () => {
+        schedule.semester.start = semesterStartInput.value;
+        schedule.notifyChange('Change the semester start');
+    });
+    
+    semesterEndInput.addEventListener('change', () => {
+        schedule.semester.end = semesterEndInput.value;
+        schedule.notifyChange('Change the semester end');
+    });
+
+    /**
+     * Export calendar button handler
+     * Downloads the sessions of the selected instructor, room or the whole building as a .ics file
+     */
+    exportCalendarBtn.addEventListener('click', () => {
+        if (!schedule.courses.some(course => course.scheduled)) {
+            schedule.showNotification('Please generate a schedule first!', 'error');
+            return;
+        }
+        const semesterError = getSemesterError(schedule.semester);
+        if (semesterError) {
+            schedule.showNotification(semesterError, 'error');
+            return;
+        }
         
-        table.appendChild(tbody);
-        timetableContainer.appendChild(table);
-    }
+        const scope = getCalendarScopes(schedule)
+            .find(item => `${item.type}:${item.value}` === calendarScopeSelect.value);
+        const ics = buildICalendar(schedule, { semester: schedule.semester, scope });
+        const blob = new Blob([ics], { type: 'text/calendar' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        const scopeName = scope && scope.value ? scope.value.replace(/[^A-Za-z0-9-]+/g, '-') : 'building';
+        link.download = `timetable-${scopeName}.ics`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        schedule.showNotification('Calendar exported!', 'success');
+    });
 
     /**
-     * Show a notification message to the user
-     * Creates a temporary notification popup
-     * 
-     * @param {string} message - The message to display
-     * @param {string} type - The type of notification (success, error, warning)
+     * Export analytics button handler
+     * Downloads the utilisation report as a .csv file
      */
-    showNotification(message, type) {
-        const notification = document.getElementById('notification');
-        notification.textContent = message;
-        notification.className = `notification ${type} show`;
+    exportAnalyticsBtn.addEventListener('click', () => {
+        if (!schedule.courses.some(course => course.scheduled)) {
+            schedule.showNotification('Please generate a schedule first!', 'error');
+            return;
+        }
         
-        // Hide the notification after 3 seconds
-        setTimeout(() => {
-            notification.className = 'notification';
-        }, 3000);
-    }
-}
+        const csv = buildAnalyticsCSV(schedule, buildAnalytics(schedule));
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `schedule-analytics-${new Date().toISOString().slice(0, 10)}.csv`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        schedule.showNotification('Analytics exported!', 'success');
+    });
 
-// Initialize the schedule
-const schedule = new Schedule();
+    /**
+     * Clear schedule button handler
+     * Adds confirmation before clearing
+     */
+    clearScheduleBtn.addEventListener('click', () => {
+        if (confirm('Are you sure you want to clear all courses, scenarios and the schedule?')) {
+            schedule.clearSchedule();
+        }
+    });
 
-/**
- * Set up event listeners when the DOM is fully loaded
- * This connects the UI elements to the scheduling functionality
- */
-document.addEventListener('DOMContentLoaded', () => {
-    const addCourseBtn = document.getElementById('addCourse');
-    const generateScheduleBtn = document.getElementById('generateSchedule');
-    const clearScheduleBtn = document.getElementById('clearSchedule');
-    const floorSelect = document.getElementById('floor');
-    const roomSelect = document.getElementById('room');
-    const classTypeSelect = document.getElementById('classType');
-    const classesPerWeekSelect = document.getElementById('classesPerWeek');
-    const consistentRoomCheckbox = document.getElementById('consistentRoom');
-    const daySelectionContainer = document.getElementById('daySelectionContainer');
-    const dayCheckboxes = document.querySelectorAll('.day-select');
-    const requiredDaysSpan = document.getElementById('requiredDays');
+    /**
+     * Cohort filter change handler
+     * Re-renders the timetable for the selected cohort
+     */
+    cohortFilterSelect.addEventListener('change', () => {
+        schedule.cohortFilter = cohortFilterSelect.value;
+        schedule.generateTimetable();
+        schedule.notifyChange();
+    });
 
     /**
-     * Update day selection visibility based on classes per week
-     * Show day selection only for 3 or 5 classes per week
+     * Timetable view handlers
+     * Switch between the building-wide grid and per-room, per-instructor or per-floor grids
      */
-    function updateDaySelectionVisibility() {
-        const classesPerWeek = parseInt(classesPerWeekSelect.value);
-        if (classesPerWeek === 3 || classesPerWeek === 5) {
-            daySelectionContainer.style.display = 'block';
-            requiredDaysSpan.textContent = classesPerWeek;
-            
-            // Pre-select days based on number of classes
-            let checkedCount = 0;
-            dayCheckboxes.forEach(checkbox => {
-                checkbox.checked = checkedCount < classesPerWeek && 
-                                  (checkbox.value === 'Monday' || 
-                                   checkbox.value === 'Tuesday' || 
-                                   checkbox.value === 'Wednesday' ||
-                                   (classesPerWeek === 5 && 
-                                    (checkbox.value === 'Thursday' || 
-                                     checkbox.value === 'Friday')));
-                if (checkbox.checked) checkedCount++;
-            });
-        } else {
-            daySelectionContainer.style.display = 'none';
+    timetableViewSelect.addEventListener('change', () => {
+        schedule.timetableView = { mode: timetableViewSelect.value, entity: '' };
+        schedule.generateTimetable();
+        schedule.notifyChange();
+    });
+    
+    timetableEntitySelect.addEventListener('change', () => {
+        schedule.timetableView.entity = timetableEntitySelect.value;
+        schedule.generateTimetable();
+        schedule.notifyChange();
+    });
+
+    /**
+     * Print button handler
+     * The print stylesheet only prints the timetable, one page per room, instructor or floor
+     */
+    printTimetableBtn.addEventListener('click', () => {
+        if (!schedule.courses.some(course => course.scheduled)) {
+            schedule.showNotification('Please generate a schedule first!', 'error');
+            return;
         }
-    }
+        window.print();
+    });
 
     /**
-     * Enforce selection of exactly the required number of days
+     * Add instructor button handler
+     * Registers an instructor before any course is assigned to them
      */
-    function enforceDaySelectionLimit() {
-        const classesPerWeek = parseInt(classesPerWeekSelect.value);
-        const checkedDays = document.querySelectorAll('.day-select:checked');
-        
-        if (checkedDays.length > classesPerWeek) {
-            // If too many are selected, uncheck the last one
-            this.checked = false;
+    addInstructorBtn.addEventListener('click', () => {
+        const name = newInstructorInput.value.trim();
+        if (!name) {
+            schedule.showNotification('Please enter an instructor name!', 'error');
+            return;
         }
-    }
+        if (schedule.instructors[name]) {
+            schedule.showNotification(`${name} is already registered!`, 'warning');
+            return;
+        }
+        
+        schedule.registerInstructor(name);
+        schedule.updateInstructorList();
+        schedule.notifyChange(`Add instructor ${name}`);
+        schedule.showNotification('Instructor added successfully!', 'success');
+        newInstructorInput.value = '';
+    });
 
     /**
-     * Get selected days from checkboxes
+     * Course rule form handlers
      */
-    function getSelectedDays() {
-        const selectedDays = [];
-        dayCheckboxes.forEach(checkbox => {
-            if (checkbox.checked) {
-                selectedDays.push(checkbox.value);
-            }
-        });
-        return selectedDays;
-    }
+    Object.entries(COURSE_RULE_TYPES).forEach(([type, { label }]) => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = label;
+        document.getElementById('ruleType').appendChild(option);
+    });
+    
+    addRuleBtn.addEventListener('click', () => {
+        schedule.addCourseRule(createCourseRule(
+            document.getElementById('ruleType').value,
+            document.getElementById('ruleCourse').value,
+            document.getElementById('ruleOther').value,
+            document.getElementById('ruleHard').checked
+        ));
+    });
 
     /**
-     * Dynamic room selection handler
-     * When a floor is selected, update the available rooms
+     * Add building button handler
+     * Adds a building with the same number of rooms on every floor; rooms can be edited afterwards
      */
-    floorSelect.addEventListener('change', () => {
-        const floor = floorSelect.value;
-        roomSelect.innerHTML = '<option value="">Auto-assign</option>';
+    addBuildingBtn.addEventListener('click', () => {
+        const codeInput = document.getElementById('newBuildingCode');
+        const nameInput = document.getElementById('newBuildingName');
+        const floorsInput = document.getElementById('newBuildingFloors');
+        const roomsInput = document.getElementById('newBuildingRooms');
+        const capacityInput = document.getElementById('newBuildingCapacity');
+        const code = codeInput.value.trim();
         
-        if (floor) {
-            // Add regular rooms (1-13)
-            for (let room = 1; room <= 13; room++) {
-                const option = document.createElement('option');
-                option.value = room;
-                option.textContent = `Room ${room}`;
-                roomSelect.appendChild(option);
-            }
-            
-            // Add teacher rooms (14-15) as disabled options
-            for (let room = 14; room <= 15; room++) {
-                const option = document.createElement('option');
-                option.value = room;
-                option.textContent = `Room ${room} (Teacher Only)`;
-                option.disabled = true;
-                roomSelect.appendChild(option);
-            }
+        const error = schedule.buildings.addBuilding(code, nameInput.value.trim(),
+            parseInt(floorsInput.value), parseInt(roomsInput.value), parseInt(capacityInput.value));
+        if (error) {
+            schedule.showNotification(error, 'error');
+            return;
         }
+        
+        schedule.onBuildingsChanged();
+        schedule.renderRoomEditor(code);
+        schedule.showNotification('Building added successfully!', 'success');
+        codeInput.value = '';
+        nameInput.value = '';
     });
 
     /**
-     * Class type change handler
-     * Adjust options based on class type selection
+     * Time grid handlers
+     * Changing the day, slot or break times rebuilds the grid and keeps the sessions that still fit
      */
-    classTypeSelect.addEventListener('change', () => {
-        const isLab = classTypeSelect.value === 'lab';
+    [gridStartInput, gridEndInput, gridSlotLengthInput, gridBreakLengthInput].forEach(input => {
+        input.addEventListener('change', () => {
+            schedule.onTimeGridChanged({
+                ...schedule.timeGrid.toJSON(),
+                startTime: gridStartInput.value,
+                endTime: gridEndInput.value,
+                slotLength: parseInt(gridSlotLengthInput.value),
+                breakLength: parseInt(gridBreakLengthInput.value)
+            });
+        });
+    });
+
+    /**
+     * Add blocked period button handler
+     */
+    addBlockedPeriodBtn.addEventListener('click', () => {
+        const nameInput = document.getElementById('newBlockName');
+        const daySelect = document.getElementById('newBlockDay');
+        const startInput = document.getElementById('newBlockStart');
+        const endInput = document.getElementById('newBlockEnd');
+        const config = schedule.timeGrid.toJSON();
+        config.blockedPeriods.push({
+            name: nameInput.value.trim(),
+            days: daySelect.value ? [daySelect.value] : [],
+            start: startInput.value,
+            end: endInput.value
+        });
         
-        // For lab classes, we typically have fewer sessions per week
-        if (isLab) {
-            // Update classes per week options for labs
-            classesPerWeekSelect.innerHTML = '';
-            for (let i = 1; i <= 3; i++) {
-                const option = document.createElement('option');
-                option.value = i;
-                option.textContent = `${i} class${i > 1 ? 'es' : ''} per week`;
-                if (i === 1) option.selected = true;
-                classesPerWeekSelect.appendChild(option);
-            }
-        } else {
-            // Update classes per week options for theory
-            classesPerWeekSelect.innerHTML = '';
-            for (let i = 1; i <= 5; i++) {
-                const option = document.createElement('option');
-                option.value = i;
-                option.textContent = `${i} class${i > 1 ? 'es' : ''} per week`;
-                if (i === 3) option.selected = true;
-                classesPerWeekSelect.appendChild(option);
-            }
+        if (schedule.onTimeGridChanged(config)) {
+            nameInput.value = '';
         }
-        
-        // Update day selection visibility
-        updateDaySelectionVisibility();
     });
 
     /**
-     * Classes per week change handler
+     * Export project button handler
+     * Downloads the whole project as a .json file
      */
-    classesPerWeekSelect.addEventListener('change', updateDaySelectionVisibility);
-    
+    exportProjectBtn.addEventListener('click', () => {
+        const json = JSON.stringify(serializeProject(schedule), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `schedule-project-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        schedule.showNotification('Project exported!', 'success');
+    });
+
     /**
-     * Day selection change handler
+     * Import project handlers
+     * Reads a .json project file, validates it and replaces the current project
      */
-    dayCheckboxes.forEach(checkbox => {
-        checkbox.addEventListener('change', enforceDaySelectionLimit);
+    importProjectBtn.addEventListener('click', () => importProjectInput.click());
+    
+    importProjectInput.addEventListener('change', () => {
+        const file = importProjectInput.files[0];
+        importProjectInput.value = ''; // Allow importing the same file again
+        if (!file) {
+            return;
+        }
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            let project;
+            try {
+                project = readProject(reader.result);
+            } catch (error) {
+                const details = error.details && error.details.length > 0
+                    ? ` ${error.details.slice(0, 3).join(' ')}${error.details.length > 3 ? ' …' : ''}`
+                    : '';
+                schedule.showNotification(`Import failed: ${error.message}${details}`, 'error');
+                return;
+            }
+            
+            if (schedule.courses.length > 0 &&
+                !confirm('Importing a project replaces all current courses and the schedule. Continue?')) {
+                return;
+            }
+            
+            loadProject(schedule, project);
+            syncSolverControls();
+            schedule.refreshUI();
+            schedule.notifyChange('Import a project');
+            schedule.showNotification(`Imported ${schedule.courses.length} courses!`, 'success');
+        };
+        reader.readAsText(file);
     });
 
     /**
-     * Add course button handler
-     * Validates input and creates a new course
+     * Show the parsed rows of a CSV file before they are imported
+     * Valid rows can be appended to the course list or replace it; rows with errors are skipped.
+     * Choosing the other import mode parses the file again, since appended courses may not reuse current codes
+     * 
+     * @param {Object} result - The result of parseCourseCSV()
+     * @param {string} fileName - The name of the imported file
+     * @param {string} text - The contents of the imported file
+     * @param {boolean} replace - Whether the rows were parsed to replace the current courses
      */
-    addCourseBtn.addEventListener('click', () => {
-        // Get form values
-        const courseName = document.getElementById('courseName').value.trim();
-        const courseCode = document.getElementById('courseCode').value.trim();
-        const instructor = document.getElementById('instructor').value.trim();
-        const classType = document.getElementById('classType').value;
-        const classesPerWeek = parseInt(document.getElementById('classesPerWeek').value);
-        const consistentRoom = document.getElementById('consistentRoom').checked;
-        const floor = floorSelect.value ? parseInt(floorSelect.value) : null;
-        const room = roomSelect.value ? parseInt(roomSelect.value) : null;
+    function renderCSVPreview(result, fileName, text, replace = false) {
+        const validCourses = result.rows.filter(row => row.course).map(row => row.course);
+        const invalidCount = result.rows.length - validCourses.length;
         
-        // Get preferred days if applicable
-        let preferredDays = [];
-        if (classesPerWeek === 3 || classesPerWeek === 5) {
-            preferredDays = getSelectedDays();
-            
-            // Validate day selection
-            if (preferredDays.length !== classesPerWeek) {
-                schedule.showNotification(`Please select exactly ${classesPerWeek} days!`, 'error');
+        csvPreview.innerHTML = '';
+        csvPreview.classList.add('visible');
+        
+        const heading = document.createElement('h3');
+        heading.textContent = `Import preview: ${fileName}`;
+        csvPreview.appendChild(heading);
+        
+        const summary = document.createElement('p');
+        summary.className = 'csv-summary';
+        summary.textContent = `${validCourses.length} valid row(s), ${invalidCount} row(s) with errors will be skipped.`;
+        csvPreview.appendChild(summary);
+        
+        const tableContainer = document.createElement('div');
+        tableContainer.className = 'course-list-container';
+        const table = document.createElement('table');
+        table.className = 'course-list csv-preview-table';
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Row</th>
+                    <th>Course</th>
+                    <th>Instructor</th>
+                    <th>Type</th>
+                    <th>Classes/Week</th>
+                    <th>Days</th>
+                    <th>Room</th>
+                    <th>Status</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        `;
+        const tbody = table.querySelector('tbody');
+        result.rows.forEach(row => {
+            const { values } = row;
+            const tr = document.createElement('tr');
+            tr.className = row.course ? 'csv-row-valid' : 'csv-row-invalid';
+            const cells = [
+                row.line,
+                `${values.name} (${values.code})`,
+                values.instructor,
+                row.course ? row.course.sessionsDisplay : values.type,
+                values.classesPerWeek,
+                values.preferredDays.length > 0 ? values.preferredDays.map(day => day.substring(0, 3)).join(', ') : 'Auto',
+                values.room && values.building
+                    ? schedule.buildings.getRoomName(values.building, values.floor, values.room)
+                    : [values.building, values.floor ? `Floor ${values.floor}` : null].filter(Boolean).join(' ') || 'Auto'
+            ];
+            cells.forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            const status = document.createElement('td');
+            status.textContent = row.course ? 'OK' : row.errors.join(' ');
+            status.className = row.course ? 'csv-status-ok' : 'schedule-issue';
+            tr.appendChild(status);
+            tbody.appendChild(tr);
+        });
+        tableContainer.appendChild(table);
+        csvPreview.appendChild(tableContainer);
+        
+        // Append / replace choice and confirmation buttons
+        const controls = document.createElement('div');
+        controls.className = 'csv-controls';
+        controls.innerHTML = `
+            <label><input type="radio" name="csvImportMode" value="append"${replace ? '' : ' checked'}> Append to current courses</label>
+            <label><input type="radio" name="csvImportMode" value="replace"${replace ? ' checked' : ''}> Replace current courses</label>
+        `;
+        controls.querySelectorAll('input[name="csvImportMode"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                const replaceMode = radio.value === 'replace';
+                renderCSVPreview(parseCourseCSV(text, schedule, replaceMode), fileName, text, replaceMode);
+            });
+        });
+        const importBtn = document.createElement('button');
+        importBtn.className = 'btn primary';
+        importBtn.textContent = `Import ${validCourses.length} course(s)`;
+        importBtn.disabled = validCourses.length === 0;
+        importBtn.addEventListener('click', () => {
+            if (replace && schedule.courses.length > 0 &&
+                !confirm('Replacing removes all current courses and the schedule. Continue?')) {
                 return;
             }
-        }
+            schedule.addCourses(validCourses, replace);
+            closeCSVPreview();
+        });
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn secondary';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', closeCSVPreview);
+        controls.appendChild(importBtn);
+        controls.appendChild(cancelBtn);
+        csvPreview.appendChild(controls);
+    }
+    
+    /**
+     * Hide the CSV import preview
+     */
+    function closeCSVPreview() {
+        csvPreview.innerHTML = '';
+        csvPreview.classList.remove('visible');
+    }
 
-        // Validate required fields
-        if (!courseName || !courseCode || !instructor) {
-            schedule.showNotification('Please fill in all required fields!', 'error');
+    /**
+     * Import CSV handlers
+     * Reads a .csv file of courses and shows the preview
+     */
+    importCSVBtn.addEventListener('click', () => importCSVInput.click());
+    
+    importCSVInput.addEventListener('change', () => {
+        const file = importCSVInput.files[0];
+        importCSVInput.value = ''; // Allow importing the same file again
+        if (!file) {
             return;
         }
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            const result = parseCourseCSV(reader.result, schedule);
+            if (result.missingColumns.length > 0) {
+                closeCSVPreview();
+                schedule.showNotification(`Import failed: the file has no ${result.missingColumns.join(', ')} column(s).`, 'error');
+                return;
+            }
+            if (result.rows.length === 0) {
+                closeCSVPreview();
+                schedule.showNotification('Import failed: the file contains no courses.', 'error');
+                return;
+            }
+            renderCSVPreview(result, file.name, reader.result);
+        };
+        reader.readAsText(file);
+    });
 
-        // Validate that teacher rooms (14 and 15) are not selected
-        if (room && (room === 14 || room === 15)) {
-            schedule.showNotification('Rooms 14 and 15 are reserved for teachers only!', 'error');
+    /**
+     * Undo/redo history of the project (see history.js)
+     */
+    const history = new ProjectHistory();
+    
+    /**
+     * Show what the undo and redo buttons would change
+     */
+    function updateHistoryButtons() {
+        undoChangeBtn.disabled = !history.canUndo;
+        redoChangeBtn.disabled = !history.canRedo;
+        undoChangeBtn.title = history.canUndo ? `Undo: ${history.undoDescription} (Ctrl+Z)` : 'Nothing to undo';
+        redoChangeBtn.title = history.canRedo ? `Redo: ${history.redoDescription} (Ctrl+Y)` : 'Nothing to redo';
+    }
+    
+    /**
+     * Load a project from the history, keeping the current timetable view and cohort filter
+     * @param {Object|null} entry - The result of history.undo() or history.redo()
+     * @param {string} action - "Undid" or "Redid", for the notification
+     */
+    function restoreFromHistory(entry, action) {
+        if (!entry) {
             return;
         }
-
-        // Create and add the course
-        const course = new Course(
-            courseName, 
-            courseCode, 
-            instructor, 
-            classType, 
-            classesPerWeek,
-            preferredDays,
-            consistentRoom,
-            floor, 
-            room
-        );
-        schedule.addCourse(course);
-
-        // Clear input fields
-        document.getElementById('courseName').value = '';
-        document.getElementById('courseCode').value = '';
-        document.getElementById('instructor').value = '';
-        document.getElementById('classType').value = 'theory';
-        document.getElementById('classesPerWeek').value = '3';
-        document.getElementById('consistentRoom').checked = true;
-        document.getElementById('floor').value = '';
-        document.getElementById('room').innerHTML = '<option value="">Auto-assign</option>';
+        const { cohortFilter, timetableView, editingCourse } = schedule;
+        const editingIndex = schedule.courses.indexOf(editingCourse);
+        entry.project.settings = { ...entry.project.settings, cohortFilter, timetableView: { ...timetableView } };
+        loadProject(schedule, entry.project);
         
-        // Reset day selection
-        updateDaySelectionVisibility();
-    });
-
+        // Keep editing the same course if it still exists
+        if (editingCourse) {
+            const edited = schedule.courses[editingIndex];
+            if (edited && edited.code === editingCourse.code) {
+                schedule.editingCourse = edited;
+            } else {
+                resetCourseForm();
+            }
+        }
+        syncSolverControls();
+        schedule.refreshUI();
+        schedule.notifyChange(entry.description); // Autosaves; the history already holds this project
+        schedule.showNotification(`${action}: ${entry.description}`, 'success');
+    }
+    
+    undoChangeBtn.addEventListener('click', () => restoreFromHistory(history.undo(), 'Undid'));
+    redoChangeBtn.addEventListener('click', () => restoreFromHistory(history.redo(), 'Redid'));
+    
     /**
-     * Generate schedule button handler
-     * Triggers the scheduling algorithm
+     * Keyboard shortcuts: Ctrl+Z (Cmd+Z on macOS) to undo, Ctrl+Y or Ctrl+Shift+Z to redo
+     * Text fields keep their own undo
      */
-    generateScheduleBtn.addEventListener('click', () => {
-        schedule.generateOptimalSchedule();
+    document.addEventListener('keydown', event => {
+        // Nothing can be undone while the schedule is being generated; Escape cancels it
+        if (schedule.backgroundSolver.running) {
+            if (event.key === 'Escape') {
+                schedule.cancelBackgroundSolve();
+            }
+            return;
+        }
+        if (!(event.ctrlKey || event.metaKey) || event.altKey ||
+            event.target.closest('input, textarea, select, [contenteditable="true"]')) {
+            return;
+        }
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            restoreFromHistory(history.undo(), 'Undid');
+        } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+            event.preventDefault();
+            restoreFromHistory(history.redo(), 'Redid');
+        }
     });
-
+    
     /**
-     * Clear schedule button handler
-     * Adds confirmation before clearing
+     * Record every change in the history, autosave the project to localStorage and update the analytics
      */
-    clearScheduleBtn.addEventListener('click', () => {
-        if (confirm('Are you sure you want to clear all courses and the schedule?')) {
-            schedule.clearSchedule();
+    schedule.onChange = (changed, description) => {
+        history.record(serializeProject(schedule), description);
+        updateHistoryButtons();
+        schedule.updateAnalytics();
+        if (saveProjectToLocalStorage(schedule)) {
+            autosaveStatus.textContent = `Autosaved at ${new Date().toLocaleTimeString()}`;
+        } else {
+            autosaveStatus.textContent = 'Autosave unavailable';
         }
-    });
+    };
     
     // Initialize the class type dropdown to set correct classes per week options
     classTypeSelect.dispatchEvent(new Event('change'));
     
     // Initialize day selection visibility
     updateDaySelectionVisibility();
+    
+    // Restore the autosaved project, if any
+    try {
+        const savedProject = readProjectFromLocalStorage();
+        if (savedProject) {
+            loadProject(schedule, savedProject);
+        }
+    } catch (error) {
+        schedule.showNotification(`The autosaved project could not be restored: ${error.message}`, 'warning');
+    }
+    
+    // Initialize the project display; the restored project is the oldest state that can be undone to
+    syncSolverControls();
+    schedule.refreshUI();
+    history.reset(serializeProject(schedule));
+    updateHistoryButtons();
 }); 
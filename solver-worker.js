@@ -0,0 +1,61 @@
+/**
+ * Web Worker that generates the schedule off the main thread (started by BackgroundSolver in background-solver.js)
+ *
+ * The worker receives { project, strategy, seed, scenarioName }, where project is a serialized project (see
+ * storage.js) and seed and scenarioName are optional, and solves it with the same engine as the page. While
+ * solving it posts { type: 'progress', progress } messages (see Scheduler.solve()); when the schedule holds the
+ * best result found so far, the message also carries its score and placements, so the page can keep them if
+ * solving is cancelled. When done it posts { type: 'done', result, solverResult, optimizationResult, placements,
+ * scenario }, where scenario records the schedule (see scenarios.js) if a scenario name was given.
+ */
+
+importScripts('building.js', 'time-grid.js', 'solvers.js', 'optimizer.js', 'course-rules.js', 'engine.js', 'storage.js', 'analytics.js', 'scenarios.js');
+
+/**
+ * Minimum time between two progress messages, in milliseconds
+ */
+const PROGRESS_INTERVAL_MS = 100;
+
+/**
+ * Minimum time between two copies of the best schedule, in milliseconds
+ * (a copy is always sent when the solver moves on to the next phase)
+ */
+const SNAPSHOT_INTERVAL_MS = 250;
+
+self.onmessage = event => {
+    const { project, strategy, seed, scenarioName } = event.data;
+    const scheduler = new Scheduler();
+    loadProject(scheduler, project);
+    const order = [...scheduler.courses];
+
+    let lastProgress = 0;
+    let lastSnapshot = 0;
+    let lastPhase = null;
+    const onProgress = progress => {
+        const now = Date.now();
+        const snapshot = progress.improved && (progress.phase !== lastPhase || now - lastSnapshot >= SNAPSHOT_INTERVAL_MS);
+        if (!snapshot && now - lastProgress < PROGRESS_INTERVAL_MS) {
+            return;
+        }
+
+        const message = { type: 'progress', progress };
+        if (snapshot) {
+            message.score = scheduler.scorer.evaluate(scheduler).total;
+            message.placements = scheduler.getPlacements(order);
+            lastSnapshot = now;
+            lastPhase = progress.phase;
+        }
+        lastProgress = now;
+        self.postMessage(message);
+    };
+
+    const result = scheduler.solve(strategy, { onProgress, seed });
+    self.postMessage({
+        type: 'done',
+        result,
+        solverResult: scheduler.solverResults[strategy],
+        optimizationResult: scheduler.optimizationResult,
+        placements: scheduler.getPlacements(order),
+        scenario: scenarioName !== undefined ? createScenario(scheduler, scenarioName, { strategy, seed }) : null
+    });
+};
@@ -0,0 +1,460 @@
+/**
+ * Solver strategies for the Course Schedule Optimizer
+ *
+ * A solver places the courses of a Schedule whose state has been reset. Courses that are already
+ * scheduled (all of their sessions are locked or were kept in place) are left alone, and the locked
+ * sessions of the other courses stay where they are: only the open sessions are placed. Solvers only use
+ * the Schedule's own constraint checks and placement methods, so the same Schedule instance
+ * can be solved with any strategy and the outcomes compared.
+ * Each solver returns statistics about its run; the placements live in the Schedule itself.
+ * Solvers report their progress to an optional callback, called with true whenever the schedule holds
+ * the best result found so far and with false when the search has only been running for a while.
+ */
+
+/**
+ * GreedySolver places courses one at a time in priority order, without undo.
+ * A course that does not fit after the earlier courses were placed is left unscheduled.
+ */
+class GreedySolver {
+    /**
+     * Place all courses of the schedule
+     * @param {Schedule} schedule - The schedule to solve
+     * @param {Function} onProgress - Called after each course
+     * @return {Object} Statistics about the run
+     */
+    solve(schedule, onProgress = () => {}) {
+        // Sort courses by priority
+        // 1. Courses with longer sessions first (labs need more consecutive time slots)
+        // 2. Then by number of classes per week (more classes = harder to schedule)
+        // 3. Finally by whether they need consistent rooms
+        const longestSession = course => Math.max(...course.components.map(component => component.duration));
+        schedule.courses.sort((a, b) => {
+            // First priority: Longer sessions before shorter ones
+            if (longestSession(a) !== longestSession(b)) return longestSession(b) - longestSession(a);
+
+            // Second priority: More classes per week first
+            if (a.classesPerWeek > b.classesPerWeek) return -1;
+            if (a.classesPerWeek < b.classesPerWeek) return 1;
+
+            // Third priority: Courses needing consistent rooms first
+            if (a.consistentRoom && !b.consistentRoom) return -1;
+            if (!a.consistentRoom && b.consistentRoom) return 1;
+
+            return 0;
+        });
+
+        // Schedule each course using the greedy approach
+        // A course constrained by a rule is placed after the course the rule relates it to
+        for (const course of orderCoursesByRules(schedule.courses, schedule.courseRules).filter(course => !course.scheduled)) {
+            schedule.scheduleCourse(course);
+            onProgress(true);
+        }
+        return {};
+    }
+}
+
+/**
+ * BacktrackingSolver treats scheduling as a constraint-satisfaction problem.
+ * Each course is a variable whose values are complete placements (one time slot per session).
+ * Variables are picked with the MRV (minimum remaining values) heuristic, ties broken by degree
+ * (courses sharing an instructor or cohort, or linked by a hard rule), and forward checking prunes
+ * the placements of the remaining courses after every assignment. When the search fails or exceeds its time budget,
+ * the largest partial assignment found is kept and the remaining courses are placed greedily.
+ * The placements of a course hold its sessions on distinct days at the same time each day; only a course
+ * that fits no such placement is given placements at a different time on each day (see generateCandidates()).
+ * The time budget covers building the domains too: courses whose domain was not built in time are placed greedily.
+ */
+class BacktrackingSolver {
+    /**
+     * Create a new BacktrackingSolver instance
+     * @param {Object} options - Solver options
+     * @param {number} options.timeLimitMs - Time budget for the search in milliseconds
+     */
+    constructor(options = {}) {
+        this.timeLimitMs = options.timeLimitMs || 5000;
+    }
+
+    /**
+     * Place all courses of the schedule
+     * @param {Schedule} schedule - The schedule to solve
+     * @param {Function} onProgress - Called when the search finds a larger assignment and every 100 nodes
+     * @return {Object} Search statistics (nodes, backtracks, timedOut)
+     */
+    solve(schedule, onProgress = () => {}) {
+        this.schedule = schedule;
+        this.onProgress = onProgress;
+        this.deadline = Date.now() + this.timeLimitMs;
+        this.nodes = 0;
+        this.backtracks = 0;
+        this.timedOut = false;
+        this.assignment = []; // Stack of { course, slots } placements
+        this.bestAssignment = [];
+        this.ruleLinks = findRuleLinks(schedule.courses, schedule.courseRules);
+        this.prerequisites = findRuleLinks(schedule.courses, schedule.courseRules, true);
+        this.neighbours = this.buildNeighbours(schedule.courses);
+
+        // STEP 1: Build the initial domains
+        // Courses without any feasible placement are left to the greedy pass (which explains why)
+        const domains = new Map();
+        for (const course of schedule.courses.filter(course => !course.scheduled)) {
+            if (Date.now() > this.deadline) {
+                this.timedOut = true;
+                break;
+            }
+            const feasible = slots => this.isFeasible(course, slots);
+            let candidates = this.generateCandidates(course).filter(feasible);
+            if (candidates.length === 0) {
+                candidates = this.generateCandidates(course, true).filter(feasible);
+            }
+            if (candidates.length > 0) {
+                domains.set(course, candidates);
+            }
+        }
+        this.variables = [...domains.keys()];
+
+        // STEP 2: Search for an assignment of every course with a non-empty domain
+        // (unless the time budget was used up building the domains)
+        const solved = !this.timedOut && this.search(domains);
+
+        // STEP 3: Keep the largest partial assignment if the search did not succeed
+        if (!solved) {
+            this.restore(this.bestAssignment);
+        }
+
+        // STEP 4: Place the remaining courses greedily (this also records why they failed)
+        orderCoursesByRules(schedule.courses, schedule.courseRules)
+            .filter(course => !course.scheduled)
+            .forEach(course => {
+                schedule.scheduleCourse(course);
+                onProgress(true);
+            });
+
+        return {
+            nodes: this.nodes,
+            backtracks: this.backtracks,
+            timedOut: this.timedOut
+        };
+    }
+
+    /**
+     * Recursively assign placements to the courses in the domain map
+     * @param {Map<Course, Array>} domains - Remaining courses and their feasible placements
+     * @return {boolean} True if every course was assigned
+     */
+    search(domains) {
+        if (domains.size === 0) {
+            return true;
+        }
+
+        this.nodes++;
+        if (this.nodes % 100 === 0) {
+            this.onProgress(false);
+        }
+        if (Date.now() > this.deadline) {
+            this.timedOut = true;
+            return false;
+        }
+
+        const course = this.selectVariable(domains);
+        for (const slots of domains.get(course)) {
+            if (!this.schedule.placeCourse(course, slots)) {
+                continue;
+            }
+
+            this.assignment.push({ course, slots });
+            if (this.assignment.length > this.bestAssignment.length) {
+                this.bestAssignment = [...this.assignment];
+                this.onProgress(true);
+            }
+
+            const reduced = this.forwardCheck(domains, course);
+            if (reduced && this.search(reduced)) {
+                return true;
+            }
+
+            // Undo the assignment and try the next placement (unwinding after a timeout is not a backtrack)
+            this.assignment.pop();
+            this.schedule.unscheduleCourse(course, true);
+            if (this.timedOut) {
+                return false;
+            }
+            this.backtracks++;
+        }
+        return false;
+    }
+
+    /**
+     * Pick the next course to assign
+     * MRV: fewest remaining placements first; degree: most constrained neighbours as tie-breaker.
+     * A course constrained by a rule waits until the course the rule relates it to is assigned
+     * @param {Map<Course, Array>} domains - Remaining courses and their feasible placements
+     * @return {Course} The course to assign next
+     */
+    selectVariable(domains) {
+        let best = null;
+        let bestSize = Infinity;
+        let bestDegree = -1;
+
+        for (const [course, candidates] of domains) {
+            const size = candidates.length;
+            if (size > bestSize) continue;
+            if ([...this.prerequisites.get(course)].some(other => domains.has(other))) continue;
+
+            let degree = 0;
+            this.neighbours.get(course).forEach(neighbour => {
+                if (domains.has(neighbour)) degree++;
+            });
+
+            if (size < bestSize || degree > bestDegree) {
+                best = course;
+                bestSize = size;
+                bestDegree = degree;
+            }
+        }
+        return best || domains.keys().next().value; // Every course waits for another: a cycle of rules
+    }
+
+    /**
+     * Remove the placements that became infeasible after a course was placed
+     * Only placements that share its instructor when that instructor has daily or weekly limits, that are
+     * linked to it by a rule, or that overlap the new sessions in time can be affected. Overlapping placements
+     * of a course that shares no instructor, cohort or rule with it can only lose their room, so only the
+     * rooms of their overlapping sessions are re-checked (once per day, time and component of the course)
+     *
+     * @param {Map<Course, Array>} domains - Domains before the assignment
+     * @param {Course} placed - The course that was just placed
+     * @return {Map<Course, Array>|null} Reduced domains, or null if a course has no placement left
+     */
+    forwardCheck(domains, placed) {
+        const reduced = new Map();
+
+        for (const [course, candidates] of domains) {
+            if (course === placed) continue;
+
+            const instructor = this.schedule.instructors[course.instructor];
+            const sharesLimits = course.instructor === placed.instructor && instructor &&
+                (instructor.maxSlotsPerDay || instructor.maxSlotsPerWeek);
+            const linked = this.ruleLinks.get(course).has(placed);
+            const neighbour = this.neighbours.get(course).has(placed);
+            const rooms = new Map();
+            const hasRoom = slot => {
+                const key = `${slot.day}|${slot.timeIndex}|${slot.component}`;
+                if (!rooms.has(key)) {
+                    rooms.set(key, this.schedule.findAvailableRoom(course, slot.day, slot.timeIndex,
+                        course.getDuration(slot), slot.component) !== null);
+                }
+                return rooms.get(key);
+            };
+            const filtered = candidates.filter(slots => {
+                if (sharesLimits || linked) {
+                    return this.isFeasible(course, slots);
+                }
+                const overlapping = slots.filter(slot => this.overlaps(course, [slot], placed));
+                if (overlapping.length === 0) {
+                    return true;
+                }
+                return neighbour ? this.isFeasible(course, slots) : overlapping.every(hasRoom);
+            });
+
+            if (filtered.length === 0) {
+                return null; // Dead end: this course can no longer be placed
+            }
+            reduced.set(course, filtered.length === candidates.length ? candidates : filtered);
+        }
+        return reduced;
+    }
+
+    /**
+     * Check whether a placement overlaps in time with the sessions of a placed course
+     * @param {Course} course - The course of the placement
+     * @param {Array<Object>} slots - The placement to check
+     * @param {Course} placed - The placed course
+     * @return {boolean} True if any sessions overlap
+     */
+    overlaps(course, slots, placed) {
+        return slots.some(slot => placed.scheduledSlots.some(other =>
+            other.day === slot.day &&
+            slot.timeIndex < other.timeIndex + placed.getDuration(other) &&
+            other.timeIndex < slot.timeIndex + course.getDuration(slot)
+        ));
+    }
+
+    /**
+     * Check whether a complete placement of a course fits the current schedule
+     * @param {Course} course - The course to check
+     * @param {Array<Object>} slots - One { day, timeSlot, timeIndex, component } entry per session
+     * @return {boolean} True if every session can be placed
+     */
+    isFeasible(course, slots) {
+        if (this.schedule.getWeeklyLoadConflict(course)) {
+            return false;
+        }
+
+        const pending = [];
+        for (const slot of slots) {
+            if (!this.schedule.canScheduleSession(course, slot.day, slot.timeIndex, pending, null, slot.component)) {
+                return false;
+            }
+            pending.push(slot);
+        }
+        return true;
+    }
+
+    /**
+     * Generate the candidate placements of a course
+     * Sessions go on distinct days (the preferred days if specified) at the same time each day, in the
+     * order of course.openSessions (longest first); well-spread day combinations and earlier times are
+     * tried first. Days that hold a locked session of the course are skipped, and a course with fewer
+     * free days than open sessions has no candidates.
+     * With mixedTimes, each session is instead held at a time where it fits its day on its own, so the times
+     * can differ between days: the k-th candidate of a day combination holds each session at the k-th such
+     * time of its day (or the last one, on days with fewer)
+     *
+     * @param {Course} course - The course to generate placements for
+     * @param {boolean} mixedTimes - Whether the sessions may start at a different time on each day
+     * @return {Array<Array<Object>>} Candidate placements
+     */
+    generateCandidates(course, mixedTimes = false) {
+        const schedule = this.schedule;
+        const sessions = course.openSessions;
+        const count = sessions.length;
+        const freeDays = schedule.days.filter(day => !course.scheduledSlots.some(slot => slot.day === day));
+
+        // Use preferred days if specified, topped up with other days like the greedy search
+        let pool = course.preferredDays && course.preferredDays.length > 0
+            ? course.preferredDays.filter(day => freeDays.includes(day))
+            : [...freeDays];
+        if (pool.length < count) {
+            pool = pool.concat(freeDays.filter(day => !pool.includes(day)).slice(0, count - pool.length));
+        }
+
+        // With fewer free days than sessions there is no placement on distinct days; the course is then
+        // left to the greedy search, which can hold two sessions on one day
+        if (pool.length < count) {
+            return [];
+        }
+
+        // Prefer day combinations with the largest minimum gap between sessions
+        const spread = days => {
+            const indices = days.map(day => schedule.days.indexOf(day)).sort((a, b) => a - b);
+            let minGap = Infinity;
+            for (let i = 1; i < indices.length; i++) {
+                minGap = Math.min(minGap, indices[i] - indices[i - 1]);
+            }
+            return minGap;
+        };
+        const combos = combinations(pool, count)
+            .sort((a, b) => spread(b) - spread(a));
+
+        const candidates = [];
+        const toSlot = (day, timeIndex, session) => ({
+            day,
+            timeSlot: schedule.timeSlots[timeIndex],
+            timeIndex,
+            component: session.component
+        });
+        combos.forEach(days => {
+            if (mixedTimes) {
+                const times = days.map((day, i) => schedule.timeSlots.map((slot, timeIndex) => timeIndex)
+                    .filter(timeIndex => schedule.canScheduleSession(course, day, timeIndex, [], null, sessions[i].component)));
+                const longest = times.some(dayTimes => dayTimes.length === 0) ? 0 : Math.max(...times.map(dayTimes => dayTimes.length));
+                for (let k = 0; k < longest; k++) {
+                    candidates.push(days.map((day, i) => toSlot(day, times[i][Math.min(k, times[i].length - 1)], sessions[i])));
+                }
+                return;
+            }
+            for (let timeIndex = 0; timeIndex < schedule.timeSlots.length; timeIndex++) {
+                if (days.every((day, i) => schedule.isTimeSlotAvailable(day, timeIndex, sessions[i].duration))) {
+                    candidates.push(days.map((day, i) => toSlot(day, timeIndex, sessions[i])));
+                }
+            }
+        });
+        return candidates;
+    }
+
+    /**
+     * Find the courses that constrain each other beyond room usage
+     * Two courses are neighbours when they share an instructor or a cohort, or are linked by a hard rule
+     *
+     * @param {Array<Course>} courses - All courses of the schedule
+     * @return {Map<Course, Set<Course>>} Neighbours of each course
+     */
+    buildNeighbours(courses) {
+        const neighbours = new Map(courses.map(course => [course, new Set(this.ruleLinks.get(course))]));
+        courses.forEach((a, i) => {
+            courses.slice(i + 1).forEach(b => {
+                if (a.instructor === b.instructor || a.cohorts.some(cohort => b.cohorts.includes(cohort))) {
+                    neighbours.get(a).add(b);
+                    neighbours.get(b).add(a);
+                }
+            });
+        });
+        return neighbours;
+    }
+
+    /**
+     * Rebuild the schedule from a recorded assignment
+     * Only the courses searched are unscheduled; locked sessions and courses placed before the search stay
+     * @param {Array<Object>} assignment - The { course, slots } placements to restore
+     */
+    restore(assignment) {
+        this.variables.forEach(course => this.schedule.unscheduleCourse(course, true));
+        assignment.forEach(({ course, slots }) => this.schedule.placeCourse(course, slots));
+    }
+}
+
+/**
+ * Get all combinations of k items
+ * @param {Array} items - The items to combine
+ * @param {number} k - The size of each combination
+ * @return {Array<Array>} All combinations, in the order of the items
+ */
+function combinations(items, k) {
+    if (k === 0) {
+        return [[]];
+    }
+    const result = [];
+    items.forEach((item, i) => {
+        combinations(items.slice(i + 1), k - 1).forEach(rest => result.push([item, ...rest]));
+    });
+    return result;
+}
+
+/**
+ * Available solver strategies
+ * New strategies are registered here with a label for the UI and a factory
+ */
+const SOLVER_STRATEGIES = {
+    greedy: {
+        label: 'Greedy',
+        create: () => new GreedySolver()
+    },
+    backtracking: {
+        label: 'Backtracking (CSP)',
+        create: options => new BacktrackingSolver(options)
+    }
+};
+
+/**
+ * Create a solver for a strategy
+ * @param {string} strategy - The key of the strategy in SOLVER_STRATEGIES
+ * @param {Object} options - Options passed to the solver
+ * @return {Object} A solver with a solve(schedule) method
+ */
+function createSolver(strategy, options = {}) {
+    const entry = SOLVER_STRATEGIES[strategy];
+    if (!entry) {
+        throw new Error(`Unknown solver strategy: ${strategy}`);
+    }
+    return entry.create(options);
+}
+
+// Export to Node (in the browser this file is a classic script and everything above is global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GreedySolver,
+        BacktrackingSolver,
+        SOLVER_STRATEGIES,
+        createSolver
+    };
+}
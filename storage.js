@@ -0,0 +1,498 @@
+/**
+ * Project persistence for the Course Schedule Optimizer
+ *
+ * A project is saved as versioned JSON: the building configuration, the time grid, the courses (including
+ * their generated scheduledSlots/scheduledRooms), the instructor registry, the rules linking courses, the
+ * saved scenarios and the scheduler settings.
+ * Projects are autosaved to localStorage and can be exported to / imported from .json files.
+ * Imported projects are migrated to the current schema version and validated before use.
+ */
+
+// In Node, load the engine (the browser loads it first, see index.html)
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./engine.js'));
+}
+
+/**
+ * Current version of the project schema
+ * Bump this when the saved format changes, and register a migration below
+ */
+const PROJECT_SCHEMA_VERSION = 10;
+
+/**
+ * localStorage key used for autosaving
+ */
+const PROJECT_STORAGE_KEY = 'courseScheduleOptimizer.project';
+
+/**
+ * Migrations between schema versions
+ * PROJECT_MIGRATIONS[n] upgrades a version n project to version n + 1 and returns it
+ */
+const PROJECT_MIGRATIONS = {
+    // Version 2 replaced the hard-coded Building AB3 with a configurable list of buildings;
+    // every location gained a building code
+    1: project => ({
+        ...project,
+        schemaVersion: 2,
+        buildings: createDefaultBuildings(),
+        courses: (project.courses || []).map(course => ({
+            ...course,
+            building: course.floor !== null && course.floor !== undefined ? 'AB3' : null,
+            scheduledSlots: (course.scheduledSlots || []).map(slot => ({ ...slot, building: 'AB3' })),
+            scheduledRooms: Object.fromEntries(Object.entries(course.scheduledRooms || {})
+                .map(([day, room]) => [day, { ...room, building: 'AB3' }]))
+        }))
+    }),
+    // Version 3 added room capacities and the expected enrollment of courses
+    2: project => ({
+        ...project,
+        schemaVersion: 3,
+        buildings: (project.buildings || []).map(building => ({
+            ...building,
+            floors: (building.floors || []).map(floor => ({
+                ...floor,
+                rooms: (floor.rooms || []).map(room => ({ capacity: DEFAULT_ROOM_CAPACITY, ...room }))
+            }))
+        })),
+        courses: (project.courses || []).map(course => ({ enrollment: null, ...course }))
+    }),
+    // Version 4 added room types and equipment, and the room requirements of courses
+    3: project => ({
+        ...project,
+        schemaVersion: 4,
+        buildings: (project.buildings || []).map(building => ({
+            ...building,
+            floors: (building.floors || []).map(floor => ({
+                ...floor,
+                rooms: (floor.rooms || []).map(room => ({ type: 'classroom', equipment: [], ...room }))
+            }))
+        })),
+        courses: (project.courses || []).map(course => ({ roomType: null, equipment: [], ...course }))
+    }),
+    // Version 5 made the days, time slots and blocked periods configurable
+    4: project => ({
+        ...project,
+        schemaVersion: 5,
+        timeGrid: createDefaultTimeGrid()
+    }),
+    // Version 6 replaced the class type and classes per week of courses with session components,
+    // and every scheduled session names its component
+    5: project => ({
+        ...project,
+        schemaVersion: 6,
+        courses: (project.courses || []).map(({ type, classesPerWeek, ...course }) => ({
+            ...course,
+            components: [createSessionComponent(type, classesPerWeek)],
+            scheduledSlots: (course.scheduledSlots || []).map(slot => ({ ...slot, component: 0 }))
+        }))
+    }),
+    // Version 7 added locked sessions (scheduled slots with locked: true) and the minimal change setting;
+    // older projects have neither
+    6: project => ({
+        ...project,
+        schemaVersion: 7,
+        settings: { minimalChange: false, ...project.settings }
+    }),
+    // Version 8 added named scenarios (alternative placements of the courses)
+    7: project => ({
+        ...project,
+        schemaVersion: 8,
+        scenarios: []
+    }),
+    // Version 9 added rules linking courses by code (see course-rules.js)
+    8: project => ({
+        ...project,
+        schemaVersion: 9,
+        courseRules: []
+    }),
+    // Version 10 added the spacing rules of each course, and the rules relaxed to place it
+    9: project => ({
+        ...project,
+        schemaVersion: 10,
+        courses: (project.courses || []).map(course => ({
+            ...course,
+            spacing: createSpacing(),
+            relaxedSpacing: []
+        }))
+    })
+};
+
+/**
+ * Error raised when a project cannot be read
+ */
+class ProjectImportError extends Error {
+    /**
+     * Create a new ProjectImportError instance
+     * @param {string} message - Summary of the problem
+     * @param {Array<string>} details - Individual validation errors
+     */
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'ProjectImportError';
+        this.details = details;
+    }
+}
+
+/**
+ * Convert a schedule into a plain project object
+ * @param {Schedule} schedule - The schedule to save
+ * @return {Object} The project in the current schema version
+ */
+function serializeProject(schedule) {
+    return {
+        schemaVersion: PROJECT_SCHEMA_VERSION,
+        savedAt: new Date().toISOString(),
+        settings: {
+            solverStrategy: schedule.solverStrategy,
+            solverOptions: { ...schedule.solverOptions },
+            optimizeSchedule: schedule.optimizeSchedule,
+            minimalChange: schedule.minimalChange,
+            cohortFilter: schedule.cohortFilter || '', // The display settings are only set by the browser UI
+            timetableView: { mode: 'building', entity: '', ...schedule.timetableView },
+            semester: { ...schedule.semester }
+        },
+        buildings: schedule.buildings.toJSON(),
+        timeGrid: schedule.timeGrid.toJSON(),
+        instructors: Object.values(schedule.instructors).map(instructor => ({
+            name: instructor.name,
+            maxSlotsPerDay: instructor.maxSlotsPerDay,
+            maxSlotsPerWeek: instructor.maxSlotsPerWeek,
+            unavailable: { ...instructor.unavailable }
+        })),
+        courses: schedule.courses.map(course => ({
+            name: course.name,
+            code: course.code,
+            instructor: course.instructor,
+            components: JSON.parse(JSON.stringify(course.components)),
+            preferredDays: [...course.preferredDays],
+            consistentRoom: course.consistentRoom,
+            building: course.building,
+            floor: course.floor,
+            room: course.room,
+            cohorts: [...course.cohorts],
+            enrollment: course.enrollment,
+            roomType: course.roomType,
+            equipment: [...course.equipment],
+            spacing: { ...course.spacing },
+            scheduled: course.scheduled,
+            unscheduledReason: course.unscheduledReason,
+            relaxedSpacing: [...course.relaxedSpacing],
+            scheduledSlots: course.scheduledSlots.map(slot => ({ ...slot })),
+            scheduledRooms: JSON.parse(JSON.stringify(course.scheduledRooms))
+        })),
+        courseRules: schedule.courseRules.map(rule => ({ ...rule })),
+        scenarios: JSON.parse(JSON.stringify(schedule.scenarios || []))
+    };
+}
+
+/**
+ * Upgrade a project to the current schema version
+ * @param {Object} data - A parsed project
+ * @return {Object} The project in the current schema version
+ */
+function migrateProject(data) {
+    let project = data;
+    while (project.schemaVersion < PROJECT_SCHEMA_VERSION) {
+        const migrate = PROJECT_MIGRATIONS[project.schemaVersion];
+        if (!migrate) {
+            throw new ProjectImportError(`Projects saved with schema version ${project.schemaVersion} are no longer supported.`);
+        }
+        project = migrate(project);
+    }
+    return project;
+}
+
+/**
+ * Check a project (in the current schema version) against the schedule's rules
+ * @param {Object} project - The project to validate
+ * @return {Array<string>} Validation errors (empty if the project is valid)
+ */
+function validateProject(project) {
+    const errors = [];
+    const isString = value => typeof value === 'string' && value.trim().length > 0;
+    const isLimit = value => value === null || (Number.isInteger(value) && value > 0);
+
+    if (!Array.isArray(project.courses)) {
+        errors.push('The project has no course list.');
+        return errors;
+    }
+    if (!Array.isArray(project.instructors)) {
+        errors.push('The project has no instructor list.');
+        return errors;
+    }
+    const buildingErrors = validateBuildings(project.buildings);
+    if (buildingErrors.length > 0) {
+        return buildingErrors;
+    }
+    const timeGridErrors = validateTimeGrid(project.timeGrid);
+    if (timeGridErrors.length > 0) {
+        return timeGridErrors;
+    }
+    
+    // Rooms and sessions are checked against the project's own buildings and time grid
+    const buildings = new BuildingModel(project.buildings);
+    const timeGrid = new TimeGrid(project.timeGrid);
+
+    project.instructors.forEach((instructor, index) => {
+        const label = `Instructor ${index + 1}`;
+        if (!isString(instructor.name)) {
+            errors.push(`${label}: name is missing.`);
+        }
+        if (!isLimit(instructor.maxSlotsPerDay) || !isLimit(instructor.maxSlotsPerWeek)) {
+            errors.push(`${label}: teaching limits must be positive whole numbers or empty.`);
+        }
+        Object.entries(instructor.unavailable || {}).forEach(([day, slots]) => {
+            if (!timeGrid.days.includes(day) || !Array.isArray(slots) ||
+                slots.some(timeIndex => !Number.isInteger(timeIndex) || timeIndex < 0 || timeIndex >= timeGrid.rows.length)) {
+                errors.push(`${label}: invalid unavailable slots on "${day}".`);
+            }
+        });
+    });
+
+    // Track room occupancy to detect overlapping sessions
+    const occupied = new Map();
+
+    project.courses.forEach((course, index) => {
+        const label = `Course ${index + 1}${isString(course.code) ? ` (${course.code})` : ''}`;
+        if (!isString(course.name) || !isString(course.code) || !isString(course.instructor)) {
+            errors.push(`${label}: name, code and instructor are required.`);
+        }
+        const componentErrors = validateSessionComponents(course.components);
+        if (componentErrors.length > 0) {
+            errors.push(`${label}: invalid sessions (${componentErrors[0].replace(/!$/, '')}).`);
+            return;
+        }
+        if (!Array.isArray(course.preferredDays) || course.preferredDays.some(day => !timeGrid.days.includes(day))) {
+            errors.push(`${label}: preferred days must be working days.`);
+        }
+        if (!Array.isArray(course.cohorts) || course.cohorts.some(cohort => !isString(cohort))) {
+            errors.push(`${label}: cohorts must be a list of names.`);
+        }
+        if (!isLimit(course.enrollment)) {
+            errors.push(`${label}: expected enrollment must be a positive whole number or empty.`);
+        }
+        if ((course.roomType !== null && !ROOM_TYPES[course.roomType]) ||
+            !Array.isArray(course.equipment) || course.equipment.some(item => !isString(item))) {
+            errors.push(`${label}: invalid room type or equipment list.`);
+        }
+        const spacingErrors = validateSpacing(course.spacing);
+        if (spacingErrors.length > 0) {
+            errors.push(`${label}: invalid spacing rules (${spacingErrors[0].replace(/!$/, '')}).`);
+        } else if (!Array.isArray(course.relaxedSpacing) || course.relaxedSpacing.some(key => !SPACING_RULES[key])) {
+            errors.push(`${label}: invalid relaxed spacing rules.`);
+        }
+        if (course.building && !buildings.getBuilding(course.building)) {
+            errors.push(`${label}: building ${course.building} does not exist.`);
+        }
+        if (course.floor !== null && !buildings.getFloorNumbers(course.building || null).includes(course.floor)) {
+            errors.push(`${label}: floor ${course.floor} does not exist.`);
+        }
+        if (course.room !== null && !buildings.isSchedulable(course.building, course.floor, course.room)) {
+            errors.push(`${label}: room ${course.room} cannot be scheduled.`);
+        }
+        if (!Array.isArray(course.scheduledSlots)) {
+            errors.push(`${label}: scheduled slots are missing.`);
+            return;
+        }
+
+        course.scheduledSlots.forEach(slot => {
+            const component = course.components[slot.component];
+            const duration = component ? component.duration : 0;
+            const valid = component && Number.isInteger(slot.timeIndex) &&
+                (slot.locked === undefined || typeof slot.locked === 'boolean') &&
+                timeGrid.isAvailable(slot.day, slot.timeIndex, duration) &&
+                buildings.isSchedulable(slot.building, slot.floor, slot.room);
+            if (!valid) {
+                errors.push(`${label}: invalid scheduled session on ${slot.day}.`);
+                return;
+            }
+
+            for (let i = 0; i < duration; i++) {
+                const key = `${slot.day}|${slot.timeIndex + i}|${slot.building}|${slot.floor}|${slot.room}`;
+                if (occupied.has(key)) {
+                    errors.push(`${label}: overlaps ${occupied.get(key)} in room ${buildings.getRoomName(slot.building, slot.floor, slot.room)} on ${slot.day}.`);
+                    return;
+                }
+                occupied.set(key, course.code);
+            }
+        });
+    });
+
+    // Rules may name courses that are not in the project (yet): they only apply once both courses exist
+    if (!Array.isArray(project.courseRules)) {
+        errors.push('The project has no course rule list.');
+    } else {
+        project.courseRules.forEach((rule, index) => {
+            const error = validateCourseRule(rule);
+            if (error) {
+                errors.push(`Rule ${index + 1}: ${error}.`);
+            }
+        });
+    }
+
+    // Scenarios are only checked for their shape: they are validated against the project when applied
+    if (!Array.isArray(project.scenarios)) {
+        errors.push('The project has no scenario list.');
+    } else {
+        project.scenarios.forEach((scenario, index) => {
+            if (!scenario || !isString(scenario.name) || !Array.isArray(scenario.courses) ||
+                scenario.courses.some(course => !course || !isString(course.code) || !Array.isArray(course.scheduledSlots))) {
+                errors.push(`Scenario ${index + 1}: a name and the placement of each course are required.`);
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Parse, migrate and validate a project
+ * @param {string|Object} input - Project JSON text or an already parsed object
+ * @return {Object} The project in the current schema version
+ * @throws {ProjectImportError} If the project cannot be used
+ */
+function readProject(input) {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch (error) {
+            throw new ProjectImportError('The file is not valid JSON.');
+        }
+    }
+
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.schemaVersion)) {
+        throw new ProjectImportError('The file is not a Course Schedule Optimizer project.');
+    }
+    if (data.schemaVersion > PROJECT_SCHEMA_VERSION) {
+        throw new ProjectImportError('The project was saved by a newer version of the application.');
+    }
+
+    const project = migrateProject(data);
+    const errors = validateProject(project);
+    if (errors.length > 0) {
+        throw new ProjectImportError(`The project contains ${errors.length} error(s).`, errors);
+    }
+    return project;
+}
+
+/**
+ * Replace the contents of a schedule with a validated project
+ * @param {Schedule} schedule - The schedule to load into
+ * @param {Object} project - A project returned by readProject()
+ */
+function loadProject(schedule, project) {
+    const settings = project.settings || {};
+    if (settings.solverStrategy && SOLVER_STRATEGIES[settings.solverStrategy]) {
+        schedule.solverStrategy = settings.solverStrategy;
+    }
+    if (settings.solverOptions) {
+        schedule.solverOptions = { ...schedule.solverOptions, ...settings.solverOptions };
+    }
+    if (typeof settings.optimizeSchedule === 'boolean') {
+        schedule.optimizeSchedule = settings.optimizeSchedule;
+    }
+    schedule.minimalChange = settings.minimalChange === true;
+    schedule.cohortFilter = settings.cohortFilter || '';
+    if (settings.timetableView && ['building', 'room', 'instructor', 'floor'].includes(settings.timetableView.mode)) {
+        schedule.timetableView = { mode: settings.timetableView.mode, entity: settings.timetableView.entity || '' };
+    } else {
+        schedule.timetableView = { mode: 'building', entity: '' };
+    }
+    schedule.semester = {
+        start: (settings.semester && settings.semester.start) || '',
+        end: (settings.semester && settings.semester.end) || ''
+    };
+
+    // Sessions refer to time slots, so the time grid is loaded first
+    schedule.timeGrid = new TimeGrid(project.timeGrid);
+    
+    schedule.instructors = {};
+    project.instructors.forEach(data => {
+        const instructor = new Instructor(data.name, data.maxSlotsPerDay, data.maxSlotsPerWeek);
+        instructor.unavailable = JSON.parse(JSON.stringify(data.unavailable || {}));
+        schedule.instructors[instructor.name] = instructor;
+    });
+
+    schedule.courses = project.courses.map(data => {
+        const course = new Course(
+            data.name,
+            data.code,
+            data.instructor,
+            null, // The type and classes per week follow from the components
+            null,
+            [...data.preferredDays],
+            data.consistentRoom !== false,
+            data.floor,
+            data.room,
+            [...data.cohorts],
+            data.building || null,
+            data.enrollment,
+            data.roomType,
+            [...data.equipment],
+            JSON.parse(JSON.stringify(data.components)),
+            createSpacing(data.spacing)
+        );
+        course.relaxedSpacing = [...data.relaxedSpacing];
+        course.scheduledSlots = data.scheduledSlots.map(slot => ({
+            ...slot,
+            timeSlot: schedule.timeSlots[slot.timeIndex]
+        }));
+        course.scheduled = Boolean(data.scheduled) && course.scheduledSlots.length > 0;
+        course.unscheduledReason = data.unscheduledReason || null;
+        schedule.registerInstructor(course.instructor);
+        return course;
+    });
+
+    // Rebuild the grid (and each course's scheduledRooms) from the saved sessions
+    schedule.solverResults = {};
+    schedule.optimizationResult = null;
+    schedule.buildings = new BuildingModel(project.buildings);
+    schedule.rooms = schedule.initializeRooms();
+    schedule.rebuildGrid();
+    schedule.courseRules = project.courseRules.map(rule => createCourseRule(rule.type, rule.course, rule.other, rule.hard));
+    schedule.scenarios = JSON.parse(JSON.stringify(project.scenarios || []));
+}
+
+/**
+ * Autosave a schedule to localStorage
+ * @param {Schedule} schedule - The schedule to save
+ * @return {boolean} True if the project was saved
+ */
+function saveProjectToLocalStorage(schedule) {
+    try {
+        localStorage.setItem(PROJECT_STORAGE_KEY, JSON.stringify(serializeProject(schedule)));
+        return true;
+    } catch (error) {
+        // Storage may be full or disabled (e.g. private browsing)
+        return false;
+    }
+}
+
+/**
+ * Read the autosaved project from localStorage
+ * @return {Object|null} The validated project, or null if nothing was saved
+ * @throws {ProjectImportError} If the saved project cannot be used
+ */
+function readProjectFromLocalStorage() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(PROJECT_STORAGE_KEY);
+    } catch (error) {
+        return null; // Storage is disabled
+    }
+    return saved ? readProject(saved) : null;
+}
+
+// Export to Node (in the browser this file is a classic script and everything above is global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROJECT_SCHEMA_VERSION,
+        PROJECT_MIGRATIONS,
+        ProjectImportError,
+        serializeProject,
+        migrateProject,
+        validateProject,
+        readProject,
+        loadProject
+    };
+}
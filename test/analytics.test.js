@@ -0,0 +1,95 @@
+/**
+ * Tests for the utilisation report of a schedule and its CSV export
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Course } = require('../engine.js');
+const { buildAnalytics, buildAnalyticsCSV, escapeCSVField } = require('../analytics.js');
+const { createScheduler } = require('./helpers.js');
+
+/**
+ * Create a scheduler with one building of 2 floors with 3 rooms, one of them reserved for teachers,
+ * holding a lab on Monday at 8:00 and a theory course on Monday at 8:00 and Tuesday at 9:50
+ * @return {Scheduler} The scheduler
+ */
+function createSampleScheduler() {
+    const scheduler = createScheduler({ smallBuilding: true });
+    scheduler.buildings.updateRoom('T', 2, 3, { teacherOnly: true });
+    scheduler.applyBuildingChanges();
+
+    const place = (course, day, timeIndex) =>
+        scheduler.scheduleClassSession(course, { day, timeSlot: scheduler.timeSlots[timeIndex], timeIndex, component: 0 }, false);
+    const lab = new Course('Networks Lab', 'CS202', 'Rao, K.', 'lab', 1);
+    const theory = new Course('Algorithms', 'CS201', 'Iyer', 'theory', 2);
+    scheduler.addCourse(lab);
+    scheduler.addCourse(theory);
+    assert.ok(place(lab, 'Monday', 0) && place(theory, 'Monday', 0) && place(theory, 'Tuesday', 2));
+    lab.scheduled = theory.scheduled = true;
+    return scheduler;
+}
+
+describe('buildAnalytics()', () => {
+    test('counts the occupied room slots outside blocked periods', () => {
+        const analytics = buildAnalytics(createSampleScheduler());
+        assert.equal(analytics.roomCount, 5);
+        assert.equal(analytics.openSlots, 5 * 12);
+        assert.equal(analytics.occupiedSlots, 4);
+        assert.equal(analytics.utilisation, 4 / (5 * 60));
+
+        assert.deepEqual(analytics.heatmap[0][0], { sessions: 2, utilisation: 2 / 5 });
+        assert.equal(analytics.heatmap[1][0].sessions, 1);
+        assert.equal(analytics.heatmap[2][1].sessions, 1);
+        assert.equal(analytics.heatmap[2][0].sessions, 0);
+        assert.deepEqual(analytics.heatmap[6][3], { blocked: 'Extra-mural Hour' });
+    });
+
+    test('reports the utilisation per floor and per room', () => {
+        const analytics = buildAnalytics(createSampleScheduler());
+        assert.deepEqual(analytics.floors.map(floor => [floor.name, floor.rooms, floor.openSlots]), [['Floor 1', 3, 180], ['Floor 2', 2, 120]]);
+        assert.equal(analytics.floors.reduce((total, floor) => total + floor.occupiedSlots, 0), 4);
+        assert.equal(analytics.rooms.length, 5);
+        assert.equal(analytics.rooms.reduce((total, room) => total + room.occupiedSlots, 0), 4);
+        analytics.rooms.forEach(room => assert.equal(room.utilisation, room.occupiedSlots / 60));
+    });
+
+    test('lists the busiest and emptiest periods in week order', () => {
+        const { busiest, emptiest } = buildAnalytics(createSampleScheduler());
+        assert.deepEqual(busiest.slice(0, 3).map(period => [period.day, period.timeIndex, period.sessions]),
+            [['Monday', 0, 2], ['Monday', 1, 1], ['Tuesday', 2, 1]]);
+        assert.deepEqual(emptiest.slice(0, 2).map(period => [period.day, period.timeIndex, period.sessions]),
+            [['Monday', 2, 0], ['Monday', 3, 0]]);
+    });
+
+    test('reports the teaching load of each instructor', () => {
+        const { instructors } = buildAnalytics(createSampleScheduler());
+        assert.deepEqual(instructors, [
+            { name: 'Iyer', courses: 1, sessions: 2, slots: 2, hours: 100 / 60, days: ['Monday', 'Tuesday'] },
+            { name: 'Rao, K.', courses: 1, sessions: 1, slots: 2, hours: 105 / 60, days: ['Monday'] }
+        ]);
+    });
+});
+
+describe('buildAnalyticsCSV()', () => {
+    test('quotes fields with separators and quotes', () => {
+        assert.equal(escapeCSVField('Room 1-01'), 'Room 1-01');
+        assert.equal(escapeCSVField('Rao, K.'), '"Rao, K."');
+        assert.equal(escapeCSVField('The "big" hall'), '"The ""big"" hall"');
+        assert.equal(escapeCSVField(12), '12');
+    });
+
+    test('writes every table as a block with a title and a header', () => {
+        const scheduler = createSampleScheduler();
+        const csv = buildAnalyticsCSV(scheduler, buildAnalytics(scheduler));
+        const blocks = csv.trimEnd().split('\r\n\r\n').map(block => block.split('\r\n'));
+        assert.deepEqual(blocks.map(lines => lines[0]),
+            ['Occupancy by day and time slot (sessions)', 'Utilisation per floor', 'Utilisation per room', 'Busiest periods',
+                'Emptiest periods', 'Instructor load']);
+
+        assert.equal(blocks[0][1], 'Time,Monday,Tuesday,Wednesday,Thursday,Friday');
+        assert.equal(blocks[0][2], '8:00 - 8:50,2,0,0,0,0');
+        assert.equal(blocks[0].length, 2 + scheduler.timeSlots.length);
+        assert.equal(blocks[1][2], 'Floor 1,3,4,180,2.2');
+        assert.equal(blocks[5][3], '"Rao, K.",1,1,2,1.75,1,Monday');
+    });
+});
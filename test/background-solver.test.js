@@ -0,0 +1,53 @@
+/**
+ * Tests for solving in a worker
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Course } = require('../engine.js');
+const { serializeProject } = require('../storage.js');
+const { BackgroundSolver } = require('../background-solver.js');
+const { createScheduler } = require('./helpers.js');
+
+/**
+ * Worker that records the messages posted to it and answers nothing
+ */
+class FakeWorker {
+    postMessage(message) {
+        this.message = message;
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+describe('BackgroundSolver', () => {
+    before(() => {
+        globalThis.Worker = FakeWorker;
+    });
+
+    after(() => {
+        delete globalThis.Worker;
+    });
+
+    test('keeps the result when only the display settings changed during the solve', () => {
+        const scheduler = createScheduler({ courses: [new Course('Algorithms', 'CS201', 'Rao', 'theory', 2, [], true, null, null, ['CSE-2'])] });
+        const solver = new BackgroundSolver();
+        assert.equal(solver.start(serializeProject(scheduler), 'greedy', {}), true);
+        solver.cancel();
+
+        scheduler.cohortFilter = 'CSE-2';
+        scheduler.timetableView = { mode: 'instructor', entity: 'Rao' };
+        assert.equal(solver.projectChanged(serializeProject(scheduler)), false);
+
+        scheduler.updateCourse(scheduler.courses[0], { name: 'Algorithms I' });
+        assert.equal(solver.projectChanged(serializeProject(scheduler)), true);
+    });
+
+    test('solves on the main thread when workers are not available', () => {
+        delete globalThis.Worker;
+        assert.equal(new BackgroundSolver().start(serializeProject(createScheduler()), 'greedy', {}), false);
+        globalThis.Worker = FakeWorker;
+    });
+});
@@ -0,0 +1,244 @@
+/**
+ * Tests for the hard constraints checked by isTimeSlotAvailable() and scheduleClassSession()
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Course, createSessionComponent } = require('../engine.js');
+const { createScheduler } = require('./helpers.js');
+
+/**
+ * Add a course to a scheduler
+ * @param {Scheduler} scheduler - The scheduler
+ * @param {Object} options - Course fields that differ from a 1-slot theory course taught by "I1"
+ * @return {Course} The course
+ */
+function addCourse(scheduler, options = {}) {
+    const course = new Course(
+        options.name || 'Course',
+        options.code || `C${scheduler.courses.length + 1}`,
+        options.instructor || 'I1',
+        options.type || 'theory',
+        options.classesPerWeek || 1,
+        [],
+        options.consistentRoom !== false,
+        options.floor || null,
+        options.room || null,
+        options.cohorts || [],
+        options.building || null,
+        options.enrollment || null,
+        options.roomType || null,
+        options.equipment || [],
+        options.components || null
+    );
+    scheduler.addCourse(course);
+    return course;
+}
+
+/**
+ * Try to place one session of a course
+ * @param {Scheduler} scheduler - The scheduler
+ * @param {Course} course - The course
+ * @param {string} day - The day
+ * @param {number} timeIndex - The index of the starting time slot
+ * @param {boolean} useConsistentRoom - Whether to reuse the course's room
+ * @return {boolean} The result of scheduleClassSession()
+ */
+function place(scheduler, course, day, timeIndex, useConsistentRoom = false) {
+    const timeSlot = scheduler.timeSlots[timeIndex];
+    return scheduler.scheduleClassSession(course, { day, timeSlot, timeIndex, component: 0 }, useConsistentRoom);
+}
+
+describe('isTimeSlotAvailable()', () => {
+    test('allows free time slots', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        assert.equal(scheduler.isTimeSlotAvailable('Monday', 0, 1), true);
+        assert.equal(scheduler.isTimeSlotAvailable('Friday', 4, 2), true);
+    });
+
+    test('rejects sessions that start in a blocked period', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        const extraMural = scheduler.timeSlots.indexOf('1:20 PM');
+        assert.equal(scheduler.isTimeSlotAvailable('Monday', extraMural, 1), false);
+    });
+
+    test('rejects sessions that overlap a blocked period', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        const extraMural = scheduler.timeSlots.indexOf('1:20 PM');
+        assert.equal(scheduler.isTimeSlotAvailable('Monday', extraMural - 1, 1), true);
+        assert.equal(scheduler.isTimeSlotAvailable('Monday', extraMural - 1, 2), false);
+    });
+
+    test('only blocks periods on their days', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        const config = scheduler.timeGrid.toJSON();
+        config.blockedPeriods.push({ name: 'Faculty meeting', days: ['Wednesday'], start: '14:00', end: '15:50' });
+        scheduler.applyTimeGrid(config);
+        const meeting = scheduler.timeSlots.indexOf('2:00 PM');
+        assert.equal(scheduler.isTimeSlotAvailable('Wednesday', meeting, 1), false);
+        assert.equal(scheduler.isTimeSlotAvailable('Tuesday', meeting, 1), true);
+    });
+
+    test('rejects sessions that run past the last time slot', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        const last = scheduler.timeSlots.length - 1;
+        assert.equal(scheduler.isTimeSlotAvailable('Monday', last, 1), true);
+        assert.equal(scheduler.isTimeSlotAvailable('Monday', last, 2), false);
+    });
+});
+
+describe('scheduleClassSession()', () => {
+    test('places a session in a free room for its whole duration', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        const course = addCourse(scheduler, { type: 'lab' });
+        assert.equal(place(scheduler, course, 'Monday', 0), true);
+
+        const [slot] = course.scheduledSlots;
+        assert.deepEqual({ day: slot.day, timeIndex: slot.timeIndex }, { day: 'Monday', timeIndex: 0 });
+        assert.deepEqual(course.scheduledRooms.Monday, { building: slot.building, floor: slot.floor, room: slot.room });
+        for (const timeIndex of [0, 1]) {
+            assert.equal(scheduler.grid.Monday[scheduler.timeSlots[timeIndex]][slot.building][slot.floor][slot.room], course);
+        }
+        assert.equal(scheduler.grid.Monday[scheduler.timeSlots[2]][slot.building][slot.floor][slot.room], null);
+    });
+
+    test('never runs a session past the last time slot', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        const course = addCourse(scheduler, { type: 'lab' });
+        assert.equal(place(scheduler, course, 'Monday', scheduler.timeSlots.length - 1), false);
+    });
+
+    test('never double-books an instructor', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        const lab = addCourse(scheduler, { type: 'lab' });
+        const lecture = addCourse(scheduler);
+        assert.equal(place(scheduler, lab, 'Monday', 0), true);
+        assert.equal(place(scheduler, lecture, 'Monday', 1), false);
+        assert.equal(place(scheduler, lecture, 'Monday', 2), true);
+    });
+
+    test('respects the unavailable slots of the instructor', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        scheduler.registerInstructor('I1').setAvailability('Monday', [0], false);
+        const course = addCourse(scheduler);
+        assert.equal(place(scheduler, course, 'Monday', 0), false);
+        assert.equal(place(scheduler, course, 'Monday', 1), true);
+    });
+
+    test('respects the daily teaching limit of the instructor', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        scheduler.registerInstructor('I1').maxSlotsPerDay = 1;
+        const first = addCourse(scheduler);
+        const second = addCourse(scheduler);
+        assert.equal(place(scheduler, first, 'Monday', 0), true);
+        assert.equal(place(scheduler, second, 'Monday', 3), false);
+        assert.equal(place(scheduler, second, 'Tuesday', 3), true);
+    });
+
+    test('never gives a cohort two classes at the same time', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        const first = addCourse(scheduler, { instructor: 'I1', cohorts: ['CSE-2A'] });
+        const clash = addCourse(scheduler, { instructor: 'I2', cohorts: ['CSE-2A', 'CSE-2B'] });
+        const other = addCourse(scheduler, { instructor: 'I3', cohorts: ['CSE-2B'] });
+        assert.equal(place(scheduler, first, 'Monday', 0), true);
+        assert.equal(place(scheduler, clash, 'Monday', 0), false);
+        assert.equal(place(scheduler, other, 'Monday', 0), true);
+    });
+
+    test('never puts two sessions in the same room at the same time', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        const courses = [1, 2, 3, 4, 5, 6, 7].map(n => addCourse(scheduler, { instructor: `I${n}` }));
+        courses.slice(0, 6).forEach(course => assert.equal(place(scheduler, course, 'Monday', 0), true));
+        assert.equal(place(scheduler, courses[6], 'Monday', 0), false);
+
+        const rooms = courses.slice(0, 6).map(course => course.scheduledSlots[0])
+            .map(slot => `${slot.building}|${slot.floor}|${slot.room}`);
+        assert.equal(new Set(rooms).size, 6);
+    });
+
+    test('uses the requested room when it is free, and another room when it is taken', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        const first = addCourse(scheduler, { instructor: 'I1', building: 'T', floor: 2, room: 3 });
+        const second = addCourse(scheduler, { instructor: 'I2', building: 'T', floor: 2, room: 3 });
+        assert.equal(place(scheduler, first, 'Monday', 0), true);
+        assert.deepEqual(first.scheduledRooms.Monday, { building: 'T', floor: 2, room: 3 });
+        assert.equal(place(scheduler, second, 'Monday', 0), true);
+        assert.notDeepEqual(second.scheduledRooms.Monday, { building: 'T', floor: 2, room: 3 });
+    });
+
+    test('stays in the requested building and floor', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        const courses = [1, 2, 3, 4].map(n => addCourse(scheduler, { instructor: `I${n}`, building: 'T', floor: 2 }));
+        courses.slice(0, 3).forEach(course => {
+            assert.equal(place(scheduler, course, 'Monday', 0), true);
+            assert.equal(course.scheduledSlots[0].floor, 2);
+        });
+        assert.equal(place(scheduler, courses[3], 'Monday', 0), false);
+    });
+
+    test('keeps the same room for every session of a consistent-room course', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        const course = addCourse(scheduler, { classesPerWeek: 2 });
+        assert.equal(place(scheduler, course, 'Monday', 0), true);
+        assert.equal(place(scheduler, course, 'Wednesday', 4, true), true);
+        assert.deepEqual(course.scheduledRooms.Wednesday, course.scheduledRooms.Monday);
+    });
+
+    test('never uses teacher-only or unavailable rooms', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        scheduler.buildings.updateRoom('T', 1, 1, { teacherOnly: true });
+        scheduler.buildings.updateRoom('T', 1, 2, { unavailable: true });
+        scheduler.applyBuildingChanges();
+
+        const courses = [1, 2, 3].map(n => addCourse(scheduler, { instructor: `I${n}`, building: 'T', floor: 1 }));
+        assert.equal(place(scheduler, courses[0], 'Monday', 0), true);
+        assert.equal(courses[0].scheduledSlots[0].room, 3);
+        assert.equal(place(scheduler, courses[1], 'Monday', 0), false);
+
+        // The requested room is ignored when it cannot be used
+        courses[2].room = 1;
+        assert.equal(place(scheduler, courses[2], 'Tuesday', 0), true);
+        assert.equal(courses[2].scheduledSlots[0].room, 3);
+    });
+
+    test('only uses rooms of the required type with the required equipment', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        scheduler.buildings.updateRoom('T', 2, 2, { type: 'computerLab', equipment: ['Projector'] });
+        scheduler.buildings.updateRoom('T', 2, 3, { type: 'computerLab' });
+        scheduler.applyBuildingChanges();
+
+        const course = addCourse(scheduler, { roomType: 'computerLab', equipment: ['projector'] });
+        assert.equal(place(scheduler, course, 'Monday', 0), true);
+        assert.deepEqual(course.scheduledRooms.Monday, { building: 'T', floor: 2, room: 2 });
+
+        const other = addCourse(scheduler, { instructor: 'I2', roomType: 'computerLab', equipment: ['projector'] });
+        assert.equal(place(scheduler, other, 'Monday', 0), false);
+    });
+
+    test('applies the room requirements of each kind of session', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        scheduler.buildings.updateRoom('T', 1, 3, { type: 'chemistryLab' });
+        scheduler.applyBuildingChanges();
+
+        const course = addCourse(scheduler, {
+            components: [createSessionComponent('lab', 1, 3, 'chemistryLab'), createSessionComponent('theory', 1)]
+        });
+        assert.equal(scheduler.scheduleClassSession(course, { day: 'Monday', timeSlot: scheduler.timeSlots[0], timeIndex: 0, component: 0 }, false), true);
+        assert.deepEqual(course.scheduledRooms.Monday, { building: 'T', floor: 1, room: 3 });
+        assert.equal(scheduler.grid.Monday[scheduler.timeSlots[2]].T[1][3], course);
+    });
+
+    test('only uses rooms with enough seats, choosing the smallest that fits', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        scheduler.buildings.updateRoom('T', 2, 1, { capacity: 80 });
+        scheduler.buildings.updateRoom('T', 2, 2, { capacity: 60 });
+        scheduler.applyBuildingChanges();
+
+        const course = addCourse(scheduler, { enrollment: 50 });
+        assert.equal(place(scheduler, course, 'Monday', 0), true);
+        assert.deepEqual(course.scheduledRooms.Monday, { building: 'T', floor: 2, room: 2 });
+
+        const tooLarge = addCourse(scheduler, { instructor: 'I2', enrollment: 100 });
+        assert.equal(place(scheduler, tooLarge, 'Monday', 0), false);
+    });
+});
@@ -0,0 +1,152 @@
+/**
+ * Tests for the rules linking courses by code
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Scheduler, Course, ScheduleScorer, createCourseRule, orderCoursesByRules } = require('../engine.js');
+const { serializeProject, readProject, loadProject } = require('../storage.js');
+const { createScheduler } = require('./helpers.js');
+
+/**
+ * Find the sessions of a course
+ * @param {Scheduler} scheduler - The scheduler
+ * @param {string} code - The course code
+ * @return {Array<Object>} The sessions as { day, start, end }
+ */
+function sessionsOf(scheduler, code) {
+    const course = scheduler.courses.find(course => course.code === code);
+    return course.scheduledSlots.map(slot => ({ day: slot.day, start: slot.timeIndex, end: slot.timeIndex + course.getDuration(slot) }));
+}
+
+describe('Hard course rules', () => {
+    for (const strategy of ['greedy', 'backtracking']) {
+        test(`place a lab after its lecture on the same day with the ${strategy} solver`, () => {
+            // The lab is listed first and has longer sessions, so it would normally be placed first
+            const scheduler = createScheduler({ courses: [
+                new Course('Networks Lab', 'CS201L', 'Rao', 'lab', 1),
+                new Course('Networks', 'CS201', 'Iyer', 'theory', 2)
+            ], courseRules: [createCourseRule('followsSameDay', 'CS201L', 'CS201')] });
+            assert.equal(scheduler.solve(strategy).scheduledCount, 2);
+
+            const [lab] = sessionsOf(scheduler, 'CS201L');
+            assert.ok(sessionsOf(scheduler, 'CS201').some(lecture => lecture.day === lab.day && lecture.end <= lab.start));
+        });
+
+        test(`place a tutorial at least one day after the lecture with the ${strategy} solver`, () => {
+            const scheduler = createScheduler({ courses: [
+                new Course('Networks Tutorial', 'CS201T', 'Rao', 'theory', 1),
+                new Course('Networks', 'CS201', 'Iyer', 'theory', 2, ['Wednesday', 'Friday'])
+            ], courseRules: [createCourseRule('dayAfter', 'CS201T', 'CS201')] });
+            assert.equal(scheduler.solve(strategy).scheduledCount, 2);
+            assert.equal(sessionsOf(scheduler, 'CS201T')[0].day, 'Thursday');
+        });
+
+        test(`keep two electives apart with the ${strategy} solver`, () => {
+            const scheduler = createScheduler({ courses: [
+                new Course('Compilers', 'CS401', 'Rao', 'theory', 3),
+                new Course('Cryptography', 'CS402', 'Iyer', 'theory', 3)
+            ], courseRules: [createCourseRule('noClash', 'CS402', 'CS401')] });
+            assert.equal(scheduler.solve(strategy).scheduledCount, 2);
+
+            const electives = sessionsOf(scheduler, 'CS401');
+            sessionsOf(scheduler, 'CS402').forEach(session => {
+                assert.ok(!electives.some(other => other.day === session.day && other.start < session.end && session.start < other.end));
+            });
+        });
+
+        test(`run parallel sections in the same slots with the ${strategy} solver`, () => {
+            const scheduler = createScheduler({ courses: [
+                new Course('Calculus (section B)', 'MA101B', 'Rao', 'theory', 2),
+                new Course('Calculus (section A)', 'MA101A', 'Iyer', 'theory', 2, ['Thursday', 'Friday'])
+            ], courseRules: [createCourseRule('parallel', 'MA101B', 'MA101A')] });
+            assert.equal(scheduler.solve(strategy).scheduledCount, 2);
+            assert.deepEqual(sessionsOf(scheduler, 'MA101B'), sessionsOf(scheduler, 'MA101A'));
+        });
+    }
+
+    test('are kept by simulated annealing and reject moves that break them', () => {
+        const scheduler = createScheduler({ courses: [
+            new Course('Networks Lab', 'CS201L', 'Rao', 'lab', 1),
+            new Course('Networks', 'CS201', 'Iyer', 'theory', 2)
+        ], courseRules: [createCourseRule('followsSameDay', 'CS201L', 'CS201')] });
+        scheduler.optimizeSchedule = true;
+        scheduler.solve('greedy', { seed: 1 });
+
+        const lab = scheduler.courses.find(course => course.code === 'CS201L');
+        const [session] = sessionsOf(scheduler, 'CS201L');
+        assert.ok(sessionsOf(scheduler, 'CS201').some(lecture => lecture.day === session.day && lecture.end <= session.start));
+
+        const { building, floor, room } = lab.scheduledSlots[0];
+        const day = scheduler.days.find(day => !sessionsOf(scheduler, 'CS201').some(lecture => lecture.day === day));
+        assert.equal(scheduler.moveSession(lab, 0, { day, timeIndex: 8, building, floor, room }),
+            'Rule: CS201L follows CS201 on the same day');
+    });
+
+    test('only apply once both courses are in the project', () => {
+        const scheduler = createScheduler({ courses: [new Course('Networks Lab', 'CS201L', 'Rao', 'lab', 1)],
+            courseRules: [createCourseRule('followsSameDay', 'CS201L', 'CS201')] });
+        assert.equal(scheduler.solve().scheduledCount, 1);
+    });
+
+    test('follow a renamed course', () => {
+        const scheduler = createScheduler({ courses: [new Course('Networks', 'CS201', 'Iyer', 'theory', 2)],
+            courseRules: [createCourseRule('followsSameDay', 'CS201L', 'CS201')] });
+        const [course] = scheduler.courses;
+        scheduler.updateCourse(course, { code: 'CS211' });
+        assert.deepEqual(scheduler.courseRules, [createCourseRule('followsSameDay', 'CS201L', 'CS211')]);
+    });
+});
+
+describe('Preferred course rules', () => {
+    test('are not enforced but add to the score', () => {
+        const scheduler = createScheduler({ courses: [
+            new Course('Networks Lab', 'CS201L', 'Rao', 'lab', 1),
+            new Course('Networks', 'CS201', 'Iyer', 'theory', 2)
+        ], courseRules: [createCourseRule('followsSameDay', 'CS201L', 'CS201', false)] });
+        scheduler.solve('greedy');
+
+        const item = new ScheduleScorer().evaluate(scheduler).breakdown.find(item => item.key === 'courseRules');
+        assert.deepEqual([item.count, item.penalty], [1, 5]);
+
+        scheduler.courseRules[0].hard = true;
+        scheduler.solve('greedy');
+        assert.equal(new ScheduleScorer().evaluate(scheduler).breakdown.find(item => item.key === 'courseRules').count, 0);
+    });
+});
+
+describe('orderCoursesByRules()', () => {
+    test('places the related course of every ordered hard rule first', () => {
+        const [lab, lecture, tutorial, elective] = ['CS201L', 'CS201', 'CS201T', 'CS401']
+            .map(code => new Course(code, code, 'Rao', 'theory', 1));
+        const rules = [
+            createCourseRule('followsSameDay', 'CS201L', 'CS201'),
+            createCourseRule('dayAfter', 'CS201T', 'CS201L'),
+            createCourseRule('noClash', 'CS401', 'CS201T'),
+            createCourseRule('parallel', 'CS401', 'CS201T', false)
+        ];
+        assert.deepEqual(orderCoursesByRules([tutorial, lab, elective, lecture], rules), [elective, lecture, lab, tutorial]);
+    });
+
+    test('keeps the order of courses in a cycle of rules', () => {
+        const [a, b] = ['A', 'B'].map(code => new Course(code, code, 'Rao', 'theory', 1));
+        const rules = [createCourseRule('parallel', 'A', 'B'), createCourseRule('parallel', 'B', 'A')];
+        assert.deepEqual(orderCoursesByRules([a, b], rules), [a, b]);
+    });
+});
+
+describe('Saved course rules', () => {
+    test('are saved with the project and validated', () => {
+        const scheduler = createScheduler({ courseRules: [createCourseRule('dayAfter', 'CS201T', 'CS201', false)] });
+        const loaded = new Scheduler();
+        loadProject(loaded, readProject(JSON.stringify(serializeProject(scheduler))));
+        assert.deepEqual(loaded.courseRules, scheduler.courseRules);
+
+        const invalid = { ...serializeProject(scheduler), courseRules: [createCourseRule('dayAfter', 'CS201', 'CS201')] };
+        assert.throws(() => readProject(invalid), error => error.details[0] === 'Rule 1: A rule must link two different courses.');
+
+        const older = { ...serializeProject(scheduler), schemaVersion: 8 };
+        delete older.courseRules;
+        assert.deepEqual(readProject(JSON.stringify(older)).courseRules, []);
+    });
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for the bulk course import from CSV files
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Course } = require('../engine.js');
+const { parseCSV, parseCourseCSV } = require('../csv-import.js');
+const { createScheduler } = require('./helpers.js');
+
+describe('parseCSV()', () => {
+    test('splits comma separated rows and keeps quoted delimiters, quotes and line breaks', () => {
+        const rows = parseCSV('name,code\r\n"Algorithms, I",CS201\r\n"Say ""hi""\nagain",CS202\r\n\r\nDatabases,CS301');
+        assert.deepEqual(rows, [
+            { line: 1, fields: ['name', 'code'] },
+            { line: 2, fields: ['Algorithms, I', 'CS201'] },
+            { line: 3, fields: ['Say "hi"\nagain', 'CS202'] },
+            { line: 6, fields: ['Databases', 'CS301'] }
+        ]);
+    });
+
+    test('picks semicolons when the header has more of them than commas, and drops the byte order mark', () => {
+        const rows = parseCSV('\uFEFFname;code;equipment\nAlgorithms;CS201;projector, whiteboard\n');
+        assert.deepEqual(rows.map(row => row.fields), [
+            ['name', 'code', 'equipment'],
+            ['Algorithms', 'CS201', 'projector, whiteboard']
+        ]);
+    });
+});
+
+describe('parseCourseCSV()', () => {
+    test('reads day abbreviations and reports unknown days', () => {
+        const { rows } = parseCourseCSV('Name,Code,Instructor,Classes per week,Preferred days\n' +
+            'Algorithms,CS201,Rao,3,Fri Mon Wed\n' +
+            'Databases,CS301,Iyer,3,"Tu, Thurs, Fr"\n' +
+            'Compilers,CS401,Rao,3,Mon Xyz F\n', createScheduler());
+
+        assert.deepEqual(rows[0].values.preferredDays, ['Monday', 'Wednesday', 'Friday']);
+        assert.ok(rows[0].course instanceof Course);
+        assert.deepEqual(rows[1].values.preferredDays, ['Tuesday', 'Thursday', 'Friday']);
+        assert.deepEqual(rows[2].errors.slice(0, 2), ['Unknown day "Xyz"', 'Unknown day "F"']);
+        assert.equal(rows[2].course, null);
+    });
+
+    test('reports codes that appear twice in the file or are already in the course list', () => {
+        const scheduler = createScheduler({ courses: [new Course('Algorithms', 'CS201', 'Rao', 'theory', 1)] });
+        const text = 'name,code,instructor,classes\nAlgorithms,cs201,Rao,1\nDatabases,CS301,Iyer,1\nDatabases II,CS301,Iyer,1\n';
+
+        const { rows } = parseCourseCSV(text, scheduler);
+        assert.deepEqual(rows.map(row => [row.line, row.errors]), [
+            [2, ['Course code cs201 is already in the course list!']],
+            [3, []],
+            [4, ['Course code CS301 appears more than once in the file']]
+        ]);
+        assert.deepEqual(parseCourseCSV(text, scheduler, true).rows[0].errors, []);
+    });
+
+    test('reports missing required columns', () => {
+        assert.deepEqual(parseCourseCSV('title,teacher\nAlgorithms,Rao\n', createScheduler()),
+            { rows: [], missingColumns: ['code'] });
+    });
+});
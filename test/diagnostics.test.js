@@ -0,0 +1,149 @@
+/**
+ * Tests for the diagnostics of courses that could not be placed
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Course } = require('../engine.js');
+const { diagnoseSlot, diagnoseCourse, suggestRelaxations } = require('../diagnostics.js');
+const { createScheduler } = require('./helpers.js');
+
+/**
+ * Hold a 1-slot session of a new course in a room of the test building
+ * @param {Scheduler} scheduler - A scheduler with the small test building
+ * @param {string} instructor - The instructor of the course
+ * @param {string} day - The day of the session
+ * @param {number} timeIndex - The index of its time slot
+ * @param {number} floor - The floor of the room
+ * @param {number} room - The room number
+ * @return {Course} The course
+ */
+function occupy(scheduler, instructor, day, timeIndex, floor, room) {
+    const course = new Course('Occupied', `X${scheduler.courses.length}`, instructor, 'theory', 1, [], true, floor, room, [], 'T');
+    scheduler.addCourse(course);
+    assert.ok(scheduler.scheduleClassSession(course, { day, timeSlot: scheduler.timeSlots[timeIndex], timeIndex, component: 0 }, false));
+    course.scheduled = true;
+    return course;
+}
+
+/**
+ * Mark an instructor unavailable at every time slot except the given ones
+ * @param {Scheduler} scheduler - The scheduler
+ * @param {string} name - The instructor's name
+ * @param {Object} available - The time indices to keep per day, e.g. { Monday: [0] }
+ */
+function restrictInstructor(scheduler, name, available) {
+    const instructor = scheduler.registerInstructor(name);
+    scheduler.days.forEach(day => instructor.setAvailability(day,
+        scheduler.timeSlots.map((slot, i) => i).filter(i => !(available[day] || []).includes(i)), false));
+}
+
+describe('diagnoseSlot()', () => {
+    test('names the blocked period of a time slot', () => {
+        const scheduler = createScheduler();
+        const course = new Course('Algorithms', 'CS201', 'Rao', 'theory', 1);
+        scheduler.addCourse(course);
+        const extraMural = scheduler.timeSlots.findIndex((slot, i) => scheduler.timeGrid.getBlockedPeriod('Monday', i));
+
+        assert.deepEqual(diagnoseSlot(scheduler, course, 'Monday', extraMural, course.openSessions[0]),
+            { category: 'blocked', reason: 'Extra-mural Hour' });
+        assert.deepEqual(diagnoseSlot(scheduler, course, 'Monday', scheduler.timeSlots.length - 1, { component: 0, duration: 2 }),
+            { category: 'blocked', reason: 'The session would run past the last time slot' });
+    });
+
+    test('rules out days that are not preferred', () => {
+        const scheduler = createScheduler();
+        const course = new Course('Algorithms', 'CS201', 'Rao', 'theory', 3, ['Monday', 'Wednesday', 'Friday']);
+        scheduler.addCourse(course);
+
+        assert.deepEqual(diagnoseSlot(scheduler, course, 'Tuesday', 0, course.openSessions[0]),
+            { category: 'day', reason: 'Tuesday is not one of the preferred days' });
+        assert.equal(diagnoseSlot(scheduler, course, 'Wednesday', 0, course.openSessions[0]).category, 'free');
+    });
+
+    test('reports instructor clashes', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        occupy(scheduler, 'Rao', 'Monday', 0, 1, 1);
+        const course = new Course('Algorithms', 'CS201', 'Rao', 'theory', 1);
+        scheduler.addCourse(course);
+
+        assert.deepEqual(diagnoseSlot(scheduler, course, 'Monday', 0, course.openSessions[0]),
+            { category: 'instructor', reason: `Rao already teaches X0 on Monday at ${scheduler.timeSlots[0]}` });
+    });
+
+    test('reports a requested floor without a free room', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        [1, 2, 3].forEach(room => occupy(scheduler, `I${room}`, 'Monday', 0, 1, room));
+        const course = new Course('Algorithms', 'CS201', 'Rao', 'theory', 1, [], true, 1, null, [], 'T');
+        scheduler.addCourse(course);
+
+        assert.deepEqual(diagnoseSlot(scheduler, course, 'Monday', 0, course.openSessions[0]),
+            { category: 'room', reason: 'No free room on floor 1 of building T' });
+        assert.equal(diagnoseSlot(scheduler, course, 'Monday', 1, course.openSessions[0]).category, 'free');
+    });
+
+    test('reports a requested room that is taken while another room is free', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        occupy(scheduler, 'Iyer', 'Monday', 0, 1, 1);
+        const course = new Course('Algorithms', 'CS201', 'Rao', 'theory', 1, [], true, 1, 1, [], 'T');
+        scheduler.addCourse(course);
+
+        assert.deepEqual(diagnoseSlot(scheduler, course, 'Monday', 0, course.openSessions[0]),
+            { category: 'otherRoom', reason: `Room ${scheduler.buildings.getRoomName('T', 1, 1)} is taken or unsuitable; another room is free` });
+    });
+});
+
+describe('suggestRelaxations()', () => {
+    test('suggests another floor when the requested one is full', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        restrictInstructor(scheduler, 'Rao', { Monday: [0] });
+        [1, 2, 3].forEach(room => occupy(scheduler, `I${room}`, 'Monday', 0, 1, room));
+        const course = new Course('Algorithms', 'CS201', 'Rao', 'theory', 1, [], true, 1, null, [], 'T');
+        scheduler.addCourse(course);
+        scheduler.scheduleCourse(course);
+        assert.equal(course.scheduled, false);
+
+        const report = diagnoseCourse(scheduler, course);
+        assert.deepEqual(report.usableDays, []);
+        assert.ok(report.suggestions.includes(`Move it to another floor (${scheduler.buildings.getFloorName('T', 2)})`));
+
+        course.floor = 2;
+        scheduler.scheduleCourse(course);
+        assert.equal(course.scheduled, true);
+    });
+
+    test('suggests dropping the day preference when the preferred days are taken', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        restrictInstructor(scheduler, 'Rao', { Tuesday: [0], Thursday: [0], Friday: [0] });
+        const course = new Course('Algorithms', 'CS201', 'Rao', 'theory', 3, ['Monday', 'Wednesday', 'Friday']);
+        scheduler.addCourse(course);
+        scheduler.scheduleCourse(course);
+        assert.equal(course.scheduled, false);
+
+        assert.ok(suggestRelaxations(scheduler, course).includes('Drop the day preference (Monday, Wednesday, Friday)'));
+
+        course.preferredDays = [];
+        scheduler.scheduleCourse(course);
+        assert.equal(course.scheduled, true);
+        assert.deepEqual(course.scheduledSlots.map(slot => slot.day).sort(), ['Friday', 'Thursday', 'Tuesday']);
+    });
+
+    test('places a course in different rooms when no room is free at every session, without suggesting it', () => {
+        const scheduler = createScheduler({ smallBuilding: true });
+        restrictInstructor(scheduler, 'Rao', { Monday: [0], Tuesday: [0] });
+        [1, 2, 3].forEach(room => occupy(scheduler, `I${room}`, 'Monday', 0, 1, room));
+        [1, 2, 3].forEach(room => occupy(scheduler, `I${room}`, 'Tuesday', 0, 2, room));
+        const course = new Course('Algorithms', 'CS201', 'Rao', 'theory', 2);
+        scheduler.addCourse(course);
+        scheduler.scheduleCourse(course);
+        assert.equal(course.scheduled, true);
+        assert.notEqual(course.scheduledSlots[0].floor, course.scheduledSlots[1].floor);
+
+        // The same room for every session is a preference, so it never keeps a course out
+        scheduler.unscheduleCourse(course);
+        restrictInstructor(scheduler, 'Rao', { Monday: [0] });
+        scheduler.scheduleCourse(course);
+        assert.equal(course.scheduled, false);
+        assert.deepEqual(suggestRelaxations(scheduler, course), ['Ask Rao to be available at more times']);
+    });
+});
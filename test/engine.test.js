@@ -0,0 +1,354 @@
+/**
+ * Tests for the public API of the headless scheduling engine
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Scheduler, Course, createSessionComponent, validateCourseFields, WEEK_DAYS } = require('../engine.js');
+const { serializeProject, readProject, loadProject } = require('../storage.js');
+const { createScenario, applyScenario } = require('../scenarios.js');
+const { createScheduler } = require('./helpers.js');
+
+/**
+ * Describe where the sessions of every course are held
+ * @param {Scheduler} scheduler - The scheduler
+ * @return {Array<string>} One "CODE: day index room; ..." entry per course
+ */
+function describeSessions(scheduler) {
+    return scheduler.courses.map(course => `${course.code}: ` + course.scheduledSlots
+        .map(slot => `${slot.day} ${slot.timeIndex} ${slot.building}/${slot.floor}/${slot.room}`).join('; '));
+}
+
+describe('Scheduler', () => {
+    test('runs without a DOM', () => {
+        assert.equal(typeof document, 'undefined');
+        const scheduler = createScheduler();
+        assert.deepEqual(scheduler.days, ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']);
+        assert.equal(scheduler.buildings.listRooms().length, 105);
+    });
+
+    test('reports every change to the onChange callback', () => {
+        const scheduler = createScheduler();
+        const changes = [];
+        scheduler.onChange = (changed, description) => changes.push(description);
+        scheduler.addCourse(new Course('Algorithms', 'CS201', 'Rao', 'theory', 2));
+        scheduler.solve();
+        scheduler.removeCourse(0);
+        assert.deepEqual(changes, ['Add CS201', 'Generate the schedule', 'Remove CS201']);
+    });
+
+    for (const strategy of ['greedy', 'backtracking']) {
+        test(`places every course with the ${strategy} solver`, () => {
+            const scheduler = createScheduler();
+            scheduler.addCourse(new Course('Algorithms', 'CS201', 'Rao', 'theory', 3, ['Monday', 'Wednesday', 'Friday'], true, null, null, ['CSE-2']));
+            scheduler.addCourse(new Course('Networks Lab', 'CS202', 'Rao', 'lab', 2, [], true, null, null, ['CSE-2']));
+            scheduler.addCourse(new Course('Design Studio', 'AR101', 'Iyer', null, null, [], true, null, null, [], null, 25, null, [],
+                [createSessionComponent('lab', 1, 3), createSessionComponent('theory', 2)]));
+
+            const result = scheduler.solve(strategy);
+            assert.deepEqual(result, { scheduledCount: 3, totalCourses: 3, kept: null });
+            assert.equal(scheduler.solverResults[strategy].scheduledCount, 3);
+
+            scheduler.courses.forEach(course => {
+                assert.equal(course.scheduledSlots.length, course.classesPerWeek);
+                const days = course.scheduledSlots.map(slot => slot.day);
+                assert.equal(new Set(days).size, days.length, `${course.code} meets once per day`);
+            });
+            const algorithms = scheduler.courses.find(course => course.code === 'CS201');
+            assert.deepEqual(algorithms.scheduledSlots.map(slot => slot.day).sort(), ['Friday', 'Monday', 'Wednesday']);
+        });
+    }
+
+    test('keeps the sessions of each course on separate days with simulated annealing', () => {
+        for (const seed of [1, 2, 3]) {
+            const scheduler = createScheduler({ courses: [...Array(8).keys()].map(i =>
+                new Course(`Course ${i}`, `C${i}`, `Instructor ${i % 3}`, 'theory', 3)) });
+            scheduler.optimizeSchedule = true;
+            assert.equal(scheduler.solve('greedy', { seed }).scheduledCount, 8);
+
+            scheduler.courses.forEach(course => {
+                const days = course.scheduledSlots.map(slot => slot.day);
+                assert.equal(new Set(days).size, days.length, `${course.code} meets once per day with seed ${seed}`);
+            });
+        }
+    });
+
+    test('places every session of a course with more sessions than days with the backtracking solver', () => {
+        const scheduler = createScheduler();
+        const config = scheduler.timeGrid.toJSON();
+        config.days = ['Monday', 'Tuesday', 'Wednesday'];
+        scheduler.applyTimeGrid(config);
+        scheduler.addCourse(new Course('Algorithms', 'CS201', 'Rao', 'theory', 5));
+
+        assert.equal(scheduler.solve('backtracking').scheduledCount, 1);
+        assert.equal(scheduler.courses[0].scheduledSlots.length, 5);
+    });
+
+    test('places a course at a different time on each day with the backtracking solver when no time fits every day', () => {
+        // The instructor only teaches first thing on Monday and second thing on Tuesday
+        const scheduler = createScheduler({ courses: [new Course('Algorithms', 'CS201', 'Rao', 'theory', 2)] });
+        const slots = scheduler.timeSlots.map((slot, i) => i);
+        scheduler.days.forEach(day => scheduler.registerInstructor('Rao').setAvailability(day, slots, false));
+        scheduler.registerInstructor('Rao').setAvailability('Monday', [0], true);
+        scheduler.registerInstructor('Rao').setAvailability('Tuesday', [1], true);
+
+        assert.equal(scheduler.solve('backtracking').scheduledCount, 1);
+        assert.equal(scheduler.solverResults.backtracking.nodes, 1);
+        assert.deepEqual(scheduler.courses[0].scheduledSlots.map(slot => `${slot.day} ${slot.timeIndex}`), ['Monday 0', 'Tuesday 1']);
+    });
+
+    test('keeps the backtracking solver within its time budget while building the domains', () => {
+        const courses = [];
+        for (let i = 0; i < 60; i++) {
+            courses.push(new Course(`Course ${i}`, `C${i}`, `Instructor ${i % 10}`, 'theory', 3, [], true, null, null, [`Y${i % 6}`]));
+        }
+        const scheduler = createScheduler({ courses });
+        scheduler.solverOptions = { timeLimitMs: 1 };
+
+        assert.equal(scheduler.solve('backtracking').scheduledCount, 60);
+        const { nodes, timedOut } = scheduler.solverResults.backtracking;
+        assert.deepEqual({ nodes, timedOut }, { nodes: 0, timedOut: true });
+    });
+
+    test('does not count unwinding the backtracking search after a timeout as backtracks', () => {
+        const courses = [];
+        for (let i = 0; i < 60; i++) {
+            courses.push(new Course(`Course ${i}`, `C${i}`, `Instructor ${i % 10}`, 'theory', 3, [], true, null, null, [`Y${i % 6}`]));
+        }
+        const scheduler = createScheduler({ courses });
+
+        // The clock runs out ten nodes into the search, after the domains were built
+        const now = Date.now;
+        let calls = 0;
+        Date.now = () => now() + (++calls > courses.length + 12 ? scheduler.solverOptions.timeLimitMs : 0);
+        try {
+            assert.equal(scheduler.solve('backtracking').scheduledCount, 60);
+        } finally {
+            Date.now = now;
+        }
+        const { nodes, backtracks, timedOut } = scheduler.solverResults.backtracking;
+        assert.deepEqual({ nodes: nodes > 1, backtracks, timedOut }, { nodes: true, backtracks: 0, timedOut: true });
+    });
+
+    test('reports its progress while solving and optimizing', () => {
+        const scheduler = new Scheduler();
+        scheduler.solverOptions = { timeLimitMs: 1000, iterations: 300 };
+        ['CS201', 'CS202', 'CS203'].forEach(code => scheduler.addCourse(new Course(code, code, 'Rao', 'theory', 2)));
+        const reports = [];
+        scheduler.solve('greedy', { onProgress: progress => reports.push(progress) });
+
+        assert.deepEqual(reports[0], { phase: 'solving', placed: 0, total: 3, fraction: 0, improved: true });
+        const solving = reports.filter(progress => progress.phase === 'solving');
+        assert.deepEqual(solving.map(progress => progress.placed), [0, 1, 2, 3]);
+        const optimizing = reports.filter(progress => progress.phase === 'optimizing');
+        assert.equal(optimizing.length > 1, true);
+        assert.deepEqual(optimizing.at(-1), { phase: 'optimizing', placed: 3, total: 3, fraction: 1, improved: true });
+        assert.equal(reports.indexOf(optimizing[0]), solving.length);
+    });
+
+    test('copies placements to another scheduler holding the same project', () => {
+        const scheduler = createScheduler();
+        scheduler.addCourse(new Course('Networks Lab', 'CS202', 'Iyer', 'theory', 1));
+        scheduler.addCourse(new Course('Algorithms', 'CS201', 'Rao', 'lab', 2));
+        const copy = createScheduler();
+        loadProject(copy, readProject(JSON.stringify(serializeProject(scheduler))));
+        const order = [...scheduler.courses];
+
+        scheduler.solve();
+        copy.applyPlacements(scheduler.getPlacements(order));
+        assert.deepEqual(copy.courses.map(course => course.code), ['CS201', 'CS202']);
+        assert.deepEqual(describeSessions(copy), describeSessions(scheduler));
+        const [slot] = copy.courses[0].scheduledSlots;
+        assert.equal(copy.grid[slot.day][copy.timeSlots[slot.timeIndex + 1]][slot.building][slot.floor][slot.room], copy.courses[0]);
+    });
+
+    test('reports why a course could not be placed', () => {
+        const scheduler = createScheduler();
+        scheduler.addCourse(new Course('Huge Lecture', 'HL1', 'Rao', 'theory', 1, [], true, null, null, [], null, 500));
+        assert.deepEqual(scheduler.solve(), { scheduledCount: 0, totalCourses: 1, kept: null });
+        assert.match(scheduler.courses[0].unscheduledReason, /500 students/);
+    });
+
+    test('frees the rooms of removed courses', () => {
+        const scheduler = createScheduler();
+        scheduler.addCourse(new Course('Algorithms', 'CS201', 'Rao', 'theory', 1));
+        scheduler.solve();
+        const [slot] = scheduler.courses[0].scheduledSlots;
+        assert.equal(scheduler.getSessionsAt(slot.day, slot.timeIndex).length, 1);
+        scheduler.removeCourse(0);
+        assert.equal(scheduler.getSessionsAt(slot.day, slot.timeIndex).length, 0);
+    });
+
+    test('places courses in added buildings', () => {
+        const scheduler = createScheduler();
+        assert.equal(scheduler.buildings.addBuilding('LB', 'Library', 1, 2, 120), null);
+        scheduler.applyBuildingChanges();
+        scheduler.addCourse(new Course('Seminar', 'SM1', 'Rao', 'theory', 1, [], true, null, null, [], 'LB', 100));
+        scheduler.solve();
+        assert.equal(scheduler.courses[0].scheduledSlots[0].building, 'LB');
+    });
+
+    test('unschedules the courses of a removed building and forgets that they requested it', () => {
+        const scheduler = createScheduler();
+        scheduler.buildings.addBuilding('LB', 'Library', 1, 2, 120);
+        scheduler.applyBuildingChanges();
+        scheduler.addCourse(new Course('Seminar', 'SM1', 'Rao', 'theory', 1, [], true, 1, 2, [], 'LB', 100));
+        scheduler.addCourse(new Course('Algorithms', 'CS201', 'Iyer', 'theory', 1, [], true, 1, null, [], 'LB'));
+        scheduler.solve();
+
+        assert.equal(scheduler.buildings.removeBuilding('LB'), null);
+        assert.equal(scheduler.applyBuildingChanges(), 2);
+        scheduler.courses.forEach(course => {
+            assert.equal(course.scheduled, false);
+            assert.deepEqual([course.building, course.floor, course.room], [null, null, null]);
+        });
+        assert.equal(scheduler.solve().scheduledCount, 1);
+        assert.match(scheduler.courses.find(course => course.code === 'SM1').unscheduledReason, /100 students/);
+    });
+
+    test('unschedules sessions that no longer fit a changed time grid', () => {
+        const scheduler = createScheduler();
+        scheduler.addCourse(new Course('Algorithms', 'CS201', 'Rao', 'theory', 1, [], true, 1, 1, [], 'AB3'));
+        scheduler.solve();
+        const [slot] = scheduler.courses[0].scheduledSlots;
+
+        const config = scheduler.timeGrid.toJSON();
+        config.days = config.days.filter(day => day !== slot.day);
+        assert.equal(scheduler.applyTimeGrid(config), 1);
+        assert.equal(scheduler.courses[0].scheduled, false);
+        assert.equal(scheduler.solve().scheduledCount, 1);
+        assert.notEqual(scheduler.courses[0].scheduledSlots[0].day, slot.day);
+    });
+
+    test('places more sessions than there are working days', () => {
+        const scheduler = createScheduler();
+        const config = scheduler.timeGrid.toJSON();
+        config.days = ['Monday', 'Tuesday', 'Wednesday'];
+        scheduler.applyTimeGrid(config);
+        scheduler.addCourse(new Course('Algorithms', 'CS201', 'Rao', 'theory', 5));
+
+        assert.equal(scheduler.solve('greedy').scheduledCount, 1);
+        const days = scheduler.courses[0].scheduledSlots.map(slot => slot.day);
+        assert.deepEqual(days, ['Monday', 'Tuesday', 'Wednesday', 'Monday', 'Tuesday']);
+    });
+
+    test('asks a course for at most one preferred day per working day', () => {
+        const scheduler = createScheduler();
+        const config = scheduler.timeGrid.toJSON();
+        config.days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday'];
+        scheduler.applyTimeGrid(config);
+        const fields = { name: 'Algorithms', code: 'CS201', instructor: 'Rao', type: 'theory', classesPerWeek: 5 };
+
+        assert.deepEqual(validateCourseFields({ ...fields, preferredDays: scheduler.days }, scheduler.buildings, scheduler.days), []);
+        assert.deepEqual(validateCourseFields({ ...fields, preferredDays: scheduler.days.slice(0, 3) }, scheduler.buildings, scheduler.days),
+            ['Please select exactly 4 days!']);
+
+        scheduler.addCourse(new Course('Algorithms', 'CS201', 'Rao', 'theory', 5, [...scheduler.days]));
+        assert.equal(scheduler.solve('greedy').scheduledCount, 1);
+        assert.equal(scheduler.courses[0].scheduledSlots.length, 5);
+    });
+
+    test('allows at most one session of mixed lengths per working day', () => {
+        const scheduler = createScheduler();
+        const fields = { name: 'Design Studio', code: 'AR101', instructor: 'Iyer', preferredDays: [],
+            components: [createSessionComponent('lab', 1, 3), createSessionComponent('theory', 5)] };
+
+        assert.deepEqual(validateCourseFields(fields, scheduler.buildings, scheduler.days),
+            ['Courses can have at most 5 sessions per week!']);
+        assert.deepEqual(validateCourseFields(fields, scheduler.buildings, WEEK_DAYS), []);
+    });
+
+    test('rejects course codes already in the course list, except the code of the course being edited', () => {
+        const scheduler = createScheduler({ courses: [new Course('Algorithms', 'CS201', 'Rao', 'theory', 1)] });
+        const [course] = scheduler.courses;
+        const fields = { name: 'Algorithms II', code: 'cs201', instructor: 'Rao', type: 'theory', classesPerWeek: 1, preferredDays: [] };
+
+        assert.deepEqual(validateCourseFields(fields, scheduler.buildings, scheduler.days, scheduler.courses),
+            ['Course code cs201 is already in the course list!']);
+        assert.deepEqual(validateCourseFields(fields, scheduler.buildings, scheduler.days, scheduler.courses, course), []);
+    });
+
+    test('keeps locked sessions and, in minimal change mode, previous placements', () => {
+        const scheduler = createScheduler();
+        scheduler.addCourse(new Course('Algorithms', 'CS201', 'Rao', 'theory', 2));
+        scheduler.addCourse(new Course('Databases', 'CS301', 'Iyer', 'theory', 2));
+        scheduler.solve();
+        scheduler.toggleLock(scheduler.courses[0]);
+        const before = describeSessions(scheduler);
+
+        scheduler.minimalChange = true;
+        scheduler.addCourse(new Course('Compilers', 'CS401', 'Rao', 'theory', 1));
+        assert.deepEqual(scheduler.solve(), { scheduledCount: 3, totalCourses: 3, kept: 1 });
+        assert.deepEqual(describeSessions(scheduler).slice(0, 2), before);
+    });
+
+    test('frees the locked sessions of a removed course that could not be placed', () => {
+        const scheduler = createScheduler();
+        scheduler.addCourse(new Course('Algorithms', 'A1', 'Rao', 'theory', 2));
+        scheduler.solve();
+        const [course] = scheduler.courses;
+        const [locked] = course.scheduledSlots;
+        scheduler.toggleLock(course, locked);
+
+        // The instructor no longer teaches at any other time, so the open session cannot be placed
+        scheduler.days.forEach(day => scheduler.registerInstructor('Rao').setAvailability(day,
+            scheduler.timeSlots.map((slot, i) => i).filter(i => day !== locked.day || i !== locked.timeIndex), false));
+        assert.equal(scheduler.solve().scheduledCount, 0);
+        assert.deepEqual(scheduler.getSessionsAt(locked.day, locked.timeIndex).map(session => session.course.code), ['A1']);
+
+        scheduler.removeCourse(0);
+        assert.deepEqual(scheduler.getSessionsAt(locked.day, locked.timeIndex), []);
+    });
+
+    test('edits a course without moving the other courses', () => {
+        const scheduler = createScheduler();
+        scheduler.addCourse(new Course('Algorithms', 'CS201', 'Rao', 'theory', 2));
+        scheduler.addCourse(new Course('Databases', 'CS301', 'Iyer', 'theory', 2));
+        scheduler.solve();
+        const [, databases] = describeSessions(scheduler);
+
+        const course = scheduler.courses[0];
+        assert.deepEqual(scheduler.updateCourse(course, { name: 'Algorithms I' }), { conflict: null, requirementsChanged: false });
+        assert.equal(course.scheduled, true);
+
+        const { conflict } = scheduler.updateCourse(course, { components: [createSessionComponent('theory', 3)] });
+        assert.match(conflict, /sessions of CS201 changed/);
+        assert.equal(scheduler.replaceCourse(course), true);
+        assert.equal(course.scheduledSlots.length, 3);
+        assert.equal(describeSessions(scheduler)[1], databases);
+    });
+
+    test('keeps two sessions of a course on one day when it is edited, re-solved or re-placed', () => {
+        // The instructor only teaches on Monday, so the slot search holds both sessions that day
+        const scheduler = createScheduler();
+        scheduler.addCourse(new Course('Algorithms', 'A1', 'Rao', 'theory', 2));
+        ['Tuesday', 'Wednesday', 'Thursday', 'Friday'].forEach(day =>
+            scheduler.registerInstructor('Rao').setAvailability(day, scheduler.timeSlots.map((slot, i) => i), false));
+        scheduler.solve();
+        const [course] = scheduler.courses;
+        const placed = describeSessions(scheduler);
+        assert.deepEqual(course.scheduledSlots.map(slot => slot.day), ['Monday', 'Monday']);
+
+        assert.deepEqual(scheduler.updateCourse(course, { code: 'A2' }), { conflict: null, requirementsChanged: false });
+        assert.equal(scheduler.applyTimeGrid(scheduler.timeGrid.toJSON()), 0);
+        scheduler.minimalChange = true;
+        assert.deepEqual(scheduler.solve(), { scheduledCount: 1, totalCourses: 1, kept: 1 });
+        assert.deepEqual(describeSessions(scheduler), placed.map(entry => entry.replace('A1', 'A2')));
+
+        const scenario = createScenario(scheduler, 'Monday only');
+        assert.equal(applyScenario(scheduler, scenario), 0);
+        assert.equal(course.scheduled, true);
+    });
+
+    test('saves and loads projects', () => {
+        const scheduler = createScheduler();
+        scheduler.addCourse(new Course('Algorithms', 'CS201', 'Rao', 'theory', 3, ['Monday', 'Wednesday', 'Friday']));
+        scheduler.addCourse(new Course('Networks Lab', 'CS202', 'Iyer', 'lab', 1));
+        scheduler.solve();
+
+        const loaded = createScheduler();
+        loadProject(loaded, readProject(JSON.stringify(serializeProject(scheduler))));
+        assert.deepEqual(describeSessions(loaded), describeSessions(scheduler));
+        assert.equal(loaded.getSessionsAt('Monday', loaded.courses[0].scheduledSlots[0].timeIndex).length > 0, true);
+    });
+});
@@ -0,0 +1,30 @@
+/**
+ * Helpers shared by the test files
+ */
+
+const { Scheduler, BuildingModel, createBuilding } = require('../engine.js');
+
+/**
+ * Create a scheduler without simulated annealing, so results are deterministic
+ *
+ * @param {Object} options - What to put in the scheduler
+ * @param {Array<Course>} options.courses - The courses to add
+ * @param {Array<Object>} options.courseRules - The rules linking them (see createCourseRule)
+ * @param {boolean} options.smallBuilding - Replace the default campus with one building of 2 floors of 3 rooms with 30 seats
+ * @return {Scheduler} The scheduler
+ */
+function createScheduler({ courses = [], courseRules = [], smallBuilding = false } = {}) {
+    const scheduler = new Scheduler();
+    scheduler.optimizeSchedule = false;
+    if (smallBuilding) {
+        scheduler.buildings = new BuildingModel([createBuilding('T', 'Test building', 2, 3, 30)]);
+        scheduler.applyBuildingChanges();
+    }
+    courses.forEach(course => scheduler.addCourse(course));
+    scheduler.courseRules = courseRules;
+    return scheduler;
+}
+
+module.exports = {
+    createScheduler
+};
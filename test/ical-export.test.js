@@ -0,0 +1,96 @@
+/**
+ * Tests for the iCalendar export of the timetable
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Course } = require('../engine.js');
+const { foldICalLine, escapeICalText, getSemesterError, getCalendarScopes, buildICalendar } = require('../ical-export.js');
+const { createScheduler } = require('./helpers.js');
+
+const SEMESTER = { start: '2025-09-01', end: '2025-12-19' };
+
+/**
+ * Create a scheduler with two rooms named "Lab" on different floors of the test building,
+ * holding one session of a course in each
+ * @return {Scheduler} The scheduler
+ */
+function createSampleScheduler() {
+    const scheduler = createScheduler({ smallBuilding: true });
+    scheduler.buildings.updateRoom('T', 1, 1, { name: 'Lab' });
+    scheduler.buildings.updateRoom('T', 2, 1, { name: 'Lab' });
+    scheduler.applyBuildingChanges();
+    scheduler.addCourse(new Course('Algorithms', 'CS201', 'Rao', 'theory', 1, ['Monday'], true, 1, 1, [], 'T'));
+    scheduler.addCourse(new Course('Databases', 'CS301', 'Iyer', 'theory', 1, ['Monday'], true, 2, 1, [], 'T'));
+    assert.equal(scheduler.solve('greedy').scheduledCount, 2);
+    return scheduler;
+}
+
+/**
+ * Get the values of a property of every event of a calendar
+ * @param {string} ics - The calendar
+ * @param {string} name - The property name, e.g. "SUMMARY"
+ * @return {Array<string>} The values, in event order
+ */
+function propertyValues(ics, name) {
+    return ics.replace(/\r\n /g, '').split('\r\n')
+        .filter(line => line.startsWith(`${name}:`))
+        .map(line => line.slice(name.length + 1));
+}
+
+describe('foldICalLine()', () => {
+    test('folds lines at 75 octets without splitting multi-byte characters', () => {
+        const line = `SUMMARY:${'Ünïcödé 日本語 🎓 '.repeat(12)}`;
+        const parts = foldICalLine(line).split('\r\n');
+
+        assert.ok(parts.length > 1);
+        parts.forEach(part => assert.ok(Buffer.byteLength(part) <= 75, part));
+        parts.slice(1).forEach(part => assert.equal(part[0], ' '));
+        assert.equal(parts.map((part, i) => i === 0 ? part : part.slice(1)).join(''), line);
+        assert.ok(!foldICalLine(line).includes('\uFFFD'));
+    });
+
+    test('leaves short lines alone', () => {
+        assert.equal(foldICalLine('SUMMARY:CS201 Algorithms'), 'SUMMARY:CS201 Algorithms');
+        assert.equal(foldICalLine('X'.repeat(75)), 'X'.repeat(75));
+    });
+});
+
+describe('escapeICalText()', () => {
+    test('escapes backslashes, semicolons, commas and line breaks', () => {
+        assert.equal(escapeICalText('a\\b;c,d\r\ne'), 'a\\\\b\\;c\\,d\\ne');
+    });
+});
+
+describe('getSemesterError()', () => {
+    test('requires valid dates in order', () => {
+        assert.equal(getSemesterError(SEMESTER), null);
+        assert.equal(getSemesterError({ start: '2025-02-30', end: '2025-06-01' }), 'Please enter the semester start and end dates!');
+        assert.equal(getSemesterError({ start: '2025-06-01', end: '2025-02-01' }), 'The semester must end after it starts!');
+    });
+});
+
+describe('buildICalendar()', () => {
+    test('repeats every session weekly from its first weekday in the semester', () => {
+        const ics = buildICalendar(createSampleScheduler(), { semester: SEMESTER });
+        assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n') && ics.endsWith('END:VCALENDAR\r\n'));
+        assert.deepEqual(propertyValues(ics, 'SUMMARY'), ['CS201 Algorithms', 'CS301 Databases']);
+        assert.deepEqual(propertyValues(ics, 'DTSTART'), ['20250901T080000', '20250901T080000']);
+        assert.deepEqual(propertyValues(ics, 'RRULE'), Array(2).fill('FREQ=WEEKLY;BYDAY=MO;UNTIL=20251219T235900'));
+    });
+
+    test('tells rooms sharing a name apart', () => {
+        const scheduler = createSampleScheduler();
+        const rooms = getCalendarScopes(scheduler).filter(scope => scope.type === 'room');
+        assert.deepEqual(rooms.map(scope => [scope.value, scope.label]),
+            [['T|1|1', 'Room Lab (Floor 1)'], ['T|2|1', 'Room Lab (Floor 2)']]);
+
+        const ics = buildICalendar(scheduler, { semester: SEMESTER, scope: rooms[1] });
+        assert.deepEqual(propertyValues(ics, 'SUMMARY'), ['CS301 Databases']);
+        assert.deepEqual(propertyValues(ics, 'LOCATION'), ['Room Lab']);
+        assert.deepEqual(propertyValues(ics, 'X-WR-CALNAME'), ['Timetable - Room Lab (Floor 2)']);
+
+        const uids = propertyValues(buildICalendar(scheduler, { semester: SEMESTER }), 'UID');
+        assert.equal(new Set(uids).size, 2);
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for candidate schedules and their comparison
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Scheduler, Course } = require('../engine.js');
+const { serializeProject, readProject, loadProject } = require('../storage.js');
+const { measureSchedule, createScenario, generateScenarios, diffScenarios, applyScenario } = require('../scenarios.js');
+const { createScheduler } = require('./helpers.js');
+
+/**
+ * Create a scheduler holding courses that can be placed in many ways
+ * @return {Scheduler} The scheduler, without simulated annealing so candidates are generated quickly
+ */
+function createSampleScheduler() {
+    const scheduler = createScheduler();
+    ['Rao', 'Iyer', 'Shah'].forEach((instructor, i) => {
+        scheduler.addCourse(new Course('Algorithms', `CS20${i}`, instructor, 'theory', 2, [], true, null, null, ['CSE-2']));
+        scheduler.addCourse(new Course('Networks Lab', `CS30${i}`, instructor, 'lab', 1, [], true, null, null, ['CSE-3']));
+    });
+    return scheduler;
+}
+
+describe('Scenarios', () => {
+    test('measure a schedule', () => {
+        const scheduler = createSampleScheduler();
+        scheduler.solve();
+        const metrics = measureSchedule(scheduler);
+        assert.equal(metrics.placed, 6);
+        assert.equal(metrics.total, 6);
+        // 12 occupied room slots (labs take two) in the 91 rooms that are not teacher-only, during the 12 open slots of 5 days
+        assert.equal(metrics.roomUtilisation, 12 / (91 * 12 * 5));
+        assert.equal(metrics.score, scheduler.scorer.evaluate(scheduler).total);
+    });
+
+    test('generate distinct candidates without changing the schedule', () => {
+        const scheduler = createSampleScheduler();
+        scheduler.solve();
+        const before = serializeProject(scheduler).courses;
+
+        const candidates = generateScenarios(scheduler, 3, { firstSeed: 7 });
+        assert.deepEqual(candidates.map(candidate => candidate.name), ['Candidate 1', 'Candidate 2', 'Candidate 3']);
+        assert.deepEqual(candidates.map(candidate => candidate.seed), [7, 8, 9]);
+        candidates.forEach((candidate, i) => {
+            assert.equal(candidate.metrics.placed, 6);
+            candidates.slice(0, i).forEach(earlier => assert.ok(diffScenarios(earlier, candidate).moved.length > 0));
+        });
+        assert.deepEqual(serializeProject(scheduler).courses, before);
+
+        // The same seed gives the same candidate
+        const [again] = generateScenarios(scheduler, 1, { firstSeed: 8 });
+        assert.equal(diffScenarios(again, candidates[1]).moved.length, 0);
+
+        // Candidates identical to a saved scenario are left out
+        scheduler.scenarios = candidates;
+        assert.deepEqual(generateScenarios(scheduler, 2, { firstSeed: 9 }).map(candidate => candidate.seed), [10]);
+    });
+
+    test('list the sessions that moved between two scenarios', () => {
+        const scheduler = createSampleScheduler();
+        scheduler.solve();
+        const first = createScenario(scheduler, 'First');
+        const course = scheduler.courses[0];
+        const slot = { ...course.scheduledSlots[0] };
+        const timeIndex = scheduler.timeSlots.findIndex((time, index) =>
+            index !== slot.timeIndex && scheduler.moveSession(course, 0, { ...slot, timeIndex: index }) === null);
+        const second = createScenario(scheduler, 'Second');
+
+        const diff = diffScenarios(first, second);
+        assert.equal(diff.unchanged, 8);
+        assert.equal(diff.moved.length, 1);
+        assert.equal(diff.moved[0].code, course.code);
+        assert.equal(diff.moved[0].from.timeIndex, slot.timeIndex);
+        assert.equal(diff.moved[0].to.timeIndex, timeIndex);
+    });
+
+    test('apply a scenario, leaving courses that no longer fit unscheduled', () => {
+        const scheduler = createSampleScheduler();
+        scheduler.solve();
+        const scenario = createScenario(scheduler, 'Published');
+        const sessions = scheduler.courses.map(course => course.scheduledSlots.map(slot => `${slot.day} ${slot.timeIndex}`));
+
+        scheduler.courses.forEach(course => scheduler.unscheduleCourse(course));
+        assert.equal(applyScenario(scheduler, scenario), 0);
+        assert.deepEqual(scheduler.courses.map(course => course.scheduledSlots.map(slot => `${slot.day} ${slot.timeIndex}`)), sessions);
+
+        const course = scheduler.courses[0];
+        const day = course.scheduledSlots[0].day;
+        scheduler.applyTimeGrid({ ...scheduler.timeGrid.toJSON(), days: scheduler.days.filter(other => other !== day) });
+        assert.ok(applyScenario(scheduler, scenario) >= 1);
+        assert.equal(course.scheduled, false);
+        assert.equal(course.unscheduledReason, `Could not be placed as in scenario "Published": Classes are not held on ${day}`);
+    });
+
+    test('are saved with the project', () => {
+        const scheduler = createSampleScheduler();
+        scheduler.solve();
+        scheduler.scenarios.push(createScenario(scheduler, 'Published'));
+
+        const loaded = new Scheduler();
+        loadProject(loaded, readProject(JSON.stringify(serializeProject(scheduler))));
+        assert.deepEqual(loaded.scenarios, scheduler.scenarios);
+
+        const older = { ...serializeProject(scheduler), schemaVersion: 7 };
+        delete older.scenarios;
+        assert.deepEqual(readProject(JSON.stringify(older)).scenarios, []);
+    });
+});
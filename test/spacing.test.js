@@ -0,0 +1,142 @@
+/**
+ * Tests for the spacing rules of a course
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Scheduler, Course, createSpacing, validateSpacing } = require('../engine.js');
+const { serializeProject, readProject, loadProject } = require('../storage.js');
+const { createScheduler } = require('./helpers.js');
+
+/**
+ * Create a scheduler holding one course with spacing rules
+ * @param {number} classesPerWeek - The number of sessions of the course
+ * @param {Object} spacing - The spacing rules (see createSpacing)
+ * @return {Scheduler} The scheduler
+ */
+function createSpacedScheduler(classesPerWeek, spacing) {
+    return createScheduler({ courses: [new Course('Algorithms', 'CS201', 'Iyer', 'theory', classesPerWeek, [], true, null, null,
+        [], null, null, null, [], null, createSpacing(spacing))] });
+}
+
+/**
+ * List the day indices of the sessions of the course in week order
+ * @param {Scheduler} scheduler - The scheduler
+ * @return {Array<number>} The day indices
+ */
+function sessionDays(scheduler) {
+    return scheduler.courses[0].scheduledSlots.map(slot => scheduler.days.indexOf(slot.day)).sort((a, b) => a - b);
+}
+
+describe('Spacing rules', () => {
+    for (const strategy of ['greedy', 'backtracking']) {
+        test(`keep the sessions in the afternoon at the same time with the ${strategy} solver`, () => {
+            const scheduler = createSpacedScheduler(3, { timeBand: 'afternoon', sameTime: true });
+            assert.equal(scheduler.solve(strategy).scheduledCount, 1);
+
+            const [course] = scheduler.courses;
+            const times = course.scheduledSlots.map(slot => slot.timeIndex);
+            assert.ok(times.every(timeIndex => scheduler.timeGrid.rows[timeIndex].start >= 720));
+            assert.equal(new Set(times).size, 1);
+            assert.deepEqual(course.relaxedSpacing, []);
+        });
+
+        test(`keep the days between sessions within bounds with the ${strategy} solver`, () => {
+            const consecutive = createSpacedScheduler(3, { maxGap: 1 });
+            assert.equal(consecutive.solve(strategy).scheduledCount, 1);
+            const days = sessionDays(consecutive);
+            assert.deepEqual(days, [days[0], days[0] + 1, days[0] + 2]);
+
+            const apart = createSpacedScheduler(2, { minGap: 3 });
+            assert.equal(apart.solve(strategy).scheduledCount, 1);
+            const [first, second] = sessionDays(apart);
+            assert.ok(second - first >= 3);
+        });
+    }
+
+    test('relax only the rules in the way and flag them', () => {
+        // Three sessions cannot be four days apart in a five-day week
+        const scheduler = createSpacedScheduler(3, { minGap: 4, sameTime: true });
+        assert.equal(scheduler.solve('greedy').scheduledCount, 1);
+
+        const [course] = scheduler.courses;
+        assert.deepEqual(course.relaxedSpacing, ['minGap']);
+        assert.equal(new Set(course.scheduledSlots.map(slot => slot.timeIndex)).size, 1);
+    });
+
+    test('never hold two sessions on one day unless relaxed', () => {
+        // The instructor only teaches on Monday
+        const scheduler = createSpacedScheduler(2, {});
+        ['Tuesday', 'Wednesday', 'Thursday', 'Friday'].forEach(day =>
+            scheduler.registerInstructor('Iyer').setAvailability(day, scheduler.timeSlots.map((slot, i) => i), false));
+        assert.equal(scheduler.solve('greedy').scheduledCount, 1);
+        assert.deepEqual(sessionDays(scheduler), [0, 0]);
+
+        const [course] = scheduler.courses;
+        scheduler.updateCourse(course, { spacing: createSpacing({ noSameDay: true }) });
+        assert.equal(scheduler.solve('greedy').scheduledCount, 1);
+        assert.deepEqual(course.relaxedSpacing, ['noSameDay']);
+    });
+
+    test('reject moves that break them', () => {
+        const scheduler = createSpacedScheduler(2, { timeBand: 'morning' });
+        scheduler.solve('greedy');
+
+        const [course] = scheduler.courses;
+        const { day, building, floor, room } = course.scheduledSlots[0];
+        assert.equal(scheduler.moveSession(course, 0, { day, timeIndex: 10, building, floor, room }),
+            'CS201 meets in the morning only');
+    });
+
+    test('keep a moved session off the other days of the course, with or without the noSameDay rule', () => {
+        for (const noSameDay of [true, false]) {
+            const scheduler = createSpacedScheduler(2, { noSameDay });
+            scheduler.solve('greedy');
+
+            const [course] = scheduler.courses;
+            const [first, second] = course.scheduledSlots;
+            const timeIndex = second.timeIndex === 0 ? 1 : 0;
+            assert.equal(scheduler.moveSession(course, 0, { ...first, day: second.day, timeIndex }),
+                `CS201 already meets on ${second.day}`);
+            assert.equal(scheduler.moveSession(course, 0, { ...first, timeIndex: first.timeIndex + 1 }), null);
+        }
+    });
+});
+
+describe('validateSpacing()', () => {
+    test('accepts empty and consistent rules', () => {
+        assert.deepEqual(validateSpacing(createSpacing()), []);
+        assert.deepEqual(validateSpacing(createSpacing({ minGap: 1, maxGap: 2, timeBand: 'morning' })), []);
+    });
+
+    test('rejects invalid gaps and time bands', () => {
+        assert.deepEqual(validateSpacing(createSpacing({ minGap: 0 })), ['Days between sessions must be positive whole numbers!']);
+        assert.deepEqual(validateSpacing(createSpacing({ minGap: 3, maxGap: 2 })),
+            ['The maximum days between sessions cannot be less than the minimum!']);
+        assert.deepEqual(validateSpacing(createSpacing({ timeBand: 'evening' })), ['Unknown time band "evening"!']);
+    });
+});
+
+describe('Saved spacing rules', () => {
+    test('are saved with the project with the rules that were relaxed', () => {
+        const scheduler = createSpacedScheduler(3, { minGap: 4, sameTime: true });
+        scheduler.solve('greedy');
+        const loaded = new Scheduler();
+        loadProject(loaded, readProject(JSON.stringify(serializeProject(scheduler))));
+        assert.deepEqual(loaded.courses[0].spacing, scheduler.courses[0].spacing);
+        assert.deepEqual(loaded.courses[0].relaxedSpacing, ['minGap']);
+    });
+
+    test('are added to older projects and validated', () => {
+        const older = { ...serializeProject(createSpacedScheduler(2, {})), schemaVersion: 9 };
+        older.courses.forEach(course => {
+            delete course.spacing;
+            delete course.relaxedSpacing;
+        });
+        assert.deepEqual(readProject(JSON.stringify(older)).courses[0].spacing, createSpacing());
+
+        const invalid = serializeProject(createSpacedScheduler(2, {}));
+        invalid.courses[0].spacing.timeBand = 'evening';
+        assert.throws(() => readProject(invalid), error => /invalid spacing rules/.test(error.details[0]));
+    });
+});
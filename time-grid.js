@@ -0,0 +1,271 @@
+/**
+ * Time grid configuration for the Course Schedule Optimizer
+ *
+ * The week is a list of working days that share the same rows: teaching slots of a fixed length
+ * separated by breaks, from the start to the end of the day. Blocked periods are named times when
+ * no classes can be held. A period blocked on every working day (such as the extra-mural hour)
+ * gets a row of its own; a period blocked on some days only (such as a faculty meeting on
+ * Wednesday afternoon) blocks the slots it overlaps on those days.
+ */
+
+/**
+ * Days that can be working days, in calendar order
+ */
+const WEEK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Convert a 24-hour time such as "13:20" to minutes since midnight
+ * @param {string} text - The time
+ * @return {number|null} Minutes since midnight, or null if the text is not a valid time
+ */
+function parseTimeOfDay(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(typeof text === 'string' ? text.trim() : '');
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        return null;
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Format minutes since midnight as a 12-hour clock time
+ * @param {number} minutes - Minutes since midnight
+ * @param {boolean} withPeriod - Whether to append AM/PM
+ * @return {string} e.g. "1:20 PM", or "1:20" without the period
+ */
+function formatClockTime(minutes, withPeriod = true) {
+    const hours = Math.floor(minutes / 60);
+    const time = `${hours % 12 || 12}:${String(minutes % 60).padStart(2, '0')}`;
+    return withPeriod ? `${time} ${hours < 12 ? 'AM' : 'PM'}` : time;
+}
+
+/**
+ * The original time grid: Monday to Friday, 50-minute slots with 5-minute breaks
+ * from 8:00 AM to 7:20 PM, and the extra-mural hour from 1:20 PM to 2:00 PM every day
+ * @return {Object} The default time grid configuration
+ */
+function createDefaultTimeGrid() {
+    return {
+        days: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+        startTime: '08:00',
+        endTime: '19:20',
+        slotLength: 50,
+        breakLength: 5,
+        blockedPeriods: [
+            { name: 'Extra-mural Hour', days: [], start: '13:20', end: '14:00' }
+        ]
+    };
+}
+
+/**
+ * Check a time grid configuration
+ * @param {Object} config - The configuration to check
+ * @return {Array<string>} Validation errors (empty if the configuration is valid)
+ */
+function validateTimeGrid(config) {
+    const errors = [];
+    if (!config || typeof config !== 'object') {
+        errors.push('The time grid is missing.');
+        return errors;
+    }
+
+    if (!Array.isArray(config.days) || config.days.length === 0 ||
+        config.days.some(day => !WEEK_DAYS.includes(day)) || new Set(config.days).size !== config.days.length) {
+        errors.push('The time grid needs at least one working day, and each day only once.');
+    }
+
+    const start = parseTimeOfDay(config.startTime);
+    const end = parseTimeOfDay(config.endTime);
+    if (start === null || end === null || end <= start) {
+        errors.push('The day must end after it starts.');
+    }
+    if (!Number.isInteger(config.slotLength) || config.slotLength < 5) {
+        errors.push('Slots must be at least 5 minutes long.');
+    }
+    if (!Number.isInteger(config.breakLength) || config.breakLength < 0) {
+        errors.push('Breaks cannot be negative.');
+    }
+    if (!Array.isArray(config.blockedPeriods)) {
+        errors.push('The list of blocked periods is missing.');
+        return errors;
+    }
+
+    config.blockedPeriods.forEach((period, index) => {
+        const label = `Blocked period ${index + 1}${period && period.name ? ` (${period.name})` : ''}`;
+        const periodStart = period ? parseTimeOfDay(period.start) : null;
+        const periodEnd = period ? parseTimeOfDay(period.end) : null;
+        if (!period || typeof period.name !== 'string' || !period.name.trim()) {
+            errors.push(`${label}: name is missing.`);
+        } else if (periodStart === null || periodEnd === null || periodEnd <= periodStart) {
+            errors.push(`${label}: must end after it starts.`);
+        } else if (!Array.isArray(period.days) || period.days.some(day => !WEEK_DAYS.includes(day))) {
+            errors.push(`${label}: invalid days.`);
+        } else if (period.days.length === 0 && start !== null && end !== null && (periodStart < start || periodEnd > end)) {
+            errors.push(`${label}: periods blocked every day must lie within the day.`);
+        }
+    });
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    // Periods blocked every day become rows of the grid, so they cannot overlap
+    const everyDay = config.blockedPeriods
+        .filter(period => period.days.length === 0)
+        .map(period => ({ name: period.name, start: parseTimeOfDay(period.start), end: parseTimeOfDay(period.end) }))
+        .sort((a, b) => a.start - b.start);
+    for (let i = 1; i < everyDay.length; i++) {
+        if (everyDay[i].start < everyDay[i - 1].end) {
+            errors.push(`${everyDay[i - 1].name} and ${everyDay[i].name} overlap.`);
+        }
+    }
+    if (errors.length === 0 && new TimeGrid(config).rows.every(row => row.blocked)) {
+        errors.push('The day is too short for a single slot.');
+    }
+    return errors;
+}
+
+/**
+ * TimeGrid turns a time grid configuration into the rows of the timetable
+ */
+class TimeGrid {
+    /**
+     * Create a new TimeGrid instance
+     * @param {Object} config - The configuration (defaults to the original grid)
+     */
+    constructor(config = createDefaultTimeGrid()) {
+        this.config = JSON.parse(JSON.stringify(config));
+
+        // Working days in calendar order
+        this.days = WEEK_DAYS.filter(day => this.config.days.includes(day));
+
+        this.rows = this.buildRows();
+
+        // Name of the period blocking each row, per day (null where classes can be held)
+        this.blockedRows = {};
+        this.days.forEach(day => {
+            this.blockedRows[day] = this.rows.map(row => {
+                if (row.blocked) return row.blocked;
+                const period = this.config.blockedPeriods.find(candidate =>
+                    candidate.days.includes(day) &&
+                    parseTimeOfDay(candidate.start) < row.end &&
+                    parseTimeOfDay(candidate.end) > row.start);
+                return period ? period.name : null;
+            });
+        });
+
+        // Start times (e.g. "8:00 AM"), used as keys of the schedule grid
+        this.timeSlots = this.rows.map(row => formatClockTime(row.start));
+
+        // Labels shown in the timetable (e.g. "8:00 - 8:50")
+        this.displayTimeSlots = this.rows.map(row => `${formatClockTime(row.start, false)} - ${formatClockTime(row.end, false)}`);
+    }
+
+    /**
+     * Lay out the rows of a day
+     * Slots follow each other with a break in between. A slot that would run into a period blocked
+     * every day is shortened to end one break before it; the period gets its own row and the next
+     * slot starts when it ends. Slots shorter than half the slot length are left out.
+     *
+     * @return {Array<Object>} Rows as { start, end, blocked } in minutes since midnight, where
+     *                         blocked is the name of the period or null for a teaching slot
+     */
+    buildRows() {
+        const { slotLength, breakLength } = this.config;
+        const dayEnd = parseTimeOfDay(this.config.endTime);
+        const blocks = this.config.blockedPeriods
+            .filter(period => period.days.length === 0)
+            .map(period => ({ name: period.name, start: parseTimeOfDay(period.start), end: parseTimeOfDay(period.end) }))
+            .sort((a, b) => a.start - b.start);
+
+        const rows = [];
+        let time = parseTimeOfDay(this.config.startTime);
+        while (time < dayEnd) {
+            const block = blocks.find(period => period.end > time);
+            if (block && block.start <= time) {
+                rows.push({ start: block.start, end: block.end, blocked: block.name });
+                time = block.end;
+                continue;
+            }
+
+            let end = Math.min(time + slotLength, dayEnd);
+            if (block && end + breakLength > block.start) {
+                end = block.start - breakLength;
+            }
+            if (end - time < slotLength / 2) {
+                // Too short for a class: skip to the blocked period or stop at the end of the day
+                if (!block) break;
+                time = block.start;
+                continue;
+            }
+            rows.push({ start: time, end, blocked: null });
+            time = end + breakLength;
+        }
+        return rows;
+    }
+
+    /**
+     * Get the blocked period covering a row on a given day
+     * @param {string} day - The day
+     * @param {number} index - The index of the row
+     * @return {string|null} The name of the period, or null if classes can be held
+     */
+    getBlockedPeriod(day, index) {
+        return this.blockedRows[day] ? this.blockedRows[day][index] || null : null;
+    }
+
+    /**
+     * Check whether a class can be held in consecutive rows
+     * @param {string} day - The day
+     * @param {number} index - The index of the first row
+     * @param {number} duration - The number of rows
+     * @return {boolean} True if the rows exist and none of them is blocked on that day
+     */
+    isAvailable(day, index, duration) {
+        if (!this.days.includes(day) || index < 0 || index + duration > this.rows.length) {
+            return false;
+        }
+        for (let i = index; i < index + duration; i++) {
+            if (this.getBlockedPeriod(day, i)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Describe the grid for the info box above the timetable
+     * @return {Array<string>} e.g. ["Time slots: 50 minutes with 5-minute breaks, 8:00 AM - 7:20 PM",
+     *                         "Extra-mural Hour: 1:20 PM - 2:00 PM"]
+     */
+    describe() {
+        const { slotLength, breakLength } = this.config;
+        const breaks = breakLength > 0 ? `${breakLength}-minute breaks` : 'no breaks';
+        const lines = [`Time slots: ${slotLength} minutes with ${breaks}, ` +
+            `${formatClockTime(parseTimeOfDay(this.config.startTime))} - ${formatClockTime(parseTimeOfDay(this.config.endTime))}`];
+        this.config.blockedPeriods.forEach(period => {
+            const days = period.days.length > 0 ? ` (${period.days.join(', ')})` : '';
+            lines.push(`${period.name}: ${formatClockTime(parseTimeOfDay(period.start))} - ` +
+                `${formatClockTime(parseTimeOfDay(period.end))}${days}`);
+        });
+        return lines;
+    }
+
+    /**
+     * Get a plain copy of the configuration (for saving)
+     * @return {Object} The configuration
+     */
+    toJSON() {
+        return JSON.parse(JSON.stringify(this.config));
+    }
+}
+
+// Export to Node (in the browser this file is a classic script and everything above is global)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WEEK_DAYS,
+        parseTimeOfDay,
+        formatClockTime,
+        createDefaultTimeGrid,
+        validateTimeGrid,
+        TimeGrid
+    };
+}